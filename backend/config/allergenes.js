@@ -0,0 +1,72 @@
+// Allergènes de parfum à déclarer (règlement CE n° 1223/2009, annexe III) et seuils de déclaration.
+// Les dénominations sont celles de la liste INCI ; les substances interdites depuis
+// (lilial, lyral) ne figurent plus dans la liste.
+const allergenesReglementes = [
+  { nom: 'Alpha-Isomethyl Ionone', numeroCas: '127-51-5' },
+  { nom: 'Amyl Cinnamal', numeroCas: '122-40-7' },
+  { nom: 'Amylcinnamyl Alcohol', numeroCas: '101-85-9' },
+  { nom: 'Anise Alcohol', numeroCas: '105-13-5' },
+  { nom: 'Benzyl Alcohol', numeroCas: '100-51-6' },
+  { nom: 'Benzyl Benzoate', numeroCas: '120-51-4' },
+  { nom: 'Benzyl Cinnamate', numeroCas: '103-41-3' },
+  { nom: 'Benzyl Salicylate', numeroCas: '118-58-1' },
+  { nom: 'Cinnamal', numeroCas: '104-55-2' },
+  { nom: 'Cinnamyl Alcohol', numeroCas: '104-54-1' },
+  { nom: 'Citral', numeroCas: '5392-40-5' },
+  { nom: 'Citronellol', numeroCas: '106-22-9' },
+  { nom: 'Coumarin', numeroCas: '91-64-5' },
+  { nom: 'Eugenol', numeroCas: '97-53-0' },
+  { nom: 'Evernia Furfuracea Extract', numeroCas: '90028-67-4' },
+  { nom: 'Evernia Prunastri Extract', numeroCas: '90028-68-5' },
+  { nom: 'Farnesol', numeroCas: '4602-84-0' },
+  { nom: 'Geraniol', numeroCas: '106-24-1' },
+  { nom: 'Hexyl Cinnamal', numeroCas: '101-86-0' },
+  { nom: 'Hydroxycitronellal', numeroCas: '107-75-5' },
+  { nom: 'Isoeugenol', numeroCas: '97-54-1' },
+  { nom: 'Limonene', numeroCas: '5989-27-5' },
+  { nom: 'Linalool', numeroCas: '78-70-6' },
+  { nom: 'Methyl 2-Octynoate', numeroCas: '111-12-6' }
+];
+
+// Composition indicative des huiles essentielles courantes (teneur en % de l'huile),
+// indexée par nom INCI. À remplacer par le certificat d'analyse du fournisseur quand il est connu.
+const compositionsHuilesEssentielles = {
+  'Lavandula Angustifolia Oil': { Linalool: 35, Limonene: 1, Geraniol: 0.5, Coumarin: 0.1 },
+  'Citrus Aurantium Dulcis Peel Oil': { Limonene: 94, Linalool: 0.5, Citral: 0.2 },
+  'Citrus Limon Peel Oil': { Limonene: 68, Citral: 2.5, Linalool: 0.2, Geraniol: 0.1 },
+  'Citrus Aurantium Bergamia Peel Oil': { Limonene: 40, Linalool: 12, Citral: 0.5, Geraniol: 0.1 },
+  'Litsea Cubeba Fruit Oil': { Citral: 75, Limonene: 12, Linalool: 2, Geraniol: 1 },
+  'Cymbopogon Martini Oil': { Geraniol: 80, Linalool: 3, Farnesol: 1.5, Limonene: 0.3 },
+  'Pelargonium Graveolens Oil': { Citronellol: 30, Geraniol: 15, Linalool: 6, Citral: 1, Eugenol: 0.1 },
+  'Eugenia Caryophyllus Flower Oil': { Eugenol: 85, Isoeugenol: 0.2, 'Benzyl Benzoate': 0.1 },
+  'Cinnamomum Zeylanicum Bark Oil': { Cinnamal: 65, Eugenol: 5, Linalool: 3, 'Benzyl Benzoate': 1, Coumarin: 0.4 },
+  'Cananga Odorata Flower Oil': {
+    Linalool: 15,
+    'Benzyl Benzoate': 6,
+    'Benzyl Salicylate': 4,
+    Farnesol: 2,
+    Geraniol: 1,
+    Eugenol: 0.5,
+    Isoeugenol: 0.5
+  },
+  'Rosmarinus Officinalis Leaf Oil': { Limonene: 3, Linalool: 1 },
+  'Mentha Piperita Oil': { Limonene: 2, Linalool: 0.3 },
+  'Melaleuca Alternifolia Leaf Oil': { Limonene: 1, Linalool: 0.2 },
+  'Eucalyptus Globulus Leaf Oil': { Limonene: 8 }
+};
+
+// Seuils de déclaration, en % du produit fini
+const seuilsDeclaration = {
+  RINCE: 0.01,
+  SANS_RINCAGE: 0.001
+};
+
+// Catégories de produits rincés après application ; les autres restent sur la peau
+const categoriesRincees = ['shampoing', 'savon', 'masque', 'gommage'];
+
+module.exports = {
+  allergenesReglementes,
+  compositionsHuilesEssentielles,
+  seuilsDeclaration,
+  categoriesRincees
+};
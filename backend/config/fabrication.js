@@ -0,0 +1,56 @@
+// Pesées et fiche de fabrication d'un lot.
+
+// Résolutions de balance acceptées (en grammes)
+const precisionsBalance = [0.001, 0.01, 0.1, 1];
+
+// Résolution retenue selon la masse du lot quand elle n'est pas précisée :
+// balance de précision pour les petits lots, balance de paillasse au-delà
+const precisionParMasse = [
+  { masseMax: 100, precision: 0.01 },
+  { masseMax: 2000, precision: 0.1 },
+  { masseMax: Infinity, precision: 1 }
+];
+
+// Une pesée inférieure à ce nombre de graduations est signalée comme imprécise
+const graduationsMinimales = 10;
+
+const libellesPhase = {
+  AQUEUSE: 'Phase aqueuse',
+  HUILEUSE: 'Phase huileuse',
+  REFROIDISSEMENT: 'Phase de refroidissement'
+};
+
+// Étapes de fabrication ; une étape n'apparaît que si la formule contient toutes ses phases.
+// Températures en °C.
+const etapesFabrication = [
+  { phases: ['AQUEUSE'], titre: 'Chauffer la phase aqueuse au bain-marie', temperature: { min: 70, max: 75 } },
+  { phases: ['HUILEUSE'], titre: 'Chauffer la phase huileuse au bain-marie', temperature: { min: 70, max: 75 } },
+  {
+    phases: ['AQUEUSE', 'HUILEUSE'],
+    titre: 'Verser la phase huileuse dans la phase aqueuse et émulsionner',
+    temperature: { min: 70, max: 75 }
+  },
+  { phases: [], titre: 'Laisser refroidir sous agitation douce', temperature: { max: 40 } },
+  { phases: ['REFROIDISSEMENT'], titre: 'Incorporer la phase de refroidissement ingrédient par ingrédient', temperature: { max: 40 } },
+  { phases: [], titre: 'Contrôler le pH, l\'aspect et l\'odeur' },
+  { phases: [], titre: 'Conditionner et étiqueter le lot' }
+];
+
+// Points de contrôle à signer sur la fiche imprimée
+const controlesFabrication = [
+  'Matériel nettoyé et désinfecté',
+  'Pesées vérifiées',
+  'Températures relevées',
+  'pH conforme',
+  'Conditionnement et étiquetage',
+  'Libération du lot'
+];
+
+module.exports = {
+  precisionsBalance,
+  precisionParMasse,
+  graduationsMinimales,
+  libellesPhase,
+  etapesFabrication,
+  controlesFabrication
+};
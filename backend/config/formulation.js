@@ -0,0 +1,28 @@
+// Catégories de produits, unités et phases acceptées dans une formule, et constantes de conversion.
+const categoriesProduit = ['shampoing', 'savon', 'crème', 'huile', 'masque', 'gommage'];
+
+const unites = ['g', 'ml', '%', 'gouttes'];
+
+const phases = ['AQUEUSE', 'HUILEUSE', 'REFROIDISSEMENT'];
+
+// Unités de stock et d'achat des matières premières
+const unitesStock = ['g', 'ml'];
+
+// Volume d'une goutte au compte-gouttes standard (20 gouttes par ml)
+const mlParGoutte = 0.05;
+
+// Densité retenue pour un ingrédient dont la masse volumique n'est pas renseignée (eau)
+const densiteParDefaut = 1;
+
+// Écart toléré sur le total des pourcentages (arrondis de saisie)
+const tolerancePourcentage = 0.01;
+
+module.exports = {
+  categoriesProduit,
+  unites,
+  phases,
+  unitesStock,
+  mlParGoutte,
+  densiteParDefaut,
+  tolerancePourcentage
+};
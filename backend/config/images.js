@@ -0,0 +1,28 @@
+// Images téléversées : formats acceptés, limites et miniatures générées.
+
+// Types MIME acceptés et extension du fichier original conservé
+const typesImage = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/avif': 'avif'
+};
+
+// Taille maximale d'un fichier téléversé (octets)
+const tailleMaxImage = 8 * 1024 * 1024;
+
+// Nombre maximal d'images par produit
+const imagesMaxParProduit = 10;
+
+// Largeurs des miniatures WebP (px) ; une image plus étroite n'est pas agrandie
+const largeursMiniatures = [320, 640, 1280];
+
+const qualiteWebp = 80;
+
+module.exports = {
+  typesImage,
+  tailleMaxImage,
+  imagesMaxParProduit,
+  largeursMiniatures,
+  qualiteWebp
+};
@@ -0,0 +1,30 @@
+// Politiques d'accès : chaque permission liste les rôles qui la détiennent.
+// Les routes y font référence via middleware/authorize.js.
+const policies = {
+  // Catalogue
+  'produits:write': ['ADMIN'],
+  'produits:stock': ['ADMIN', 'STOCK_MANAGER'],
+  'produits:couts': ['ADMIN'], // Coûts de revient et marges
+  'ingredients:write': ['ADMIN', 'STOCK_MANAGER'],
+
+  // Achats : fournisseurs, bons de commande et stock d'ingrédients
+  'fournisseurs:read': ['ADMIN', 'STOCK_MANAGER'],
+  'fournisseurs:write': ['ADMIN', 'STOCK_MANAGER'],
+
+  // Traçabilité : le rappel d'un lot expose les clients servis
+  'lots:rappel': ['ADMIN'],
+
+  // Contenu éditorial
+  'blogs:write': ['ADMIN', 'EDITOR'],
+
+  // Comptes
+  'utilisateurs:read': ['ADMIN'],
+  'utilisateurs:write': ['ADMIN'],
+  'utilisateurs:roles': ['ADMIN'],
+
+  // Clés API
+  'cles-api:read': ['ADMIN'],
+  'cles-api:write': ['ADMIN']
+};
+
+module.exports = policies;
@@ -0,0 +1,30 @@
+// Bienfaits recherchés selon le profil beauté, utilisés pour classer les recommandations.
+// Les valeurs sont comparées sans tenir compte de la casse ni des accents.
+const bienfaitsParTypePeau = {
+  NORMALE: ['hydratant', 'protecteur', 'équilibrant'],
+  SECHE: ['hydratant', 'nourrissant', 'réparateur', 'apaisant'],
+  GRASSE: ['purifiant', 'matifiant', 'équilibrant', 'antibactérien'],
+  MIXTE: ['équilibrant', 'hydratant', 'purifiant'],
+  SENSIBLE: ['apaisant', 'doux', 'hypoallergénique', 'réparateur']
+};
+
+const bienfaitsParTypeCheveux = {
+  NORMAUX: ['brillance', 'doux', 'protecteur'],
+  SECS: ['nourrissant', 'hydratant', 'réparateur'],
+  GRAS: ['purifiant', 'équilibrant', 'assainissant'],
+  FINS: ['volume', 'fortifiant', 'léger'],
+  BOUCLES: ['hydratant', 'définition', 'nourrissant'],
+  CREPUS: ['nourrissant', 'hydratant', 'gainant'],
+  ABIMES: ['réparateur', 'fortifiant', 'nourrissant']
+};
+
+// Catégories de produits concernées par chaque partie du profil
+const categoriesPeau = ['savon', 'crème', 'huile', 'masque', 'gommage'];
+const categoriesCheveux = ['shampoing', 'huile', 'masque'];
+
+module.exports = {
+  bienfaitsParTypePeau,
+  bienfaitsParTypeCheveux,
+  categoriesPeau,
+  categoriesCheveux
+};
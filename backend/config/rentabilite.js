@@ -0,0 +1,10 @@
+// Les prix de vente sont TTC : marges et taux sont calculés sur le prix hors taxes.
+const tauxTva = 0.2;
+
+// Critères de tri du rapport de rentabilité
+const trisRentabilite = ['marge', 'tauxMarge', 'tauxMarque', 'coutRevient', 'prix'];
+
+module.exports = {
+  tauxTva,
+  trisRentabilite
+};
@@ -0,0 +1,22 @@
+// Scopes attribuables aux clés API (scripts internes, boutiques partenaires).
+// Une clé n'a jamais de rôle : ses droits se limitent aux scopes qui lui sont accordés.
+const scopes = [
+  'produits:read',
+  'produits:write',
+  'stock:write',
+  'ingredients:read',
+  'ingredients:write',
+  'blogs:read',
+  'blogs:write'
+];
+
+// Scope exigé d'une clé pour chaque permission de config/policies.js.
+// Une permission absente de cette table n'est jamais accordée à une clé.
+const permissionScopes = {
+  'produits:write': 'produits:write',
+  'produits:stock': 'stock:write',
+  'ingredients:write': 'ingredients:write',
+  'blogs:write': 'blogs:write'
+};
+
+module.exports = { scopes, permissionScopes };
@@ -0,0 +1,24 @@
+// Barème du score produit (0 à 100) : chaque critère retire des points à 100.
+// Les pénalités de naturalité et de bio sont proportionnelles à la part concernée de la formule.
+const penalitesMaximales = {
+  NATURALITE: 40, // Formule sans aucun ingrédient d'origine naturelle (ISO 16128)
+  BIO: 20, // Formule sans aucun ingrédient bio
+  ALLERGENES: 15, // Plafond des pénalités pour allergènes
+  RISQUE: 40 // Plafond des pénalités pour ingrédients préoccupants
+};
+
+// Pénalité par allergène à déclarer ou ingrédient signalé allergène
+const penaliteParAllergene = 5;
+
+// Pénalité par ingrédient selon sa classe de risque
+const penalitesParClasseRisque = {
+  FAIBLE: 0,
+  MODERE: 5,
+  ELEVE: 20
+};
+
+module.exports = {
+  penalitesMaximales,
+  penaliteParAllergene,
+  penalitesParClasseRisque
+};
@@ -0,0 +1,23 @@
+// Sens des mouvements de stock : 1 pour une entrée, -1 pour une sortie,
+// null quand le signe est saisi (ajustement) ou déduit du comptage (inventaire)
+const sensMouvements = {
+  VENTE: -1,
+  REASSORT: 1,
+  AJUSTEMENT: null,
+  PERTE: -1,
+  RETOUR: 1,
+  PRODUCTION: 1,
+  INVENTAIRE: null
+};
+
+// Types saisissables directement ; l'inventaire passe par le comptage
+const typesMouvementSaisis = Object.keys(sensMouvements).filter(type => type !== 'INVENTAIRE');
+
+// Rôles prévenus quand un stock passe sous son seuil de réassort ou tombe à zéro
+const rolesAlertesStock = ['ADMIN', 'STOCK_MANAGER'];
+
+module.exports = {
+  sensMouvements,
+  typesMouvementSaisis,
+  rolesAlertesStock
+};
@@ -0,0 +1,159 @@
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+const adresseService = require('../services/adresseService');
+
+const prisma = new PrismaClient();
+
+// Schémas de validation
+const adresseSchema = Joi.object({
+  destinataire: Joi.string().max(100).required(),
+  ligne1: Joi.string().max(100).required(),
+  ligne2: Joi.string().max(100).allow(null, '').optional(),
+  codePostal: Joi.string().trim().max(12).required(),
+  ville: Joi.string().max(100).required(),
+  pays: Joi.string().pattern(/^[A-Za-z]{2}$/).uppercase().default('FR'),
+  telephone: Joi.string().max(20).allow(null, '').optional(),
+  livraisonParDefaut: Joi.boolean().default(false),
+  facturationParDefaut: Joi.boolean().default(false)
+});
+
+const updateAdresseSchema = Joi.object({
+  destinataire: Joi.string().max(100).optional(),
+  ligne1: Joi.string().max(100).optional(),
+  ligne2: Joi.string().max(100).allow(null, '').optional(),
+  codePostal: Joi.string().trim().max(12).optional(),
+  ville: Joi.string().max(100).optional(),
+  pays: Joi.string().pattern(/^[A-Za-z]{2}$/).uppercase().optional(),
+  telephone: Joi.string().max(20).allow(null, '').optional(),
+  livraisonParDefaut: Joi.boolean().optional(),
+  facturationParDefaut: Joi.boolean().optional()
+});
+
+// Retrouve une adresse appartenant à l'utilisateur de la route
+const findAdresse = (utilisateurId, adresseId) => prisma.adresse.findFirst({
+  where: { id: adresseId, utilisateurId }
+});
+
+// Contrôleurs
+const adresseController = {
+  // Lister le carnet d'adresses d'un utilisateur
+  async getAdresses(req, res) {
+    try {
+      const { id } = req.params;
+
+      const adresses = await prisma.adresse.findMany({
+        where: { utilisateurId: id },
+        orderBy: { createdAt: 'asc' }
+      });
+
+      res.json({ adresses });
+    } catch (error) {
+      console.error('Erreur getAdresses:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Ajouter une adresse
+  async createAdresse(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { error, value } = adresseSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      if (!adresseService.isCodePostalValide(value.codePostal, value.pays)) {
+        return res.status(400).json({ error: 'Code postal invalide pour ce pays' });
+      }
+
+      const utilisateur = await prisma.utilisateur.findUnique({ where: { id }, select: { id: true } });
+      if (!utilisateur) {
+        return res.status(404).json({ error: 'Utilisateur non trouvé' });
+      }
+
+      const adresse = await adresseService.createAdresse(id, value);
+
+      res.status(201).json({
+        message: 'Adresse ajoutée avec succès',
+        adresse
+      });
+    } catch (error) {
+      console.error('Erreur createAdresse:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Modifier une adresse
+  async updateAdresse(req, res) {
+    try {
+      const { id, adresseId } = req.params;
+
+      const { error, value } = updateAdresseSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const existante = await findAdresse(id, adresseId);
+      if (!existante) {
+        return res.status(404).json({ error: 'Adresse non trouvée' });
+      }
+
+      // Le code postal est contrôlé avec le pays final de l'adresse
+      const codePostal = value.codePostal ?? existante.codePostal;
+      const pays = value.pays ?? existante.pays;
+      if (!adresseService.isCodePostalValide(codePostal, pays)) {
+        return res.status(400).json({ error: 'Code postal invalide pour ce pays' });
+      }
+
+      const adresse = await adresseService.updateAdresse(existante, value);
+
+      res.json({
+        message: 'Adresse mise à jour avec succès',
+        adresse
+      });
+    } catch (error) {
+      console.error('Erreur updateAdresse:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Supprimer une adresse
+  async deleteAdresse(req, res) {
+    try {
+      const { id, adresseId } = req.params;
+
+      const adresse = await findAdresse(id, adresseId);
+      if (!adresse) {
+        return res.status(404).json({ error: 'Adresse non trouvée' });
+      }
+
+      await adresseService.deleteAdresse(adresse);
+
+      res.json({ message: 'Adresse supprimée avec succès' });
+    } catch (error) {
+      console.error('Erreur deleteAdresse:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = adresseController;
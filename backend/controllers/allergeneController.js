@@ -0,0 +1,116 @@
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+const { recalculerScoresIngredient } = require('../services/scoreService');
+
+const prisma = new PrismaClient();
+
+// Schémas de validation
+const compositionSchema = Joi.object({
+  composition: Joi.array().items(Joi.object({
+    allergeneId: Joi.string().required(),
+    teneur: Joi.number().positive().max(100).required()
+  })).unique('allergeneId').required()
+});
+
+// Composition renvoyée par l'API : allergène et teneur en % de l'ingrédient
+const formatComposition = (compositions) => compositions.map(({ allergene, teneur }) => ({
+  allergeneId: allergene.id,
+  nom: allergene.nom,
+  teneur
+}));
+
+// Contrôleurs
+const allergeneController = {
+  // Lister les allergènes réglementés
+  async getAllergenes(req, res) {
+    try {
+      const allergenes = await prisma.allergene.findMany({ orderBy: { nom: 'asc' } });
+
+      res.json({ allergenes });
+    } catch (error) {
+      console.error('Erreur getAllergenes:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Récupérer la composition en allergènes d'un ingrédient
+  async getComposition(req, res) {
+    try {
+      const { id } = req.params;
+
+      const ingredient = await prisma.ingredient.findUnique({
+        where: { id },
+        include: { compositionAllergenes: { include: { allergene: true }, orderBy: { teneur: 'desc' } } }
+      });
+
+      if (!ingredient) {
+        return res.status(404).json({ error: 'Ingrédient non trouvé' });
+      }
+
+      res.json({ composition: formatComposition(ingredient.compositionAllergenes) });
+    } catch (error) {
+      console.error('Erreur getComposition:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Remplacer la composition en allergènes d'un ingrédient (certificat d'analyse du fournisseur)
+  async updateComposition(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { error, value } = compositionSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const ingredient = await prisma.ingredient.findUnique({ where: { id }, select: { id: true } });
+      if (!ingredient) {
+        return res.status(404).json({ error: 'Ingrédient non trouvé' });
+      }
+
+      const allergeneIds = value.composition.map(ligne => ligne.allergeneId);
+      const connus = await prisma.allergene.count({ where: { id: { in: allergeneIds } } });
+      if (connus !== allergeneIds.length) {
+        return res.status(400).json({ error: 'Allergène introuvable' });
+      }
+
+      await prisma.$transaction([
+        prisma.compositionAllergene.deleteMany({ where: { ingredientId: id } }),
+        prisma.compositionAllergene.createMany({
+          data: value.composition.map(({ allergeneId, teneur }) => ({ ingredientId: id, allergeneId, teneur }))
+        })
+      ]);
+
+      await recalculerScoresIngredient(id);
+
+      const compositions = await prisma.compositionAllergene.findMany({
+        where: { ingredientId: id },
+        include: { allergene: true },
+        orderBy: { teneur: 'desc' }
+      });
+
+      res.json({
+        message: 'Composition en allergènes mise à jour avec succès',
+        composition: formatComposition(compositions)
+      });
+    } catch (error) {
+      console.error('Erreur updateComposition:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = allergeneController;
@@ -1,17 +1,22 @@
 const { PrismaClient } = require('@prisma/client');
 const Joi = require('joi');
+const { formatImage, supprimerFichiersImages } = require('../services/imageService');
 
 const prisma = new PrismaClient();
 
 // Schémas de validation
+const produitIdsSchema = Joi.array().items(Joi.string()).unique();
+
+const tagsSchema = Joi.array().items(Joi.string().trim().min(1).max(50)).unique();
+
 const blogSchema = Joi.object({
   titre: Joi.string().min(5).max(200).required(),
   contenu: Joi.string().min(50).max(10000).required(),
   categorie: Joi.string().valid('ingrédients', 'conseils', 'DIY', 'santé', 'recettes').required(),
   auteur: Joi.string().max(100).default('Équipe Cynova'),
-  imageUrl: Joi.string().uri().optional(),
-  produitIds: Joi.string().default('[]'),
-  tags: Joi.string().default('[]'),
+  imageUrl: Joi.string().uri({ allowRelative: true }).optional(),
+  produitIds: produitIdsSchema.default([]),
+  tags: tagsSchema.default([]),
   publie: Joi.boolean().default(true)
 });
 
@@ -20,12 +25,52 @@ const updateBlogSchema = Joi.object({
   contenu: Joi.string().min(50).max(10000).optional(),
   categorie: Joi.string().valid('ingrédients', 'conseils', 'DIY', 'santé', 'recettes').optional(),
   auteur: Joi.string().max(100).optional(),
-  imageUrl: Joi.string().uri().optional(),
-  produitIds: Joi.string().optional(),
-  tags: Joi.string().optional(),
+  imageUrl: Joi.string().uri({ allowRelative: true }).optional(),
+  produitIds: produitIdsSchema.optional(),
+  tags: tagsSchema.optional(),
   publie: Joi.boolean().optional()
 });
 
+// Relations chargées pour toute réponse blog
+const blogInclude = {
+  produits: { select: { id: true, nom: true } },
+  tags: true,
+  images: true
+};
+
+// Blog renvoyé par l'API : tags sous forme de tableau de noms, image téléversée et ses miniatures
+const formatBlog = ({ tags, images, ...blog }) => ({
+  ...blog,
+  tags: tags.map(tag => tag.nom),
+  image: images.length ? formatImage(images[0]) : null
+});
+
+// Vérifie que les produits liés existent
+const checkProduits = async (produitIds) => {
+  if (!produitIds || !produitIds.length) return true;
+  const connus = await prisma.produit.count({ where: { id: { in: produitIds } } });
+  return connus === produitIds.length;
+};
+
+// Écritures imbriquées Prisma ; en mise à jour, un tableau fourni remplace la relation
+const buildRelations = ({ produitIds, tags }, { update = false } = {}) => {
+  const data = {};
+
+  if (produitIds) {
+    const produits = produitIds.map(id => ({ id }));
+    data.produits = update ? { set: produits } : { connect: produits };
+  }
+
+  if (tags) {
+    data.tags = {
+      ...(update && { set: [] }),
+      connectOrCreate: tags.map(nom => ({ where: { nom }, create: { nom } }))
+    };
+  }
+
+  return data;
+};
+
 // Contrôleurs
 const blogController = {
   // Récupérer tous les blogs
@@ -45,13 +90,14 @@ const blogController = {
           where,
           skip,
           take: parseInt(limit),
-          orderBy: { createdAt: 'desc' }
+          orderBy: { createdAt: 'desc' },
+          include: blogInclude
         }),
         prisma.blog.count({ where })
       ]);
 
       res.json({
-        blogs,
+        blogs: blogs.map(formatBlog),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -77,13 +123,13 @@ const blogController = {
         return res.status(400).json({ error: 'ID du blog requis' });
       }
 
-      const blog = await prisma.blog.findUnique({ where: { id } });
+      const blog = await prisma.blog.findUnique({ where: { id }, include: blogInclude });
 
       if (!blog) {
         return res.status(404).json({ error: 'Blog non trouvé' });
       }
 
-      res.json(blog);
+      res.json(formatBlog(blog));
     } catch (error) {
       console.error('Erreur getBlogById:', error);
       res.status(500).json({ 
@@ -105,11 +151,20 @@ const blogController = {
         });
       }
 
-      const blog = await prisma.blog.create({ data: value });
+      if (!await checkProduits(value.produitIds)) {
+        return res.status(400).json({ error: 'Produit introuvable' });
+      }
+
+      const { produitIds, tags, ...data } = value;
+
+      const blog = await prisma.blog.create({
+        data: { ...data, ...buildRelations({ produitIds, tags }) },
+        include: blogInclude
+      });
       
       res.status(201).json({
         message: 'Blog créé avec succès',
-        blog
+        blog: formatBlog(blog)
       });
     } catch (error) {
       console.error('Erreur createBlog:', error);
@@ -149,14 +204,21 @@ const blogController = {
         return res.status(404).json({ error: 'Blog non trouvé' });
       }
 
+      if (!await checkProduits(value.produitIds)) {
+        return res.status(400).json({ error: 'Produit introuvable' });
+      }
+
+      const { produitIds, tags, ...data } = value;
+
       const blog = await prisma.blog.update({ 
         where: { id }, 
-        data: value 
+        data: { ...data, ...buildRelations({ produitIds, tags }, { update: true }) },
+        include: blogInclude
       });
 
       res.json({
         message: 'Blog mis à jour avec succès',
-        blog
+        blog: formatBlog(blog)
       });
     } catch (error) {
       console.error('Erreur updateBlog:', error);
@@ -182,7 +244,10 @@ const blogController = {
         return res.status(404).json({ error: 'Blog non trouvé' });
       }
 
+      // Les images sont supprimées avec l'article, puis leurs fichiers du stockage
+      const images = await prisma.image.findMany({ where: { blogId: id } });
       await prisma.blog.delete({ where: { id } });
+      await supprimerFichiersImages(images);
 
       res.json({ message: 'Blog supprimé avec succès' });
     } catch (error) {
@@ -210,14 +275,15 @@ const blogController = {
       
       if (categorie) where.categorie = categorie;
       if (auteur) where.auteur = auteur;
-      if (tags) where.tags = { contains: tags };
+      if (tags) where.tags = { some: { nom: { contains: tags } } };
 
       const blogs = await prisma.blog.findMany({
         where,
-        orderBy: { createdAt: 'desc' }
+        orderBy: { createdAt: 'desc' },
+        include: blogInclude
       });
 
-      res.json({ blogs, count: blogs.length });
+      res.json({ blogs: blogs.map(formatBlog), count: blogs.length });
     } catch (error) {
       console.error('Erreur searchBlogs:', error);
       res.status(500).json({ 
@@ -243,7 +309,8 @@ const blogController = {
           },
           skip,
           take: parseInt(limit),
-          orderBy: { createdAt: 'desc' }
+          orderBy: { createdAt: 'desc' },
+          include: blogInclude
         }),
         prisma.blog.count({ 
           where: { 
@@ -254,7 +321,7 @@ const blogController = {
       ]);
 
       res.json({
-        blogs,
+        blogs: blogs.map(formatBlog),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -0,0 +1,127 @@
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+const apiKeyService = require('../services/apiKeyService');
+const { scopes } = require('../config/scopes');
+
+const prisma = new PrismaClient();
+
+// Schémas de validation
+const cleApiSchema = Joi.object({
+  nom: Joi.string().min(2).max(100).required(),
+  scopes: Joi.array().items(Joi.string().valid(...scopes)).min(1).unique().required(),
+  limiteRequetes: Joi.number().integer().min(1).max(100000).default(1000),
+  expireLe: Joi.date().greater('now').optional()
+});
+
+// Champs exposés : jamais le hash de la clé
+const cleApiSelect = {
+  id: true,
+  nom: true,
+  prefixe: true,
+  scopes: true,
+  limiteRequetes: true,
+  creeParId: true,
+  expireLe: true,
+  revoqueLe: true,
+  derniereUtilisationLe: true,
+  derniereIp: true,
+  createdAt: true
+};
+
+const formatCleApi = (cleApi) => ({ ...cleApi, scopes: JSON.parse(cleApi.scopes) });
+
+// Contrôleurs
+const cleApiController = {
+  // Lister les clés API
+  async getAllCles(req, res) {
+    try {
+      const { actives } = req.query;
+
+      const where = {};
+      if (actives === 'true') where.revoqueLe = null;
+
+      const cles = await prisma.cleApi.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        select: cleApiSelect
+      });
+
+      res.json({ cles: cles.map(formatCleApi) });
+    } catch (error) {
+      console.error('Erreur getAllCles:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Créer une clé API (la clé en clair n'est renvoyée qu'à cette occasion)
+  async createCle(req, res) {
+    try {
+      const { error, value } = cleApiSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const { cle, prefixe, cleHash } = apiKeyService.generateApiKey();
+
+      const cleApi = await prisma.cleApi.create({
+        data: {
+          ...value,
+          scopes: JSON.stringify(value.scopes),
+          prefixe,
+          cleHash,
+          creeParId: req.user.id
+        },
+        select: cleApiSelect
+      });
+
+      res.status(201).json({
+        message: 'Clé API créée, conservez-la : elle ne sera plus affichée',
+        cle,
+        cleApi: formatCleApi(cleApi)
+      });
+    } catch (error) {
+      console.error('Erreur createCle:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Révoquer une clé API
+  async revokeCle(req, res) {
+    try {
+      const { id } = req.params;
+
+      const cleApi = await prisma.cleApi.findUnique({ where: { id } });
+      if (!cleApi) {
+        return res.status(404).json({ error: 'Clé API non trouvée' });
+      }
+
+      if (cleApi.revoqueLe) {
+        return res.status(409).json({ error: 'Clé API déjà révoquée' });
+      }
+
+      await prisma.cleApi.update({
+        where: { id },
+        data: { revoqueLe: new Date() }
+      });
+
+      res.json({ message: 'Clé API révoquée avec succès' });
+    } catch (error) {
+      console.error('Erreur revokeCle:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = cleApiController;
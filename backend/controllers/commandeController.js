@@ -0,0 +1,194 @@
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+const { unitesStock } = require('../config/formulation');
+const {
+  commandeInclude,
+  formatCommande,
+  prochainNumeroCommande,
+  recevoirCommande
+} = require('../services/achatService');
+
+const prisma = new PrismaClient();
+
+// Schémas de validation
+const commandeSchema = Joi.object({
+  fournisseurId: Joi.string().required(),
+  livraisonPrevueLe: Joi.date().optional(),
+  lignes: Joi.array().items(Joi.object({
+    ingredientId: Joi.string().required(),
+    quantite: Joi.number().positive().required(),
+    unite: Joi.string().valid(...unitesStock).required(),
+    prixUnitaire: Joi.number().positive().optional()
+  })).min(1).unique('ingredientId').required()
+});
+
+const receptionSchema = Joi.object({
+  lignes: Joi.array().items(Joi.object({
+    ligneId: Joi.string().required(),
+    quantite: Joi.number().positive().required(),
+    numeroLot: Joi.string().trim().max(60).required(),
+    datePeremption: Joi.date().optional(),
+    certificats: Joi.array().items(Joi.string().trim().max(100)).optional()
+  })).min(1).unique('ligneId').required()
+});
+
+const findCommande = (id) => prisma.commandeFournisseur.findUnique({ where: { id }, include: commandeInclude });
+
+// Contrôleurs
+const commandeController = {
+  // Lister les commandes fournisseur (?statut=&fournisseurId=)
+  async getCommandes(req, res) {
+    try {
+      const { statut, fournisseurId } = req.query;
+
+      const where = {};
+      if (statut) where.statut = statut;
+      if (fournisseurId) where.fournisseurId = fournisseurId;
+
+      const commandes = await prisma.commandeFournisseur.findMany({
+        where,
+        include: commandeInclude,
+        orderBy: { createdAt: 'desc' }
+      });
+
+      res.json({ commandes: commandes.map(formatCommande) });
+    } catch (error) {
+      console.error('Erreur getCommandes:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Récupérer une commande et ses réceptions
+  async getCommandeById(req, res) {
+    try {
+      const commande = await findCommande(req.params.commandeId);
+      if (!commande) {
+        return res.status(404).json({ error: 'Commande non trouvée' });
+      }
+
+      res.json({ commande: formatCommande(commande) });
+    } catch (error) {
+      console.error('Erreur getCommandeById:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Passer une commande d'ingrédients
+  async createCommande(req, res) {
+    try {
+      const { error, value } = commandeSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const fournisseur = await prisma.fournisseur.findUnique({ where: { id: value.fournisseurId } });
+      if (!fournisseur) {
+        return res.status(400).json({ error: 'Fournisseur introuvable' });
+      }
+      if (!fournisseur.actif) {
+        return res.status(409).json({ error: 'Fournisseur inactif' });
+      }
+
+      const ingredientIds = value.lignes.map(ligne => ligne.ingredientId);
+      const connus = await prisma.ingredient.count({ where: { id: { in: ingredientIds } } });
+      if (connus !== ingredientIds.length) {
+        return res.status(400).json({ error: 'Ingrédient introuvable' });
+      }
+
+      const { id } = await prisma.commandeFournisseur.create({
+        data: {
+          numero: await prochainNumeroCommande(),
+          fournisseurId: value.fournisseurId,
+          livraisonPrevueLe: value.livraisonPrevueLe,
+          auteurId: req.user.id,
+          lignes: { create: value.lignes }
+        }
+      });
+
+      res.status(201).json({
+        message: 'Commande créée avec succès',
+        commande: formatCommande(await findCommande(id))
+      });
+    } catch (error) {
+      console.error('Erreur createCommande:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Réceptionner tout ou partie d'une commande ; les quantités reçues entrent en stock par lot
+  async receiveCommande(req, res) {
+    try {
+      const { error, value } = receptionSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const commande = await findCommande(req.params.commandeId);
+      if (!commande) {
+        return res.status(404).json({ error: 'Commande non trouvée' });
+      }
+      if (['RECUE', 'ANNULEE'].includes(commande.statut)) {
+        return res.status(409).json({ error: 'Commande déjà soldée' });
+      }
+
+      const resultat = await recevoirCommande(commande, value.lignes);
+      if (resultat.erreur) {
+        return res.status(409).json({ error: resultat.erreur });
+      }
+
+      res.json({
+        message: resultat.commande.statut === 'RECUE' ? 'Commande entièrement reçue' : 'Réception partielle enregistrée',
+        commande: formatCommande(resultat.commande)
+      });
+    } catch (error) {
+      console.error('Erreur receiveCommande:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Annuler une commande : les quantités déjà reçues restent en stock
+  async cancelCommande(req, res) {
+    try {
+      const commande = await findCommande(req.params.commandeId);
+      if (!commande) {
+        return res.status(404).json({ error: 'Commande non trouvée' });
+      }
+      if (['RECUE', 'ANNULEE'].includes(commande.statut)) {
+        return res.status(409).json({ error: 'Commande déjà soldée' });
+      }
+
+      await prisma.commandeFournisseur.update({ where: { id: commande.id }, data: { statut: 'ANNULEE' } });
+
+      res.json({
+        message: 'Commande annulée',
+        commande: formatCommande(await findCommande(commande.id))
+      });
+    } catch (error) {
+      console.error('Erreur cancelCommande:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = commandeController;
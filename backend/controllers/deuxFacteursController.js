@@ -0,0 +1,318 @@
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+const totp = require('../services/totp');
+const tokenService = require('../services/tokenService');
+const loginGuard = require('../services/loginGuard');
+
+const prisma = new PrismaClient();
+
+// Schémas de validation
+const codeSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/).required()
+});
+
+const secondFacteurSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/),
+  codeRecuperation: Joi.string().max(20)
+}).xor('code', 'codeRecuperation');
+
+const loginSchema = secondFacteurSchema.keys({
+  challengeToken: Joi.string().required()
+});
+
+// Remplace les codes de récupération et renvoie les nouveaux codes en clair (affichés une seule fois)
+async function regenerateRecoveryCodes(utilisateurId) {
+  const codes = totp.generateRecoveryCodes();
+
+  await prisma.$transaction([
+    prisma.codeRecuperation.deleteMany({ where: { utilisateurId } }),
+    prisma.codeRecuperation.createMany({
+      data: codes.map(code => ({ utilisateurId, codeHash: tokenService.hashToken(code) }))
+    })
+  ]);
+
+  return codes;
+}
+
+// Vérifie un code TOTP ou un code de récupération (consommé s'il est valide)
+async function verifySecondFactor(utilisateur, { code, codeRecuperation }) {
+  if (codeRecuperation) {
+    const { count } = await prisma.codeRecuperation.updateMany({
+      where: {
+        utilisateurId: utilisateur.id,
+        codeHash: tokenService.hashToken(codeRecuperation.trim().toLowerCase()),
+        utiliseLe: null
+      },
+      data: { utiliseLe: new Date() }
+    });
+    return count > 0;
+  }
+
+  const pas = totp.verifyCode(totp.decryptSecret(utilisateur.totpSecret), code, {
+    dernierPas: utilisateur.totpDernierPas
+  });
+  if (pas === null) {
+    return false;
+  }
+
+  await prisma.utilisateur.update({
+    where: { id: utilisateur.id },
+    data: { totpDernierPas: pas }
+  });
+  return true;
+}
+
+// Contrôleurs
+const deuxFacteursController = {
+  // Générer un secret TOTP à scanner dans l'application d'authentification
+  async setup(req, res) {
+    try {
+      const utilisateur = await prisma.utilisateur.findUnique({ where: { id: req.user.id } });
+      if (!utilisateur) {
+        return res.status(404).json({ error: 'Utilisateur non trouvé' });
+      }
+
+      if (utilisateur.totpActif) {
+        return res.status(400).json({ error: 'La double authentification est déjà activée' });
+      }
+
+      const secret = totp.generateSecret();
+      await prisma.utilisateur.update({
+        where: { id: utilisateur.id },
+        data: { totpSecret: totp.encryptSecret(secret), totpDernierPas: null }
+      });
+
+      res.json({
+        message: 'Scannez le QR code puis confirmez avec un code pour activer la double authentification',
+        secret,
+        otpauthUri: totp.buildOtpauthUri(secret, utilisateur.email)
+      });
+    } catch (error) {
+      console.error('Erreur setup 2FA:', error);
+      res.status(500).json({ 
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined 
+      });
+    }
+  },
+
+  // Confirmer l'enrôlement avec un premier code
+  async activate(req, res) {
+    try {
+      const { error, value } = codeSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ 
+          error: 'Données invalides', 
+          details: error.details.map(d => d.message) 
+        });
+      }
+
+      const utilisateur = await prisma.utilisateur.findUnique({ where: { id: req.user.id } });
+      if (!utilisateur) {
+        return res.status(404).json({ error: 'Utilisateur non trouvé' });
+      }
+
+      if (utilisateur.totpActif) {
+        return res.status(400).json({ error: 'La double authentification est déjà activée' });
+      }
+
+      if (!utilisateur.totpSecret) {
+        return res.status(400).json({ error: 'Aucun enrôlement en cours' });
+      }
+
+      if (!(await verifySecondFactor(utilisateur, value))) {
+        return res.status(400).json({ error: 'Code de vérification incorrect' });
+      }
+
+      await prisma.utilisateur.update({
+        where: { id: utilisateur.id },
+        data: { totpActif: true }
+      });
+      const codesRecuperation = await regenerateRecoveryCodes(utilisateur.id);
+
+      const reponse = {
+        message: 'Double authentification activée',
+        codesRecuperation
+      };
+
+      // Enrôlement obligatoire à la connexion : la session est ouverte une fois le code confirmé
+      if (req.challenge) {
+        const meta = { ip: req.ip, userAgent: req.get('User-Agent') };
+        await loginGuard.recordSuccess(utilisateur, meta);
+        const { tokens } = await tokenService.createSession(utilisateur, meta);
+        Object.assign(reponse, tokens);
+      }
+
+      res.json(reponse);
+    } catch (error) {
+      console.error('Erreur activate 2FA:', error);
+      res.status(500).json({ 
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined 
+      });
+    }
+  },
+
+  // Désactiver la double authentification (impossible pour un administrateur)
+  async disable(req, res) {
+    try {
+      const { error, value } = secondFacteurSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ 
+          error: 'Données invalides', 
+          details: error.details.map(d => d.message) 
+        });
+      }
+
+      const utilisateur = await prisma.utilisateur.findUnique({ where: { id: req.user.id } });
+      if (!utilisateur || !utilisateur.totpActif) {
+        return res.status(400).json({ error: 'La double authentification n\'est pas activée' });
+      }
+
+      if (utilisateur.role === 'ADMIN') {
+        return res.status(403).json({ error: 'La double authentification est obligatoire pour les administrateurs' });
+      }
+
+      if (!(await verifySecondFactor(utilisateur, value))) {
+        return res.status(400).json({ error: 'Code de vérification incorrect' });
+      }
+
+      await prisma.$transaction([
+        prisma.codeRecuperation.deleteMany({ where: { utilisateurId: utilisateur.id } }),
+        prisma.utilisateur.update({
+          where: { id: utilisateur.id },
+          data: { totpActif: false, totpSecret: null, totpDernierPas: null }
+        })
+      ]);
+
+      res.json({ message: 'Double authentification désactivée' });
+    } catch (error) {
+      console.error('Erreur disable 2FA:', error);
+      res.status(500).json({ 
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined 
+      });
+    }
+  },
+
+  // Générer de nouveaux codes de récupération
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const { error, value } = codeSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ 
+          error: 'Données invalides', 
+          details: error.details.map(d => d.message) 
+        });
+      }
+
+      const utilisateur = await prisma.utilisateur.findUnique({ where: { id: req.user.id } });
+      if (!utilisateur || !utilisateur.totpActif) {
+        return res.status(400).json({ error: 'La double authentification n\'est pas activée' });
+      }
+
+      if (!(await verifySecondFactor(utilisateur, value))) {
+        return res.status(400).json({ error: 'Code de vérification incorrect' });
+      }
+
+      const codesRecuperation = await regenerateRecoveryCodes(utilisateur.id);
+
+      res.json({ message: 'Nouveaux codes de récupération générés', codesRecuperation });
+    } catch (error) {
+      console.error('Erreur regenerateRecoveryCodes:', error);
+      res.status(500).json({ 
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined 
+      });
+    }
+  },
+
+  // Seconde étape de la connexion
+  async verifyLogin(req, res) {
+    try {
+      const { error, value } = loginSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ 
+          error: 'Données invalides', 
+          details: error.details.map(d => d.message) 
+        });
+      }
+
+      let challenge;
+      try {
+        challenge = tokenService.verifyChallengeToken(value.challengeToken, '2fa');
+      } catch {
+        return res.status(401).json({ error: 'Challenge invalide ou expiré' });
+      }
+
+      const utilisateur = await prisma.utilisateur.findUnique({ where: { id: challenge.sub } });
+      if (!utilisateur || !utilisateur.totpActif) {
+        return res.status(401).json({ error: 'Challenge invalide ou expiré' });
+      }
+
+      const meta = { ip: req.ip, userAgent: req.get('User-Agent') };
+
+      const verification = loginGuard.checkLoginAllowed(utilisateur);
+      if (!verification.allowed) {
+        await loginGuard.recordAttempt(utilisateur, meta, false, verification.reason);
+        const { status, body } = loginGuard.blockedResponse(verification);
+        res.set('Retry-After', String(verification.retryAfter));
+        return res.status(status).json(body);
+      }
+
+      if (!(await verifySecondFactor(utilisateur, value))) {
+        await loginGuard.recordFailure(utilisateur, meta, 'code 2FA incorrect');
+        return res.status(401).json({ error: 'Code de vérification incorrect' });
+      }
+
+      await loginGuard.recordSuccess(utilisateur, meta);
+      const { tokens } = await tokenService.createSession(utilisateur, meta);
+
+      // Retourner les informations utilisateur (sans mot de passe ni secret)
+      const { motDePasse: _, totpSecret: __, ...userInfo } = utilisateur;
+
+      res.json({
+        message: 'Connexion réussie',
+        utilisateur: userInfo,
+        ...tokens
+      });
+    } catch (error) {
+      console.error('Erreur verifyLogin 2FA:', error);
+      res.status(500).json({ 
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined 
+      });
+    }
+  },
+
+  // Réinitialiser la double authentification d'un utilisateur (appareil perdu)
+  async resetForUser(req, res) {
+    try {
+      const { id } = req.params;
+
+      const utilisateur = await prisma.utilisateur.findUnique({ where: { id } });
+      if (!utilisateur) {
+        return res.status(404).json({ error: 'Utilisateur non trouvé' });
+      }
+
+      await prisma.$transaction([
+        prisma.codeRecuperation.deleteMany({ where: { utilisateurId: id } }),
+        prisma.utilisateur.update({
+          where: { id },
+          data: { totpActif: false, totpSecret: null, totpDernierPas: null }
+        })
+      ]);
+      await tokenService.revokeAllSessions(id);
+
+      res.json({ message: 'Double authentification réinitialisée, un nouvel enrôlement sera demandé' });
+    } catch (error) {
+      console.error('Erreur resetForUser 2FA:', error);
+      res.status(500).json({ 
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined 
+      });
+    }
+  }
+};
+
+module.exports = deuxFacteursController;
@@ -0,0 +1,60 @@
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+const { getLignes } = require('../services/formuleService');
+const { construireEtiquette, etiquetteSvg, etiquetteHtml } = require('../services/etiquetteService');
+
+const prisma = new PrismaClient();
+
+// Schémas de validation
+const etiquetteSchema = Joi.object({
+  format: Joi.string().valid('json', 'html', 'svg').default('json'),
+  lot: Joi.string().trim().max(30).optional()
+});
+
+// Contrôleurs
+const etiquetteController = {
+  // Générer l'étiquette réglementaire d'un produit (liste INCI, allergènes, quantité nette, lot, PAO)
+  async getEtiquette(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { error, value } = etiquetteSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const produit = await prisma.produit.findUnique({ where: { id } });
+      if (!produit) {
+        return res.status(404).json({ error: 'Produit non trouvé' });
+      }
+
+      const etiquette = construireEtiquette(produit, await getLignes(id), { lot: value.lot });
+      if (etiquette.erreurs) {
+        return res.status(409).json({
+          error: 'Formule incomplète, étiquette impossible à générer',
+          details: etiquette.erreurs
+        });
+      }
+
+      if (value.format === 'svg') {
+        return res.type('image/svg+xml').send(etiquetteSvg(etiquette));
+      }
+      if (value.format === 'html') {
+        return res.type('html').send(etiquetteHtml(etiquette));
+      }
+
+      res.json({ etiquette });
+    } catch (error) {
+      console.error('Erreur getEtiquette:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = etiquetteController;
@@ -0,0 +1,87 @@
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+const { precisionsBalance } = require('../config/fabrication');
+const { getLignes, analyserFormule, densiteFormule } = require('../services/formuleService');
+const { masseProduction } = require('../services/lotService');
+const { construireFiche, ficheHtml, fichePdf } = require('../services/fabricationService');
+
+const prisma = new PrismaClient();
+
+// Schémas de validation
+const echelleSchema = Joi.object({
+  // Masse du lot en grammes, ou nombre d'unités à fabriquer (masse déduite de la contenance)
+  masseLot: Joi.number().positive().max(1000000),
+  quantite: Joi.number().integer().positive(),
+  varianteId: Joi.string().optional(),
+  // Résolution de la balance en grammes ; déduite de la masse du lot si absente
+  precision: Joi.number().valid(...precisionsBalance).optional(),
+  lot: Joi.string().trim().max(40).optional()
+}).xor('masseLot', 'quantite');
+
+const formatSchema = Joi.object({
+  format: Joi.string().valid('json', 'html', 'pdf').default('json')
+});
+
+// Contrôleurs
+const fabricationController = {
+  // Mettre la formule à l'échelle d'un lot : pesées par phase et fiche de fabrication imprimable
+  async scaleFormule(req, res) {
+    try {
+      const { id } = req.params;
+
+      const query = formatSchema.validate(req.query);
+      const { error, value } = query.error ? query : echelleSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const produit = await prisma.produit.findUnique({ where: { id }, include: { variantes: true } });
+      if (!produit) {
+        return res.status(404).json({ error: 'Produit non trouvé' });
+      }
+
+      const variante = produit.variantes.find(candidate => candidate.id === value.varianteId);
+      if (value.varianteId && !variante) {
+        return res.status(404).json({ error: 'Variante non trouvée' });
+      }
+
+      const lignes = await getLignes(id);
+      const masseLot = value.masseLot ?? masseProduction(produit, variante, value.quantite, densiteFormule(analyserFormule(lignes)));
+      if (!masseLot) {
+        return res.status(400).json({ error: 'Masse du lot requise : contenance non renseignée, ou en ml sans densité connue pour la formule' });
+      }
+
+      const fiche = construireFiche(produit, lignes, {
+        masseLot,
+        precision: value.precision,
+        lot: value.lot
+      });
+      if (fiche.erreurs) {
+        return res.status(409).json({
+          error: 'Formule incomplète, mise à l\'échelle impossible',
+          details: fiche.erreurs
+        });
+      }
+
+      if (query.value.format === 'pdf') {
+        return res.type('application/pdf').send(fichePdf(fiche));
+      }
+      if (query.value.format === 'html') {
+        return res.type('html').send(ficheHtml(fiche));
+      }
+
+      res.json({ fiche });
+    } catch (error) {
+      console.error('Erreur scaleFormule:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = fabricationController;
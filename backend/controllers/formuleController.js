@@ -0,0 +1,165 @@
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+const { unites, phases } = require('../config/formulation');
+const { checkReferences } = require('../services/produitService');
+const { getLignes, lignesDepuisSaisie, analyserFormule, convertirFormule } = require('../services/formuleService');
+const { verifierConformite } = require('../services/conformiteService');
+const { recalculerScore } = require('../services/scoreService');
+
+const prisma = new PrismaClient();
+
+// Schémas de validation
+const formuleSchema = Joi.object({
+  lignes: Joi.array().items(Joi.object({
+    ingredientId: Joi.string().required(),
+    valeur: Joi.number().positive().required(),
+    unite: Joi.string().valid(...unites).required(),
+    phase: Joi.string().valid(...phases).allow(null).optional()
+  })).min(1).max(100).unique('ingredientId').required()
+});
+
+const conversionSchema = Joi.object({
+  unite: Joi.string().valid(...unites).optional(),
+  masse: Joi.number().positive().optional()
+});
+
+// Contrôleurs
+const formuleController = {
+  // Récupérer la formule d'un produit, éventuellement convertie dans une unité
+  async getFormule(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { error, value } = conversionSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const produit = await prisma.produit.findUnique({ where: { id }, select: { id: true, nom: true } });
+      if (!produit) {
+        return res.status(404).json({ error: 'Produit non trouvé' });
+      }
+
+      let formule = analyserFormule(await getLignes(id), { masseLot: value.masse });
+
+      if (value.unite) {
+        if (value.unite !== '%' && formule.totaux.masse === null && formule.lignes.length) {
+          return res.status(400).json({
+            error: 'Masse du lot requise pour convertir une formule en pourcentages'
+          });
+        }
+        formule = convertirFormule(formule, value.unite);
+      }
+
+      res.json({ produit, formule });
+    } catch (error) {
+      console.error('Erreur getFormule:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Remplacer la formule complète d'un produit (lignes dans l'ordre d'incorporation)
+  async updateFormule(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { error, value } = formuleSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const produit = await prisma.produit.findUnique({ where: { id } });
+      if (!produit) {
+        return res.status(404).json({ error: 'Produit non trouvé' });
+      }
+
+      const referenceInvalide = await checkReferences({ ingredients: value.lignes });
+      if (referenceInvalide) {
+        return res.status(400).json({ error: referenceInvalide });
+      }
+
+      // Vérification de la formule avant écriture
+      const lignes = await lignesDepuisSaisie(value.lignes);
+      const verification = analyserFormule(lignes);
+
+      if (!verification.valide) {
+        return res.status(400).json({
+          error: 'Formule invalide',
+          details: verification.erreurs
+        });
+      }
+
+      // Un produit en vente doit rester conforme
+      if (produit.actif) {
+        const conformite = verifierConformite(produit, lignes);
+        if (!conformite.conforme) {
+          return res.status(409).json({
+            error: 'Formule non conforme pour un produit actif',
+            details: conformite.erreurs
+          });
+        }
+      }
+
+      await prisma.$transaction([
+        prisma.quantite.deleteMany({ where: { produitId: id } }),
+        prisma.quantite.createMany({
+          data: value.lignes.map(({ ingredientId, valeur, unite, phase }, ordre) => ({
+            produitId: id,
+            ingredientId,
+            valeur,
+            unite,
+            phase: phase ?? null,
+            ordre
+          }))
+        })
+      ]);
+      await recalculerScore(id);
+
+      res.json({
+        message: 'Formule enregistrée avec succès',
+        produit: { id: produit.id, nom: produit.nom },
+        formule: analyserFormule(await getLignes(id))
+      });
+    } catch (error) {
+      console.error('Erreur updateFormule:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Contrôler la conformité réglementaire de la formule enregistrée
+  async checkConformite(req, res) {
+    try {
+      const { id } = req.params;
+
+      const produit = await prisma.produit.findUnique({ where: { id } });
+      if (!produit) {
+        return res.status(404).json({ error: 'Produit non trouvé' });
+      }
+
+      res.json({
+        produit: { id: produit.id, nom: produit.nom, actif: produit.actif },
+        conformite: verifierConformite(produit, await getLignes(id))
+      });
+    } catch (error) {
+      console.error('Erreur checkConformite:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = formuleController;
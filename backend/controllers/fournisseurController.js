@@ -0,0 +1,173 @@
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+
+const prisma = new PrismaClient();
+
+// Schémas de validation
+const fournisseurSchema = Joi.object({
+  nom: Joi.string().trim().min(2).max(100).required(),
+  email: Joi.string().email().optional(),
+  telephone: Joi.string().max(30).optional(),
+  adresse: Joi.string().max(300).optional(),
+  siret: Joi.string().pattern(/^\d{14}$/).optional(),
+  notes: Joi.string().max(1000).optional(),
+  actif: Joi.boolean().default(true)
+});
+
+const updateFournisseurSchema = Joi.object({
+  nom: Joi.string().trim().min(2).max(100).optional(),
+  email: Joi.string().email().allow(null).optional(),
+  telephone: Joi.string().max(30).allow(null).optional(),
+  adresse: Joi.string().max(300).allow(null).optional(),
+  siret: Joi.string().pattern(/^\d{14}$/).allow(null).optional(),
+  notes: Joi.string().max(1000).allow(null).optional(),
+  actif: Joi.boolean().optional()
+});
+
+// Contrôleurs
+const fournisseurController = {
+  // Lister les fournisseurs (?actif=true pour les seuls fournisseurs actifs)
+  async getAllFournisseurs(req, res) {
+    try {
+      const where = {};
+      if (req.query.actif !== undefined) where.actif = req.query.actif === 'true';
+
+      const fournisseurs = await prisma.fournisseur.findMany({ where, orderBy: { nom: 'asc' } });
+
+      res.json({ fournisseurs });
+    } catch (error) {
+      console.error('Erreur getAllFournisseurs:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Récupérer un fournisseur et ses dernières commandes
+  async getFournisseurById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const fournisseur = await prisma.fournisseur.findUnique({
+        where: { id },
+        include: {
+          commandes: { orderBy: { createdAt: 'desc' }, take: 20 },
+          _count: { select: { lots: true } }
+        }
+      });
+
+      if (!fournisseur) {
+        return res.status(404).json({ error: 'Fournisseur non trouvé' });
+      }
+
+      res.json(fournisseur);
+    } catch (error) {
+      console.error('Erreur getFournisseurById:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Créer un fournisseur
+  async createFournisseur(req, res) {
+    try {
+      const { error, value } = fournisseurSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const fournisseur = await prisma.fournisseur.create({ data: value });
+
+      res.status(201).json({
+        message: 'Fournisseur créé avec succès',
+        fournisseur
+      });
+    } catch (error) {
+      console.error('Erreur createFournisseur:', error);
+
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: 'Un fournisseur avec ce nom existe déjà' });
+      }
+
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Mettre à jour un fournisseur
+  async updateFournisseur(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { error, value } = updateFournisseurSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const existant = await prisma.fournisseur.findUnique({ where: { id } });
+      if (!existant) {
+        return res.status(404).json({ error: 'Fournisseur non trouvé' });
+      }
+
+      const fournisseur = await prisma.fournisseur.update({ where: { id }, data: value });
+
+      res.json({
+        message: 'Fournisseur mis à jour avec succès',
+        fournisseur
+      });
+    } catch (error) {
+      console.error('Erreur updateFournisseur:', error);
+
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: 'Un fournisseur avec ce nom existe déjà' });
+      }
+
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Supprimer un fournisseur sans commande (sinon, le désactiver)
+  async deleteFournisseur(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existant = await prisma.fournisseur.findUnique({
+        where: { id },
+        include: { _count: { select: { commandes: true } } }
+      });
+      if (!existant) {
+        return res.status(404).json({ error: 'Fournisseur non trouvé' });
+      }
+
+      if (existant._count.commandes > 0) {
+        return res.status(409).json({ error: 'Fournisseur lié à des commandes : désactivez-le plutôt' });
+      }
+
+      await prisma.fournisseur.delete({ where: { id } });
+
+      res.json({ message: 'Fournisseur supprimé avec succès' });
+    } catch (error) {
+      console.error('Erreur deleteFournisseur:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = fournisseurController;
@@ -0,0 +1,248 @@
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+const { imagesMaxParProduit } = require('../config/images');
+const {
+  formatImage,
+  getImagesProduit,
+  ajouterImageProduit,
+  ordonnerImagesProduit,
+  deplacerImageProduit,
+  supprimerImageProduit,
+  remplacerImageBlog,
+  supprimerImageBlog
+} = require('../services/imageService');
+
+const prisma = new PrismaClient();
+
+// Schémas de validation (champs texte du formulaire multipart ou corps JSON)
+const imageSchema = Joi.object({
+  texteAlternatif: Joi.string().trim().max(200).allow('').optional(),
+  ordre: Joi.number().integer().min(0).optional()
+});
+
+const updateImageSchema = Joi.object({
+  texteAlternatif: Joi.string().trim().max(200).allow('', null).optional(),
+  ordre: Joi.number().integer().min(0).optional()
+});
+
+const ordreImagesSchema = Joi.object({
+  images: Joi.array().items(Joi.string()).min(1).unique().required()
+});
+
+const imageBlogSchema = Joi.object({
+  texteAlternatif: Joi.string().trim().max(200).allow('').optional()
+});
+
+// Retrouve une image appartenant au produit de la route
+const findImage = (produitId, imageId) => prisma.image.findFirst({
+  where: { id: imageId, produitId }
+});
+
+// Contrôleurs
+const imageController = {
+  // Téléverser une image de produit (champ « image »), avec son texte alternatif
+  async createImageProduit(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { error, value } = imageSchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'Image requise' });
+      }
+
+      const produit = await prisma.produit.findUnique({ where: { id }, select: { id: true } });
+      if (!produit) {
+        return res.status(404).json({ error: 'Produit non trouvé' });
+      }
+
+      if (await prisma.image.count({ where: { produitId: id } }) >= imagesMaxParProduit) {
+        return res.status(409).json({ error: `Nombre maximal d'images atteint (${imagesMaxParProduit})` });
+      }
+
+      const resultat = await ajouterImageProduit(id, req.file, value);
+      if (resultat.erreur) {
+        return res.status(400).json({ error: resultat.erreur });
+      }
+
+      res.status(201).json({
+        message: 'Image ajoutée avec succès',
+        image: formatImage(resultat.image)
+      });
+    } catch (error) {
+      console.error('Erreur createImageProduit:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Modifier le texte alternatif ou la position d'une image
+  async updateImageProduit(req, res) {
+    try {
+      const { id, imageId } = req.params;
+
+      const { error, value } = updateImageSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      if (!await findImage(id, imageId)) {
+        return res.status(404).json({ error: 'Image non trouvée' });
+      }
+
+      const { ordre, ...data } = value;
+      if (data.texteAlternatif === '') data.texteAlternatif = null;
+
+      await prisma.image.update({ where: { id: imageId }, data });
+      if (ordre !== undefined) {
+        await deplacerImageProduit(id, imageId, ordre);
+      }
+
+      res.json({
+        message: 'Image mise à jour avec succès',
+        image: formatImage(await prisma.image.findUnique({ where: { id: imageId } }))
+      });
+    } catch (error) {
+      console.error('Erreur updateImageProduit:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Réordonner les images d'un produit : liste complète des identifiants dans l'ordre d'affichage
+  async reorderImagesProduit(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { error, value } = ordreImagesSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const produit = await prisma.produit.findUnique({ where: { id }, select: { id: true } });
+      if (!produit) {
+        return res.status(404).json({ error: 'Produit non trouvé' });
+      }
+
+      const actuelles = await getImagesProduit(id);
+      if (actuelles.length !== value.images.length || actuelles.some(image => !value.images.includes(image.id))) {
+        return res.status(400).json({ error: 'La liste doit contenir toutes les images du produit' });
+      }
+
+      const images = await ordonnerImagesProduit(id, value.images);
+
+      res.json({
+        message: 'Images réordonnées avec succès',
+        images: images.map(formatImage)
+      });
+    } catch (error) {
+      console.error('Erreur reorderImagesProduit:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Supprimer une image de produit et ses fichiers
+  async deleteImageProduit(req, res) {
+    try {
+      const { id, imageId } = req.params;
+
+      const image = await findImage(id, imageId);
+      if (!image) {
+        return res.status(404).json({ error: 'Image non trouvée' });
+      }
+
+      await supprimerImageProduit(image);
+
+      res.json({ message: 'Image supprimée avec succès' });
+    } catch (error) {
+      console.error('Erreur deleteImageProduit:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Téléverser l'image d'un article (remplace l'image précédente)
+  async updateImageBlog(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { error, value } = imageBlogSchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'Image requise' });
+      }
+
+      const blog = await prisma.blog.findUnique({ where: { id }, select: { id: true } });
+      if (!blog) {
+        return res.status(404).json({ error: 'Blog non trouvé' });
+      }
+
+      const resultat = await remplacerImageBlog(id, req.file, value);
+      if (resultat.erreur) {
+        return res.status(400).json({ error: resultat.erreur });
+      }
+
+      res.json({
+        message: 'Image de l\'article mise à jour avec succès',
+        image: formatImage(resultat.image)
+      });
+    } catch (error) {
+      console.error('Erreur updateImageBlog:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Retirer l'image d'un article
+  async deleteImageBlog(req, res) {
+    try {
+      const { id } = req.params;
+
+      const blog = await prisma.blog.findUnique({ where: { id }, select: { id: true } });
+      if (!blog) {
+        return res.status(404).json({ error: 'Blog non trouvé' });
+      }
+
+      await supprimerImageBlog(id);
+
+      res.json({ message: 'Image de l\'article supprimée avec succès' });
+    } catch (error) {
+      console.error('Erreur deleteImageBlog:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = imageController;
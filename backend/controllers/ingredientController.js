@@ -1,24 +1,58 @@
 const { PrismaClient } = require('@prisma/client');
 const Joi = require('joi');
+const { appliquerCompositionConnue } = require('../services/allergeneService');
+const { recalculerScoresIngredient } = require('../services/scoreService');
+const { categoriesProduit } = require('../config/formulation');
 
 const prisma = new PrismaClient();
 
 // Schémas de validation
+const limitesConcentrationSchema = Joi.array().items(Joi.object({
+  categorie: Joi.string().valid(...categoriesProduit).required(),
+  maximum: Joi.number().min(0).max(100).required()
+})).unique('categorie');
+
 const ingredientSchema = Joi.object({
   nom: Joi.string().min(2).max(100).required(),
+  nomInci: Joi.string().max(200).optional(),
   origine: Joi.string().max(50).optional(),
   description: Joi.string().max(500).optional(),
   bio: Joi.boolean().default(false),
   allergene: Joi.boolean().default(false),
+  densite: Joi.number().positive().max(5).optional(),
+  numeroCas: Joi.string().pattern(/^\d{2,7}-\d{2}-\d$/).optional(),
+  numeroCe: Joi.string().pattern(/^\d{3}-\d{3}-\d$/).optional(),
+  concentrationMaxRince: Joi.number().min(0).max(100).optional(),
+  concentrationMaxSansRincage: Joi.number().min(0).max(100).optional(),
+  limitesConcentration: limitesConcentrationSchema.optional(),
+  interditEnfants: Joi.boolean().default(false),
+  indiceNaturalite: Joi.number().min(0).max(1).optional(),
+  classeRisque: Joi.string().valid('FAIBLE', 'MODERE', 'ELEVE').default('FAIBLE'),
+  phMin: Joi.number().min(0).max(14).optional(),
+  phMax: Joi.number().min(0).max(14).optional(),
+  emulsifiant: Joi.boolean().default(false),
   produitId: Joi.string().optional()
 });
 
 const updateIngredientSchema = Joi.object({
   nom: Joi.string().min(2).max(100).optional(),
+  nomInci: Joi.string().max(200).allow(null).optional(),
   origine: Joi.string().max(50).optional(),
   description: Joi.string().max(500).optional(),
   bio: Joi.boolean().optional(),
   allergene: Joi.boolean().optional(),
+  densite: Joi.number().positive().max(5).allow(null).optional(),
+  numeroCas: Joi.string().pattern(/^\d{2,7}-\d{2}-\d$/).allow(null).optional(),
+  numeroCe: Joi.string().pattern(/^\d{3}-\d{3}-\d$/).allow(null).optional(),
+  concentrationMaxRince: Joi.number().min(0).max(100).allow(null).optional(),
+  concentrationMaxSansRincage: Joi.number().min(0).max(100).allow(null).optional(),
+  limitesConcentration: limitesConcentrationSchema.optional(),
+  interditEnfants: Joi.boolean().optional(),
+  indiceNaturalite: Joi.number().min(0).max(1).allow(null).optional(),
+  classeRisque: Joi.string().valid('FAIBLE', 'MODERE', 'ELEVE').optional(),
+  phMin: Joi.number().min(0).max(14).allow(null).optional(),
+  phMax: Joi.number().min(0).max(14).allow(null).optional(),
+  emulsifiant: Joi.boolean().optional(),
   produitId: Joi.string().optional()
 });
 
@@ -73,7 +107,7 @@ const ingredientController = {
         return res.status(400).json({ error: 'ID de l\'ingrédient requis' });
       }
 
-      const ingredient = await prisma.ingredient.findUnique({ where: { id } });
+      const ingredient = await prisma.ingredient.findUnique({ where: { id }, include: { limitesConcentration: true } });
 
       if (!ingredient) {
         return res.status(404).json({ error: 'Ingrédient non trouvé' });
@@ -110,7 +144,14 @@ const ingredientController = {
         return res.status(400).json({ error: 'Un ingrédient avec ce nom existe déjà' });
       }
 
-      const ingredient = await prisma.ingredient.create({ data: value });
+      const { limitesConcentration, ...data } = value;
+      const ingredient = await prisma.ingredient.create({
+        data: { ...data, ...(limitesConcentration && { limitesConcentration: { create: limitesConcentration } }) },
+        include: { limitesConcentration: true }
+      });
+
+      // Huile essentielle ou allergène référencé : composition en allergènes renseignée d'office
+      await appliquerCompositionConnue(ingredient);
       
       res.status(201).json({
         message: 'Ingrédient créé avec succès',
@@ -154,11 +195,24 @@ const ingredientController = {
         return res.status(404).json({ error: 'Ingrédient non trouvé' });
       }
 
+      // Des limites fournies remplacent les limites par catégorie existantes
+      const { limitesConcentration, ...data } = value;
       const ingredient = await prisma.ingredient.update({ 
         where: { id }, 
-        data: value 
+        data: {
+          ...data,
+          ...(limitesConcentration && { limitesConcentration: { deleteMany: {}, create: limitesConcentration } })
+        },
+        include: { limitesConcentration: true }
       });
 
+      if (value.nomInci) {
+        await appliquerCompositionConnue(ingredient);
+      }
+
+      // Les attributs de l'ingrédient entrent dans le score des produits qui le contiennent
+      await recalculerScoresIngredient(id);
+
       res.json({
         message: 'Ingrédient mis à jour avec succès',
         ingredient
@@ -187,6 +241,27 @@ const ingredientController = {
         return res.status(404).json({ error: 'Ingrédient non trouvé' });
       }
 
+      // Un ingrédient présent dans une formule ne peut pas disparaître
+      const utilisations = await prisma.quantite.count({ where: { ingredientId: id } });
+      if (utilisations > 0) {
+        return res.status(409).json({
+          error: 'Ingrédient utilisé dans la formule de produits',
+          produits: utilisations
+        });
+      }
+
+      // Ni un ingrédient figurant sur un bon de commande
+      const commandes = await prisma.ligneCommande.count({ where: { ingredientId: id } });
+      if (commandes > 0) {
+        return res.status(409).json({ error: 'Ingrédient présent sur des commandes fournisseur' });
+      }
+
+      // Ni un ingrédient dont des lots ont été reçus ou consommés : ils servent aux rappels
+      const lots = await prisma.lotIngredient.count({ where: { ingredientId: id } });
+      if (lots > 0) {
+        return res.status(409).json({ error: 'Ingrédient suivi par lots, conservé pour la traçabilité' });
+      }
+
       await prisma.ingredient.delete({ where: { id } });
 
       res.json({ message: 'Ingrédient supprimé avec succès' });
@@ -0,0 +1,163 @@
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+const { phases } = require('../config/formulation');
+const { checkReferences } = require('../services/produitService');
+const { getLignes, lignesDepuisSaisie } = require('../services/formuleService');
+const { ordonnerPaire, evaluerInteractions } = require('../services/interactionService');
+
+const prisma = new PrismaClient();
+
+// Schémas de validation
+const incompatibiliteSchema = Joi.object({
+  ingredientAId: Joi.string().required(),
+  ingredientBId: Joi.string().invalid(Joi.ref('ingredientAId')).required()
+    .messages({ 'any.invalid': 'Un ingrédient ne peut pas être incompatible avec lui-même' }),
+  motif: Joi.string().min(5).max(300).required(),
+  gravite: Joi.string().valid('BLOQUANTE', 'AVERTISSEMENT').default('BLOQUANTE')
+});
+
+// Formule brouillon (lignes) ou produit existant, pH facultatif
+const evaluationSchema = Joi.object({
+  produitId: Joi.string(),
+  lignes: Joi.array().items(Joi.object({
+    ingredientId: Joi.string().required(),
+    phase: Joi.string().valid(...phases).allow(null).optional()
+  }).unknown(true)).min(1).max(100).unique('ingredientId'),
+  ph: Joi.number().min(0).max(14).optional()
+}).xor('produitId', 'lignes');
+
+const formatIncompatibilite = ({ id, ingredientA, ingredientB, motif, gravite }) => ({
+  id,
+  ingredients: [
+    { id: ingredientA.id, nom: ingredientA.nom },
+    { id: ingredientB.id, nom: ingredientB.nom }
+  ],
+  motif,
+  gravite
+});
+
+// Contrôleurs
+const interactionController = {
+  // Lister le registre des incompatibilités
+  async getIncompatibilites(req, res) {
+    try {
+      const incompatibilites = await prisma.incompatibilite.findMany({
+        include: { ingredientA: true, ingredientB: true },
+        orderBy: { createdAt: 'asc' }
+      });
+
+      res.json({ incompatibilites: incompatibilites.map(formatIncompatibilite) });
+    } catch (error) {
+      console.error('Erreur getIncompatibilites:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Déclarer deux ingrédients incompatibles
+  async createIncompatibilite(req, res) {
+    try {
+      const { error, value } = incompatibiliteSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const [ingredientAId, ingredientBId] = ordonnerPaire(value.ingredientAId, value.ingredientBId);
+
+      const referenceInvalide = await checkReferences({ ingredients: [{ ingredientId: ingredientAId }, { ingredientId: ingredientBId }] });
+      if (referenceInvalide) {
+        return res.status(400).json({ error: referenceInvalide });
+      }
+
+      const existante = await prisma.incompatibilite.findUnique({
+        where: { ingredientAId_ingredientBId: { ingredientAId, ingredientBId } }
+      });
+      if (existante) {
+        return res.status(409).json({ error: 'Incompatibilité déjà enregistrée' });
+      }
+
+      const incompatibilite = await prisma.incompatibilite.create({
+        data: { ingredientAId, ingredientBId, motif: value.motif, gravite: value.gravite },
+        include: { ingredientA: true, ingredientB: true }
+      });
+
+      res.status(201).json({
+        message: 'Incompatibilité enregistrée avec succès',
+        incompatibilite: formatIncompatibilite(incompatibilite)
+      });
+    } catch (error) {
+      console.error('Erreur createIncompatibilite:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Retirer une incompatibilité du registre
+  async deleteIncompatibilite(req, res) {
+    try {
+      const { id } = req.params;
+
+      const incompatibilite = await prisma.incompatibilite.findUnique({ where: { id } });
+      if (!incompatibilite) {
+        return res.status(404).json({ error: 'Incompatibilité non trouvée' });
+      }
+
+      await prisma.incompatibilite.delete({ where: { id } });
+
+      res.json({ message: 'Incompatibilité supprimée avec succès' });
+    } catch (error) {
+      console.error('Erreur deleteIncompatibilite:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Évaluer une formule brouillon ou celle d'un produit : incompatibilités, pH, émulsifiant
+  async evaluerCompatibilite(req, res) {
+    try {
+      const { error, value } = evaluationSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      let lignes;
+      let ph = value.ph;
+      if (value.produitId) {
+        const produit = await prisma.produit.findUnique({ where: { id: value.produitId } });
+        if (!produit) {
+          return res.status(404).json({ error: 'Produit non trouvé' });
+        }
+        lignes = await getLignes(produit.id);
+        ph = ph ?? produit.ph ?? undefined;
+      } else {
+        const referenceInvalide = await checkReferences({ ingredients: value.lignes });
+        if (referenceInvalide) {
+          return res.status(400).json({ error: referenceInvalide });
+        }
+        lignes = await lignesDepuisSaisie(value.lignes);
+      }
+
+      res.json({ evaluation: await evaluerInteractions(lignes, { ph }) });
+    } catch (error) {
+      console.error('Erreur evaluerCompatibilite:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = interactionController;
@@ -0,0 +1,234 @@
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+const { unites } = require('../config/formulation');
+const { getLignes, analyserFormule, densiteFormule } = require('../services/formuleService');
+const {
+  lotInclude,
+  formatLot,
+  checkIngredientsLot,
+  creerLot,
+  masseProduction,
+  planifierProduction,
+  lancerProduction,
+  rappelLotIngredient
+} = require('../services/lotService');
+
+const prisma = new PrismaClient();
+
+// Schémas de validation
+const lotSchema = Joi.object({
+  numero: Joi.string().trim().max(40).required(),
+  varianteId: Joi.string().optional(),
+  dateProduction: Joi.date().max('now').required(),
+  datePeremption: Joi.date().greater(Joi.ref('dateProduction')).required(),
+  quantite: Joi.number().integer().positive().required(),
+  pao: Joi.number().integer().min(1).max(60).optional(),
+  ingredients: Joi.array().items(Joi.object({
+    ingredientId: Joi.string().required(),
+    numeroLot: Joi.string().trim().max(60).required(),
+    quantite: Joi.number().positive().optional(),
+    unite: Joi.string().valid(...unites).optional()
+  })).unique('ingredientId').default([])
+});
+
+const productionSchema = Joi.object({
+  numero: Joi.string().trim().max(40).required(),
+  varianteId: Joi.string().optional(),
+  dateProduction: Joi.date().max('now').default(() => new Date()),
+  datePeremption: Joi.date().greater(Joi.ref('dateProduction')).required(),
+  quantite: Joi.number().integer().positive().required(),
+  // Masse totale fabriquée en grammes ; déduite de la contenance si absente
+  masseLot: Joi.number().positive().optional(),
+  pao: Joi.number().integer().min(1).max(60).optional()
+});
+
+// Vérifie la variante d'un lot (obligatoire pour un produit décliné, dont le stock est tenu par variante)
+// et l'unicité du numéro ;
+// renvoie { status, error } sinon
+async function checkNouveauLot(produit, { varianteId, numero }) {
+  if (produit.variantes.length && !varianteId) {
+    return { status: 400, error: 'Variante requise pour un produit décliné' };
+  }
+  if (varianteId && !produit.variantes.some(variante => variante.id === varianteId)) {
+    return { status: 404, error: 'Variante non trouvée' };
+  }
+  if (await prisma.lotProduction.findUnique({ where: { numero } })) {
+    return { status: 409, error: 'Numéro de lot déjà utilisé' };
+  }
+  return null;
+}
+
+// Contrôleurs
+const lotController = {
+  // Lots d'un produit, premier périmé en tête (?disponibles=true : lots encore en stock)
+  async getLots(req, res) {
+    try {
+      const { id } = req.params;
+
+      const produit = await prisma.produit.findUnique({ where: { id }, select: { id: true } });
+      if (!produit) {
+        return res.status(404).json({ error: 'Produit non trouvé' });
+      }
+
+      const where = { produitId: id };
+      if (req.query.disponibles === 'true') where.stock = { gt: 0 };
+
+      const lots = await prisma.lotProduction.findMany({
+        where,
+        include: lotInclude,
+        orderBy: [{ datePeremption: 'asc' }, { dateProduction: 'asc' }]
+      });
+
+      res.json({ lots: lots.map(formatLot) });
+    } catch (error) {
+      console.error('Erreur getLots:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Détail d'un lot et lots d'ingrédients consommés
+  async getLot(req, res) {
+    try {
+      const { id, lotId } = req.params;
+
+      const lot = await prisma.lotProduction.findFirst({ where: { id: lotId, produitId: id }, include: lotInclude });
+      if (!lot) {
+        return res.status(404).json({ error: 'Lot non trouvé' });
+      }
+
+      res.json({ lot: formatLot(lot) });
+    } catch (error) {
+      console.error('Erreur getLot:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Enregistrer un lot de fabrication ; les unités produites entrent en stock
+  async createLot(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { error, value } = lotSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const produit = await prisma.produit.findUnique({ where: { id }, include: { variantes: { select: { id: true } } } });
+      if (!produit) {
+        return res.status(404).json({ error: 'Produit non trouvé' });
+      }
+
+      const lotInvalide = await checkNouveauLot(produit, value);
+      if (lotInvalide) {
+        return res.status(lotInvalide.status).json({ error: lotInvalide.error });
+      }
+
+      const ingredientsInvalides = await checkIngredientsLot(id, value.ingredients);
+      if (ingredientsInvalides) {
+        return res.status(400).json({ error: ingredientsInvalides });
+      }
+
+      const lot = await creerLot(produit, value, req.user.id);
+
+      res.status(201).json({
+        message: 'Lot enregistré avec succès',
+        lot: formatLot(lot)
+      });
+    } catch (error) {
+      console.error('Erreur createLot:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Fabriquer un lot : prélève les ingrédients selon la formule (lots FEFO) et met le lot en stock
+  async createProduction(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { error, value } = productionSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const produit = await prisma.produit.findUnique({ where: { id }, include: { variantes: true } });
+      if (!produit) {
+        return res.status(404).json({ error: 'Produit non trouvé' });
+      }
+
+      const lotInvalide = await checkNouveauLot(produit, value);
+      if (lotInvalide) {
+        return res.status(lotInvalide.status).json({ error: lotInvalide.error });
+      }
+
+      const variante = produit.variantes.find(candidate => candidate.id === value.varianteId);
+      const { masseLot: masseSaisie, ...donnees } = value;
+      const masseLot = masseSaisie
+        ?? masseProduction(produit, variante, value.quantite, densiteFormule(analyserFormule(await getLignes(id))));
+      if (!masseLot) {
+        return res.status(400).json({ error: 'Masse du lot requise : contenance non renseignée, ou en ml sans densité connue pour la formule' });
+      }
+
+      const plan = await planifierProduction(id, masseLot);
+      if (plan.erreur) {
+        return res.status(409).json({ error: plan.erreur, details: plan.details });
+      }
+
+      const production = await lancerProduction(produit, donnees, plan.prelevements, req.user.id);
+      if (production.erreur) {
+        return res.status(409).json({ error: production.erreur });
+      }
+
+      res.status(201).json({
+        message: 'Production enregistrée avec succès',
+        masseLot,
+        lot: formatLot(production.lot)
+      });
+    } catch (error) {
+      console.error('Erreur createProduction:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Rappel : lots fabriqués avec un lot d'ingrédient et clients qui les ont reçus
+  async getRappel(req, res) {
+    try {
+      const { id, numero } = req.params;
+
+      const lotIngredient = await prisma.lotIngredient.findUnique({
+        where: { ingredientId_numero: { ingredientId: id, numero } },
+        include: { ingredient: { select: { id: true, nom: true } } }
+      });
+      if (!lotIngredient) {
+        return res.status(404).json({ error: 'Lot d\'ingrédient non trouvé' });
+      }
+
+      res.json({ rappel: await rappelLotIngredient(lotIngredient) });
+    } catch (error) {
+      console.error('Erreur getRappel:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = lotController;
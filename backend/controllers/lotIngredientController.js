@@ -0,0 +1,107 @@
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+const { unitesStock } = require('../config/formulation');
+const { versGrammes } = require('../services/formuleService');
+const { formatLotIngredient } = require('../services/achatService');
+
+const prisma = new PrismaClient();
+
+// Schémas de validation
+const lotIngredientSchema = Joi.object({
+  numero: Joi.string().trim().max(60).required(),
+  quantite: Joi.number().positive().required(),
+  unite: Joi.string().valid(...unitesStock).required(),
+  coutUnitaire: Joi.number().positive().optional(),
+  datePeremption: Joi.date().optional(),
+  fournisseurId: Joi.string().optional(),
+  certificats: Joi.array().items(Joi.string().trim().max(100)).optional()
+});
+
+// Contrôleurs
+const lotIngredientController = {
+  // Stock d'un ingrédient, lot par lot (premier périmé en tête) ; la masse disponible exclut les lots périmés
+  async getLotsIngredient(req, res) {
+    try {
+      const { id } = req.params;
+
+      const ingredient = await prisma.ingredient.findUnique({ where: { id }, select: { id: true, densite: true } });
+      if (!ingredient) {
+        return res.status(404).json({ error: 'Ingrédient non trouvé' });
+      }
+
+      const lots = (await prisma.lotIngredient.findMany({
+        where: { ingredientId: id },
+        include: { fournisseur: { select: { id: true, nom: true } } },
+        orderBy: [{ datePeremption: { sort: 'asc', nulls: 'last' } }, { createdAt: 'asc' }]
+      })).map(formatLotIngredient);
+
+      const masseDisponible = lots
+        .filter(lot => !lot.perime && lot.unite && lot.quantite > 0)
+        .reduce((total, lot) => total + versGrammes(lot.quantite, lot.unite, ingredient.densite), 0);
+
+      res.json({ lots, stock: { masseDisponible: Math.round(masseDisponible * 1000) / 1000 } });
+    } catch (error) {
+      console.error('Erreur getLotsIngredient:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Entrer en stock un lot reçu hors bon de commande (stock initial, échantillon...)
+  async createLotIngredient(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { error, value } = lotIngredientSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const ingredient = await prisma.ingredient.findUnique({ where: { id }, select: { id: true } });
+      if (!ingredient) {
+        return res.status(404).json({ error: 'Ingrédient non trouvé' });
+      }
+
+      if (value.fournisseurId && !await prisma.fournisseur.findUnique({ where: { id: value.fournisseurId } })) {
+        return res.status(400).json({ error: 'Fournisseur introuvable' });
+      }
+
+      const existant = await prisma.lotIngredient.findUnique({
+        where: { ingredientId_numero: { ingredientId: id, numero: value.numero } }
+      });
+      // Un lot cité dans un lot de fabrication avant sa réception existe déjà, sans stock : on le complète
+      if (existant && existant.quantiteRecue > 0) {
+        return res.status(409).json({ error: 'Lot déjà enregistré pour cet ingrédient' });
+      }
+
+      const { certificats, ...data } = value;
+      const donnees = {
+        ...data,
+        quantiteRecue: value.quantite,
+        certificats: certificats ? JSON.stringify(certificats) : null
+      };
+      const include = { fournisseur: { select: { id: true, nom: true } } };
+      const lot = existant
+        ? await prisma.lotIngredient.update({ where: { id: existant.id }, data: donnees, include })
+        : await prisma.lotIngredient.create({ data: { ...donnees, ingredientId: id }, include });
+
+      res.status(201).json({
+        message: 'Lot d\'ingrédient enregistré avec succès',
+        lot: formatLotIngredient(lot)
+      });
+    } catch (error) {
+      console.error('Erreur createLotIngredient:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = lotIngredientController;
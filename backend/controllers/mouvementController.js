@@ -0,0 +1,241 @@
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+const { sensMouvements, typesMouvementSaisis } = require('../config/stock');
+const { enregistrerMouvement, ajusterStock, reconcilierStock, alertesStock } = require('../services/stockService');
+
+const prisma = new PrismaClient();
+
+// Schémas de validation
+const mouvementSchema = Joi.object({
+  type: Joi.string().valid(...typesMouvementSaisis).required(),
+  // Quantité positive ; seul un ajustement porte un signe
+  quantite: Joi.when('type', {
+    is: 'AJUSTEMENT',
+    then: Joi.number().integer().invalid(0).required(),
+    otherwise: Joi.number().integer().positive().required()
+  }),
+  varianteId: Joi.string().optional(),
+  lotId: Joi.string().optional(),
+  // Client servi : permet de remonter jusqu'à lui lors d'un rappel de lot
+  clientId: Joi.when('type', { is: 'VENTE', then: Joi.string().optional(), otherwise: Joi.forbidden() }),
+  motif: Joi.string().max(300).optional()
+});
+
+const historiqueSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  type: Joi.string().valid(...Object.keys(sensMouvements)).optional(),
+  varianteId: Joi.string().optional()
+});
+
+const inventaireSchema = Joi.object({
+  stockCompte: Joi.number().integer().min(0).required(),
+  varianteId: Joi.string().optional(),
+  motif: Joi.string().max(300).optional()
+});
+
+// Vérifie le produit et, le cas échéant, que la variante et le lot lui appartiennent et que le client existe ;
+// renvoie un message d'erreur sinon
+async function checkReference(produitId, { varianteId, lotId, clientId } = {}) {
+  const produit = await prisma.produit.findUnique({ where: { id: produitId }, select: { id: true } });
+  if (!produit) return 'Produit non trouvé';
+
+  if (varianteId) {
+    const variante = await prisma.variante.findFirst({ where: { id: varianteId, produitId }, select: { id: true } });
+    if (!variante) return 'Variante non trouvée';
+  }
+  if (lotId) {
+    const lot = await prisma.lotProduction.findFirst({
+      where: { id: lotId, produitId, varianteId: varianteId ?? null },
+      select: { id: true }
+    });
+    if (!lot) return 'Lot non trouvé';
+  }
+  if (clientId) {
+    const client = await prisma.utilisateur.findUnique({ where: { id: clientId }, select: { id: true } });
+    if (!client) return 'Client non trouvé';
+  }
+  return null;
+}
+
+// Un produit décliné en variantes n'a pas de stock propre : ses mouvements portent sur une variante
+const aDesVariantes = async (produitId) => await prisma.variante.count({ where: { produitId } }) > 0;
+
+// Contrôleurs
+const mouvementController = {
+  // Références au seuil de réassort ou en rupture
+  async getAlertesStock(req, res) {
+    try {
+      const alertes = await alertesStock();
+
+      res.json({
+        alertes,
+        total: alertes.length
+      });
+    } catch (error) {
+      console.error('Erreur getAlertesStock:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Historique des mouvements de stock d'un produit, avec le rapprochement stock / mouvements
+  async getMouvements(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { error, value } = historiqueSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+      const { page, limit, type, varianteId } = value;
+
+      const produit = await prisma.produit.findUnique({ where: { id }, select: { id: true } });
+      if (!produit) {
+        return res.status(404).json({ error: 'Produit non trouvé' });
+      }
+
+      const where = { produitId: id };
+      if (type) where.type = type;
+      if (varianteId) where.varianteId = varianteId;
+
+      const skip = (page - 1) * limit;
+
+      const [mouvements, total, reconciliation] = await Promise.all([
+        prisma.mouvementStock.findMany({
+          where,
+          skip,
+          take: limit,
+          orderBy: { createdAt: 'desc' },
+          include: { allocations: { include: { lot: { select: { numero: true } } } } }
+        }),
+        prisma.mouvementStock.count({ where }),
+        reconcilierStock(id)
+      ]);
+
+      res.json({
+        mouvements,
+        reconciliation,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Erreur getMouvements:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Enregistrer un mouvement de stock (vente, réassort, perte, retour, production, ajustement)
+  async createMouvement(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { error, value } = mouvementSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const referenceInconnue = await checkReference(id, value);
+      if (referenceInconnue) {
+        return res.status(404).json({ error: referenceInconnue });
+      }
+
+      if (!value.varianteId && await aDesVariantes(id)) {
+        return res.status(400).json({ error: 'Variante requise pour un produit décliné en variantes' });
+      }
+
+      const { type, quantite, varianteId, lotId, clientId, motif } = value;
+      const resultat = await enregistrerMouvement({
+        produitId: id,
+        varianteId,
+        type,
+        quantite: (sensMouvements[type] ?? 1) * quantite,
+        lotId,
+        clientId,
+        motif,
+        utilisateurId: req.user.id
+      });
+      if (resultat.erreur) {
+        return res.status(409).json({ error: resultat.erreur });
+      }
+
+      res.status(201).json({
+        message: 'Mouvement de stock enregistré',
+        mouvement: resultat.mouvement
+      });
+    } catch (error) {
+      console.error('Erreur createMouvement:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Inventaire : enregistre le stock compté et l'écart avec le stock théorique
+  async createInventaire(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { error, value } = inventaireSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const referenceInconnue = await checkReference(id, value);
+      if (referenceInconnue) {
+        return res.status(404).json({ error: referenceInconnue });
+      }
+
+      if (!value.varianteId && await aDesVariantes(id)) {
+        return res.status(400).json({ error: 'Variante requise pour un produit décliné en variantes' });
+      }
+
+      const resultat = await ajusterStock({
+        produitId: id,
+        varianteId: value.varianteId,
+        stock: value.stockCompte,
+        type: 'INVENTAIRE',
+        motif: value.motif,
+        utilisateurId: req.user.id
+      });
+      if (resultat.erreur) {
+        return res.status(409).json({ error: resultat.erreur });
+      }
+
+      const { mouvement } = resultat;
+
+      res.status(201).json({
+        message: mouvement.quantite === 0 ? 'Inventaire conforme au stock théorique' : 'Écart d\'inventaire enregistré',
+        ecart: mouvement.quantite,
+        mouvement
+      });
+    } catch (error) {
+      console.error('Erreur createInventaire:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = mouvementController;
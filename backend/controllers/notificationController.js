@@ -0,0 +1,55 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Contrôleurs
+const notificationController = {
+  // Notifications de l'utilisateur connecté, les plus récentes d'abord (?nonLues=true pour filtrer)
+  async getNotifications(req, res) {
+    try {
+      const where = { utilisateurId: req.user.id };
+      if (req.query.nonLues === 'true') where.lueLe = null;
+
+      const [notifications, nonLues] = await Promise.all([
+        prisma.notification.findMany({ where, orderBy: { createdAt: 'desc' }, take: 100 }),
+        prisma.notification.count({ where: { utilisateurId: req.user.id, lueLe: null } })
+      ]);
+
+      res.json({ notifications, nonLues });
+    } catch (error) {
+      console.error('Erreur getNotifications:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Marquer une notification comme lue
+  async markNotificationRead(req, res) {
+    try {
+      const { notificationId } = req.params;
+
+      const notification = await prisma.notification.findFirst({
+        where: { id: notificationId, utilisateurId: req.user.id }
+      });
+      if (!notification) {
+        return res.status(404).json({ error: 'Notification non trouvée' });
+      }
+
+      const lue = notification.lueLe
+        ? notification
+        : await prisma.notification.update({ where: { id: notificationId }, data: { lueLe: new Date() } });
+
+      res.json({ notification: lue });
+    } catch (error) {
+      console.error('Erreur markNotificationRead:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = notificationController;
@@ -1,22 +1,54 @@
 const { PrismaClient } = require('@prisma/client');
 const Joi = require('joi');
+const { can } = require('../middleware/authorize');
+const { recommanderProduits } = require('../services/recommandationService');
+const { produitInclude, produitsEnVente, filtrePrix, formatProduit, checkReferences, buildRelations } = require('../services/produitService');
+const { categoriesProduit, unites, phases } = require('../config/formulation');
+const { getLignes, lignesDepuisSaisie, analyserFormule } = require('../services/formuleService');
+const { verifierConformite } = require('../services/conformiteService');
+const { recalculerScore } = require('../services/scoreService');
+const {
+  appliquerMouvement,
+  suivreMouvement,
+  surveillerChangementSeuil,
+  ajusterStock,
+  mettreAJourDisponibilite
+} = require('../services/stockService');
+const { supprimerFichiersImages } = require('../services/imageService');
 
 const prisma = new PrismaClient();
 
 // Schémas de validation
+const ingredientsSchema = Joi.array().items(Joi.object({
+  ingredientId: Joi.string().required(),
+  valeur: Joi.number().positive().allow(null).optional(),
+  unite: Joi.string().valid(...unites).allow(null).optional(),
+  phase: Joi.string().valid(...phases).allow(null).optional()
+})).unique('ingredientId');
+
+const bienfaitsSchema = Joi.array().items(Joi.string().trim().min(2).max(50)).unique();
+
+const blogIdsSchema = Joi.array().items(Joi.string()).unique();
+
 const produitSchema = Joi.object({
   nom: Joi.string().min(2).max(100).required(),
   description: Joi.string().min(10).max(500).required(),
   prix: Joi.number().positive().precision(2).required(),
-  categorie: Joi.string().valid('shampoing', 'savon', 'crème', 'huile', 'masque', 'gommage').required(),
-  ingredientIds: Joi.string().default('[]'),
-  bienfaits: Joi.string().default('[]'),
-  quantiteIds: Joi.string().default('[]'),
-  yukaScore: Joi.number().integer().min(0).max(100).optional(),
+  coutEmballage: Joi.number().min(0).precision(4).optional(),
+  categorie: Joi.string().valid(...categoriesProduit).required(),
+  ingredients: ingredientsSchema.default([]),
+  bienfaits: bienfaitsSchema.default([]),
   provenance: Joi.string().max(50).optional(),
   stock: Joi.number().integer().min(0).required(),
-  blogIds: Joi.string().default('[]'),
-  imageUrl: Joi.string().uri().optional(),
+  seuilAlerte: Joi.number().integer().min(0).optional(),
+  siRupture: Joi.string().valid('MASQUER', 'SUR_COMMANDE').optional(),
+  blogIds: blogIdsSchema.default([]),
+  imageUrl: Joi.string().uri({ allowRelative: true }).optional(),
+  quantiteNette: Joi.number().positive().optional(),
+  uniteQuantiteNette: Joi.string().valid('ml', 'g').optional(),
+  pao: Joi.number().integer().min(1).max(60).optional(),
+  pourEnfants: Joi.boolean().default(false),
+  ph: Joi.number().min(0).max(14).optional(),
   actif: Joi.boolean().default(true)
 });
 
@@ -24,15 +56,21 @@ const updateProduitSchema = Joi.object({
   nom: Joi.string().min(2).max(100).optional(),
   description: Joi.string().min(10).max(500).optional(),
   prix: Joi.number().positive().precision(2).optional(),
-  categorie: Joi.string().valid('shampoing', 'savon', 'crème', 'huile', 'masque', 'gommage').optional(),
-  ingredientIds: Joi.string().optional(),
-  bienfaits: Joi.string().optional(),
-  quantiteIds: Joi.string().optional(),
-  yukaScore: Joi.number().integer().min(0).max(100).optional(),
+  coutEmballage: Joi.number().min(0).precision(4).allow(null).optional(),
+  categorie: Joi.string().valid(...categoriesProduit).optional(),
+  ingredients: ingredientsSchema.optional(),
+  bienfaits: bienfaitsSchema.optional(),
   provenance: Joi.string().max(50).optional(),
   stock: Joi.number().integer().min(0).optional(),
-  blogIds: Joi.string().optional(),
-  imageUrl: Joi.string().uri().optional(),
+  seuilAlerte: Joi.number().integer().min(0).allow(null).optional(),
+  siRupture: Joi.string().valid('MASQUER', 'SUR_COMMANDE').optional(),
+  blogIds: blogIdsSchema.optional(),
+  imageUrl: Joi.string().uri({ allowRelative: true }).optional(),
+  quantiteNette: Joi.number().positive().allow(null).optional(),
+  uniteQuantiteNette: Joi.string().valid('ml', 'g').allow(null).optional(),
+  pao: Joi.number().integer().min(1).max(60).allow(null).optional(),
+  pourEnfants: Joi.boolean().optional(),
+  ph: Joi.number().min(0).max(14).allow(null).optional(),
   actif: Joi.boolean().optional()
 });
 
@@ -43,10 +81,10 @@ const produitController = {
     try {
       const { page = 1, limit = 10, categorie, yukaMin, prixMax } = req.query;
       
-      const where = { actif: true };
+      const where = { ...produitsEnVente };
       if (categorie) where.categorie = categorie;
       if (yukaMin) where.yukaScore = { gte: parseInt(yukaMin) };
-      if (prixMax) where.prix = { lte: parseFloat(prixMax) };
+      if (prixMax) where.AND = [filtrePrix({ prixMax })];
 
       const skip = (parseInt(page) - 1) * parseInt(limit);
       
@@ -55,13 +93,14 @@ const produitController = {
           where,
           skip,
           take: parseInt(limit),
-          orderBy: { createdAt: 'desc' }
+          orderBy: { createdAt: 'desc' },
+          include: produitInclude
         }),
         prisma.produit.count({ where })
       ]);
 
       res.json({
-        produits,
+        produits: produits.map(formatProduit),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -89,16 +128,14 @@ const produitController = {
 
       const produit = await prisma.produit.findUnique({ 
         where: { id },
-        include: {
-          // Ici on pourrait inclure les ingrédients et quantités liés
-        }
+        include: produitInclude
       });
 
       if (!produit) {
         return res.status(404).json({ error: 'Produit non trouvé' });
       }
 
-      res.json(produit);
+      res.json(formatProduit(produit));
     } catch (error) {
       console.error('Erreur getProduitById:', error);
       res.status(500).json({ 
@@ -120,11 +157,47 @@ const produitController = {
         });
       }
 
-      const produit = await prisma.produit.create({ data: value });
+      const referenceInconnue = await checkReferences(value);
+      if (referenceInconnue) {
+        return res.status(400).json({ error: referenceInconnue });
+      }
+
+      // Un produit mis en vente doit avoir une formule conforme
+      if (value.actif) {
+        const conformite = verifierConformite(value, await lignesDepuisSaisie(value.ingredients));
+        if (!conformite.conforme) {
+          return res.status(409).json({
+            error: 'Produit non conforme, activation impossible',
+            details: conformite.erreurs
+          });
+        }
+      }
+
+      const { ingredients, bienfaits, blogIds, stock, ...data } = value;
+
+      // Le produit et son mouvement de stock initial sont écrits ensemble
+      const { id, stockInitial } = await prisma.$transaction(async (tx) => {
+        const { id } = await tx.produit.create({
+          data: { ...data, ...buildRelations({ ingredients, bienfaits, blogIds }) }
+        });
+        const stockInitial = await appliquerMouvement(tx, {
+          produitId: id,
+          type: 'AJUSTEMENT',
+          stockCible: stock,
+          motif: 'Stock initial',
+          utilisateurId: req.user.id
+        });
+        return { id, stockInitial };
+      });
+      await suivreMouvement(stockInitial);
+      await mettreAJourDisponibilite(id);
+      await recalculerScore(id);
+
+      const produit = await prisma.produit.findUnique({ where: { id }, include: produitInclude });
       
       res.status(201).json({
         message: 'Produit créé avec succès',
-        produit
+        produit: formatProduit(produit)
       });
     } catch (error) {
       console.error('Erreur createProduit:', error);
@@ -164,14 +237,79 @@ const produitController = {
         return res.status(404).json({ error: 'Produit non trouvé' });
       }
 
-      const produit = await prisma.produit.update({ 
+      // Un gestionnaire de stock ne peut modifier que le stock et le seuil de réassort
+      if (!can(req.user, 'produits:write') && Object.keys(value).some(champ => !['stock', 'seuilAlerte'].includes(champ))) {
+        return res.status(403).json({ error: 'Seuls le stock et le seuil de réassort peuvent être modifiés avec ce rôle' });
+      }
+
+      const referenceInconnue = await checkReferences(value);
+      if (referenceInconnue) {
+        return res.status(400).json({ error: referenceInconnue });
+      }
+
+      // Une formule fournie est vérifiée comme par PUT /:id/formule
+      let lignes;
+      if (value.ingredients) {
+        lignes = await lignesDepuisSaisie(value.ingredients);
+        const verification = analyserFormule(lignes);
+        if (!verification.valide) {
+          return res.status(400).json({
+            error: 'Formule invalide',
+            details: verification.erreurs
+          });
+        }
+      }
+
+      // Activation, ou modification de la formule ou de l'usage d'un produit actif : contrôle de conformité
+      const actif = value.actif ?? existingProduit.actif;
+      const usageModifie = ['ingredients', 'categorie', 'pourEnfants'].some(champ => value[champ] !== undefined);
+      if (actif && (value.actif === true || usageModifie)) {
+        const conformite = verifierConformite({ ...existingProduit, ...value }, lignes ?? await getLignes(id));
+        if (!conformite.conforme) {
+          return res.status(409).json({
+            error: 'Produit non conforme, activation impossible',
+            details: conformite.erreurs
+          });
+        }
+      }
+
+      const { ingredients, bienfaits, blogIds, stock, ...data } = value;
+
+      // Le stock saisi est tracé comme un ajustement ; s'il est refusé, le produit reste inchangé
+      if (stock !== undefined) {
+        if (await prisma.variante.count({ where: { produitId: id } })) {
+          return res.status(400).json({ error: 'Le stock d\'un produit décliné en variantes se modifie sur chaque variante' });
+        }
+        const ajustement = await ajusterStock({ produitId: id, stock, utilisateurId: req.user.id });
+        if (ajustement.erreur) {
+          return res.status(409).json({ error: ajustement.erreur });
+        }
+      }
+
+      await prisma.produit.update({ 
         where: { id }, 
-        data: value 
+        data: { ...data, ...buildRelations({ ingredients, bienfaits, blogIds }, { update: true }) }
       });
 
+      if (data.siRupture) {
+        await mettreAJourDisponibilite(id);
+      }
+
+      // Un seuil relevé peut placer d'emblée le stock sous le niveau de réassort
+      if (data.seuilAlerte !== undefined && data.seuilAlerte !== existingProduit.seuilAlerte) {
+        await surveillerChangementSeuil({ produitId: id, seuilAvant: existingProduit.seuilAlerte });
+      }
+
+      // Le score dépend de la formule et, via les seuils d'allergènes, de la catégorie
+      if (ingredients || data.categorie) {
+        await recalculerScore(id);
+      }
+
+      const produit = await prisma.produit.findUnique({ where: { id }, include: produitInclude });
+
       res.json({
         message: 'Produit mis à jour avec succès',
-        produit
+        produit: formatProduit(produit)
       });
     } catch (error) {
       console.error('Erreur updateProduit:', error);
@@ -197,7 +335,10 @@ const produitController = {
         return res.status(404).json({ error: 'Produit non trouvé' });
       }
 
+      // Les images sont supprimées avec le produit, puis leurs fichiers du stockage
+      const images = await prisma.image.findMany({ where: { produitId: id } });
       await prisma.produit.delete({ where: { id } });
+      await supprimerFichiersImages(images);
 
       res.json({ message: 'Produit supprimé avec succès' });
     } catch (error) {
@@ -214,7 +355,7 @@ const produitController = {
     try {
       const { q, categorie, yukaMin, prixMax, prixMin } = req.query;
       
-      const where = { actif: true };
+      const where = { ...produitsEnVente };
       
       if (q) {
         where.OR = [
@@ -225,15 +366,15 @@ const produitController = {
       
       if (categorie) where.categorie = categorie;
       if (yukaMin) where.yukaScore = { gte: parseInt(yukaMin) };
-      if (prixMax) where.prix = { lte: parseFloat(prixMax) };
-      if (prixMin) where.prix = { ...where.prix, gte: parseFloat(prixMin) };
+      if (prixMax || prixMin) where.AND = [filtrePrix({ prixMin, prixMax })];
 
       const produits = await prisma.produit.findMany({
         where,
-        orderBy: { createdAt: 'desc' }
+        orderBy: { createdAt: 'desc' },
+        include: produitInclude
       });
 
-      res.json({ produits, count: produits.length });
+      res.json({ produits: produits.map(formatProduit), count: produits.length });
     } catch (error) {
       console.error('Erreur searchProduits:', error);
       res.status(500).json({ 
@@ -241,6 +382,36 @@ const produitController = {
         details: process.env.NODE_ENV === 'development' ? error.message : undefined 
       });
     }
+  },
+
+  // Recommandations personnalisées selon le profil beauté de l'utilisateur connecté
+  async getRecommandations(req, res) {
+    try {
+      const { categorie, limit = 10 } = req.query;
+
+      if (!req.user.id) {
+        return res.status(403).json({ error: 'Les recommandations sont réservées aux comptes clients' });
+      }
+
+      const profil = await prisma.profilBeaute.findUnique({
+        where: { utilisateurId: req.user.id },
+        include: { ingredientsEvites: true }
+      });
+
+      if (!profil) {
+        return res.status(404).json({ error: 'Profil beauté non renseigné' });
+      }
+
+      const produits = await recommanderProduits(profil, { categorie, limit: parseInt(limit) });
+
+      res.json({ produits, count: produits.length });
+    } catch (error) {
+      console.error('Erreur getRecommandations:', error);
+      res.status(500).json({ 
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined 
+      });
+    }
   }
 };
 
@@ -0,0 +1,125 @@
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+
+const prisma = new PrismaClient();
+
+// Schémas de validation
+const profilBeauteSchema = Joi.object({
+  typePeau: Joi.string().valid('NORMALE', 'SECHE', 'GRASSE', 'MIXTE', 'SENSIBLE').allow(null).optional(),
+  typeCheveux: Joi.string().valid('NORMAUX', 'SECS', 'GRAS', 'FINS', 'BOUCLES', 'CREPUS', 'ABIMES').allow(null).optional(),
+  sensibilites: Joi.array().items(Joi.string().max(50)).max(20).optional(),
+  allergies: Joi.array().items(Joi.string().max(50)).max(20).optional(),
+  eviterAllergenes: Joi.boolean().optional(),
+  ingredientsEvitesIds: Joi.array().items(Joi.string()).max(50).unique().optional()
+});
+
+// Profil renvoyé par l'API : listes décodées et ingrédients évités résumés
+const formatProfil = (profil) => ({
+  typePeau: profil.typePeau,
+  typeCheveux: profil.typeCheveux,
+  sensibilites: JSON.parse(profil.sensibilites),
+  allergies: JSON.parse(profil.allergies),
+  eviterAllergenes: profil.eviterAllergenes,
+  ingredientsEvites: profil.ingredientsEvites.map(({ id, nom }) => ({ id, nom })),
+  updatedAt: profil.updatedAt
+});
+
+// Profil vide pour un utilisateur qui ne l'a pas encore renseigné
+const profilVide = {
+  typePeau: null,
+  typeCheveux: null,
+  sensibilites: [],
+  allergies: [],
+  eviterAllergenes: false,
+  ingredientsEvites: [],
+  updatedAt: null
+};
+
+// Contrôleurs
+const profilBeauteController = {
+  // Récupérer le profil beauté d'un utilisateur
+  async getProfilBeaute(req, res) {
+    try {
+      const { id } = req.params;
+
+      const utilisateur = await prisma.utilisateur.findUnique({
+        where: { id },
+        select: { id: true, profilBeaute: { include: { ingredientsEvites: true } } }
+      });
+
+      if (!utilisateur) {
+        return res.status(404).json({ error: 'Utilisateur non trouvé' });
+      }
+
+      res.json({
+        profilBeaute: utilisateur.profilBeaute ? formatProfil(utilisateur.profilBeaute) : profilVide
+      });
+    } catch (error) {
+      console.error('Erreur getProfilBeaute:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Créer ou mettre à jour le profil beauté
+  async updateProfilBeaute(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { error, value } = profilBeauteSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const utilisateur = await prisma.utilisateur.findUnique({ where: { id }, select: { id: true } });
+      if (!utilisateur) {
+        return res.status(404).json({ error: 'Utilisateur non trouvé' });
+      }
+
+      const { sensibilites, allergies, ingredientsEvitesIds, ...data } = value;
+      if (sensibilites) data.sensibilites = JSON.stringify(sensibilites);
+      if (allergies) data.allergies = JSON.stringify(allergies);
+
+      if (ingredientsEvitesIds) {
+        const connus = await prisma.ingredient.count({ where: { id: { in: ingredientsEvitesIds } } });
+        if (connus !== ingredientsEvitesIds.length) {
+          return res.status(400).json({ error: 'Ingrédient à éviter introuvable' });
+        }
+      }
+
+      const ingredients = ingredientsEvitesIds && ingredientsEvitesIds.map(ingredientId => ({ id: ingredientId }));
+
+      const profil = await prisma.profilBeaute.upsert({
+        where: { utilisateurId: id },
+        create: {
+          ...data,
+          utilisateurId: id,
+          ...(ingredients && { ingredientsEvites: { connect: ingredients } })
+        },
+        update: {
+          ...data,
+          ...(ingredients && { ingredientsEvites: { set: ingredients } })
+        },
+        include: { ingredientsEvites: true }
+      });
+
+      res.json({
+        message: 'Profil beauté mis à jour avec succès',
+        profilBeaute: formatProfil(profil)
+      });
+    } catch (error) {
+      console.error('Erreur updateProfilBeaute:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = profilBeauteController;
@@ -0,0 +1,51 @@
+const { trisRentabilite } = require('../config/rentabilite');
+const { rentabiliteProduit, rapportRentabilite } = require('../services/rentabiliteService');
+
+// Contrôleurs
+const rentabiliteController = {
+  // Rapport de rentabilité des références actives (?tri=marge|tauxMarge|tauxMarque|coutRevient|prix&ordre=asc|desc)
+  async getRapportRentabilite(req, res) {
+    try {
+      const { tri = 'marge', ordre = 'desc' } = req.query;
+
+      if (!trisRentabilite.includes(tri) || !['asc', 'desc'].includes(ordre)) {
+        return res.status(400).json({ error: 'Critère de tri invalide' });
+      }
+
+      const references = await rapportRentabilite({ tri, ordre });
+
+      res.json({
+        references,
+        tri,
+        ordre,
+        incompletes: references.filter(reference => !reference.complet).length
+      });
+    } catch (error) {
+      console.error('Erreur getRapportRentabilite:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Coût de revient et marge d'un produit et de ses variantes
+  async getRentabilite(req, res) {
+    try {
+      const references = await rentabiliteProduit(req.params.id);
+      if (!references) {
+        return res.status(404).json({ error: 'Produit non trouvé' });
+      }
+
+      res.json({ references });
+    } catch (error) {
+      console.error('Erreur getRentabilite:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = rentabiliteController;
@@ -0,0 +1,114 @@
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+const rgpdService = require('../services/rgpdService');
+const { createZip } = require('../utils/zip');
+
+const prisma = new PrismaClient();
+
+// Schémas de validation
+const exportSchema = Joi.object({
+  format: Joi.string().valid('json', 'zip').default('json')
+});
+
+const LISEZMOI = 'Export des données personnelles détenues par Cynova.\n\n'
+  + 'Chaque fichier JSON correspond à une catégorie de données :\n'
+  + '- profil.json : informations du compte\n'
+  + '- adresses.json : adresses enregistrées\n'
+  + '- profilBeaute.json : type de peau et de cheveux, allergies, ingrédients évités\n'
+  + '- consentements.json : vérification email et newsletter\n'
+  + '- connexions.json : historique des connexions\n'
+  + '- sessions.json : sessions ouvertes\n'
+  + '- achats.json : produits achetés et lots correspondants\n'
+  + '- notifications.json : notifications reçues\n'
+  + '- demandesRgpd.json : demandes d\'accès et d\'effacement\n';
+
+// Contrôleurs
+const rgpdController = {
+  // Exporter les données personnelles d'un utilisateur (droit d'accès)
+  async exportUtilisateur(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { error, value } = exportSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      // La demande figure elle-même dans l'export
+      const existe = await prisma.utilisateur.findUnique({ where: { id }, select: { id: true } });
+      if (!existe) {
+        return res.status(404).json({ error: 'Utilisateur non trouvé' });
+      }
+
+      await rgpdService.recordRequest({
+        utilisateurId: id,
+        type: 'EXPORT',
+        demandeurId: req.user.id,
+        format: value.format,
+        ip: req.ip
+      });
+
+      const donnees = await rgpdService.collectPersonalData(id);
+      const nomFichier = `cynova-donnees-${id}`;
+
+      if (value.format === 'zip') {
+        const { exporteLe, ...sections } = donnees;
+        const fichiers = Object.entries(sections).map(([section, contenu]) => ({
+          name: `${section}.json`,
+          content: JSON.stringify(contenu, null, 2)
+        }));
+        fichiers.push({ name: 'LISEZMOI.txt', content: `${LISEZMOI}\nExporté le ${exporteLe}\n` });
+
+        res.set('Content-Type', 'application/zip');
+        res.set('Content-Disposition', `attachment; filename="${nomFichier}.zip"`);
+        return res.send(createZip(fichiers));
+      }
+
+      res.set('Content-Disposition', `attachment; filename="${nomFichier}.json"`);
+      res.json(donnees);
+    } catch (error) {
+      console.error('Erreur exportUtilisateur:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Anonymiser un utilisateur (droit à l'effacement) sans supprimer ses commandes
+  async anonymiseUtilisateur(req, res) {
+    try {
+      const { id } = req.params;
+
+      const utilisateur = await prisma.utilisateur.findUnique({ where: { id } });
+      if (!utilisateur) {
+        return res.status(404).json({ error: 'Utilisateur non trouvé' });
+      }
+
+      if (utilisateur.anonymiseLe) {
+        return res.status(409).json({ error: 'Utilisateur déjà anonymisé' });
+      }
+
+      await rgpdService.anonymiseUtilisateur(id);
+      await rgpdService.recordRequest({
+        utilisateurId: id,
+        type: 'ANONYMISATION',
+        demandeurId: req.user.id,
+        ip: req.ip
+      });
+
+      res.json({ message: 'Données personnelles anonymisées avec succès' });
+    } catch (error) {
+      console.error('Erreur anonymiseUtilisateur:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = rgpdController;
@@ -0,0 +1,90 @@
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+const { forcerScore } = require('../services/scoreService');
+
+const prisma = new PrismaClient();
+
+// Schémas de validation
+const forcageSchema = Joi.object({
+  score: Joi.number().integer().min(0).max(100).allow(null).required(),
+  motif: Joi.string().min(5).max(300).required()
+});
+
+// Score renvoyé par l'API : score effectif, calculé, forcé, détail et historique des forçages
+const formatScore = (produit, forcages) => ({
+  effectif: produit.yukaScore,
+  calcule: produit.scoreCalcule,
+  manuel: produit.scoreManuel,
+  detail: produit.scoreDetail ? JSON.parse(produit.scoreDetail) : [],
+  forcages: forcages.map(({ id, ancienScore, nouveauScore, motif, auteurId, createdAt }) => ({
+    id,
+    ancienScore,
+    nouveauScore,
+    motif,
+    auteurId,
+    createdAt
+  }))
+});
+
+const getForcages = (produitId) => prisma.forcageScore.findMany({
+  where: { produitId },
+  orderBy: { createdAt: 'desc' }
+});
+
+// Contrôleurs
+const scoreController = {
+  // Récupérer le score d'un produit et son détail
+  async getScore(req, res) {
+    try {
+      const { id } = req.params;
+
+      const produit = await prisma.produit.findUnique({ where: { id } });
+      if (!produit) {
+        return res.status(404).json({ error: 'Produit non trouvé' });
+      }
+
+      res.json({ score: formatScore(produit, await getForcages(id)) });
+    } catch (error) {
+      console.error('Erreur getScore:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Forcer le score d'un produit (null pour revenir au score calculé), avec un motif tracé
+  async updateScore(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { error, value } = forcageSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const produit = await prisma.produit.findUnique({ where: { id } });
+      if (!produit) {
+        return res.status(404).json({ error: 'Produit non trouvé' });
+      }
+
+      const produitMisAJour = await forcerScore(produit, { ...value, auteurId: req.user.id });
+
+      res.json({
+        message: value.score === null ? 'Score calculé rétabli' : 'Score forcé avec succès',
+        score: formatScore(produitMisAJour, await getForcages(id))
+      });
+    } catch (error) {
+      console.error('Erreur updateScore:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = scoreController;
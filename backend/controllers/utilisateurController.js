@@ -1,17 +1,34 @@
 const { PrismaClient } = require('@prisma/client');
 const Joi = require('joi');
 const bcrypt = require('bcrypt');
+const tokenService = require('../services/tokenService');
+const { createOneTimeToken, consumeOneTimeToken } = require('../services/oneTimeTokenService');
+const { sendMail } = require('../services/mailer');
+const newsletterService = require('../services/newsletterService');
+const loginGuard = require('../services/loginGuard');
+const rgpdService = require('../services/rgpdService');
+const adresseService = require('../services/adresseService');
+const { can } = require('../middleware/authorize');
 
 const prisma = new PrismaClient();
 
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+const EMAIL_VERIFICATION_TTL_MINUTES = parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES || String(48 * 60));
+const NEWSLETTER_CONFIRMATION_TTL_MINUTES = parseInt(process.env.NEWSLETTER_CONFIRMATION_TTL_MINUTES || String(7 * 24 * 60));
+
+// Comparé au mot de passe saisi pour un email inconnu : la réponse prend le même temps
+// que pour un compte existant et ne révèle pas les adresses inscrites
+const HASH_FACTICE = bcrypt.hashSync('cynova-compte-inconnu', 10);
+
 // Schémas de validation
 const utilisateurSchema = Joi.object({
   email: Joi.string().email().required(),
   motDePasse: Joi.string().min(8).required(),
   nom: Joi.string().max(100).optional(),
   prenom: Joi.string().max(100).optional(),
-  role: Joi.string().valid('ADMIN', 'USER').default('USER'),
-  adresse: Joi.string().max(200).optional(),
+  role: Joi.string().valid('ADMIN', 'USER', 'EDITOR', 'STOCK_MANAGER').default('USER'),
+  adresse: Joi.string().max(200).optional(), // Obsolète : préférer /:id/adresses
   telephone: Joi.string().max(20).optional(),
   newsletter: Joi.boolean().default(false)
 });
@@ -21,12 +38,43 @@ const updateUtilisateurSchema = Joi.object({
   motDePasse: Joi.string().min(8).optional(),
   nom: Joi.string().max(100).optional(),
   prenom: Joi.string().max(100).optional(),
-  role: Joi.string().valid('ADMIN', 'USER').optional(),
-  adresse: Joi.string().max(200).optional(),
+  role: Joi.string().valid('ADMIN', 'USER', 'EDITOR', 'STOCK_MANAGER').optional(),
+  adresse: Joi.string().max(200).optional(), // Obsolète : préférer /:id/adresses
   telephone: Joi.string().max(20).optional(),
   newsletter: Joi.boolean().optional()
 });
 
+const emailSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  motDePasse: Joi.string().min(8).required()
+});
+
+const tokenSchema = Joi.object({
+  token: Joi.string().required()
+});
+
+// Envoie le lien de vérification de l'adresse email
+async function sendEmailVerification(utilisateur) {
+  const token = await createOneTimeToken(utilisateur.id, 'VERIFICATION_EMAIL', EMAIL_VERIFICATION_TTL_MINUTES);
+
+  await sendMail({
+    to: utilisateur.email,
+    subject: 'Vérifiez votre adresse email Cynova',
+    text: 'Bienvenue chez Cynova !\n\n'
+      + `Pour activer votre compte, confirmez votre adresse email en ouvrant ce lien :\n${FRONTEND_URL}/verification-email?token=${token}`
+  });
+}
+
+// Démarre le double opt-in : la newsletter n'est activée qu'après confirmation
+async function requestNewsletterConsent(utilisateur) {
+  const token = await createOneTimeToken(utilisateur.id, 'CONFIRMATION_NEWSLETTER', NEWSLETTER_CONFIRMATION_TTL_MINUTES);
+  await newsletterService.sendNewsletterConfirmation(utilisateur, token);
+}
+
 // Contrôleurs
 const utilisateurController = {
   // Récupérer tous les utilisateurs (admin seulement)
@@ -36,7 +84,13 @@ const utilisateurController = {
       
       const where = {};
       if (role) where.role = role;
-      if (newsletter !== undefined) where.newsletter = newsletter === 'true';
+      if (newsletter === 'true') {
+        // Seuls les abonnés ayant confirmé leur consentement
+        where.newsletter = true;
+        where.newsletterConsentementLe = { not: null };
+      } else if (newsletter !== undefined) {
+        where.newsletter = false;
+      }
 
       const skip = (parseInt(page) - 1) * parseInt(limit);
       
@@ -55,6 +109,7 @@ const utilisateurController = {
             adresse: true,
             telephone: true,
             newsletter: true,
+            emailVerifie: true,
             createdAt: true,
             updatedAt: true
             // Ne pas inclure motDePasse pour la sécurité
@@ -101,6 +156,7 @@ const utilisateurController = {
           adresse: true,
           telephone: true,
           newsletter: true,
+          emailVerifie: true,
           createdAt: true,
           updatedAt: true
           // Ne pas inclure motDePasse pour la sécurité
@@ -133,6 +189,11 @@ const utilisateurController = {
         });
       }
 
+      // Seul un administrateur peut créer un compte avec un rôle élevé
+      if (value.role !== 'USER' && !can(req.user, 'utilisateurs:roles')) {
+        return res.status(403).json({ error: 'Seul un administrateur peut attribuer un rôle' });
+      }
+
       // Vérifier si l'email existe déjà
       const existingUser = await prisma.utilisateur.findUnique({
         where: { email: value.email }
@@ -146,9 +207,12 @@ const utilisateurController = {
       const saltRounds = 10;
       const hashedPassword = await bcrypt.hash(value.motDePasse, saltRounds);
 
+      // La newsletter n'est jamais activée directement : elle passe par le double opt-in
+      const { newsletter, ...data } = value;
+
       const utilisateur = await prisma.utilisateur.create({ 
         data: {
-          ...value,
+          ...data,
           motDePasse: hashedPassword
         },
         select: {
@@ -160,14 +224,41 @@ const utilisateurController = {
           adresse: true,
           telephone: true,
           newsletter: true,
+          emailVerifie: true,
           createdAt: true,
           updatedAt: true
         }
       });
       
+      // Une adresse texte exploitable rejoint directement le carnet d'adresses
+      if (data.adresse && await adresseService.importLegacyAdresse(utilisateur, data.adresse)) {
+        utilisateur.adresse = null;
+      }
+
+      // Le compte est créé même si l'envoi échoue : le lien de vérification peut être redemandé
+      let emailVerificationEnvoye = true;
+      try {
+        await sendEmailVerification(utilisateur);
+      } catch (error) {
+        console.error('Erreur envoi email de vérification:', error);
+        emailVerificationEnvoye = false;
+      }
+
+      let confirmationNewsletterEnvoyee = newsletter;
+      if (newsletter) {
+        try {
+          await requestNewsletterConsent(utilisateur);
+        } catch (error) {
+          console.error('Erreur envoi confirmation newsletter:', error);
+          confirmationNewsletterEnvoyee = false;
+        }
+      }
+
       res.status(201).json({
         message: 'Utilisateur créé avec succès',
-        utilisateur
+        utilisateur,
+        emailVerificationEnvoye,
+        confirmationNewsletterEnvoyee
       });
     } catch (error) {
       console.error('Erreur createUtilisateur:', error);
@@ -207,13 +298,32 @@ const utilisateurController = {
         return res.status(404).json({ error: 'Utilisateur non trouvé' });
       }
 
+      // Empêcher un utilisateur de modifier son propre rôle (ou celui d'un autre)
+      if (value.role && value.role !== existingUtilisateur.role && !can(req.user, 'utilisateurs:roles')) {
+        return res.status(403).json({ error: 'Seul un administrateur peut modifier le rôle' });
+      }
+
       // Si un nouveau mot de passe est fourni, le hasher
-      let updateData = { ...value };
+      const { newsletter, ...updateData } = value;
       if (value.motDePasse) {
         const saltRounds = 10;
         updateData.motDePasse = await bcrypt.hash(value.motDePasse, saltRounds);
       }
 
+      // Une nouvelle adresse doit être vérifiée à son tour
+      const emailModifie = value.email && value.email !== existingUtilisateur.email;
+      if (emailModifie) {
+        updateData.emailVerifie = false;
+        updateData.emailVerifieLe = null;
+      }
+
+      // Désinscription immédiate ; l'inscription passe par le double opt-in
+      if (newsletter === false && existingUtilisateur.newsletter) {
+        updateData.newsletter = false;
+        updateData.newsletterDesinscritLe = new Date();
+      }
+      const confirmationNewsletter = newsletter === true && !existingUtilisateur.newsletter;
+
       const utilisateur = await prisma.utilisateur.update({ 
         where: { id }, 
         data: updateData,
@@ -226,14 +336,32 @@ const utilisateurController = {
           adresse: true,
           telephone: true,
           newsletter: true,
+          emailVerifie: true,
           createdAt: true,
           updatedAt: true
         }
       });
 
+      if (updateData.adresse && await adresseService.importLegacyAdresse(utilisateur, updateData.adresse)) {
+        utilisateur.adresse = null;
+      }
+
+      // Déconnecter toutes les sessions ouvertes avec l'ancien mot de passe
+      if (value.motDePasse) {
+        await tokenService.revokeAllSessions(id);
+      }
+
+      if (emailModifie) {
+        await sendEmailVerification(utilisateur);
+      }
+      if (confirmationNewsletter) {
+        await requestNewsletterConsent(utilisateur);
+      }
+
       res.json({
         message: 'Utilisateur mis à jour avec succès',
-        utilisateur
+        utilisateur,
+        confirmationNewsletterEnvoyee: confirmationNewsletter
       });
     } catch (error) {
       console.error('Erreur updateUtilisateur:', error);
@@ -260,6 +388,12 @@ const utilisateurController = {
       }
 
       await prisma.utilisateur.delete({ where: { id } });
+      await rgpdService.recordRequest({
+        utilisateurId: id,
+        type: 'SUPPRESSION',
+        demandeurId: req.user.id,
+        ip: req.ip
+      });
 
       res.json({ message: 'Utilisateur supprimé avec succès' });
     } catch (error) {
@@ -286,22 +420,66 @@ const utilisateurController = {
       });
 
       if (!utilisateur) {
+        await bcrypt.compare(motDePasse, HASH_FACTICE);
         return res.status(401).json({ error: 'Email ou mot de passe incorrect' });
       }
 
+      const meta = { ip: req.ip, userAgent: req.get('User-Agent') };
+
+      // Compte verrouillé ou délai progressif en cours
+      const verification = loginGuard.checkLoginAllowed(utilisateur);
+      if (!verification.allowed) {
+        await loginGuard.recordAttempt(utilisateur, meta, false, verification.reason);
+        const { status, body } = loginGuard.blockedResponse(verification);
+        res.set('Retry-After', String(verification.retryAfter));
+        return res.status(status).json(body);
+      }
+
       // Vérifier le mot de passe
       const passwordMatch = await bcrypt.compare(motDePasse, utilisateur.motDePasse);
 
       if (!passwordMatch) {
+        await loginGuard.recordFailure(utilisateur, meta);
         return res.status(401).json({ error: 'Email ou mot de passe incorrect' });
       }
 
-      // Retourner les informations utilisateur (sans mot de passe)
-      const { motDePasse: _, ...userInfo } = utilisateur;
+      if (!utilisateur.emailVerifie) {
+        await loginGuard.recordAttempt(utilisateur, meta, false, 'email non vérifié');
+        return res.status(403).json({ error: 'Adresse email non vérifiée' });
+      }
+
+      // Seconde étape : code TOTP (les compteurs ne sont remis à zéro qu'après le code)
+      if (utilisateur.totpActif) {
+        await loginGuard.recordAttempt(utilisateur, meta, false, 'second facteur requis');
+        return res.json({
+          message: 'Code de vérification requis',
+          deuxFacteursRequis: true,
+          challengeToken: tokenService.signChallengeToken(utilisateur, '2fa')
+        });
+      }
+
+      // La double authentification est obligatoire pour les administrateurs
+      if (utilisateur.role === 'ADMIN') {
+        await loginGuard.recordAttempt(utilisateur, meta, false, 'enrôlement 2FA requis');
+        return res.json({
+          message: 'La double authentification est obligatoire pour les administrateurs',
+          enrolement2faRequis: true,
+          challengeToken: tokenService.signChallengeToken(utilisateur, '2fa-enrolement')
+        });
+      }
+
+      await loginGuard.recordSuccess(utilisateur, meta);
+
+      // Ouvrir une session : jeton d'accès + refresh token
+      const { tokens } = await tokenService.createSession(utilisateur, meta);
+
+      // Retourner les informations utilisateur (sans mot de passe ni secret)
+      const { motDePasse: _, totpSecret: __, ...userInfo } = utilisateur;
 
       res.json({
         message: 'Connexion réussie',
-        utilisateur: userInfo
+        utilisateur: userInfo,
+        ...tokens
       });
     } catch (error) {
       console.error('Erreur login:', error);
@@ -312,6 +490,382 @@ const utilisateurController = {
     }
   },
 
+  // Renouveler les jetons à partir d'un refresh token
+  async refresh(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({ error: 'Refresh token requis' });
+      }
+
+      const { tokens } = await tokenService.rotateSession(refreshToken, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.json({
+        message: 'Session renouvelée',
+        ...tokens
+      });
+    } catch (error) {
+      if (error.name === 'UnauthorizedError') {
+        return res.status(401).json({ error: 'Refresh token invalide ou expiré' });
+      }
+
+      console.error('Erreur refresh:', error);
+      res.status(500).json({ 
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined 
+      });
+    }
+  },
+
+  // Déconnexion : révoque le refresh token
+  async logout(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({ error: 'Refresh token requis' });
+      }
+
+      await tokenService.revokeSession(refreshToken);
+
+      res.json({ message: 'Déconnexion réussie' });
+    } catch (error) {
+      console.error('Erreur logout:', error);
+      res.status(500).json({ 
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined 
+      });
+    }
+  },
+
+  // Demander un lien de réinitialisation du mot de passe
+  async forgotPassword(req, res) {
+    try {
+      const { error, value } = emailSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ 
+          error: 'Données invalides', 
+          details: error.details.map(d => d.message) 
+        });
+      }
+
+      const utilisateur = await prisma.utilisateur.findUnique({
+        where: { email: value.email }
+      });
+
+      if (utilisateur) {
+        const token = await createOneTimeToken(
+          utilisateur.id,
+          'REINITIALISATION_MOT_DE_PASSE',
+          PASSWORD_RESET_TTL_MINUTES
+        );
+        const lien = `${FRONTEND_URL}/reinitialisation-mot-de-passe?token=${token}`;
+
+        await sendMail({
+          to: utilisateur.email,
+          subject: 'Réinitialisation de votre mot de passe Cynova',
+          text: `Bonjour${utilisateur.prenom ? ` ${utilisateur.prenom}` : ''},\n\n`
+            + `Pour choisir un nouveau mot de passe, ouvrez ce lien (valable ${PASSWORD_RESET_TTL_MINUTES} minutes) :\n${lien}\n\n`
+            + 'Si vous n\'êtes pas à l\'origine de cette demande, ignorez simplement cet email.'
+        });
+      }
+
+      // Même réponse que le compte existe ou non, pour ne pas divulguer les emails inscrits
+      res.json({ message: 'Si un compte existe pour cet email, un lien de réinitialisation a été envoyé' });
+    } catch (error) {
+      console.error('Erreur forgotPassword:', error);
+      res.status(500).json({ 
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined 
+      });
+    }
+  },
+
+  // Définir un nouveau mot de passe à partir du lien reçu par email
+  async resetPassword(req, res) {
+    try {
+      const { error, value } = resetPasswordSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ 
+          error: 'Données invalides', 
+          details: error.details.map(d => d.message) 
+        });
+      }
+
+      const jeton = await consumeOneTimeToken(value.token, 'REINITIALISATION_MOT_DE_PASSE');
+      if (!jeton) {
+        return res.status(400).json({ error: 'Lien de réinitialisation invalide ou expiré' });
+      }
+
+      // Le nouveau mot de passe lève aussi le délai et le verrouillage dus aux échecs de connexion
+      const saltRounds = 10;
+      await prisma.utilisateur.update({
+        where: { id: jeton.utilisateurId },
+        data: {
+          motDePasse: await bcrypt.hash(value.motDePasse, saltRounds),
+          tentativesEchouees: 0,
+          prochaineTentativeLe: null,
+          verrouilleJusquA: null
+        }
+      });
+
+      // Déconnecter toutes les sessions ouvertes avec l'ancien mot de passe
+      await tokenService.revokeAllSessions(jeton.utilisateurId);
+
+      res.json({ message: 'Mot de passe réinitialisé avec succès' });
+    } catch (error) {
+      console.error('Erreur resetPassword:', error);
+      res.status(500).json({ 
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined 
+      });
+    }
+  },
+
+  // Vérifier l'adresse email à partir du lien reçu
+  async verifyEmail(req, res) {
+    try {
+      const { error, value } = tokenSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ 
+          error: 'Données invalides', 
+          details: error.details.map(d => d.message) 
+        });
+      }
+
+      const jeton = await consumeOneTimeToken(value.token, 'VERIFICATION_EMAIL');
+      if (!jeton) {
+        return res.status(400).json({ error: 'Lien de vérification invalide ou expiré' });
+      }
+
+      await prisma.utilisateur.update({
+        where: { id: jeton.utilisateurId },
+        data: { emailVerifie: true, emailVerifieLe: new Date() }
+      });
+
+      res.json({ message: 'Adresse email vérifiée avec succès' });
+    } catch (error) {
+      console.error('Erreur verifyEmail:', error);
+      res.status(500).json({ 
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined 
+      });
+    }
+  },
+
+  // Renvoyer le lien de vérification
+  async resendEmailVerification(req, res) {
+    try {
+      const { error, value } = emailSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ 
+          error: 'Données invalides', 
+          details: error.details.map(d => d.message) 
+        });
+      }
+
+      const utilisateur = await prisma.utilisateur.findUnique({
+        where: { email: value.email }
+      });
+
+      if (utilisateur && !utilisateur.emailVerifie) {
+        await sendEmailVerification(utilisateur);
+      }
+
+      res.json({ message: 'Si un compte non vérifié existe pour cet email, un nouveau lien a été envoyé' });
+    } catch (error) {
+      console.error('Erreur resendEmailVerification:', error);
+      res.status(500).json({ 
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined 
+      });
+    }
+  },
+
+  // Confirmer l'inscription à la newsletter (double opt-in)
+  async confirmNewsletter(req, res) {
+    try {
+      const { error, value } = tokenSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ 
+          error: 'Données invalides', 
+          details: error.details.map(d => d.message) 
+        });
+      }
+
+      const jeton = await consumeOneTimeToken(value.token, 'CONFIRMATION_NEWSLETTER');
+      if (!jeton) {
+        return res.status(400).json({ error: 'Lien de confirmation invalide ou expiré' });
+      }
+
+      // Preuve du consentement : date et IP de la confirmation
+      await prisma.utilisateur.update({
+        where: { id: jeton.utilisateurId },
+        data: {
+          newsletter: true,
+          newsletterConsentementLe: new Date(),
+          newsletterConsentementIp: req.ip,
+          newsletterDesinscritLe: null
+        }
+      });
+
+      res.json({ message: 'Inscription à la newsletter confirmée' });
+    } catch (error) {
+      console.error('Erreur confirmNewsletter:', error);
+      res.status(500).json({ 
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined 
+      });
+    }
+  },
+
+  // Page de confirmation ouverte depuis le lien signé de l'email ; ne désinscrit pas
+  async showUnsubscribeNewsletter(req, res) {
+    try {
+      const { uid, sig } = req.query;
+
+      if (!newsletterService.verifyUnsubscribe(uid, sig)) {
+        return res.status(400).json({ error: 'Lien de désinscription invalide' });
+      }
+
+      res.type('html').send(newsletterService.renderUnsubscribePage(uid));
+    } catch (error) {
+      console.error('Erreur showUnsubscribeNewsletter:', error);
+      res.status(500).json({ 
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined 
+      });
+    }
+  },
+
+  // Désinscription en un clic via le lien signé (bouton de la page ou client mail selon RFC 8058)
+  async unsubscribeNewsletter(req, res) {
+    try {
+      const { uid, sig } = req.query;
+
+      if (!newsletterService.verifyUnsubscribe(uid, sig)) {
+        return res.status(400).json({ error: 'Lien de désinscription invalide' });
+      }
+
+      await prisma.utilisateur.updateMany({
+        where: { id: uid, newsletter: true },
+        data: { newsletter: false, newsletterDesinscritLe: new Date() }
+      });
+
+      res.json({ message: 'Vous êtes désinscrit de la newsletter' });
+    } catch (error) {
+      console.error('Erreur unsubscribeNewsletter:', error);
+      res.status(500).json({ 
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined 
+      });
+    }
+  },
+
+  // Récupérer l'utilisateur authentifié
+  async getMe(req, res) {
+    try {
+      const utilisateur = await prisma.utilisateur.findUnique({
+        where: { id: req.user.id },
+        select: {
+          id: true,
+          email: true,
+          nom: true,
+          prenom: true,
+          role: true,
+          adresse: true,
+          telephone: true,
+          newsletter: true,
+          emailVerifie: true,
+          createdAt: true,
+          updatedAt: true
+        }
+      });
+
+      if (!utilisateur) {
+        return res.status(404).json({ error: 'Utilisateur non trouvé' });
+      }
+
+      res.json(utilisateur);
+    } catch (error) {
+      console.error('Erreur getMe:', error);
+      res.status(500).json({ 
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined 
+      });
+    }
+  },
+
+  // Déverrouiller un compte (admin)
+  async unlockUtilisateur(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existingUtilisateur = await prisma.utilisateur.findUnique({ where: { id } });
+      if (!existingUtilisateur) {
+        return res.status(404).json({ error: 'Utilisateur non trouvé' });
+      }
+
+      await loginGuard.unlock(id);
+
+      res.json({ message: 'Compte déverrouillé avec succès' });
+    } catch (error) {
+      console.error('Erreur unlockUtilisateur:', error);
+      res.status(500).json({ 
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined 
+      });
+    }
+  },
+
+  // Historique des connexions d'un utilisateur
+  async getLoginHistory(req, res) {
+    try {
+      const { id } = req.params;
+      const { page = 1, limit = 20 } = req.query;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [connexions, total] = await Promise.all([
+        prisma.historiqueConnexion.findMany({
+          where: { utilisateurId: id },
+          skip,
+          take: parseInt(limit),
+          orderBy: { createdAt: 'desc' },
+          select: {
+            id: true,
+            succes: true,
+            motif: true,
+            ip: true,
+            userAgent: true,
+            createdAt: true
+          }
+        }),
+        prisma.historiqueConnexion.count({ where: { utilisateurId: id } })
+      ]);
+
+      res.json({
+        connexions,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      });
+    } catch (error) {
+      console.error('Erreur getLoginHistory:', error);
+      res.status(500).json({ 
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined 
+      });
+    }
+  },
+
   // Rechercher des utilisateurs
   async searchUtilisateurs(req, res) {
     try {
@@ -328,7 +882,12 @@ const utilisateurController = {
       }
       
       if (role) where.role = role;
-      if (newsletter !== undefined) where.newsletter = newsletter === 'true';
+      if (newsletter === 'true') {
+        where.newsletter = true;
+        where.newsletterConsentementLe = { not: null };
+      } else if (newsletter !== undefined) {
+        where.newsletter = false;
+      }
 
       const utilisateurs = await prisma.utilisateur.findMany({
         where,
@@ -342,6 +901,7 @@ const utilisateurController = {
           adresse: true,
           telephone: true,
           newsletter: true,
+          emailVerifie: true,
           createdAt: true,
           updatedAt: true
         }
@@ -0,0 +1,224 @@
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+const { can } = require('../middleware/authorize');
+const { isEanValide } = require('../utils/ean');
+const {
+  appliquerMouvement,
+  suivreMouvement,
+  surveillerChangementSeuil,
+  ajusterStock,
+  mettreAJourDisponibilite
+} = require('../services/stockService');
+const { formatVariante } = require('../services/produitService');
+
+const prisma = new PrismaClient();
+
+// Schémas de validation
+const varianteSchema = Joi.object({
+  nom: Joi.string().max(50).required(),
+  sku: Joi.string().trim().uppercase().pattern(/^[A-Z0-9-]+$/).max(40).required(),
+  ean: Joi.string().trim().optional(),
+  contenance: Joi.number().positive().optional(),
+  uniteContenance: Joi.string().valid('ml', 'g').optional(),
+  prix: Joi.number().positive().precision(2).required(),
+  coutEmballage: Joi.number().min(0).precision(4).optional(),
+  stock: Joi.number().integer().min(0).default(0),
+  seuilAlerte: Joi.number().integer().min(0).optional(),
+  actif: Joi.boolean().default(true),
+  ordre: Joi.number().integer().min(0).default(0)
+});
+
+const updateVarianteSchema = Joi.object({
+  nom: Joi.string().max(50).optional(),
+  sku: Joi.string().trim().uppercase().pattern(/^[A-Z0-9-]+$/).max(40).optional(),
+  ean: Joi.string().trim().allow(null).optional(),
+  contenance: Joi.number().positive().allow(null).optional(),
+  uniteContenance: Joi.string().valid('ml', 'g').allow(null).optional(),
+  prix: Joi.number().positive().precision(2).optional(),
+  coutEmballage: Joi.number().min(0).precision(4).allow(null).optional(),
+  stock: Joi.number().integer().min(0).optional(),
+  seuilAlerte: Joi.number().integer().min(0).allow(null).optional(),
+  actif: Joi.boolean().optional(),
+  ordre: Joi.number().integer().min(0).optional()
+});
+
+// Retrouve une variante appartenant au produit de la route
+const findVariante = (produitId, varianteId) => prisma.variante.findFirst({
+  where: { id: varianteId, produitId }
+});
+
+// Message d'erreur si le SKU ou l'EAN est déjà attribué à une autre variante
+async function checkUnicite({ sku, ean }, varianteId = null) {
+  const autre = { NOT: { id: varianteId ?? '' } };
+
+  if (sku && await prisma.variante.findFirst({ where: { sku, ...autre } })) {
+    return 'SKU déjà attribué à une autre variante';
+  }
+  if (ean && await prisma.variante.findFirst({ where: { ean, ...autre } })) {
+    return 'Code EAN déjà attribué à une autre variante';
+  }
+  return null;
+}
+
+// Contrôleurs
+const varianteController = {
+  // Ajouter une variante à un produit
+  async createVariante(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { error, value } = varianteSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      if (value.ean && !isEanValide(value.ean)) {
+        return res.status(400).json({ error: 'Code EAN invalide' });
+      }
+
+      const produit = await prisma.produit.findUnique({ where: { id }, select: { id: true } });
+      if (!produit) {
+        return res.status(404).json({ error: 'Produit non trouvé' });
+      }
+
+      const doublon = await checkUnicite(value);
+      if (doublon) {
+        return res.status(409).json({ error: doublon });
+      }
+
+      const { stock, ...data } = value;
+      // La variante et son mouvement de stock initial sont écrits ensemble
+      const { varianteId, stockInitial } = await prisma.$transaction(async (tx) => {
+        const { id: varianteId } = await tx.variante.create({ data: { ...data, produitId: id } });
+        const stockInitial = await appliquerMouvement(tx, {
+          produitId: id,
+          varianteId,
+          type: 'AJUSTEMENT',
+          stockCible: stock,
+          motif: 'Stock initial',
+          utilisateurId: req.user.id
+        });
+        return { varianteId, stockInitial };
+      });
+      await suivreMouvement(stockInitial);
+      await mettreAJourDisponibilite(id);
+
+      const variante = await prisma.variante.findUnique({ where: { id: varianteId } });
+
+      res.status(201).json({
+        message: 'Variante créée avec succès',
+        variante: formatVariante(variante)
+      });
+    } catch (error) {
+      console.error('Erreur createVariante:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Modifier une variante
+  async updateVariante(req, res) {
+    try {
+      const { id, varianteId } = req.params;
+
+      const { error, value } = updateVarianteSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      // Un gestionnaire de stock ne peut modifier que le stock et le seuil de réassort
+      if (!can(req.user, 'produits:write') && Object.keys(value).some(champ => !['stock', 'seuilAlerte'].includes(champ))) {
+        return res.status(403).json({ error: 'Seuls le stock et le seuil de réassort peuvent être modifiés avec ce rôle' });
+      }
+
+      if (value.ean && !isEanValide(value.ean)) {
+        return res.status(400).json({ error: 'Code EAN invalide' });
+      }
+
+      const existante = await findVariante(id, varianteId);
+      if (!existante) {
+        return res.status(404).json({ error: 'Variante non trouvée' });
+      }
+
+      const doublon = await checkUnicite(value, varianteId);
+      if (doublon) {
+        return res.status(409).json({ error: doublon });
+      }
+
+      const { stock, ...data } = value;
+
+      // Le stock saisi est tracé comme un ajustement ; s'il est refusé, la variante reste inchangée
+      if (stock !== undefined) {
+        const ajustement = await ajusterStock({ produitId: id, varianteId, stock, utilisateurId: req.user.id });
+        if (ajustement.erreur) {
+          return res.status(409).json({ error: ajustement.erreur });
+        }
+      }
+      await prisma.variante.update({ where: { id: varianteId }, data });
+      await mettreAJourDisponibilite(id);
+
+      // Un seuil relevé peut placer d'emblée la variante sous le niveau de réassort
+      if (data.seuilAlerte !== undefined && data.seuilAlerte !== existante.seuilAlerte) {
+        const produit = await prisma.produit.findUnique({ where: { id }, select: { seuilAlerte: true } });
+        await surveillerChangementSeuil({ produitId: id, varianteId, seuilAvant: existante.seuilAlerte ?? produit.seuilAlerte });
+      }
+
+      const variante = await prisma.variante.findUnique({ where: { id: varianteId } });
+
+      res.json({
+        message: 'Variante mise à jour avec succès',
+        variante: formatVariante(variante)
+      });
+    } catch (error) {
+      console.error('Erreur updateVariante:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Supprimer une variante ; une variante ayant un historique de stock ou des lots est désactivée,
+  // pour conserver le journal et la traçabilité des rappels
+  async deleteVariante(req, res) {
+    try {
+      const { id, varianteId } = req.params;
+
+      const existante = await findVariante(id, varianteId);
+      if (!existante) {
+        return res.status(404).json({ error: 'Variante non trouvée' });
+      }
+
+      const [mouvements, lots] = await Promise.all([
+        prisma.mouvementStock.count({ where: { varianteId } }),
+        prisma.lotProduction.count({ where: { varianteId } })
+      ]);
+      if (mouvements || lots) {
+        await prisma.variante.update({ where: { id: varianteId }, data: { actif: false } });
+        await mettreAJourDisponibilite(id);
+        return res.json({ message: 'Variante désactivée : son historique de stock est conservé', desactivee: true });
+      }
+
+      await prisma.variante.delete({ where: { id: varianteId } });
+      await mettreAJourDisponibilite(id);
+
+      res.json({ message: 'Variante supprimée avec succès' });
+    } catch (error) {
+      console.error('Erreur deleteVariante:', error);
+      res.status(500).json({
+        error: 'Erreur serveur',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+module.exports = varianteController;
@@ -10,7 +10,10 @@ const produitRoutes = require('./routes/produitRoutes');
 const blogRoutes = require('./routes/blogRoutes');
 const utilisateurRoutes = require('./routes/utilisateurRoutes');
 const ingredientRoutes = require('./routes/ingredientRoutes');
+const cleApiRoutes = require('./routes/cleApiRoutes');
+const fournisseurRoutes = require('./routes/fournisseurRoutes');
 const errorHandler = require('./middleware/errorHandler');
+const { DOSSIER_LOCAL, URL_LOCALE } = require('./services/stockage');
 
 const app = express();
 
@@ -38,13 +41,21 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
 // Middleware pour parser le JSON
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Images téléversées (driver de stockage local) : noms uniques, donc cache long ;
+// chargeables depuis le front-end servi sur une autre origine
+app.use(URL_LOCALE, express.static(DOSSIER_LOCAL, {
+  maxAge: '30d',
+  immutable: true,
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
+
 // Routes de base
 app.get('/', (req, res) => {
   res.json({
@@ -57,6 +68,8 @@ app.get('/', (req, res) => {
       blogs: '/api/blogs',
       utilisateurs: '/api/utilisateurs',
       ingredients: '/api/ingredients',
+      clesApi: '/api/cles-api',
+      fournisseurs: '/api/fournisseurs',
       docs: '/api/docs'
     }
   });
@@ -78,6 +91,8 @@ app.use('/api/produits', produitRoutes);
 app.use('/api/blogs', blogRoutes);
 app.use('/api/utilisateurs', utilisateurRoutes);
 app.use('/api/ingredients', ingredientRoutes);
+app.use('/api/cles-api', cleApiRoutes);
+app.use('/api/fournisseurs', fournisseurRoutes);
 
 // Middleware pour routes non trouvées
 app.use('*', (req, res) => {
@@ -89,28 +104,106 @@ app.use('*', (req, res) => {
       'GET /health',
       'GET /api/produits',
       'POST /api/produits',
+      'GET /api/produits/alertes-stock',
+      'GET /api/produits/rentabilite',
       'GET /api/produits/:id',
       'PUT /api/produits/:id',
       'DELETE /api/produits/:id',
+      'POST /api/produits/:id/variantes',
+      'PUT /api/produits/:id/variantes/:varianteId',
+      'DELETE /api/produits/:id/variantes/:varianteId',
+      'POST /api/produits/:id/images',
+      'PUT /api/produits/:id/images/ordre',
+      'PUT /api/produits/:id/images/:imageId',
+      'DELETE /api/produits/:id/images/:imageId',
+      'GET /api/produits/:id/mouvements',
+      'POST /api/produits/:id/mouvements',
+      'POST /api/produits/:id/inventaire',
+      'GET /api/produits/:id/lots',
+      'GET /api/produits/:id/lots/:lotId',
+      'POST /api/produits/:id/lots',
+      'POST /api/produits/:id/production',
+      'GET /api/produits/:id/rentabilite',
       'GET /api/produits/search',
+      'GET /api/produits/recommandations',
+      'GET /api/produits/:id/formule',
+      'PUT /api/produits/:id/formule',
+      'POST /api/produits/:id/formule/echelle',
+      'POST /api/produits/:id/conformite',
+      'GET /api/produits/:id/etiquette',
+      'GET /api/produits/:id/score',
+      'PUT /api/produits/:id/score',
       'GET /api/blogs',
       'POST /api/blogs',
       'GET /api/blogs/:id',
       'PUT /api/blogs/:id',
       'DELETE /api/blogs/:id',
+      'PUT /api/blogs/:id/image',
+      'DELETE /api/blogs/:id/image',
       'GET /api/blogs/search',
       'GET /api/utilisateurs',
       'POST /api/utilisateurs',
       'POST /api/utilisateurs/login',
+      'POST /api/utilisateurs/login/2fa',
+      'POST /api/utilisateurs/2fa/configuration',
+      'POST /api/utilisateurs/2fa/activation',
+      'POST /api/utilisateurs/2fa/desactivation',
+      'POST /api/utilisateurs/2fa/codes-recuperation',
+      'POST /api/utilisateurs/refresh',
+      'POST /api/utilisateurs/logout',
+      'GET /api/utilisateurs/me',
+      'GET /api/utilisateurs/me/notifications',
+      'POST /api/utilisateurs/me/notifications/:notificationId/lue',
+      'POST /api/utilisateurs/password/forgot',
+      'POST /api/utilisateurs/password/reset',
+      'POST /api/utilisateurs/email/verification',
+      'POST /api/utilisateurs/email/verification/renvoi',
+      'POST /api/utilisateurs/newsletter/confirmation',
+      'GET /api/utilisateurs/newsletter/desinscription',
+      'POST /api/utilisateurs/newsletter/desinscription',
       'GET /api/utilisateurs/:id',
       'PUT /api/utilisateurs/:id',
       'DELETE /api/utilisateurs/:id',
+      'GET /api/utilisateurs/:id/connexions',
+      'POST /api/utilisateurs/:id/deverrouiller',
+      'POST /api/utilisateurs/:id/2fa/reinitialiser',
+      'GET /api/utilisateurs/:id/adresses',
+      'POST /api/utilisateurs/:id/adresses',
+      'PUT /api/utilisateurs/:id/adresses/:adresseId',
+      'DELETE /api/utilisateurs/:id/adresses/:adresseId',
+      'GET /api/utilisateurs/:id/profil-beaute',
+      'PUT /api/utilisateurs/:id/profil-beaute',
+      'GET /api/utilisateurs/:id/export',
+      'POST /api/utilisateurs/:id/anonymiser',
       'GET /api/ingredients',
       'POST /api/ingredients',
       'GET /api/ingredients/:id',
       'PUT /api/ingredients/:id',
       'DELETE /api/ingredients/:id',
-      'GET /api/ingredients/search'
+      'GET /api/ingredients/search',
+      'GET /api/ingredients/allergenes',
+      'GET /api/ingredients/incompatibilites',
+      'POST /api/ingredients/incompatibilites',
+      'DELETE /api/ingredients/incompatibilites/:id',
+      'POST /api/ingredients/compatibilite',
+      'GET /api/ingredients/:id/allergenes',
+      'PUT /api/ingredients/:id/allergenes',
+      'GET /api/ingredients/:id/lots',
+      'POST /api/ingredients/:id/lots',
+      'GET /api/ingredients/:id/lots/:numero/rappel',
+      'GET /api/cles-api',
+      'POST /api/cles-api',
+      'DELETE /api/cles-api/:id',
+      'GET /api/fournisseurs',
+      'POST /api/fournisseurs',
+      'GET /api/fournisseurs/:id',
+      'PUT /api/fournisseurs/:id',
+      'DELETE /api/fournisseurs/:id',
+      'GET /api/fournisseurs/commandes',
+      'POST /api/fournisseurs/commandes',
+      'GET /api/fournisseurs/commandes/:commandeId',
+      'POST /api/fournisseurs/commandes/:commandeId/reception',
+      'POST /api/fournisseurs/commandes/:commandeId/annulation'
     ]
   });
 });
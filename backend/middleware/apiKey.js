@@ -0,0 +1,34 @@
+const apiKeyService = require('../services/apiKeyService');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+const METHODES_LECTURE = ['GET', 'HEAD'];
+
+// Authentifie une clé API transmise dans l'en-tête X-API-Key (à placer avant le rate limiting).
+// Les écritures sont contrôlées ensuite par authorize() ; les lectures exigent scopeLecture.
+const apiKeyAuth = (scopeLecture) => async (req, res, next) => {
+  const cle = req.get('X-API-Key');
+  if (!cle) {
+    return next();
+  }
+
+  try {
+    const cleApi = await apiKeyService.findActiveKey(cle);
+    if (!cleApi) {
+      return next(new UnauthorizedError('Clé API invalide, expirée ou révoquée'));
+    }
+
+    req.apiKey = cleApi;
+    req.user = { id: null, email: null, role: null, scopes: cleApi.scopes, cleApiId: cleApi.id };
+
+    if (scopeLecture && METHODES_LECTURE.includes(req.method) && !cleApi.scopes.includes(scopeLecture)) {
+      return next(new ForbiddenError(`Cette clé API ne dispose pas du scope ${scopeLecture}`));
+    }
+
+    await apiKeyService.recordUsage(cleApi, req.ip);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { apiKeyAuth };
@@ -0,0 +1,75 @@
+const { verifyAccessToken, verifyChallengeToken } = require('../services/tokenService');
+const { UnauthorizedError } = require('../utils/errors');
+
+// Extrait le jeton Bearer de l'en-tête Authorization
+const extractBearerToken = (req) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+const toUser = (payload) => ({
+  id: payload.sub,
+  email: payload.email,
+  role: payload.role
+});
+
+// Exige un jeton d'accès valide (ou une clé API déjà vérifiée par apiKeyAuth) et renseigne req.user
+const authenticate = (req, res, next) => {
+  if (req.apiKey) {
+    return next();
+  }
+
+  const token = extractBearerToken(req);
+  if (!token) {
+    return next(new UnauthorizedError('Token d\'authentification manquant'));
+  }
+
+  try {
+    req.user = toUser(verifyAccessToken(token));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Renseigne req.user si un jeton valide est fourni, sans bloquer sinon
+const optionalAuth = (req, res, next) => {
+  if (req.apiKey) {
+    return next();
+  }
+
+  const token = extractBearerToken(req);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    req.user = toUser(verifyAccessToken(token));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accepte un jeton d'accès ou un jeton de challenge du type demandé (ex. enrôlement 2FA obligatoire)
+const authenticateOrChallenge = (purpose) => (req, res, next) => {
+  const token = extractBearerToken(req);
+  if (!token) {
+    return next(new UnauthorizedError('Token d\'authentification manquant'));
+  }
+
+  try {
+    req.user = toUser(verifyAccessToken(token));
+    next();
+  } catch {
+    try {
+      req.user = toUser(verifyChallengeToken(token, purpose));
+      req.challenge = purpose;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = { authenticate, optionalAuth, authenticateOrChallenge };
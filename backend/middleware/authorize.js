@@ -0,0 +1,44 @@
+const policies = require('../config/policies');
+const { permissionScopes } = require('../config/scopes');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+// Vérifie qu'un utilisateur (ou une clé API, via ses scopes) détient une permission
+const can = (user, permission) => {
+  if (!user) return false;
+  const roles = policies[permission];
+  if (!roles) {
+    throw new Error(`Permission inconnue : ${permission}`);
+  }
+  if (user.scopes) {
+    return user.scopes.includes(permissionScopes[permission]);
+  }
+  return roles.includes(user.role);
+};
+
+// Exige au moins une des permissions listées (à placer après authenticate)
+const authorize = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError());
+  }
+
+  if (!permissions.some(permission => can(req.user, permission))) {
+    return next(new ForbiddenError());
+  }
+
+  next();
+};
+
+// Autorise le propriétaire de la ressource (req.params.id) ou un détenteur de la permission
+const authorizeOwnerOr = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError());
+  }
+
+  if (req.user.id === req.params.id || permissions.some(permission => can(req.user, permission))) {
+    return next();
+  }
+
+  next(new ForbiddenError());
+};
+
+module.exports = { can, authorize, authorizeOwnerOr };
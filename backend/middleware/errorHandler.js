@@ -51,6 +51,14 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Erreurs d'autorisation
+  if (err.name === 'ForbiddenError') {
+    return res.status(403).json({
+      error: 'Accès refusé',
+      message: err.message
+    });
+  }
+
   // Erreurs de rate limiting
   if (err.status === 429) {
     return res.status(429).json({
@@ -0,0 +1,18 @@
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+
+const FENETRE_MS = 15 * 60 * 1000; // 15 minutes
+const LIMITE_PAR_IP = 100;
+
+// Rate limiting d'un routeur : quota propre à chaque clé API (req.apiKey), sinon par IP
+const createRateLimiter = () => rateLimit({
+  windowMs: FENETRE_MS,
+  limit: (req) => (req.apiKey ? req.apiKey.limiteRequetes : LIMITE_PAR_IP),
+  keyGenerator: (req) => (req.apiKey ? `cle:${req.apiKey.id}` : ipKeyGenerator(req.ip)),
+  message: {
+    error: 'Trop de requêtes, veuillez réessayer plus tard'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,34 @@
+const multer = require('multer');
+const { typesImage, tailleMaxImage } = require('../config/images');
+
+// Fichiers gardés en mémoire : ils sont vérifiés et convertis avant d'atteindre le stockage
+const uploadEnMemoire = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: tailleMaxImage, files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (!typesImage[file.mimetype]) {
+      return callback(Object.assign(new Error('Format d\'image non pris en charge'), { status: 415 }));
+    }
+    callback(null, true);
+  }
+});
+
+// Téléversement d'une image unique (multipart/form-data, champ `champ`) placée dans req.file
+const uploadImage = (champ = 'image') => (req, res, next) => {
+  uploadEnMemoire.single(champ)(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Image trop volumineuse (${tailleMaxImage / 1024 / 1024} Mo maximum)` });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: 'Téléversement invalide', details: [error.message] });
+    }
+    if (error.status === 415) {
+      return res.status(415).json({ error: error.message });
+    }
+    next(error);
+  });
+};
+
+module.exports = { uploadImage };
@@ -18,7 +18,7 @@ app.get('/api/produits', async (req, res) => {
 app.post('/api/produits', async (req, res) => {
   try {
     const data = req.body;
-    const produit = await prisma.produit.create({ data });
+    const produit = await prisma.produit.create({ data, include: { ingredients: true, bienfaits: true } });
     res.status(201).json(produit);
   } catch (e) {
     res.status(400).json({ error: e.message });
@@ -48,6 +48,11 @@ app.delete('/api/produits/:id', async (req, res) => {
 
 let produitCree;
 
+// Bienfaits liés au produit, créés s'ils n'existent pas encore
+const bienfaits = (noms) => ({
+  connectOrCreate: noms.map(nom => ({ where: { nom }, create: { nom } }))
+});
+
 describe('API Produits - Tests Réalistes', () => {
   it('POST /api/produits crée un shampoing à l\'aloé vera', async () => {
     const res = await request(app)
@@ -57,13 +62,10 @@ describe('API Produits - Tests Réalistes', () => {
         description: 'Shampoing naturel hydratant pour cheveux secs et abîmés',
         prix: 18.50,
         categorie: 'shampoing',
-        ingredientIds: '["ing1", "ing2"]',
-        bienfaits: '["Hydratant", "Apaisant", "Réparateur"]',
-        quantiteIds: '["qty1", "qty2"]',
+        bienfaits: bienfaits(['Hydratant', 'Apaisant', 'Réparateur']),
         yukaScore: 95,
         provenance: 'Maroc',
         stock: 25,
-        blogIds: '["blog1"]',
         imageUrl: 'https://example.com/aloevera-shampoo.jpg',
         actif: true
       });
@@ -84,13 +86,10 @@ describe('API Produits - Tests Réalistes', () => {
         description: 'Savon artisanal au miel bio pour peau sensible',
         prix: 8.90,
         categorie: 'savon',
-        ingredientIds: '["ing3"]',
-        bienfaits: '["Nourrissant", "Antibactérien", "Apaisant"]',
-        quantiteIds: '["qty3"]',
+        bienfaits: bienfaits(['Nourrissant', 'Antibactérien', 'Apaisant']),
         yukaScore: 88,
         provenance: 'France',
         stock: 40,
-        blogIds: '["blog2"]',
         imageUrl: 'https://example.com/honey-soap.jpg',
         actif: true
       });
@@ -164,7 +163,7 @@ describe('API Produits - Tests Réalistes', () => {
     expect(res.status).toBe(201);
     expect(res.body.actif).toBe(true);
     expect(res.body.stock).toBe(15);
-    expect(res.body.ingredientIds).toBe('[]');
-    expect(res.body.bienfaits).toBe('[]');
+    expect(res.body.ingredients).toEqual([]);
+    expect(res.body.bienfaits).toEqual([]);
   });
 }); 
\ No newline at end of file
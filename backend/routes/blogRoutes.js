@@ -1,30 +1,29 @@
 const express = require('express');
-const rateLimit = require('express-rate-limit');
 const blogController = require('../controllers/blogController');
+const imageController = require('../controllers/imageController');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { apiKeyAuth } = require('../middleware/apiKey');
+const { uploadImage } = require('../middleware/upload');
 
 const router = express.Router();
 
-// Rate limiting pour protéger l'API
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limite chaque IP à 100 requêtes par fenêtre
-  message: {
-    error: 'Trop de requêtes, veuillez réessayer plus tard'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-// Appliquer le rate limiting à toutes les routes
-router.use(limiter);
+// Clés API puis rate limiting (quota par clé, sinon par IP)
+router.use(apiKeyAuth('blogs:read'));
+router.use(createRateLimiter());
 
 // Routes pour les blogs
 router.get('/', blogController.getAllBlogs);
 router.get('/search', blogController.searchBlogs);
 router.get('/categorie/:categorie', blogController.getBlogsByCategory);
 router.get('/:id', blogController.getBlogById);
-router.post('/', blogController.createBlog);
-router.put('/:id', blogController.updateBlog);
-router.delete('/:id', blogController.deleteBlog);
+router.post('/', authenticate, authorize('blogs:write'), blogController.createBlog);
+router.put('/:id', authenticate, authorize('blogs:write'), blogController.updateBlog);
+router.delete('/:id', authenticate, authorize('blogs:write'), blogController.deleteBlog);
+
+// Image d'illustration téléversée (multipart, champ « image »)
+router.put('/:id/image', authenticate, authorize('blogs:write'), uploadImage('image'), imageController.updateImageBlog);
+router.delete('/:id/image', authenticate, authorize('blogs:write'), imageController.deleteImageBlog);
 
 module.exports = router; 
\ No newline at end of file
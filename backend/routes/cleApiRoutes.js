@@ -0,0 +1,17 @@
+const express = require('express');
+const cleApiController = require('../controllers/cleApiController');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { createRateLimiter } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Rate limiting pour protéger l'API (gestion réservée aux administrateurs connectés)
+router.use(createRateLimiter());
+
+// Routes pour les clés API
+router.get('/', authenticate, authorize('cles-api:read'), cleApiController.getAllCles);
+router.post('/', authenticate, authorize('cles-api:write'), cleApiController.createCle);
+router.delete('/:id', authenticate, authorize('cles-api:write'), cleApiController.revokeCle);
+
+module.exports = router;
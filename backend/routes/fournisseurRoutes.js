@@ -0,0 +1,27 @@
+const express = require('express');
+const fournisseurController = require('../controllers/fournisseurController');
+const commandeController = require('../controllers/commandeController');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { createRateLimiter } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Rate limiting pour protéger l'API (achats réservés aux comptes connectés)
+router.use(createRateLimiter());
+
+// Bons de commande et réceptions
+router.get('/commandes', authenticate, authorize('fournisseurs:read'), commandeController.getCommandes);
+router.get('/commandes/:commandeId', authenticate, authorize('fournisseurs:read'), commandeController.getCommandeById);
+router.post('/commandes', authenticate, authorize('fournisseurs:write'), commandeController.createCommande);
+router.post('/commandes/:commandeId/reception', authenticate, authorize('fournisseurs:write'), commandeController.receiveCommande);
+router.post('/commandes/:commandeId/annulation', authenticate, authorize('fournisseurs:write'), commandeController.cancelCommande);
+
+// Routes pour les fournisseurs
+router.get('/', authenticate, authorize('fournisseurs:read'), fournisseurController.getAllFournisseurs);
+router.get('/:id', authenticate, authorize('fournisseurs:read'), fournisseurController.getFournisseurById);
+router.post('/', authenticate, authorize('fournisseurs:write'), fournisseurController.createFournisseur);
+router.put('/:id', authenticate, authorize('fournisseurs:write'), fournisseurController.updateFournisseur);
+router.delete('/:id', authenticate, authorize('fournisseurs:write'), fournisseurController.deleteFournisseur);
+
+module.exports = router;
@@ -1,31 +1,44 @@
 const express = require('express');
-const rateLimit = require('express-rate-limit');
 const ingredientController = require('../controllers/ingredientController');
+const allergeneController = require('../controllers/allergeneController');
+const interactionController = require('../controllers/interactionController');
+const lotController = require('../controllers/lotController');
+const lotIngredientController = require('../controllers/lotIngredientController');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { apiKeyAuth } = require('../middleware/apiKey');
 
 const router = express.Router();
 
-// Rate limiting pour protéger l'API
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limite chaque IP à 100 requêtes par fenêtre
-  message: {
-    error: 'Trop de requêtes, veuillez réessayer plus tard'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-// Appliquer le rate limiting à toutes les routes
-router.use(limiter);
+// Clés API puis rate limiting (quota par clé, sinon par IP)
+router.use(apiKeyAuth('ingredients:read'));
+router.use(createRateLimiter());
 
 // Routes pour les ingrédients
 router.get('/', ingredientController.getAllIngredients);
 router.get('/search', ingredientController.searchIngredients);
 router.get('/origine/:origine', ingredientController.getIngredientsByOrigin);
 router.get('/bio', ingredientController.getBioIngredients);
+router.get('/allergenes', allergeneController.getAllergenes);
+router.get('/incompatibilites', interactionController.getIncompatibilites);
 router.get('/:id', ingredientController.getIngredientById);
-router.post('/', ingredientController.createIngredient);
-router.put('/:id', ingredientController.updateIngredient);
-router.delete('/:id', ingredientController.deleteIngredient);
+router.post('/', authenticate, authorize('ingredients:write'), ingredientController.createIngredient);
+router.put('/:id', authenticate, authorize('ingredients:write'), ingredientController.updateIngredient);
+router.delete('/:id', authenticate, authorize('ingredients:write'), ingredientController.deleteIngredient);
+
+// Composition en allergènes réglementés
+router.get('/:id/allergenes', allergeneController.getComposition);
+router.put('/:id/allergenes', authenticate, authorize('ingredients:write'), allergeneController.updateComposition);
+
+// Registre des incompatibilités et évaluation des formules
+router.post('/incompatibilites', authenticate, authorize('ingredients:write'), interactionController.createIncompatibilite);
+router.delete('/incompatibilites/:id', authenticate, authorize('ingredients:write'), interactionController.deleteIncompatibilite);
+router.post('/compatibilite', authenticate, authorize('ingredients:write', 'produits:write'), interactionController.evaluerCompatibilite);
+
+// Stock par lot fournisseur et rappel d'un lot
+router.get('/:id/lots', authenticate, authorize('ingredients:write', 'fournisseurs:read'), lotIngredientController.getLotsIngredient);
+router.post('/:id/lots', authenticate, authorize('ingredients:write'), lotIngredientController.createLotIngredient);
+router.get('/:id/lots/:numero/rappel', authenticate, authorize('lots:rappel'), lotController.getRappel);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,29 +1,71 @@
 const express = require('express');
-const rateLimit = require('express-rate-limit');
 const produitController = require('../controllers/produitController');
+const formuleController = require('../controllers/formuleController');
+const etiquetteController = require('../controllers/etiquetteController');
+const fabricationController = require('../controllers/fabricationController');
+const scoreController = require('../controllers/scoreController');
+const varianteController = require('../controllers/varianteController');
+const mouvementController = require('../controllers/mouvementController');
+const lotController = require('../controllers/lotController');
+const rentabiliteController = require('../controllers/rentabiliteController');
+const imageController = require('../controllers/imageController');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { apiKeyAuth } = require('../middleware/apiKey');
+const { uploadImage } = require('../middleware/upload');
 
 const router = express.Router();
 
-// Rate limiting pour protéger l'API
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limite chaque IP à 100 requêtes par fenêtre
-  message: {
-    error: 'Trop de requêtes, veuillez réessayer plus tard'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-// Appliquer le rate limiting à toutes les routes
-router.use(limiter);
+// Clés API puis rate limiting (quota par clé, sinon par IP)
+router.use(apiKeyAuth('produits:read'));
+router.use(createRateLimiter());
 
 // Routes pour les produits
 router.get('/', produitController.getAllProduits);
 router.get('/search', produitController.searchProduits);
+router.get('/recommandations', authenticate, produitController.getRecommandations);
+router.get('/alertes-stock', authenticate, authorize('produits:write', 'produits:stock'), mouvementController.getAlertesStock);
+router.get('/rentabilite', authenticate, authorize('produits:couts'), rentabiliteController.getRapportRentabilite);
 router.get('/:id', produitController.getProduitById);
-router.post('/', produitController.createProduit);
-router.put('/:id', produitController.updateProduit);
-router.delete('/:id', produitController.deleteProduit);
+router.post('/', authenticate, authorize('produits:write'), produitController.createProduit);
+router.put('/:id', authenticate, authorize('produits:write', 'produits:stock'), produitController.updateProduit);
+router.delete('/:id', authenticate, authorize('produits:write'), produitController.deleteProduit);
+
+// Variantes (contenances, parfums)
+router.post('/:id/variantes', authenticate, authorize('produits:write'), varianteController.createVariante);
+router.put('/:id/variantes/:varianteId', authenticate, authorize('produits:write', 'produits:stock'), varianteController.updateVariante);
+router.delete('/:id/variantes/:varianteId', authenticate, authorize('produits:write'), varianteController.deleteVariante);
+
+// Images téléversées (multipart, champ « image »), ordonnées et avec texte alternatif
+router.post('/:id/images', authenticate, authorize('produits:write'), uploadImage('image'), imageController.createImageProduit);
+router.put('/:id/images/ordre', authenticate, authorize('produits:write'), imageController.reorderImagesProduit);
+router.put('/:id/images/:imageId', authenticate, authorize('produits:write'), imageController.updateImageProduit);
+router.delete('/:id/images/:imageId', authenticate, authorize('produits:write'), imageController.deleteImageProduit);
+
+// Mouvements de stock et inventaire
+router.get('/:id/mouvements', authenticate, authorize('produits:write', 'produits:stock'), mouvementController.getMouvements);
+router.post('/:id/mouvements', authenticate, authorize('produits:write', 'produits:stock'), mouvementController.createMouvement);
+router.post('/:id/inventaire', authenticate, authorize('produits:write', 'produits:stock'), mouvementController.createInventaire);
+
+// Lots de fabrication
+router.get('/:id/lots', authenticate, authorize('produits:write', 'produits:stock'), lotController.getLots);
+router.get('/:id/lots/:lotId', authenticate, authorize('produits:write', 'produits:stock'), lotController.getLot);
+router.post('/:id/lots', authenticate, authorize('produits:write', 'produits:stock'), lotController.createLot);
+router.post('/:id/production', authenticate, authorize('produits:write', 'produits:stock'), lotController.createProduction);
+
+// Formule (recette), conformité et étiquette du produit
+router.get('/:id/formule', authenticate, authorize('produits:write', 'produits:stock'), formuleController.getFormule);
+router.put('/:id/formule', authenticate, authorize('produits:write'), formuleController.updateFormule);
+router.post('/:id/formule/echelle', authenticate, authorize('produits:write', 'produits:stock'), fabricationController.scaleFormule);
+router.post('/:id/conformite', authenticate, authorize('produits:write'), formuleController.checkConformite);
+router.get('/:id/etiquette', authenticate, authorize('produits:write', 'produits:stock'), etiquetteController.getEtiquette);
+
+// Coût de revient et marge
+router.get('/:id/rentabilite', authenticate, authorize('produits:couts'), rentabiliteController.getRentabilite);
+
+// Score calculé et forçage manuel tracé
+router.get('/:id/score', scoreController.getScore);
+router.put('/:id/score', authenticate, authorize('produits:write'), scoreController.updateScore);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,30 +1,63 @@
 const express = require('express');
-const rateLimit = require('express-rate-limit');
 const utilisateurController = require('../controllers/utilisateurController');
+const deuxFacteursController = require('../controllers/deuxFacteursController');
+const rgpdController = require('../controllers/rgpdController');
+const adresseController = require('../controllers/adresseController');
+const profilBeauteController = require('../controllers/profilBeauteController');
+const notificationController = require('../controllers/notificationController');
+const { authenticate, optionalAuth, authenticateOrChallenge } = require('../middleware/auth');
+const { authorize, authorizeOwnerOr } = require('../middleware/authorize');
+const { createRateLimiter } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
-// Rate limiting pour protéger l'API
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limite chaque IP à 100 requêtes par fenêtre
-  message: {
-    error: 'Trop de requêtes, veuillez réessayer plus tard'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-// Appliquer le rate limiting à toutes les routes
-router.use(limiter);
+// Rate limiting pour protéger l'API (les clés API ne donnent pas accès aux comptes)
+router.use(createRateLimiter());
 
 // Routes pour les utilisateurs
-router.get('/', utilisateurController.getAllUtilisateurs);
-router.get('/search', utilisateurController.searchUtilisateurs);
-router.get('/:id', utilisateurController.getUtilisateurById);
-router.post('/', utilisateurController.createUtilisateur);
+router.get('/', authenticate, authorize('utilisateurs:read'), utilisateurController.getAllUtilisateurs);
+router.get('/search', authenticate, authorize('utilisateurs:read'), utilisateurController.searchUtilisateurs);
+router.get('/me', authenticate, utilisateurController.getMe);
+router.get('/me/notifications', authenticate, notificationController.getNotifications);
+router.post('/me/notifications/:notificationId/lue', authenticate, notificationController.markNotificationRead);
+router.get('/:id', authenticate, authorizeOwnerOr('utilisateurs:read'), utilisateurController.getUtilisateurById);
+router.get('/:id/connexions', authenticate, authorizeOwnerOr('utilisateurs:read'), utilisateurController.getLoginHistory);
+router.post('/', optionalAuth, utilisateurController.createUtilisateur);
 router.post('/login', utilisateurController.login);
-router.put('/:id', utilisateurController.updateUtilisateur);
-router.delete('/:id', utilisateurController.deleteUtilisateur);
+router.post('/login/2fa', deuxFacteursController.verifyLogin);
+router.post('/refresh', utilisateurController.refresh);
+router.post('/logout', utilisateurController.logout);
+router.post('/password/forgot', utilisateurController.forgotPassword);
+router.post('/password/reset', utilisateurController.resetPassword);
+router.post('/email/verification', utilisateurController.verifyEmail);
+router.post('/email/verification/renvoi', utilisateurController.resendEmailVerification);
+router.post('/newsletter/confirmation', utilisateurController.confirmNewsletter);
+router.get('/newsletter/desinscription', utilisateurController.showUnsubscribeNewsletter);
+router.post('/newsletter/desinscription', utilisateurController.unsubscribeNewsletter);
+
+// Double authentification (TOTP)
+router.post('/2fa/configuration', authenticateOrChallenge('2fa-enrolement'), deuxFacteursController.setup);
+router.post('/2fa/activation', authenticateOrChallenge('2fa-enrolement'), deuxFacteursController.activate);
+router.post('/2fa/desactivation', authenticate, deuxFacteursController.disable);
+router.post('/2fa/codes-recuperation', authenticate, deuxFacteursController.regenerateRecoveryCodes);
+router.post('/:id/2fa/reinitialiser', authenticate, authorize('utilisateurs:write'), deuxFacteursController.resetForUser);
+
+// Carnet d'adresses
+router.get('/:id/adresses', authenticate, authorizeOwnerOr('utilisateurs:read'), adresseController.getAdresses);
+router.post('/:id/adresses', authenticate, authorizeOwnerOr('utilisateurs:write'), adresseController.createAdresse);
+router.put('/:id/adresses/:adresseId', authenticate, authorizeOwnerOr('utilisateurs:write'), adresseController.updateAdresse);
+router.delete('/:id/adresses/:adresseId', authenticate, authorizeOwnerOr('utilisateurs:write'), adresseController.deleteAdresse);
+
+// Profil beauté
+router.get('/:id/profil-beaute', authenticate, authorizeOwnerOr('utilisateurs:read'), profilBeauteController.getProfilBeaute);
+router.put('/:id/profil-beaute', authenticate, authorizeOwnerOr('utilisateurs:write'), profilBeauteController.updateProfilBeaute);
+
+// Données personnelles (RGPD)
+router.get('/:id/export', authenticate, authorizeOwnerOr('utilisateurs:read'), rgpdController.exportUtilisateur);
+router.post('/:id/anonymiser', authenticate, authorizeOwnerOr('utilisateurs:write'), rgpdController.anonymiseUtilisateur);
+
+router.post('/:id/deverrouiller', authenticate, authorize('utilisateurs:write'), utilisateurController.unlockUtilisateur);
+router.put('/:id', authenticate, authorizeOwnerOr('utilisateurs:write'), utilisateurController.updateUtilisateur);
+router.delete('/:id', authenticate, authorizeOwnerOr('utilisateurs:write'), utilisateurController.deleteUtilisateur);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,17 @@
+// Chargement de la table des allergènes de parfum réglementés, puis composition des ingrédients
+// dont le nom INCI est référencé (huiles essentielles courantes, allergènes purs).
+// Usage : node scripts/chargerAllergenes.js
+// Les ingrédients ayant déjà une composition (certificat fournisseur) ne sont pas modifiés.
+require('dotenv').config();
+const { chargerReferentiel } = require('../services/allergeneService');
+
+chargerReferentiel()
+  .then(({ allergenes, ingredients }) => {
+    console.log(`${allergenes} allergène(s) réglementé(s) chargé(s)`);
+    console.log(`${ingredients} ingrédient(s) complété(s) avec une composition de référence`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Erreur chargement des allergènes:', error);
+    process.exit(1);
+  });
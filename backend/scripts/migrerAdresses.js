@@ -0,0 +1,21 @@
+// Migration des anciennes adresses texte (Utilisateur.adresse) vers le carnet d'adresses.
+// Usage : node scripts/migrerAdresses.js [--dry-run]
+// Les adresses sans code postal reconnu restent dans l'ancien champ et sont listées pour reprise manuelle.
+require('dotenv').config();
+const { migrateLegacyAdresses } = require('../services/adresseService');
+
+const dryRun = process.argv.includes('--dry-run');
+
+migrateLegacyAdresses({ dryRun })
+  .then(({ migrees, ignorees }) => {
+    console.log(`${dryRun ? '[simulation] ' : ''}${migrees} adresse(s) migrée(s)`);
+    if (ignorees.length) {
+      console.log(`${ignorees.length} adresse(s) à reprendre manuellement :`);
+      ignorees.forEach(({ utilisateurId, adresse }) => console.log(`- ${utilisateurId} : ${adresse}`));
+    }
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Erreur migration des adresses:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,148 @@
+// Migration des anciennes colonnes JSON (Produit.ingredientIds, quantiteIds, bienfaits, blogIds ;
+// Blog.produitIds, tags) vers les relations Prisma. Elle se fait en deux temps autour de db push :
+//   1. node scripts/migrerRelations.js sauvegarder relations.json   (ancien schéma)
+//   2. npx prisma db push --accept-data-loss
+//   3. node scripts/migrerRelations.js restaurer relations.json     (nouveau schéma)
+// Les références vers des enregistrements inexistants sont ignorées et listées dans le rapport.
+require('dotenv').config();
+const fs = require('fs');
+const { PrismaClient } = require('@prisma/client');
+const { buildRelations } = require('../services/produitService');
+
+const prisma = new PrismaClient();
+
+const parseListe = (json) => {
+  try {
+    const liste = JSON.parse(json || '[]');
+    return Array.isArray(liste) ? liste.filter(element => typeof element === 'string') : [];
+  } catch {
+    return [];
+  }
+};
+
+const normaliser = (texte) => texte.trim().toLowerCase();
+
+// Lit les colonnes JSON avec l'ancien schéma (requêtes brutes : le client généré ne les connaît plus)
+async function sauvegarder() {
+  const produits = await prisma.$queryRawUnsafe(
+    'SELECT "id", "ingredientIds", "quantiteIds", "bienfaits", "blogIds" FROM "Produit"'
+  );
+  const blogs = await prisma.$queryRawUnsafe('SELECT "id", "produitIds", "tags" FROM "Blog"');
+  const quantites = await prisma.$queryRawUnsafe(
+    'SELECT "id", "ingredient", "valeur", "unite", "produitId" FROM "Quantite"'
+  );
+
+  return { creeLe: new Date().toISOString(), produits, blogs, quantites };
+}
+
+// Recrée les relations à partir d'une sauvegarde, avec le nouveau schéma
+async function restaurer({ produits, blogs, quantites }) {
+  const rapport = { produits: 0, blogs: 0, referencesIgnorees: [] };
+  const ignorer = (depuis, reference, type) => rapport.referencesIgnorees.push({ depuis, reference, type });
+
+  const ingredients = await prisma.ingredient.findMany();
+  const ingredientIds = new Set(ingredients.map(ingredient => ingredient.id));
+  const ingredientsParNom = new Map(ingredients.map(ingredient => [normaliser(ingredient.nom), ingredient.id]));
+  const produitIds = new Set((await prisma.produit.findMany({ select: { id: true } })).map(produit => produit.id));
+  const blogIds = new Set((await prisma.blog.findMany({ select: { id: true } })).map(blog => blog.id));
+
+  // Les liens produit ↔ blog pouvaient être déclarés des deux côtés
+  const blogsParProduit = new Map(produits.map(produit => [produit.id, new Set()]));
+  for (const produit of produits) {
+    for (const blogId of parseListe(produit.blogIds)) {
+      if (blogIds.has(blogId)) blogsParProduit.get(produit.id).add(blogId);
+      else ignorer(produit.id, blogId, 'blog');
+    }
+  }
+  for (const blog of blogs) {
+    for (const produitId of parseListe(blog.produitIds)) {
+      if (produitIds.has(produitId) && blogsParProduit.has(produitId)) blogsParProduit.get(produitId).add(blog.id);
+      else ignorer(blog.id, produitId, 'produit');
+    }
+  }
+
+  for (const produit of produits) {
+    if (!produitIds.has(produit.id)) continue;
+
+    // Lignes de formule : quantités existantes, rattachées à l'ingrédient du même nom
+    const lignes = new Map();
+    const idsQuantites = new Set(parseListe(produit.quantiteIds));
+    for (const quantite of quantites.filter(q => idsQuantites.has(q.id) || q.produitId === produit.id)) {
+      let ingredientId = ingredientsParNom.get(normaliser(quantite.ingredient));
+      if (!ingredientId) {
+        const cree = await prisma.ingredient.create({ data: { nom: quantite.ingredient.trim() } });
+        ingredientId = cree.id;
+        ingredientsParNom.set(normaliser(cree.nom), cree.id);
+      }
+      if (!lignes.has(ingredientId)) {
+        lignes.set(ingredientId, { ingredientId, valeur: quantite.valeur, unite: quantite.unite });
+      }
+    }
+
+    // Ingrédients listés sans quantité connue
+    for (const ingredientId of parseListe(produit.ingredientIds)) {
+      if (!ingredientIds.has(ingredientId)) ignorer(produit.id, ingredientId, 'ingredient');
+      else if (!lignes.has(ingredientId)) lignes.set(ingredientId, { ingredientId, valeur: null, unite: null });
+    }
+
+    const bienfaits = [...new Set(parseListe(produit.bienfaits).map(bienfait => bienfait.trim()).filter(Boolean))];
+
+    await prisma.produit.update({
+      where: { id: produit.id },
+      data: buildRelations({
+        ingredients: [...lignes.values()],
+        bienfaits,
+        blogIds: [...blogsParProduit.get(produit.id)]
+      }, { update: true })
+    });
+    rapport.produits += 1;
+  }
+
+  for (const blog of blogs) {
+    if (!blogIds.has(blog.id)) continue;
+
+    const tags = [...new Set(parseListe(blog.tags).map(tag => tag.trim()).filter(Boolean))];
+    await prisma.blog.update({
+      where: { id: blog.id },
+      data: {
+        tags: { set: [], connectOrCreate: tags.map(nom => ({ where: { nom }, create: { nom } })) }
+      }
+    });
+    rapport.blogs += 1;
+  }
+
+  return rapport;
+}
+
+module.exports = { sauvegarder, restaurer };
+
+if (require.main === module) {
+  const [etape, fichier = 'relations.json'] = process.argv.slice(2);
+
+  const executer = async () => {
+    if (etape === 'sauvegarder') {
+      const sauvegarde = await sauvegarder();
+      fs.writeFileSync(fichier, JSON.stringify(sauvegarde, null, 2));
+      // Les anciennes quantités sont sauvegardées : la table doit être vide pour recevoir ses colonnes obligatoires
+      await prisma.$executeRawUnsafe('DELETE FROM "Quantite"');
+      console.log(`Sauvegarde écrite dans ${fichier} (${sauvegarde.produits.length} produits, ${sauvegarde.blogs.length} blogs)`);
+      console.log('Étape suivante : npx prisma db push --accept-data-loss');
+    } else if (etape === 'restaurer') {
+      const rapport = await restaurer(JSON.parse(fs.readFileSync(fichier, 'utf8')));
+      console.log(`${rapport.produits} produits et ${rapport.blogs} blogs migrés`);
+      rapport.referencesIgnorees.forEach(({ depuis, reference, type }) => {
+        console.log(`- ${depuis} : ${type} ${reference} introuvable, lien ignoré`);
+      });
+    } else {
+      console.log('Usage : node scripts/migrerRelations.js <sauvegarder|restaurer> [fichier]');
+      process.exitCode = 1;
+    }
+  };
+
+  executer()
+    .catch((error) => {
+      console.error('Erreur migration des relations:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
+}
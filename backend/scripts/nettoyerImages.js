@@ -0,0 +1,16 @@
+// Supprime du stockage les fichiers d'images qui ne sont plus rattachés à aucune image
+// (suppression interrompue, téléversement abandonné). À lancer hors des périodes de saisie :
+// un fichier en cours de téléversement n'est pas encore référencé.
+// Usage : node scripts/nettoyerImages.js
+require('dotenv').config();
+const { nettoyerFichiersOrphelins } = require('../services/imageService');
+
+nettoyerFichiersOrphelins()
+  .then(({ supprimes }) => {
+    console.log(`${supprimes} fichier(s) orphelin(s) supprimé(s)`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Erreur nettoyage des images:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,16 @@
+// Mise en place du score calculé : recalcule le score de tous les produits d'après leur formule.
+// Usage : node scripts/recalculerScores.js
+// Un score saisi à la main sur un produit sans formule est conservé comme score forcé (tracé).
+require('dotenv').config();
+const { recalculerTousLesScores } = require('../services/scoreService');
+
+recalculerTousLesScores()
+  .then(({ recalcules, conserves }) => {
+    console.log(`${recalcules} score(s) recalculé(s)`);
+    console.log(`${conserves} score(s) manuel(s) conservé(s) comme forçage`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Erreur recalcul des scores:', error);
+    process.exit(1);
+  });
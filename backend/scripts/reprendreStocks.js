@@ -0,0 +1,15 @@
+// Mise en place du journal des mouvements : enregistre un mouvement d'inventaire pour le stock
+// existant qui n'est pas encore couvert par des mouvements.
+// Usage : node scripts/reprendreStocks.js
+require('dotenv').config();
+const { reprendreStocksExistants } = require('../services/stockService');
+
+reprendreStocksExistants()
+  .then(({ reprises }) => {
+    console.log(`${reprises} stock(s) repris dans le journal des mouvements`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Erreur reprise des stocks:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,15 @@
+// Mise en place de la vérification d'email : marque comme vérifiés les comptes créés avant la
+// fonctionnalité (aucun lien de vérification envoyé), pour qu'ils puissent toujours se connecter.
+// Usage : node scripts/verifierComptesExistants.js
+require('dotenv').config();
+const { verifierComptesExistants } = require('../services/oneTimeTokenService');
+
+verifierComptesExistants()
+  .then(({ verifies }) => {
+    console.log(`${verifies} compte(s) existant(s) marqué(s) comme vérifié(s)`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Erreur vérification des comptes existants:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,135 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Écart toléré entre quantité reçue et reste à livrer (arrondis de pesée)
+const TOLERANCE_RECEPTION = 1e-6;
+
+const commandeInclude = {
+  fournisseur: { select: { id: true, nom: true } },
+  lignes: {
+    include: {
+      ingredient: { select: { id: true, nom: true } },
+      lots: { select: { id: true, numero: true, quantiteRecue: true, datePeremption: true } }
+    }
+  }
+};
+
+// Lot d'ingrédient renvoyé par l'API : références de certificats décodées
+const formatLotIngredient = ({ certificats, ...lot }) => ({
+  ...lot,
+  certificats: certificats ? JSON.parse(certificats) : [],
+  perime: lot.datePeremption ? lot.datePeremption < new Date() : false
+});
+
+// Commande renvoyée par l'API, avec le reste à livrer de chaque ligne
+const formatCommande = (commande) => ({
+  ...commande,
+  lignes: commande.lignes.map(ligne => ({
+    ...ligne,
+    resteALivrer: Math.max(0, ligne.quantite - ligne.quantiteRecue)
+  }))
+});
+
+// Statut d'une commande d'après les quantités reçues sur ses lignes
+function statutReception(lignes) {
+  if (lignes.every(ligne => ligne.quantiteRecue >= ligne.quantite - TOLERANCE_RECEPTION)) return 'RECUE';
+  if (lignes.some(ligne => ligne.quantiteRecue > 0)) return 'PARTIELLE';
+  return 'EN_COURS';
+}
+
+// Numéro de commande séquentiel par année : CF-2025-0001
+async function prochainNumeroCommande() {
+  const annee = new Date().getFullYear();
+  const dernier = await prisma.commandeFournisseur.findFirst({
+    where: { numero: { startsWith: `CF-${annee}-` } },
+    orderBy: { numero: 'desc' },
+    select: { numero: true }
+  });
+  const rang = dernier ? parseInt(dernier.numero.split('-')[2]) + 1 : 1;
+  return `CF-${annee}-${String(rang).padStart(4, '0')}`;
+}
+
+// Réceptionne tout ou partie d'une commande : chaque livraison alimente un lot d'ingrédient.
+// Renvoie { erreur } si une ligne est inconnue, déjà soldée ou si l'unité d'un lot existant diffère.
+async function recevoirCommande(commande, receptions) {
+  const lignesParId = new Map(commande.lignes.map(ligne => [ligne.id, { ...ligne }]));
+  const operations = [];
+
+  for (const reception of receptions) {
+    const ligne = lignesParId.get(reception.ligneId);
+    if (!ligne) {
+      return { erreur: 'Ligne de commande introuvable' };
+    }
+
+    const reste = ligne.quantite - ligne.quantiteRecue;
+    if (reception.quantite > reste + TOLERANCE_RECEPTION) {
+      return { erreur: `Quantité reçue supérieure au reste à livrer pour ${ligne.ingredient.nom}` };
+    }
+    ligne.quantiteRecue += reception.quantite;
+
+    const lotExistant = await prisma.lotIngredient.findUnique({
+      where: { ingredientId_numero: { ingredientId: ligne.ingredientId, numero: reception.numeroLot } }
+    });
+    if (lotExistant && lotExistant.unite && lotExistant.unite !== ligne.unite) {
+      return { erreur: `Le lot ${reception.numeroLot} est suivi en ${lotExistant.unite}` };
+    }
+
+    const certificats = reception.certificats ? JSON.stringify(reception.certificats) : undefined;
+    operations.push(lotExistant
+      ? prisma.lotIngredient.update({
+        where: { id: lotExistant.id },
+        data: {
+          quantite: { increment: reception.quantite },
+          quantiteRecue: { increment: reception.quantite },
+          unite: ligne.unite,
+          fournisseurId: commande.fournisseurId,
+          ligneCommandeId: ligne.id,
+          coutUnitaire: ligne.prixUnitaire ?? lotExistant.coutUnitaire,
+          datePeremption: reception.datePeremption ?? lotExistant.datePeremption,
+          certificats
+        }
+      })
+      : prisma.lotIngredient.create({
+        data: {
+          ingredientId: ligne.ingredientId,
+          numero: reception.numeroLot,
+          fournisseurId: commande.fournisseurId,
+          ligneCommandeId: ligne.id,
+          quantite: reception.quantite,
+          quantiteRecue: reception.quantite,
+          unite: ligne.unite,
+          coutUnitaire: ligne.prixUnitaire,
+          datePeremption: reception.datePeremption,
+          certificats
+        }
+      }));
+  }
+
+  const lignes = [...lignesParId.values()];
+  await prisma.$transaction([
+    ...operations,
+    ...lignes.map(ligne => prisma.ligneCommande.update({
+      where: { id: ligne.id },
+      data: { quantiteRecue: ligne.quantiteRecue }
+    })),
+    prisma.commandeFournisseur.update({
+      where: { id: commande.id },
+      data: { statut: statutReception(lignes) }
+    })
+  ]);
+
+  const commandeMiseAJour = await prisma.commandeFournisseur.findUnique({
+    where: { id: commande.id },
+    include: commandeInclude
+  });
+  return { commande: commandeMiseAJour };
+}
+
+module.exports = {
+  commandeInclude,
+  formatLotIngredient,
+  formatCommande,
+  prochainNumeroCommande,
+  recevoirCommande
+};
@@ -0,0 +1,168 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Code postal français : 5 chiffres, départements 01 à 95 et outre-mer (97, 98)
+const CODE_POSTAL_FR = /^(?:0[1-9]|[1-8]\d|9[0-578])\d{3}$/;
+
+// Pays et territoires utilisant les codes postaux français
+const PAYS_CODE_POSTAL_FR = ['FR', 'MC', 'GP', 'MQ', 'GF', 'RE', 'YT', 'PM', 'BL', 'MF', 'WF', 'PF', 'NC'];
+
+// Code postal générique pour les autres pays (lettres, chiffres, espaces, tirets)
+const CODE_POSTAL_AUTRE = /^[A-Z0-9][A-Z0-9 -]{1,10}$/i;
+
+// Contrôle le code postal selon le pays de l'adresse
+function isCodePostalValide(codePostal, pays = 'FR') {
+  if (PAYS_CODE_POSTAL_FR.includes(pays)) {
+    return CODE_POSTAL_FR.test(codePostal);
+  }
+  return CODE_POSTAL_AUTRE.test(codePostal);
+}
+
+// Découpe une adresse française en texte libre ("12 rue des Lilas, Bât. B, 75011 Paris, France").
+// Renvoie null si aucun code postal suivi d'une ville n'est reconnu.
+function parseAdresseLibre(texte) {
+  const normalise = texte.replace(/\s*\n\s*/g, ', ').trim();
+  const correspondance = normalise.match(/^(.*?)[\s,]+(\d{5})\s+([^,\d][^,]*?)(?:\s*,\s*France)?\s*$/i);
+
+  if (!correspondance || !CODE_POSTAL_FR.test(correspondance[2])) {
+    return null;
+  }
+
+  const [, lignes, codePostal, ville] = correspondance;
+  const [ligne1, ...complement] = lignes.split(',').map(ligne => ligne.trim()).filter(Boolean);
+
+  if (!ligne1) {
+    return null;
+  }
+
+  return {
+    ligne1,
+    ligne2: complement.length ? complement.join(', ') : null,
+    codePostal,
+    ville: ville.trim(),
+    pays: 'FR'
+  };
+}
+
+// Opérations qui retirent le drapeau "par défaut" des autres adresses de l'utilisateur
+function unsetDefaults(utilisateurId, { livraisonParDefaut, facturationParDefaut }, exceptId) {
+  const where = { utilisateurId, ...(exceptId && { id: { not: exceptId } }) };
+  const operations = [];
+
+  if (livraisonParDefaut) {
+    operations.push(prisma.adresse.updateMany({ where, data: { livraisonParDefaut: false } }));
+  }
+  if (facturationParDefaut) {
+    operations.push(prisma.adresse.updateMany({ where, data: { facturationParDefaut: false } }));
+  }
+
+  return operations;
+}
+
+// Ajoute une adresse ; la première du carnet devient l'adresse par défaut
+async function createAdresse(utilisateurId, data) {
+  const existantes = await prisma.adresse.count({ where: { utilisateurId } });
+  const donnees = existantes === 0
+    ? { ...data, livraisonParDefaut: true, facturationParDefaut: true }
+    : data;
+
+  const resultats = await prisma.$transaction([
+    ...unsetDefaults(utilisateurId, donnees),
+    prisma.adresse.create({ data: { ...donnees, utilisateurId } })
+  ]);
+
+  return resultats[resultats.length - 1];
+}
+
+// Modifie une adresse en gardant une seule adresse par défaut de chaque type
+async function updateAdresse(adresse, data) {
+  const resultats = await prisma.$transaction([
+    ...unsetDefaults(adresse.utilisateurId, data, adresse.id),
+    prisma.adresse.update({ where: { id: adresse.id }, data })
+  ]);
+
+  return resultats[resultats.length - 1];
+}
+
+// Supprime une adresse et reporte ses rôles par défaut sur l'adresse la plus récente
+async function deleteAdresse(adresse) {
+  await prisma.adresse.delete({ where: { id: adresse.id } });
+
+  if (!adresse.livraisonParDefaut && !adresse.facturationParDefaut) {
+    return;
+  }
+
+  const remplacante = await prisma.adresse.findFirst({
+    where: { utilisateurId: adresse.utilisateurId },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  if (remplacante) {
+    await prisma.adresse.update({
+      where: { id: remplacante.id },
+      data: {
+        ...(adresse.livraisonParDefaut && { livraisonParDefaut: true }),
+        ...(adresse.facturationParDefaut && { facturationParDefaut: true })
+      }
+    });
+  }
+}
+
+// Convertit l'ancien champ texte `adresse` en entrée du carnet quand il est exploitable.
+// Le texte est conservé tel quel dans l'ancien champ s'il ne peut pas être découpé.
+async function importLegacyAdresse(utilisateur, texte = utilisateur.adresse) {
+  const champs = texte && parseAdresseLibre(texte);
+  if (!champs) {
+    return null;
+  }
+
+  const destinataire = [utilisateur.prenom, utilisateur.nom].filter(Boolean).join(' ')
+    || utilisateur.email.split('@')[0];
+
+  const adresse = await createAdresse(utilisateur.id, {
+    ...champs,
+    destinataire,
+    telephone: utilisateur.telephone || null
+  });
+
+  await prisma.utilisateur.update({
+    where: { id: utilisateur.id },
+    data: { adresse: null }
+  });
+
+  return adresse;
+}
+
+// Migration des adresses texte existantes vers le carnet d'adresses
+async function migrateLegacyAdresses({ dryRun = false } = {}) {
+  const utilisateurs = await prisma.utilisateur.findMany({
+    where: { adresse: { not: null } }
+  });
+
+  const rapport = { migrees: 0, ignorees: [] };
+
+  for (const utilisateur of utilisateurs) {
+    if (!parseAdresseLibre(utilisateur.adresse)) {
+      rapport.ignorees.push({ utilisateurId: utilisateur.id, adresse: utilisateur.adresse });
+      continue;
+    }
+
+    if (!dryRun) {
+      await importLegacyAdresse(utilisateur);
+    }
+    rapport.migrees += 1;
+  }
+
+  return rapport;
+}
+
+module.exports = {
+  isCodePostalValide,
+  parseAdresseLibre,
+  createAdresse,
+  updateAdresse,
+  deleteAdresse,
+  importLegacyAdresse,
+  migrateLegacyAdresses
+};
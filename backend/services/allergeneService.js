@@ -0,0 +1,108 @@
+const { PrismaClient } = require('@prisma/client');
+const {
+  allergenesReglementes,
+  compositionsHuilesEssentielles,
+  seuilsDeclaration,
+  categoriesRincees
+} = require('../config/allergenes');
+const { analyserFormule } = require('./formuleService');
+
+const prisma = new PrismaClient();
+
+const normaliser = (texte) => texte.trim().toLowerCase();
+
+const arrondir = (nombre) => Math.round(nombre * 1e6) / 1e6;
+
+const referenceParNom = new Map(allergenesReglementes.map(allergene => [normaliser(allergene.nom), allergene]));
+
+const compositionsParInci = new Map(Object.entries(compositionsHuilesEssentielles)
+  .map(([inci, composition]) => [normaliser(inci), composition]));
+
+// Produit rincé (shampoing, savon...) ou laissé sur la peau (crème, huile...)
+const typeApplication = (categorie) => (categoriesRincees.includes(categorie) ? 'RINCE' : 'SANS_RINCAGE');
+
+// Composition connue d'un ingrédient d'après son nom INCI : huile essentielle référencée,
+// ou allergène pur (teneur de 100 %)
+function compositionConnue(ingredient) {
+  if (!ingredient.nomInci) return null;
+  const inci = normaliser(ingredient.nomInci);
+
+  if (compositionsParInci.has(inci)) return compositionsParInci.get(inci);
+  if (referenceParNom.has(inci)) return { [referenceParNom.get(inci).nom]: 100 };
+  return null;
+}
+
+// Renseigne la composition d'un ingrédient sans composition, si son nom INCI est référencé
+async function appliquerCompositionConnue(ingredient) {
+  const composition = compositionConnue(ingredient);
+  if (!composition) return false;
+
+  const existantes = await prisma.compositionAllergene.count({ where: { ingredientId: ingredient.id } });
+  if (existantes) return false;
+
+  for (const [nom, teneur] of Object.entries(composition)) {
+    const { numeroCas } = referenceParNom.get(normaliser(nom));
+    await prisma.compositionAllergene.create({
+      data: {
+        teneur,
+        ingredient: { connect: { id: ingredient.id } },
+        allergene: { connectOrCreate: { where: { nom }, create: { nom, numeroCas } } }
+      }
+    });
+  }
+  return true;
+}
+
+// Charge la table des allergènes réglementés et complète la composition des ingrédients référencés
+async function chargerReferentiel() {
+  for (const { nom, numeroCas } of allergenesReglementes) {
+    await prisma.allergene.upsert({ where: { nom }, create: { nom, numeroCas }, update: { numeroCas } });
+  }
+
+  const ingredients = await prisma.ingredient.findMany({ where: { nomInci: { not: null } } });
+  let completes = 0;
+  for (const ingredient of ingredients) {
+    if (await appliquerCompositionConnue(ingredient)) completes += 1;
+  }
+
+  return { allergenes: allergenesReglementes.length, ingredients: completes };
+}
+
+// Concentration de chaque allergène réglementé dans le produit fini, d'après sa formule.
+// Les lignes doivent inclure ingredient.compositionAllergenes.allergene.
+function calculerAllergenes(produit, lignes) {
+  const application = typeApplication(produit.categorie);
+  const seuil = seuilsDeclaration[application];
+  const formule = analyserFormule(lignes);
+
+  const concentrations = new Map();
+  formule.lignes.forEach((ligne, index) => {
+    if (ligne.pourcentage === null) return;
+    (lignes[index].ingredient.compositionAllergenes || []).forEach(({ allergene, teneur }) => {
+      concentrations.set(allergene.nom, (concentrations.get(allergene.nom) || 0) + ligne.pourcentage * teneur / 100);
+    });
+  });
+
+  return [...concentrations.entries()]
+    .map(([nom, concentration]) => ({
+      nom,
+      concentration: arrondir(concentration),
+      seuil,
+      aDeclarer: concentration > seuil
+    }))
+    .sort((a, b) => b.concentration - a.concentration);
+}
+
+// Allergènes dépassant le seuil de déclaration du produit
+const allergenesADeclarer = (produit, lignes) => calculerAllergenes(produit, lignes)
+  .filter(allergene => allergene.aDeclarer)
+  .map(({ nom, concentration }) => ({ nom, concentration }));
+
+module.exports = {
+  typeApplication,
+  compositionConnue,
+  appliquerCompositionConnue,
+  chargerReferentiel,
+  calculerAllergenes,
+  allergenesADeclarer
+};
@@ -0,0 +1,49 @@
+const { PrismaClient } = require('@prisma/client');
+const crypto = require('crypto');
+const { hashToken } = require('./tokenService');
+
+const prisma = new PrismaClient();
+
+const PREFIXE_CLE = 'cyn_';
+// Intervalle minimal entre deux mises à jour de la dernière utilisation
+const INTERVALLE_SUIVI_MS = 60 * 1000;
+
+// Génère une nouvelle clé : seule sa version hachée est conservée
+function generateApiKey() {
+  const cle = `${PREFIXE_CLE}${crypto.randomBytes(32).toString('base64url')}`;
+  return {
+    cle,
+    prefixe: cle.slice(0, PREFIXE_CLE.length + 8),
+    cleHash: hashToken(cle)
+  };
+}
+
+// Retrouve une clé active (ni révoquée ni expirée) à partir de sa valeur en clair
+async function findActiveKey(cle) {
+  const cleApi = await prisma.cleApi.findUnique({ where: { cleHash: hashToken(cle) } });
+
+  if (!cleApi || cleApi.revoqueLe || (cleApi.expireLe && cleApi.expireLe <= new Date())) {
+    return null;
+  }
+
+  return { ...cleApi, scopes: JSON.parse(cleApi.scopes) };
+}
+
+// Mémorise la dernière utilisation, au plus une écriture par minute et par clé
+async function recordUsage(cleApi, ip) {
+  const derniere = cleApi.derniereUtilisationLe;
+  if (derniere && Date.now() - derniere.getTime() < INTERVALLE_SUIVI_MS && cleApi.derniereIp === ip) {
+    return;
+  }
+
+  await prisma.cleApi.update({
+    where: { id: cleApi.id },
+    data: { derniereUtilisationLe: new Date(), derniereIp: ip }
+  });
+}
+
+module.exports = {
+  generateApiKey,
+  findActiveKey,
+  recordUsage
+};
@@ -0,0 +1,62 @@
+const { analyserFormule } = require('./formuleService');
+const { typeApplication } = require('./allergeneService');
+
+const libellesApplication = {
+  RINCE: 'produit rincé',
+  SANS_RINCAGE: 'produit sans rinçage'
+};
+
+// Maximum applicable à un ingrédient : celui de la catégorie du produit s'il est renseigné,
+// sinon celui du type d'application (rincé ou sans rinçage)
+function concentrationMax(ingredient, categorie, application) {
+  const limite = (ingredient.limitesConcentration || []).find(candidate => candidate.categorie === categorie);
+  if (limite) {
+    return { maximum: limite.maximum, libelle: categorie };
+  }
+  const champ = application === 'RINCE' ? 'concentrationMaxRince' : 'concentrationMaxSansRincage';
+  return { maximum: ingredient[champ], libelle: libellesApplication[application] };
+}
+
+// Contrôle réglementaire d'une formule (lignes au format de getLignes) pour un produit.
+// Les erreurs sont bloquantes ; une formule absente ou sans quantités ne peut pas être vérifiée
+// et empêche donc la mise en vente.
+function verifierConformite(produit, lignes) {
+  const application = typeApplication(produit.categorie);
+  const erreurs = [];
+  const avertissements = [];
+
+  lignes.forEach(({ ingredient }) => {
+    if (!ingredient.interditEnfants) return;
+    if (produit.pourEnfants) {
+      erreurs.push(`${ingredient.nom} est interdit dans les produits destinés aux enfants de moins de 3 ans`);
+    } else {
+      avertissements.push(`${ingredient.nom} : mention « Ne pas utiliser chez les enfants de moins de 3 ans » à prévoir`);
+    }
+  });
+
+  if (!lignes.length) {
+    erreurs.push('Formule non renseignée : concentrations non vérifiables');
+  } else if (lignes.some(ligne => ligne.valeur == null || !ligne.unite)) {
+    erreurs.push('Formule incomplète (quantités manquantes) : concentrations non vérifiables');
+  } else {
+    const formule = analyserFormule(lignes);
+    erreurs.push(...formule.erreurs);
+    avertissements.push(...formule.avertissements);
+
+    formule.lignes.forEach((ligne, index) => {
+      const { maximum, libelle } = concentrationMax(lignes[index].ingredient, produit.categorie, application);
+      if (maximum != null && ligne.pourcentage !== null && ligne.pourcentage > maximum) {
+        erreurs.push(`${ligne.ingredient.nom} : ${ligne.pourcentage} % pour un maximum de ${maximum} % (${libelle})`);
+      }
+    });
+  }
+
+  return {
+    conforme: erreurs.length === 0,
+    typeApplication: application,
+    erreurs,
+    avertissements
+  };
+}
+
+module.exports = { verifierConformite };
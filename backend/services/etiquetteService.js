@@ -0,0 +1,148 @@
+const { analyserFormule } = require('./formuleService');
+const { allergenesADeclarer } = require('./allergeneService');
+const { decouperTexte } = require('../utils/texte');
+
+// En dessous de 1 %, les ingrédients peuvent être listés dans n'importe quel ordre
+// après les autres (règlement CE n° 1223/2009, article 19)
+const seuilOrdreLibre = 1;
+
+const echapper = (texte) => String(texte)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Données de l'étiquette d'un produit à partir de sa formule.
+// Renvoie { erreurs } si la formule ne permet pas d'ordonner la liste INCI.
+function construireEtiquette(produit, lignes, { lot } = {}) {
+  if (!lignes.length) {
+    return { erreurs: ['Formule non renseignée'] };
+  }
+
+  const formule = analyserFormule(lignes);
+  if (!formule.valide) {
+    return { erreurs: formule.erreurs };
+  }
+
+  const avertissements = [];
+
+  // Plusieurs ingrédients peuvent partager un nom INCI (eaux florales...) : concentrations cumulées
+  const parInci = new Map();
+  formule.lignes.forEach((ligne, index) => {
+    const ingredient = lignes[index].ingredient;
+    if (!ingredient.nomInci) {
+      avertissements.push(`Nom INCI manquant pour ${ingredient.nom} : nom usuel utilisé`);
+    }
+
+    const nom = (ingredient.nomInci || ingredient.nom).toUpperCase();
+    const entree = parInci.get(nom) || { nom, pourcentage: 0, ordre: index, allergene: false };
+    entree.pourcentage += ligne.pourcentage;
+    entree.allergene = entree.allergene || ingredient.allergene;
+    parInci.set(nom, entree);
+  });
+
+  // Les allergènes réglementés au-delà du seuil figurent dans la liste, à leur concentration
+  allergenesADeclarer(produit, lignes).forEach(({ nom, concentration }) => {
+    const inci = nom.toUpperCase();
+    const entree = parInci.get(inci) || { nom: inci, pourcentage: 0, ordre: lignes.length, allergene: true };
+    entree.pourcentage = Math.max(entree.pourcentage, concentration);
+    entree.allergene = true;
+    parInci.set(inci, entree);
+  });
+
+  const entrees = [...parInci.values()];
+  const inci = [
+    ...entrees.filter(entree => entree.pourcentage >= seuilOrdreLibre).sort((a, b) => b.pourcentage - a.pourcentage),
+    ...entrees.filter(entree => entree.pourcentage < seuilOrdreLibre).sort((a, b) => a.ordre - b.ordre)
+  ].map(entree => entree.nom);
+
+  if (!produit.quantiteNette || !produit.uniteQuantiteNette) {
+    avertissements.push('Quantité nette non renseignée');
+  }
+  if (!produit.pao) {
+    avertissements.push('Durée d\'utilisation après ouverture (PAO) non renseignée');
+  }
+
+  return {
+    produit: { id: produit.id, nom: produit.nom },
+    inci,
+    listeIngredients: `Ingredients: ${inci.join(', ')}.`,
+    allergenes: entrees.filter(entree => entree.allergene).map(entree => entree.nom),
+    quantiteNette: produit.quantiteNette && produit.uniteQuantiteNette
+      ? {
+        valeur: produit.quantiteNette,
+        unite: produit.uniteQuantiteNette,
+        texte: `${produit.quantiteNette} ${produit.uniteQuantiteNette}`
+      }
+      : null,
+    lot: lot || null,
+    pao: produit.pao ? { mois: produit.pao, symbole: `${produit.pao}M` } : null,
+    avertissements
+  };
+}
+
+// Symbole PAO (pot ouvert) avec la durée en mois, en coordonnées SVG
+function symbolePao(pao, x, y) {
+  return `<g transform="translate(${x} ${y})" fill="none" stroke="#000" stroke-width="1.5">`
+    + '<path d="M4 12 L32 12 L30 40 L6 40 Z"/>'
+    + '<path d="M5 10 L31 10 L33 0 L7 2 Z"/>'
+    + `<text x="18" y="31" font-family="Arial, sans-serif" font-size="10" text-anchor="middle" fill="#000" stroke="none">${echapper(pao.symbole)}</text>`
+    + '</g>';
+}
+
+// Étiquette imprimable au format SVG (80 × 50 mm)
+function etiquetteSvg(etiquette) {
+  const textes = [];
+  let y = 22;
+  const ajouter = (texte, { taille = 7, gras = false } = {}) => {
+    textes.push(`<text x="12" y="${y}" font-family="Arial, sans-serif" font-size="${taille}"${gras ? ' font-weight="bold"' : ''}>${echapper(texte)}</text>`);
+    y += taille + 3;
+  };
+
+  ajouter(etiquette.produit.nom, { taille: 14, gras: true });
+  if (etiquette.quantiteNette) ajouter(etiquette.quantiteNette.texte, { taille: 10 });
+  y += 4;
+  decouperTexte(etiquette.listeIngredients, 78).forEach(ligne => ajouter(ligne));
+  if (etiquette.allergenes.length) {
+    decouperTexte(`Allergènes : ${etiquette.allergenes.join(', ')}`, 78).forEach(ligne => ajouter(ligne, { gras: true }));
+  }
+  if (etiquette.lot) ajouter(`Lot : ${etiquette.lot}`);
+
+  return '<svg xmlns="http://www.w3.org/2000/svg" width="80mm" height="50mm" viewBox="0 0 320 200">'
+    + '<rect x="1" y="1" width="318" height="198" rx="8" fill="#fff" stroke="#000"/>'
+    + textes.join('')
+    + (etiquette.pao ? symbolePao(etiquette.pao, 272, 148) : '')
+    + '</svg>';
+}
+
+// Étiquette imprimable au format HTML
+function etiquetteHtml(etiquette) {
+  const paragraphes = [
+    etiquette.quantiteNette && `<p class="quantite">${echapper(etiquette.quantiteNette.texte)}</p>`,
+    `<p class="ingredients">${echapper(etiquette.listeIngredients)}</p>`,
+    etiquette.allergenes.length && `<p class="allergenes">Allergènes : ${echapper(etiquette.allergenes.join(', '))}</p>`,
+    etiquette.lot && `<p class="lot">Lot : ${echapper(etiquette.lot)}</p>`,
+    etiquette.pao && `<svg class="pao" width="40" height="44" viewBox="0 0 40 44">${symbolePao(etiquette.pao, 2, 2)}</svg>`
+  ].filter(Boolean);
+
+  return '<!DOCTYPE html>\n'
+    + '<html lang="fr">\n<head>\n<meta charset="utf-8">\n'
+    + `<title>Étiquette – ${echapper(etiquette.produit.nom)}</title>\n`
+    + '<style>'
+    + 'body{font-family:Arial,sans-serif;margin:0}'
+    + '.etiquette{width:80mm;min-height:50mm;box-sizing:border-box;padding:4mm;border:1px solid #000;border-radius:2mm;position:relative}'
+    + 'h1{font-size:14pt;margin:0 0 1mm}p{font-size:7pt;margin:0 0 1mm}.quantite{font-size:10pt}.allergenes{font-weight:bold}'
+    + '.pao{position:absolute;right:3mm;bottom:3mm}'
+    + '@media print{@page{size:80mm 50mm;margin:0}.etiquette{border:none}}'
+    + '</style>\n</head>\n<body>\n'
+    + '<section class="etiquette">\n'
+    + `<h1>${echapper(etiquette.produit.nom)}</h1>\n`
+    + paragraphes.join('\n') + '\n'
+    + '</section>\n</body>\n</html>\n';
+}
+
+module.exports = {
+  construireEtiquette,
+  etiquetteSvg,
+  etiquetteHtml
+};
@@ -0,0 +1,254 @@
+const { analyserFormule } = require('./formuleService');
+const { phases } = require('../config/formulation');
+const {
+  precisionParMasse,
+  graduationsMinimales,
+  libellesPhase,
+  etapesFabrication,
+  controlesFabrication
+} = require('../config/fabrication');
+const { createPdf, largeurA4, hauteurA4 } = require('../utils/pdf');
+const { decouperTexte } = require('../utils/texte');
+
+const echapper = (texte) => String(texte)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Nombre de décimales affichées par une balance de résolution donnée (0.01 g : 2 décimales)
+const decimales = (precision) => Math.max(0, -Math.floor(Math.log10(precision)));
+
+// Masse arrondie à la graduation la plus proche de la balance
+const peser = (masse, precision) => Number((Math.round(masse / precision) * precision).toFixed(decimales(precision)));
+
+// Résolution de balance adaptée à la masse du lot (voir config/fabrication)
+const precisionPourMasse = (masseLot) => precisionParMasse.find(palier => masseLot <= palier.masseMax).precision;
+
+// Masse affichée sur la fiche, à la résolution de la balance et avec une virgule décimale
+const texteMasse = (masse, precision) => `${masse.toFixed(decimales(precision)).replace('.', ',')} g`;
+
+function texteTemperature({ min, max }) {
+  if (min != null && max != null) return `${min} à ${max} °C`;
+  return max != null ? `${max} °C maximum` : `${min} °C minimum`;
+}
+
+// Fiche de fabrication d'un lot de masseLot grammes : pesées par phase arrondies à la balance,
+// étapes et contrôles à signer. Renvoie { erreurs } si la formule ne permet pas le calcul.
+function construireFiche(produit, lignes, { masseLot, precision = precisionPourMasse(masseLot), lot } = {}) {
+  if (!lignes.length) {
+    return { erreurs: ['Formule non renseignée'] };
+  }
+
+  const formule = analyserFormule(lignes);
+  if (!formule.valide) {
+    return { erreurs: formule.erreurs };
+  }
+
+  const avertissements = [...formule.avertissements];
+
+  // Les pourcentages sont ramenés à leur total pour que les pesées fassent exactement le lot
+  const pesees = formule.lignes.map(ligne => {
+    const masse = ligne.pourcentage * masseLot / formule.totaux.pourcentage;
+    if (masse < graduationsMinimales * precision) {
+      avertissements.push(`Pesée de ${ligne.ingredient.nom} (${texteMasse(masse, precision / 10)}) trop faible `
+        + `pour une balance au ${texteMasse(precision, precision)} : utiliser une balance plus précise ou une prédilution`);
+    }
+    return {
+      ingredient: { id: ligne.ingredient.id, nom: ligne.ingredient.nom },
+      phase: ligne.phase,
+      pourcentage: ligne.pourcentage,
+      masse: Math.round(masse * 1000) / 1000,
+      pesee: peser(masse, precision)
+    };
+  });
+
+  const groupes = [...phases, null]
+    .map(phase => {
+      const lignesPhase = pesees.filter(pesee => (pesee.phase ?? null) === phase);
+      return {
+        phase,
+        libelle: phase ? libellesPhase[phase] : 'Sans phase',
+        lignes: lignesPhase.map(({ ingredient, pourcentage, masse, pesee }) => ({ ingredient, pourcentage, masse, pesee })),
+        total: peser(lignesPhase.reduce((total, pesee) => total + pesee.pesee, 0), precision)
+      };
+    })
+    .filter(groupe => groupe.lignes.length);
+
+  const totalPese = peser(pesees.reduce((total, pesee) => total + pesee.pesee, 0), precision);
+
+  const phasesPresentes = new Set(pesees.map(pesee => pesee.phase).filter(Boolean));
+  const etapes = etapesFabrication
+    .filter(etape => etape.phases.every(phase => phasesPresentes.has(phase)))
+    .map((etape, index) => ({
+      numero: index + 1,
+      titre: etape.titre,
+      temperature: etape.temperature ? { ...etape.temperature, texte: texteTemperature(etape.temperature) } : null
+    }));
+
+  return {
+    produit: { id: produit.id, nom: produit.nom },
+    lot: lot || null,
+    masseLot,
+    precision,
+    phases: groupes,
+    totalPese,
+    ecartArrondi: peser(totalPese - masseLot, precision),
+    etapes,
+    controles: controlesFabrication,
+    avertissements
+  };
+}
+
+function ficheHtml(fiche) {
+  const masse = (valeur) => echapper(texteMasse(valeur, fiche.precision));
+
+  const tableaux = fiche.phases.map(groupe => `<h2>${echapper(groupe.libelle)}</h2>\n`
+    + '<table>\n<tr><th>Ingrédient</th><th>%</th><th>Quantité</th><th>Pesée réelle</th><th>Visa</th></tr>\n'
+    + groupe.lignes.map(ligne => `<tr><td>${echapper(ligne.ingredient.nom)}</td>`
+      + `<td class="nombre">${echapper(String(ligne.pourcentage).replace('.', ','))}</td>`
+      + `<td class="nombre">${masse(ligne.pesee)}</td><td></td><td></td></tr>\n`).join('')
+    + `<tr class="total"><td>Total</td><td></td><td class="nombre">${masse(groupe.total)}</td><td></td><td></td></tr>\n`
+    + '</table>\n').join('');
+
+  const etapes = fiche.etapes.map(etape => `<li>${echapper(etape.titre)}`
+    + (etape.temperature
+      ? ` <span class="temperature">(${echapper(etape.temperature.texte)})</span> – température relevée : ______ °C`
+      : '')
+    + ' <span class="case"></span></li>\n').join('');
+
+  const controles = fiche.controles.map(controle => `<tr><td><span class="case"></span> ${echapper(controle)}</td>`
+    + '<td></td><td></td><td></td></tr>\n').join('');
+
+  const avertissements = fiche.avertissements.length
+    ? '<ul class="avertissements">\n'
+      + fiche.avertissements.map(avertissement => `<li>${echapper(avertissement)}</li>\n`).join('')
+      + '</ul>\n'
+    : '';
+
+  return '<!DOCTYPE html>\n'
+    + '<html lang="fr">\n<head>\n<meta charset="utf-8">\n'
+    + `<title>Fiche de fabrication – ${echapper(fiche.produit.nom)}</title>\n`
+    + '<style>'
+    + 'body{font-family:Arial,sans-serif;font-size:10pt;margin:15mm}'
+    + 'h1{font-size:16pt;margin:0 0 2mm}h2{font-size:12pt;margin:5mm 0 2mm}'
+    + 'table{width:100%;border-collapse:collapse}th,td{border:1px solid #000;padding:1.5mm;text-align:left}'
+    + '.nombre{text-align:right}.total{font-weight:bold}.temperature{font-weight:bold}'
+    + 'li{margin-bottom:2mm}.avertissements{color:#b00}'
+    + '.case{display:inline-block;width:3mm;height:3mm;border:1px solid #000;vertical-align:middle}'
+    + '@media print{@page{size:A4;margin:0}}'
+    + '</style>\n</head>\n<body>\n'
+    + `<h1>Fiche de fabrication – ${echapper(fiche.produit.nom)}</h1>\n`
+    + `<p>Lot : ${echapper(fiche.lot || '______')} – Masse du lot : ${masse(fiche.masseLot)}`
+    + ` – Balance : ${masse(fiche.precision)} – Date : ______ – Opérateur : ______</p>\n`
+    + avertissements
+    + tableaux
+    + `<p class="total">Total pesé : ${masse(fiche.totalPese)} (écart d'arrondi : ${masse(fiche.ecartArrondi)})</p>\n`
+    + `<h2>Étapes</h2>\n<ol>\n${etapes}</ol>\n`
+    + '<h2>Contrôles</h2>\n'
+    + `<table>\n<tr><th>Contrôle</th><th>Nom</th><th>Date</th><th>Signature</th></tr>\n${controles}</table>\n`
+    + '</body>\n</html>\n';
+}
+
+// Fiche au format PDF (A4), mise en page ligne à ligne avec saut de page automatique
+function fichePdf(fiche) {
+  const marge = 40;
+  const masse = (valeur) => texteMasse(valeur, fiche.precision);
+  const pages = [];
+  let page;
+  let y;
+
+  const nouvellePage = () => {
+    page = { textes: [], traits: [], cadres: [] };
+    pages.push(page);
+    y = hauteurA4 - marge;
+  };
+  // Réserve la hauteur d'une ligne, sur une nouvelle page si nécessaire
+  const ligne = (hauteur = 14) => {
+    if (y - hauteur < marge) nouvellePage();
+    y -= hauteur;
+    return y;
+  };
+  const texte = (x, texteLigne, options = {}) => page.textes.push({ x, y, texte: texteLigne, ...options });
+  const souligne = (x1, x2) => page.traits.push({ x1, y1: y - 3, x2, y2: y - 3 });
+  const caseACocher = (x) => page.cadres.push({ x, y: y - 1, largeur: 8, hauteur: 8 });
+
+  nouvellePage();
+  decouperTexte(`Fiche de fabrication – ${fiche.produit.nom}`, 55).forEach((ligneTitre, index) => {
+    ligne(index ? 18 : 16);
+    texte(marge, ligneTitre, { taille: 16, gras: true });
+  });
+  ligne(20);
+  texte(marge, `Lot : ${fiche.lot || '__________'}    Masse du lot : ${masse(fiche.masseLot)}    Balance : ${masse(fiche.precision)}`);
+  ligne();
+  texte(marge, 'Date : ____________    Opérateur : ______________________');
+  fiche.avertissements.forEach(avertissement => {
+    decouperTexte(avertissement, 110).forEach((ligneAvertissement, index) => {
+      ligne(index ? 10 : 14);
+      texte(index ? marge + 6 : marge, index ? ligneAvertissement : `! ${ligneAvertissement}`, { taille: 8 });
+    });
+  });
+
+  const colonnes = { ingredient: marge, pourcentage: 300, quantite: 350, peseeReelle: 430, visa: 500 };
+  fiche.phases.forEach(groupe => {
+    ligne(24);
+    texte(marge, groupe.libelle, { taille: 12, gras: true });
+    ligne(16);
+    texte(colonnes.ingredient, 'Ingrédient', { gras: true });
+    texte(colonnes.pourcentage, '%', { gras: true });
+    texte(colonnes.quantite, 'Quantité', { gras: true });
+    texte(colonnes.peseeReelle, 'Pesée réelle', { gras: true });
+    texte(colonnes.visa, 'Visa', { gras: true });
+    groupe.lignes.forEach(pesee => {
+      ligne(16);
+      texte(colonnes.ingredient, pesee.ingredient.nom.slice(0, 45));
+      texte(colonnes.pourcentage, String(pesee.pourcentage).replace('.', ','));
+      texte(colonnes.quantite, masse(pesee.pesee));
+      souligne(colonnes.peseeReelle, colonnes.visa - 10);
+      souligne(colonnes.visa, largeurA4 - marge);
+    });
+    ligne(16);
+    texte(colonnes.ingredient, 'Total', { gras: true });
+    texte(colonnes.quantite, masse(groupe.total), { gras: true });
+  });
+
+  ligne(20);
+  texte(marge, `Total pesé : ${masse(fiche.totalPese)} (écart d'arrondi : ${masse(fiche.ecartArrondi)})`, { gras: true });
+
+  ligne(24);
+  texte(marge, 'Étapes', { taille: 12, gras: true });
+  fiche.etapes.forEach(etape => {
+    ligne(16);
+    caseACocher(marge);
+    texte(marge + 14, `${etape.numero}. ${etape.titre}`);
+    if (etape.temperature) {
+      ligne();
+      texte(marge + 26, `${etape.temperature.texte} – température relevée : ________ °C`, { taille: 9 });
+    }
+  });
+
+  ligne(24);
+  texte(marge, 'Contrôles', { taille: 12, gras: true });
+  ligne(16);
+  texte(marge, 'Contrôle', { gras: true });
+  texte(250, 'Nom', { gras: true });
+  texte(370, 'Date', { gras: true });
+  texte(450, 'Signature', { gras: true });
+  fiche.controles.forEach(controle => {
+    ligne(20);
+    caseACocher(marge);
+    texte(marge + 14, controle);
+    souligne(250, 360);
+    souligne(370, 440);
+    souligne(450, largeurA4 - marge);
+  });
+
+  return createPdf(pages, { titre: `Fiche de fabrication – ${fiche.produit.nom}` });
+}
+
+module.exports = {
+  precisionPourMasse,
+  construireFiche,
+  ficheHtml,
+  fichePdf
+};
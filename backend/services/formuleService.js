@@ -0,0 +1,213 @@
+const { PrismaClient } = require('@prisma/client');
+const {
+  unites,
+  phases,
+  mlParGoutte,
+  densiteParDefaut,
+  tolerancePourcentage
+} = require('../config/formulation');
+
+const prisma = new PrismaClient();
+
+// Unités passant par la densité pour être converties en masse
+const unitesVolumiques = ['ml', 'gouttes'];
+
+const arrondir = (nombre, decimales = 3) => Math.round(nombre * 10 ** decimales) / 10 ** decimales;
+
+// Masse en grammes d'une quantité exprimée en g, ml ou gouttes
+function versGrammes(valeur, unite, densite) {
+  switch (unite) {
+    case 'g':
+      return valeur;
+    case 'ml':
+      return valeur * (densite ?? densiteParDefaut);
+    case 'gouttes':
+      return valeur * mlParGoutte * (densite ?? densiteParDefaut);
+    default:
+      throw new Error(`Unité non convertible en masse : ${unite}`);
+  }
+}
+
+// Quantité en g, ml ou gouttes correspondant à une masse en grammes
+function depuisGrammes(masse, unite, densite) {
+  switch (unite) {
+    case 'g':
+      return masse;
+    case 'ml':
+      return masse / (densite ?? densiteParDefaut);
+    case 'gouttes':
+      return masse / (densite ?? densiteParDefaut) / mlParGoutte;
+    default:
+      throw new Error(`Unité non convertible en masse : ${unite}`);
+  }
+}
+
+// Convertit une quantité entre g, ml, % et gouttes.
+// Les pourcentages se rapportent à la masse totale du lot, obligatoire dans ce cas.
+function convertir(valeur, depuis, vers, { densite, masseTotale } = {}) {
+  if (depuis === vers) return valeur;
+
+  if ((depuis === '%' || vers === '%') && !masseTotale) {
+    throw new Error('Masse totale requise pour convertir un pourcentage');
+  }
+
+  const masse = depuis === '%' ? valeur * masseTotale / 100 : versGrammes(valeur, depuis, densite);
+  return vers === '%' ? masse / masseTotale * 100 : depuisGrammes(masse, vers, densite);
+}
+
+// Lignes de formule d'un produit, dans l'ordre d'incorporation, avec la composition
+// en allergènes de chaque ingrédient
+const getLignes = (produitId) => prisma.quantite.findMany({
+  where: { produitId },
+  include: { ingredient: { include: { compositionAllergenes: { include: { allergene: true } }, limitesConcentration: true } } },
+  orderBy: { ordre: 'asc' }
+});
+
+// Lignes de formule construites à partir d'une saisie non enregistrée, sous la même forme que getLignes.
+// Les ingrédients référencés doivent exister (voir checkReferences).
+async function lignesDepuisSaisie(saisie) {
+  const ingredients = await prisma.ingredient.findMany({
+    where: { id: { in: saisie.map(ligne => ligne.ingredientId) } },
+    include: { compositionAllergenes: { include: { allergene: true } }, limitesConcentration: true }
+  });
+  const ingredientsParId = new Map(ingredients.map(ingredient => [ingredient.id, ingredient]));
+
+  return saisie.map((ligne, ordre) => ({
+    valeur: ligne.valeur ?? null,
+    unite: ligne.unite ?? null,
+    phase: ligne.phase ?? null,
+    ordre,
+    ingredient: ingredientsParId.get(ligne.ingredientId)
+  }));
+}
+
+// Signale les ingrédients convertis avec la densité par défaut faute de densité renseignée
+const densitesEstimees = (lignes) => lignes
+  .filter(ligne => ligne.ingredient.densite == null)
+  .map(ligne => `Densité inconnue pour ${ligne.ingredient.nom} : ${densiteParDefaut} g/ml retenu`);
+
+// Calcule masse et pourcentage de chaque ligne et vérifie la cohérence de la formule.
+// Une formule est saisie soit en pourcentages (total de 100 %), soit en quantités (g, ml, gouttes) ;
+// masseLot donne la masse d'un lot pour une formule en pourcentages.
+function analyserFormule(lignes, { masseLot } = {}) {
+  const erreurs = [];
+  const incompletes = lignes.filter(ligne => ligne.valeur == null || !ligne.unite);
+  incompletes.forEach(ligne => erreurs.push(`Quantité manquante pour ${ligne.ingredient.nom}`));
+
+  const inconnues = lignes.filter(ligne => !incompletes.includes(ligne) && !unites.includes(ligne.unite));
+  inconnues.forEach(ligne => erreurs.push(`Unité inconnue pour ${ligne.ingredient.nom} : ${ligne.unite}`));
+
+  const completes = lignes.filter(ligne => !incompletes.includes(ligne) && !inconnues.includes(ligne));
+  const enPourcentage = completes.filter(ligne => ligne.unite === '%');
+  const enQuantite = completes.filter(ligne => ligne.unite !== '%');
+  if (enPourcentage.length && enQuantite.length) {
+    erreurs.push('Une formule ne peut pas mélanger pourcentages et quantités');
+  }
+
+  const masses = new Map(enQuantite.map(ligne => [
+    ligne,
+    versGrammes(ligne.valeur, ligne.unite, ligne.ingredient.densite)
+  ]));
+
+  let masseTotale = null;
+  let totalPourcentage;
+  if (enQuantite.length && !enPourcentage.length) {
+    masseTotale = [...masses.values()].reduce((total, masse) => total + masse, 0);
+    totalPourcentage = 100;
+  } else {
+    totalPourcentage = enPourcentage.reduce((total, ligne) => total + ligne.valeur, 0);
+    masseTotale = masseLot ?? null;
+    if (lignes.length && Math.abs(totalPourcentage - 100) > tolerancePourcentage) {
+      erreurs.push(`Les pourcentages totalisent ${arrondir(totalPourcentage, 2)} % au lieu de 100 %`);
+    }
+  }
+
+  const resultat = lignes.map(ligne => {
+    let masse = null;
+    let pourcentage = null;
+    if (masses.has(ligne) && !enPourcentage.length) {
+      masse = masses.get(ligne);
+      pourcentage = masseTotale ? masse / masseTotale * 100 : 0;
+    } else if (ligne.unite === '%' && ligne.valeur != null) {
+      pourcentage = ligne.valeur;
+      masse = masseTotale ? ligne.valeur * masseTotale / 100 : null;
+    }
+
+    return {
+      id: ligne.id,
+      ordre: ligne.ordre,
+      phase: ligne.phase,
+      ingredient: {
+        id: ligne.ingredient.id,
+        nom: ligne.ingredient.nom,
+        densite: ligne.ingredient.densite
+      },
+      valeur: ligne.valeur,
+      unite: ligne.unite,
+      masse: masse === null ? null : arrondir(masse),
+      pourcentage: pourcentage === null ? null : arrondir(pourcentage)
+    };
+  });
+
+  const parPhase = {};
+  phases.forEach(phase => {
+    const lignesPhase = resultat.filter(ligne => ligne.phase === phase && ligne.pourcentage !== null);
+    if (lignesPhase.length) {
+      parPhase[phase] = arrondir(lignesPhase.reduce((total, ligne) => total + ligne.pourcentage, 0));
+    }
+  });
+
+  const avertissements = densitesEstimees(lignes.filter(ligne => unitesVolumiques.includes(ligne.unite)));
+
+  return {
+    lignes: resultat,
+    totaux: {
+      pourcentage: arrondir(totalPourcentage),
+      masse: masseTotale === null ? null : arrondir(masseTotale),
+      parPhase
+    },
+    valide: erreurs.length === 0,
+    erreurs,
+    avertissements
+  };
+}
+
+// Densité (g/ml) d'une formule analysée valide, d'après le volume occupé par chaque ingrédient ;
+// null si la densité d'un ingrédient n'est pas renseignée
+function densiteFormule(formule) {
+  const lignes = formule.lignes.filter(ligne => ligne.pourcentage);
+  if (!formule.valide || !lignes.length || lignes.some(ligne => ligne.ingredient.densite == null)) {
+    return null;
+  }
+  return 100 / lignes.reduce((volume, ligne) => volume + ligne.pourcentage / ligne.ingredient.densite, 0);
+}
+
+// Ajoute à chaque ligne analysée sa quantité exprimée dans l'unité demandée
+function convertirFormule(formule, unite) {
+  const lignes = formule.lignes.map(ligne => {
+    let valeur = null;
+    if (unite === '%') {
+      valeur = ligne.pourcentage;
+    } else if (ligne.masse !== null) {
+      valeur = arrondir(depuisGrammes(ligne.masse, unite, ligne.ingredient.densite));
+    }
+    return { ...ligne, converti: { valeur, unite } };
+  });
+
+  const avertissements = unitesVolumiques.includes(unite)
+    ? densitesEstimees(formule.lignes.filter(ligne => !unitesVolumiques.includes(ligne.unite)))
+    : [];
+
+  return { ...formule, lignes, avertissements: [...formule.avertissements, ...avertissements] };
+}
+
+module.exports = {
+  versGrammes,
+  depuisGrammes,
+  convertir,
+  getLignes,
+  lignesDepuisSaisie,
+  analyserFormule,
+  densiteFormule,
+  convertirFormule
+};
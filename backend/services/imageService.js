@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { PrismaClient } = require('@prisma/client');
+const { typesImage, largeursMiniatures, qualiteWebp } = require('../config/images');
+const { enregistrerFichier, supprimerFichiers, listerFichiers, urlFichier } = require('./stockage');
+
+const prisma = new PrismaClient();
+
+// Format détecté par sharp et type MIME correspondant
+const typesParFormat = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+
+// sharp range AVIF et HEIC sous le même format heif : seule la compression AV1 est de l'AVIF
+const typeMimeImage = ({ format, compression }) => (
+  format === 'heif' ? (compression === 'av1' ? 'image/avif' : undefined) : typesParFormat[format]
+);
+
+const ordreImages = [{ ordre: 'asc' }, { createdAt: 'asc' }];
+
+// Fichiers d'une image dans le stockage : original puis miniatures
+const clesImage = (image) => [image.cle, ...JSON.parse(image.miniatures).map(miniature => miniature.cle)];
+
+// Image renvoyée par l'API : URLs publiques et srcset prêt à l'emploi
+function formatImage(image) {
+  const miniatures = JSON.parse(image.miniatures).map(({ largeur, cle }) => ({ largeur, url: urlFichier(cle) }));
+
+  return {
+    id: image.id,
+    url: urlFichier(image.cle),
+    texteAlternatif: image.texteAlternatif,
+    ordre: image.ordre,
+    largeur: image.largeur,
+    hauteur: image.hauteur,
+    typeMime: image.typeMime,
+    taille: image.taille,
+    miniatures,
+    srcset: miniatures.map(miniature => `${miniature.url} ${miniature.largeur}w`).join(', ')
+  };
+}
+
+// Vérifie le contenu d'un fichier téléversé, enregistre l'original (réorienté, sans métadonnées EXIF)
+// et ses miniatures WebP sous le dossier donné. Renvoie les champs de l'image à créer,
+// ou { erreur } si le fichier n'est pas une image acceptée.
+async function stockerImage(dossier, fichier) {
+  let metadonnees;
+  try {
+    metadonnees = await sharp(fichier.buffer).metadata();
+  } catch {
+    return { erreur: 'Fichier image illisible' };
+  }
+
+  const typeMime = typeMimeImage(metadonnees);
+  if (!typesImage[typeMime]) {
+    return { erreur: 'Format d\'image non pris en charge' };
+  }
+
+  const original = await sharp(fichier.buffer).rotate().toBuffer({ resolveWithObject: true });
+  const { width: largeur, height: hauteur } = original.info;
+
+  const base = `${dossier}/${crypto.randomUUID()}`;
+  const fichiers = [{ cle: `${base}/original.${typesImage[typeMime]}`, contenu: original.data, typeMime }];
+
+  const largeurs = [...new Set(largeursMiniatures.map(largeurMiniature => Math.min(largeurMiniature, largeur)))];
+  for (const largeurMiniature of largeurs) {
+    fichiers.push({
+      largeur: largeurMiniature,
+      cle: `${base}/${largeurMiniature}.webp`,
+      contenu: await sharp(original.data).resize({ width: largeurMiniature }).webp({ quality: qualiteWebp }).toBuffer(),
+      typeMime: 'image/webp'
+    });
+  }
+
+  const enregistres = [];
+  try {
+    for (const { cle, contenu, typeMime: type } of fichiers) {
+      await enregistrerFichier(cle, contenu, type);
+      enregistres.push(cle);
+    }
+  } catch (error) {
+    await supprimerFichiers(enregistres).catch(() => {});
+    throw error;
+  }
+
+  const [principal, ...miniatures] = fichiers;
+  return {
+    image: {
+      cle: principal.cle,
+      miniatures: JSON.stringify(miniatures.map(({ largeur: largeurMiniature, cle }) => ({ largeur: largeurMiniature, cle }))),
+      typeMime,
+      taille: principal.contenu.length,
+      largeur,
+      hauteur
+    }
+  };
+}
+
+// Supprime du stockage les fichiers d'images dont les lignes viennent d'être supprimées ;
+// un échec laisse des fichiers orphelins, repris par nettoyerFichiersOrphelins
+async function supprimerFichiersImages(images) {
+  try {
+    await supprimerFichiers(images.flatMap(clesImage));
+  } catch (error) {
+    console.error('Erreur suppression des fichiers images:', error);
+  }
+}
+
+// L'image principale d'un produit (imageUrl) suit la première image téléversée ;
+// une URL externe saisie à la main est conservée tant que le produit n'a pas d'image
+async function mettreAJourImagePrincipale(produitId, urlsRetirees = []) {
+  const [premiere] = await prisma.image.findMany({ where: { produitId }, orderBy: ordreImages, take: 1 });
+  const produit = await prisma.produit.findUnique({ where: { id: produitId }, select: { imageUrl: true } });
+
+  let imageUrl = produit.imageUrl;
+  if (premiere) {
+    imageUrl = urlFichier(premiere.cle);
+  } else if (urlsRetirees.includes(imageUrl)) {
+    imageUrl = null;
+  }
+
+  if (imageUrl !== produit.imageUrl) {
+    await prisma.produit.update({ where: { id: produitId }, data: { imageUrl } });
+  }
+}
+
+const getImagesProduit = (produitId) => prisma.image.findMany({ where: { produitId }, orderBy: ordreImages });
+
+// Réordonne les images d'un produit selon la liste complète de leurs identifiants
+async function ordonnerImagesProduit(produitId, imageIds) {
+  await prisma.$transaction(imageIds.map((id, ordre) => prisma.image.update({ where: { id }, data: { ordre } })));
+  await mettreAJourImagePrincipale(produitId);
+  return getImagesProduit(produitId);
+}
+
+// Place une image à la position donnée (à partir de 0) en décalant les suivantes
+async function deplacerImageProduit(produitId, imageId, position) {
+  const imageIds = (await getImagesProduit(produitId)).map(image => image.id).filter(id => id !== imageId);
+  imageIds.splice(position, 0, imageId);
+  return ordonnerImagesProduit(produitId, imageIds);
+}
+
+// Ajoute une image à un produit, en dernière position par défaut ; renvoie { erreur } ou { image }
+async function ajouterImageProduit(produitId, fichier, { texteAlternatif, ordre }) {
+  const stockee = await stockerImage(`produits/${produitId}`, fichier);
+  if (stockee.erreur) return stockee;
+
+  const image = await prisma.image.create({
+    data: {
+      ...stockee.image,
+      produitId,
+      texteAlternatif: texteAlternatif || null,
+      ordre: await prisma.image.count({ where: { produitId } })
+    }
+  });
+  if (ordre === undefined) {
+    await mettreAJourImagePrincipale(produitId);
+    return { image };
+  }
+
+  const images = await deplacerImageProduit(produitId, image.id, ordre);
+  return { image: images.find(autre => autre.id === image.id) };
+}
+
+async function supprimerImageProduit(image) {
+  await prisma.image.delete({ where: { id: image.id } });
+  await supprimerFichiersImages([image]);
+  await mettreAJourImagePrincipale(image.produitId, [urlFichier(image.cle)]);
+}
+
+// Remplace l'image d'un article ; renvoie { erreur } ou { image }
+async function remplacerImageBlog(blogId, fichier, { texteAlternatif }) {
+  const stockee = await stockerImage(`blogs/${blogId}`, fichier);
+  if (stockee.erreur) return stockee;
+
+  const anciennes = await prisma.image.findMany({ where: { blogId } });
+  const [, image] = await prisma.$transaction([
+    prisma.image.deleteMany({ where: { blogId } }),
+    prisma.image.create({ data: { ...stockee.image, blogId, texteAlternatif: texteAlternatif || null } }),
+    prisma.blog.update({ where: { id: blogId }, data: { imageUrl: urlFichier(stockee.image.cle) } })
+  ]);
+  await supprimerFichiersImages(anciennes);
+
+  return { image };
+}
+
+async function supprimerImageBlog(blogId) {
+  const images = await prisma.image.findMany({ where: { blogId } });
+  await prisma.$transaction([
+    prisma.image.deleteMany({ where: { blogId } }),
+    prisma.blog.update({ where: { id: blogId }, data: { imageUrl: null } })
+  ]);
+  await supprimerFichiersImages(images);
+}
+
+// Supprime du stockage les fichiers qui ne correspondent à aucune image enregistrée
+// (suppressions interrompues, téléversements abandonnés)
+async function nettoyerFichiersOrphelins() {
+  const images = await prisma.image.findMany({ select: { cle: true, miniatures: true } });
+  const references = new Set(images.flatMap(clesImage));
+
+  const orphelins = (await listerFichiers()).filter(cle => !references.has(cle));
+  await supprimerFichiers(orphelins);
+
+  return { supprimes: orphelins.length };
+}
+
+module.exports = {
+  formatImage,
+  getImagesProduit,
+  ajouterImageProduit,
+  ordonnerImagesProduit,
+  deplacerImageProduit,
+  supprimerImageProduit,
+  supprimerFichiersImages,
+  remplacerImageBlog,
+  supprimerImageBlog,
+  nettoyerFichiersOrphelins
+};
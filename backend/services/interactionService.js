@@ -0,0 +1,81 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const arrondir = (nombre) => Math.round(nombre * 100) / 100;
+
+// Une incompatibilité est enregistrée une seule fois, identifiants dans l'ordre
+const ordonnerPaire = (idA, idB) => (idA < idB ? [idA, idB] : [idB, idA]);
+
+// Plage de pH commune aux ingrédients qui en déclarent une ; null si aucun n'en déclare
+function plageCommune(ingredients) {
+  const bornes = ingredients.filter(ingredient => ingredient.phMin != null || ingredient.phMax != null);
+  if (!bornes.length) return null;
+
+  return {
+    min: Math.max(...bornes.map(ingredient => ingredient.phMin ?? 0)),
+    max: Math.min(...bornes.map(ingredient => ingredient.phMax ?? 14))
+  };
+}
+
+// Conflits d'une formule : paires incompatibles du registre, pH hors de la plage d'un ingrédient,
+// phases aqueuse et huileuse sans émulsifiant. Les lignes portent `ingredient` et `phase`.
+async function evaluerInteractions(lignes, { ph } = {}) {
+  const ingredients = lignes.map(ligne => ligne.ingredient);
+  const ids = ingredients.map(ingredient => ingredient.id);
+  const conflits = [];
+
+  const incompatibilites = await prisma.incompatibilite.findMany({
+    where: { ingredientAId: { in: ids }, ingredientBId: { in: ids } },
+    include: { ingredientA: true, ingredientB: true }
+  });
+  incompatibilites.forEach(({ ingredientA, ingredientB, motif, gravite }) => {
+    conflits.push({
+      type: 'INCOMPATIBILITE',
+      gravite,
+      ingredients: [ingredientA.id, ingredientB.id],
+      message: `${ingredientA.nom} et ${ingredientB.nom} sont incompatibles : ${motif}`
+    });
+  });
+
+  const plage = plageCommune(ingredients);
+  if (ph != null) {
+    ingredients
+      .filter(ingredient => (ingredient.phMin != null && ph < ingredient.phMin) || (ingredient.phMax != null && ph > ingredient.phMax))
+      .forEach(ingredient => conflits.push({
+        type: 'PH',
+        gravite: 'BLOQUANTE',
+        ingredients: [ingredient.id],
+        message: `pH ${ph} hors de la plage de ${ingredient.nom} (${ingredient.phMin ?? 0} à ${ingredient.phMax ?? 14})`
+      }));
+  } else if (plage && plage.min > plage.max) {
+    conflits.push({
+      type: 'PH',
+      gravite: 'BLOQUANTE',
+      ingredients: ingredients.filter(ingredient => ingredient.phMin != null || ingredient.phMax != null).map(ingredient => ingredient.id),
+      message: 'Aucun pH ne convient à l\'ensemble des ingrédients'
+    });
+  }
+
+  const phases = new Set(lignes.map(ligne => ligne.phase));
+  if (phases.has('AQUEUSE') && phases.has('HUILEUSE') && !ingredients.some(ingredient => ingredient.emulsifiant)) {
+    conflits.push({
+      type: 'EMULSIFIANT',
+      gravite: 'BLOQUANTE',
+      ingredients: [],
+      message: 'Phases aqueuse et huileuse sans émulsifiant'
+    });
+  }
+
+  return {
+    compatible: !conflits.some(conflit => conflit.gravite === 'BLOQUANTE'),
+    ph: ph ?? null,
+    phRecommande: plage && plage.min <= plage.max ? { min: arrondir(plage.min), max: arrondir(plage.max) } : null,
+    conflits
+  };
+}
+
+module.exports = {
+  ordonnerPaire,
+  evaluerInteractions
+};
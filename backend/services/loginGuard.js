@@ -0,0 +1,116 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Paramètres de protection contre la force brute (par compte)
+const ECHECS_AVANT_DELAI = parseInt(process.env.LOGIN_ECHECS_AVANT_DELAI || '3');
+const DELAI_MAX_SECONDES = parseInt(process.env.LOGIN_DELAI_MAX_SECONDES || '300');
+const ECHECS_AVANT_VERROUILLAGE = parseInt(process.env.LOGIN_ECHECS_AVANT_VERROUILLAGE || '10');
+const DUREE_VERROUILLAGE_MINUTES = parseInt(process.env.LOGIN_DUREE_VERROUILLAGE_MINUTES || '30');
+
+const secondesRestantes = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Indique si une tentative est autorisée pour ce compte
+function checkLoginAllowed(utilisateur) {
+  const maintenant = new Date();
+
+  if (utilisateur.verrouilleJusquA && utilisateur.verrouilleJusquA > maintenant) {
+    return { allowed: false, reason: 'verrouille', retryAfter: secondesRestantes(utilisateur.verrouilleJusquA) };
+  }
+
+  if (utilisateur.prochaineTentativeLe && utilisateur.prochaineTentativeLe > maintenant) {
+    return { allowed: false, reason: 'delai', retryAfter: secondesRestantes(utilisateur.prochaineTentativeLe) };
+  }
+
+  return { allowed: true };
+}
+
+// Réponse HTTP à renvoyer quand checkLoginAllowed refuse la tentative
+function blockedResponse(verification) {
+  if (verification.reason === 'verrouille') {
+    return {
+      status: 423,
+      body: {
+        error: 'Compte temporairement verrouillé',
+        message: 'Trop de tentatives échouées, réessayez plus tard ou contactez le support',
+        retryAfter: verification.retryAfter
+      }
+    };
+  }
+  return {
+    status: 429,
+    body: {
+      error: 'Trop de tentatives de connexion',
+      message: `Veuillez patienter ${verification.retryAfter} secondes avant de réessayer`,
+      retryAfter: verification.retryAfter
+    }
+  };
+}
+
+// Enregistre une tentative dans l'historique sans toucher aux compteurs
+async function recordAttempt(utilisateur, { ip, userAgent } = {}, succes, motif) {
+  await prisma.historiqueConnexion.create({
+    data: { utilisateurId: utilisateur.id, succes, motif, ip, userAgent }
+  });
+}
+
+// Échec : délai exponentiel à partir de quelques erreurs, puis verrouillage temporaire.
+// Le compteur est incrémenté en base : des tentatives simultanées comptent toutes.
+async function recordFailure(utilisateur, meta, motif = 'mot de passe incorrect') {
+  const { tentativesEchouees: tentatives } = await prisma.utilisateur.update({
+    where: { id: utilisateur.id },
+    data: { tentativesEchouees: { increment: 1 } },
+    select: { tentativesEchouees: true }
+  });
+
+  let verrouille = false;
+  if (tentatives >= ECHECS_AVANT_VERROUILLAGE) {
+    // Seule la tentative qui atteint le seuil pose le verrou et remet le compteur à zéro
+    const { count } = await prisma.utilisateur.updateMany({
+      where: { id: utilisateur.id, tentativesEchouees: { gte: ECHECS_AVANT_VERROUILLAGE } },
+      data: {
+        tentativesEchouees: 0,
+        prochaineTentativeLe: null,
+        verrouilleJusquA: new Date(Date.now() + DUREE_VERROUILLAGE_MINUTES * 60 * 1000)
+      }
+    });
+    verrouille = count > 0;
+  } else if (tentatives >= ECHECS_AVANT_DELAI) {
+    const delai = Math.min(2 ** (tentatives - ECHECS_AVANT_DELAI + 1), DELAI_MAX_SECONDES);
+    await prisma.utilisateur.update({
+      where: { id: utilisateur.id },
+      data: { prochaineTentativeLe: new Date(Date.now() + delai * 1000) }
+    });
+  }
+
+  await recordAttempt(utilisateur, meta, false, motif);
+
+  return { verrouille };
+}
+
+// Succès : remise à zéro des compteurs
+async function recordSuccess(utilisateur, meta) {
+  if (utilisateur.tentativesEchouees > 0 || utilisateur.prochaineTentativeLe || utilisateur.verrouilleJusquA) {
+    await prisma.utilisateur.update({
+      where: { id: utilisateur.id },
+      data: { tentativesEchouees: 0, prochaineTentativeLe: null, verrouilleJusquA: null }
+    });
+  }
+  await recordAttempt(utilisateur, meta, true);
+}
+
+async function unlock(utilisateurId) {
+  return prisma.utilisateur.update({
+    where: { id: utilisateurId },
+    data: { tentativesEchouees: 0, prochaineTentativeLe: null, verrouilleJusquA: null }
+  });
+}
+
+module.exports = {
+  checkLoginAllowed,
+  blockedResponse,
+  recordAttempt,
+  recordFailure,
+  recordSuccess,
+  unlock
+};
@@ -0,0 +1,264 @@
+const { PrismaClient } = require('@prisma/client');
+const { getLignes, analyserFormule, versGrammes, depuisGrammes } = require('./formuleService');
+const { MouvementRefuse, appliquerMouvement, suivreMouvement } = require('./stockService');
+
+const prisma = new PrismaClient();
+
+// Masse négligeable en grammes (arrondis de conversion)
+const TOLERANCE_MASSE = 0.001;
+
+const arrondir = (nombre) => Math.round(nombre * 1000) / 1000;
+
+const lotInclude = {
+  variante: { select: { id: true, nom: true } },
+  consommations: {
+    include: { lotIngredient: { include: { ingredient: { select: { id: true, nom: true } } } } }
+  }
+};
+
+// Lot renvoyé par l'API : lots d'ingrédients consommés à plat
+const formatLot = ({ consommations, ...lot }) => ({
+  ...lot,
+  perime: lot.datePeremption < new Date(),
+  ingredients: consommations.map(({ lotIngredient, quantite, unite }) => ({
+    ingredientId: lotIngredient.ingredient.id,
+    nom: lotIngredient.ingredient.nom,
+    numeroLot: lotIngredient.numero,
+    quantite,
+    unite
+  }))
+});
+
+// Vérifie que les lots d'ingrédients couvrent exactement la formule du produit ;
+// renvoie un message d'erreur sinon
+async function checkIngredientsLot(produitId, ingredients) {
+  const lignes = await getLignes(produitId);
+  const formule = new Set(lignes.map(ligne => ligne.ingredientId));
+
+  if (ingredients.some(ingredient => !formule.has(ingredient.ingredientId))) {
+    return 'Ingrédient hors formule';
+  }
+
+  const couverts = new Set(ingredients.map(ingredient => ingredient.ingredientId));
+  const manquants = lignes.filter(ligne => !couverts.has(ligne.ingredientId)).map(ligne => ligne.ingredient.nom);
+  if (manquants.length) {
+    return `Lot d'ingrédient manquant : ${manquants.join(', ')}`;
+  }
+  return null;
+}
+
+// Écrit un lot de fabrication et son entrée en stock (mouvement de production) dans la transaction tx
+async function ecrireLot(tx, produit, { numero, varianteId = null, dateProduction, quantite, datePeremption, pao, ingredients }, utilisateurId) {
+  const lot = await tx.lotProduction.create({
+    data: {
+      numero,
+      produitId: produit.id,
+      varianteId,
+      dateProduction,
+      quantiteProduite: quantite,
+      datePeremption,
+      pao: pao ?? produit.pao,
+      consommations: {
+        create: ingredients.map(ingredient => ({
+          quantite: ingredient.quantite ?? null,
+          unite: ingredient.unite ?? null,
+          lotIngredient: {
+            connectOrCreate: {
+              where: { ingredientId_numero: { ingredientId: ingredient.ingredientId, numero: ingredient.numeroLot } },
+              create: { ingredientId: ingredient.ingredientId, numero: ingredient.numeroLot }
+            }
+          }
+        }))
+      }
+    }
+  });
+
+  const entree = await appliquerMouvement(tx, {
+    produitId: produit.id,
+    varianteId,
+    type: 'PRODUCTION',
+    quantite,
+    lotId: lot.id,
+    motif: `Lot ${numero}`,
+    utilisateurId
+  });
+
+  return { lot, entree };
+}
+
+// Enregistre un lot de fabrication et son entrée en stock
+async function creerLot(produit, donnees, utilisateurId) {
+  const { lot, entree } = await prisma.$transaction(tx => ecrireLot(tx, produit, donnees, utilisateurId));
+  await suivreMouvement(entree);
+
+  return prisma.lotProduction.findUnique({ where: { id: lot.id }, include: lotInclude });
+}
+
+// Masse à fabriquer : unités × contenance de la variante ou, à défaut, quantité nette du produit.
+// Une contenance en ml est convertie avec la densité de la formule (voir densiteFormule) ;
+// null si la contenance, ou pour une contenance en ml la densité, n'est pas connue
+function masseProduction(produit, variante, quantite, densite = null) {
+  const [contenance, unite] = variante && variante.contenance != null
+    ? [variante.contenance, variante.uniteContenance]
+    : [produit.quantiteNette, produit.uniteQuantiteNette];
+
+  if (contenance == null || !unite) return null;
+  if (unite === 'ml' && densite == null) return null;
+  return quantite * versGrammes(contenance, unite, densite);
+}
+
+// Lots d'un ingrédient en stock et non périmés, premier périmé premier utilisé
+const lotsIngredientDisponibles = (ingredientId) => prisma.lotIngredient.findMany({
+  where: {
+    ingredientId,
+    quantite: { gt: 0 },
+    unite: { not: null },
+    OR: [{ datePeremption: null }, { datePeremption: { gte: new Date() } }]
+  },
+  orderBy: [{ datePeremption: { sort: 'asc', nulls: 'last' } }, { createdAt: 'asc' }]
+});
+
+// Prélèvements sur les lots d'ingrédients pour fabriquer masseLot grammes selon la formule ;
+// renvoie { erreur, details } si la formule est incomplète ou le stock insuffisant
+async function planifierProduction(produitId, masseLot) {
+  const lignes = await getLignes(produitId);
+  if (!lignes.length) {
+    return { erreur: 'Produit sans formule' };
+  }
+
+  const formule = analyserFormule(lignes, { masseLot });
+  if (!formule.valide) {
+    return { erreur: 'Formule incomplète', details: formule.erreurs };
+  }
+
+  const prelevements = [];
+  const manquants = [];
+  for (const ligne of formule.lignes) {
+    const { id: ingredientId, nom, densite } = ligne.ingredient;
+    let reste = ligne.pourcentage * masseLot / 100;
+
+    for (const lot of await lotsIngredientDisponibles(ingredientId)) {
+      if (reste <= TOLERANCE_MASSE) break;
+      const masse = Math.min(versGrammes(lot.quantite, lot.unite, densite), reste);
+      const quantite = Math.min(lot.quantite, arrondir(depuisGrammes(masse, lot.unite, densite)));
+      prelevements.push({ lotIngredient: lot, ingredientId, numeroLot: lot.numero, quantite, unite: lot.unite });
+      reste -= masse;
+    }
+
+    if (reste > TOLERANCE_MASSE) {
+      manquants.push(`${nom} : ${arrondir(reste)} g manquants`);
+    }
+  }
+
+  if (manquants.length) {
+    return { erreur: 'Stock d\'ingrédients insuffisant', details: manquants };
+  }
+  return { prelevements };
+}
+
+// Fabrication : enregistre le lot avec les lots d'ingrédients prélevés et déduit leur stock, en une transaction.
+// Chaque déduction exige que le lot d'ingrédient n'ait pas changé depuis le calcul des prélèvements ;
+// renvoie { erreur } sinon, ou { lot }.
+async function lancerProduction(produit, donnees, prelevements, utilisateurId) {
+  const ingredients = prelevements.map(({ ingredientId, numeroLot, quantite, unite }) => ({
+    ingredientId,
+    numeroLot,
+    quantite,
+    unite
+  }));
+
+  let resultat;
+  try {
+    resultat = await prisma.$transaction(async (tx) => {
+      for (const { lotIngredient, quantite } of prelevements) {
+        const { count } = await tx.lotIngredient.updateMany({
+          where: { id: lotIngredient.id, quantite: lotIngredient.quantite },
+          data: { quantite: Math.max(0, arrondir(lotIngredient.quantite - quantite)) }
+        });
+        if (count === 0) {
+          throw new MouvementRefuse(`Stock du lot d'ingrédient ${lotIngredient.numero} modifié pendant la production, réessayez`);
+        }
+      }
+
+      return ecrireLot(tx, produit, { ...donnees, ingredients }, utilisateurId);
+    });
+  } catch (error) {
+    if (error instanceof MouvementRefuse) {
+      return { erreur: error.message };
+    }
+    throw error;
+  }
+
+  await suivreMouvement(resultat.entree);
+  return { lot: await prisma.lotProduction.findUnique({ where: { id: resultat.lot.id }, include: lotInclude }) };
+}
+
+// Rappel : lots de fabrication ayant consommé un lot d'ingrédient, et clients servis avec ces lots
+async function rappelLotIngredient(lotIngredient) {
+  const consommations = await prisma.consommationLot.findMany({
+    where: { lotIngredientId: lotIngredient.id },
+    include: {
+      lotProduction: {
+        include: {
+          produit: { select: { id: true, nom: true } },
+          variante: { select: { id: true, nom: true } }
+        }
+      }
+    },
+    orderBy: { lotProduction: { dateProduction: 'asc' } }
+  });
+  const lots = consommations.map(consommation => consommation.lotProduction);
+
+  const ventes = await prisma.allocationLot.findMany({
+    where: { lotId: { in: lots.map(lot => lot.id) }, mouvement: { type: 'VENTE' } },
+    include: {
+      lot: { select: { numero: true } },
+      mouvement: { include: { client: { select: { id: true, email: true, nom: true, prenom: true } } } }
+    }
+  });
+
+  const clients = new Map();
+  let unitesSansClient = 0;
+  for (const { lot, quantite, mouvement } of ventes) {
+    if (!mouvement.client) {
+      unitesSansClient -= quantite;
+      continue;
+    }
+    const client = clients.get(mouvement.client.id) ?? { ...mouvement.client, unites: 0, lots: [], derniereVente: null };
+    client.unites -= quantite;
+    if (!client.lots.includes(lot.numero)) client.lots.push(lot.numero);
+    if (!client.derniereVente || mouvement.createdAt > client.derniereVente) client.derniereVente = mouvement.createdAt;
+    clients.set(client.id, client);
+  }
+
+  return {
+    lotIngredient: {
+      id: lotIngredient.id,
+      numero: lotIngredient.numero,
+      ingredient: { id: lotIngredient.ingredient.id, nom: lotIngredient.ingredient.nom }
+    },
+    lots: lots.map(({ id, numero, produit, variante, dateProduction, datePeremption, quantiteProduite, stock }) => ({
+      id,
+      numero,
+      produit,
+      variante,
+      dateProduction,
+      datePeremption,
+      quantiteProduite,
+      stock
+    })),
+    clients: [...clients.values()],
+    unitesSansClient
+  };
+}
+
+module.exports = {
+  lotInclude,
+  formatLot,
+  checkIngredientsLot,
+  creerLot,
+  masseProduction,
+  planifierProduction,
+  lancerProduction,
+  rappelLotIngredient
+};
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Cynova <no-reply@cynova.fr>';
+
+let sequence = 0;
+
+// Transport par défaut : chaque message est écrit en JSON dans un dossier local (outbox)
+const createFileTransport = (dir) => ({
+  async send(message) {
+    const outbox = dir || process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+    await fs.promises.mkdir(outbox, { recursive: true });
+
+    const fichier = path.join(outbox, `${Date.now()}-${String(++sequence).padStart(6, '0')}.json`);
+    await fs.promises.writeFile(fichier, JSON.stringify(message, null, 2));
+
+    return { id: path.basename(fichier, '.json'), path: fichier };
+  }
+});
+
+let transport = createFileTransport();
+
+// Permet de brancher un autre transport (SMTP, API d'envoi, tests...)
+// Un transport expose send(message) et renvoie une promesse
+const setTransport = (nouveauTransport) => {
+  transport = nouveauTransport;
+};
+
+async function sendMail({ to, subject, text, html, headers }) {
+  return transport.send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+    headers,
+    date: new Date().toISOString()
+  });
+}
+
+module.exports = { sendMail, setTransport, createFileTransport };
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { sendMail } = require('./mailer');
+
+const API_URL = process.env.API_URL || 'http://localhost:4000';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const NEWSLETTER_SECRET = process.env.NEWSLETTER_SECRET || process.env.JWT_SECRET || 'cynova-dev-secret';
+
+// Signature HMAC des liens de désinscription : aucun compte ni jeton stocké n'est nécessaire
+const signUnsubscribe = (utilisateurId) => crypto
+  .createHmac('sha256', NEWSLETTER_SECRET)
+  .update(`desinscription:${utilisateurId}`)
+  .digest('hex');
+
+const verifyUnsubscribe = (utilisateurId, signature) => {
+  if (!utilisateurId || typeof signature !== 'string') return false;
+
+  const attendue = Buffer.from(signUnsubscribe(utilisateurId), 'hex');
+  const recue = Buffer.from(signature, 'hex');
+  return recue.length === attendue.length && crypto.timingSafeEqual(recue, attendue);
+};
+
+const buildUnsubscribeUrl = (utilisateurId) =>
+  `${API_URL}/api/utilisateurs/newsletter/desinscription?uid=${encodeURIComponent(utilisateurId)}&sig=${signUnsubscribe(utilisateurId)}`;
+
+// En-têtes RFC 8058 pour la désinscription en un clic depuis le client mail
+const unsubscribeHeaders = (utilisateurId) => ({
+  'List-Unsubscribe': `<${buildUnsubscribeUrl(utilisateurId)}>`,
+  'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+});
+
+const echapper = (texte) => String(texte)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Page ouverte depuis le lien de l'email : un GET ne modifie rien (les antivirus et aperçus
+// de liens le suivent), la désinscription n'est faite que par le POST du bouton
+const renderUnsubscribePage = (utilisateurId) => '<!DOCTYPE html>\n'
+  + '<html lang="fr">\n<head>\n<meta charset="utf-8">\n'
+  + '<title>Désinscription de la newsletter Cynova</title>\n'
+  + '</head>\n<body>\n'
+  + '<h1>Désinscription de la newsletter Cynova</h1>\n'
+  + '<p>Vous ne recevrez plus la newsletter Cynova.</p>\n'
+  + `<form method="post" action="${echapper(buildUnsubscribeUrl(utilisateurId))}">\n`
+  + '<button type="submit">Confirmer la désinscription</button>\n'
+  + '</form>\n'
+  + '</body>\n</html>\n';
+
+async function sendNewsletterConfirmation(utilisateur, token) {
+  const lien = `${FRONTEND_URL}/newsletter/confirmation?token=${token}`;
+
+  await sendMail({
+    to: utilisateur.email,
+    subject: 'Confirmez votre inscription à la newsletter Cynova',
+    text: 'Vous avez demandé à recevoir la newsletter Cynova.\n\n'
+      + `Pour confirmer votre inscription, ouvrez ce lien :\n${lien}\n\n`
+      + 'Sans confirmation de votre part, vous ne recevrez aucun message.\n'
+      + `Vous pourrez vous désinscrire à tout moment : ${buildUnsubscribeUrl(utilisateur.id)}`,
+    headers: unsubscribeHeaders(utilisateur.id)
+  });
+}
+
+module.exports = {
+  signUnsubscribe,
+  verifyUnsubscribe,
+  buildUnsubscribeUrl,
+  unsubscribeHeaders,
+  renderUnsubscribePage,
+  sendNewsletterConfirmation
+};
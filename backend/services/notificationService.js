@@ -0,0 +1,29 @@
+const { PrismaClient } = require('@prisma/client');
+const { sendMail } = require('./mailer');
+const { rolesAlertesStock } = require('../config/stock');
+
+const prisma = new PrismaClient();
+
+// Notifie les administrateurs et gestionnaires de stock (rolesAlertesStock) : notification dans
+// l'espace d'administration et email.
+// Un échec d'envoi est journalisé sans bloquer l'opération qui a déclenché l'alerte.
+async function notifierAdministrateurs({ type, titre, message, produitId = null }) {
+  const destinataires = await prisma.utilisateur.findMany({
+    where: { role: { in: rolesAlertesStock }, anonymiseLe: null },
+    select: { id: true, email: true }
+  });
+
+  await prisma.notification.createMany({
+    data: destinataires.map(({ id }) => ({ utilisateurId: id, type, titre, message, produitId }))
+  });
+
+  for (const { email } of destinataires) {
+    try {
+      await sendMail({ to: email, subject: `[Cynova] ${titre}`, text: message });
+    } catch (error) {
+      console.error('Erreur envoi notification:', error);
+    }
+  }
+}
+
+module.exports = { notifierAdministrateurs };
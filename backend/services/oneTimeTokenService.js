@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { hashToken } = require('./tokenService');
+
+const prisma = new PrismaClient();
+
+// Crée un jeton à usage unique ; les jetons précédents du même type sont invalidés
+async function createOneTimeToken(utilisateurId, type, dureeMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await prisma.$transaction([
+    prisma.jetonVerification.updateMany({
+      where: { utilisateurId, type, utiliseLe: null },
+      data: { utiliseLe: new Date() }
+    }),
+    prisma.jetonVerification.create({
+      data: {
+        tokenHash: hashToken(token),
+        type,
+        utilisateurId,
+        expireLe: new Date(Date.now() + dureeMinutes * 60 * 1000)
+      }
+    })
+  ]);
+
+  return token;
+}
+
+// Consomme un jeton valide ; renvoie null s'il est inconnu, expiré ou déjà utilisé
+async function consumeOneTimeToken(token, type) {
+  const tokenHash = hashToken(token);
+
+  // La mise à jour conditionnelle garantit l'usage unique même en cas de requêtes concurrentes
+  const { count } = await prisma.jetonVerification.updateMany({
+    where: { tokenHash, type, utiliseLe: null, expireLe: { gt: new Date() } },
+    data: { utiliseLe: new Date() }
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  return prisma.jetonVerification.findUnique({ where: { tokenHash } });
+}
+
+// Mise en place de la vérification d'email : les comptes qui n'ont jamais reçu de lien de vérification
+// ont été créés avant la fonctionnalité et sont considérés comme vérifiés
+async function verifierComptesExistants() {
+  const { count } = await prisma.utilisateur.updateMany({
+    where: { emailVerifie: false, jetons: { none: { type: 'VERIFICATION_EMAIL' } } },
+    data: { emailVerifie: true }
+  });
+  return { verifies: count };
+}
+
+module.exports = { createOneTimeToken, consumeOneTimeToken, verifierComptesExistants };
@@ -0,0 +1,119 @@
+const { PrismaClient } = require('@prisma/client');
+const { allergenesADeclarer } = require('./allergeneService');
+const { formatImage } = require('./imageService');
+
+const prisma = new PrismaClient();
+
+// Relations chargées pour toute réponse produit
+const produitInclude = {
+  ingredients: {
+    include: { ingredient: { include: { compositionAllergenes: { include: { allergene: true } } } } },
+    orderBy: { ordre: 'asc' }
+  },
+  bienfaits: true,
+  blogs: { select: { id: true, titre: true } },
+  variantes: { orderBy: [{ ordre: 'asc' }, { prix: 'asc' }] },
+  images: { orderBy: [{ ordre: 'asc' }, { createdAt: 'asc' }] }
+};
+
+// Produits visibles au catalogue : actifs et non épuisés (un produit sur commande reste visible)
+const produitsEnVente = { actif: true, disponibilite: { not: 'EPUISE' } };
+
+// Filtre de prix : prix du produit s'il n'a pas de variante, sinon prix d'au moins une variante active
+function filtrePrix({ prixMin, prixMax }) {
+  const prix = {};
+  if (prixMax) prix.lte = parseFloat(prixMax);
+  if (prixMin) prix.gte = parseFloat(prixMin);
+
+  return {
+    OR: [
+      { variantes: { none: {} }, prix },
+      { variantes: { some: { actif: true, prix } } }
+    ]
+  };
+}
+
+// Variante renvoyée par l'API : le coût d'emballage n'est exposé que par la rentabilité
+const formatVariante = ({ coutEmballage, ...variante }) => variante;
+
+// Produit renvoyé par l'API : relations aplaties en tableaux simples,
+// allergènes réglementés à déclarer calculés d'après la formule.
+// Les coûts d'emballage, réservés aux vues de rentabilité, sont retirés.
+function formatProduit(produit) {
+  const { ingredients, bienfaits, blogs, scoreDetail, coutEmballage, variantes, images, ...champs } = produit;
+
+  return {
+    ...champs,
+    ...(variantes && { variantes: variantes.map(formatVariante) }),
+    ...(images && { images: images.map(formatImage) }),
+    ingredients: ingredients.map(({ ingredient, valeur, unite }) => ({
+      id: ingredient.id,
+      nom: ingredient.nom,
+      bio: ingredient.bio,
+      allergene: ingredient.allergene,
+      valeur,
+      unite
+    })),
+    bienfaits: bienfaits.map(bienfait => bienfait.nom),
+    scoreDetail: scoreDetail ? JSON.parse(scoreDetail) : [],
+    allergenes: allergenesADeclarer(produit, ingredients),
+    blogs
+  };
+}
+
+// Vérifie que les ingrédients et blogs référencés existent ; renvoie un message d'erreur sinon
+async function checkReferences({ ingredients, blogIds }) {
+  if (ingredients && ingredients.length) {
+    const ids = ingredients.map(ligne => ligne.ingredientId);
+    const connus = await prisma.ingredient.count({ where: { id: { in: ids } } });
+    if (connus !== ids.length) {
+      return 'Ingrédient introuvable';
+    }
+  }
+
+  if (blogIds && blogIds.length) {
+    const connus = await prisma.blog.count({ where: { id: { in: blogIds } } });
+    if (connus !== blogIds.length) {
+      return 'Blog introuvable';
+    }
+  }
+
+  return null;
+}
+
+// Traduit les tableaux de l'API en écritures imbriquées Prisma.
+// En mise à jour, un tableau fourni remplace entièrement la relation.
+function buildRelations({ ingredients, bienfaits, blogIds }, { update = false } = {}) {
+  const data = {};
+
+  if (ingredients) {
+    data.ingredients = {
+      ...(update && { deleteMany: {} }),
+      create: ingredients.map(({ ingredientId, valeur, unite, phase }, ordre) => ({ ingredientId, valeur, unite, phase, ordre }))
+    };
+  }
+
+  if (bienfaits) {
+    data.bienfaits = {
+      ...(update && { set: [] }),
+      connectOrCreate: bienfaits.map(nom => ({ where: { nom }, create: { nom } }))
+    };
+  }
+
+  if (blogIds) {
+    const blogs = blogIds.map(id => ({ id }));
+    data.blogs = update ? { set: blogs } : { connect: blogs };
+  }
+
+  return data;
+}
+
+module.exports = {
+  produitInclude,
+  produitsEnVente,
+  filtrePrix,
+  formatProduit,
+  formatVariante,
+  checkReferences,
+  buildRelations
+};
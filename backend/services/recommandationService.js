@@ -0,0 +1,77 @@
+const { PrismaClient } = require('@prisma/client');
+const {
+  bienfaitsParTypePeau,
+  bienfaitsParTypeCheveux,
+  categoriesPeau,
+  categoriesCheveux
+} = require('../config/profilBeaute');
+const { produitInclude, produitsEnVente, formatProduit } = require('./produitService');
+
+const prisma = new PrismaClient();
+
+// Minuscules sans accents, pour comparer bienfaits et noms d'ingrédients
+const normaliser = (texte) => texte.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+const parseListe = (json) => {
+  try {
+    const liste = JSON.parse(json || '[]');
+    return Array.isArray(liste) ? liste : [];
+  } catch {
+    return [];
+  }
+};
+
+// Bienfaits recherchés pour une catégorie de produit selon le profil
+function bienfaitsRecherches(profil, categorie) {
+  const recherches = [];
+  if (profil.typePeau && categoriesPeau.includes(categorie)) {
+    recherches.push(...bienfaitsParTypePeau[profil.typePeau]);
+  }
+  if (profil.typeCheveux && categoriesCheveux.includes(categorie)) {
+    recherches.push(...bienfaitsParTypeCheveux[profil.typeCheveux]);
+  }
+  return new Set(recherches.map(normaliser));
+}
+
+// Bienfaits du produit (formaté) correspondant au profil
+function bienfaitsCorrespondants(profil, produit) {
+  const recherches = bienfaitsRecherches(profil, produit.categorie);
+  return produit.bienfaits.filter(bienfait => recherches.has(normaliser(bienfait)));
+}
+
+// Un ingrédient est exclu s'il est évité, allergène (si demandé) ou cité dans les allergies
+function estExclu(ingredient, profil, evites, allergies) {
+  if (evites.has(ingredient.id)) return true;
+  if (profil.eviterAllergenes && ingredient.allergene) return true;
+  const nom = normaliser(ingredient.nom);
+  return allergies.some(allergie => nom.includes(allergie));
+}
+
+// Allergènes réglementés à déclarer dans le produit : exclus sur demande ou s'ils sont cités dans les allergies
+function contientAllergeneExclu(produit, profil, allergies) {
+  if (profil.eviterAllergenes && produit.allergenes.length) return true;
+  return produit.allergenes.some(allergene => allergies.includes(normaliser(allergene.nom)));
+}
+
+// Classe les produits actifs selon le profil beauté, sans ceux contenant un ingrédient exclu
+async function recommanderProduits(profil, { categorie, limit = 10 } = {}) {
+  const where = { ...produitsEnVente };
+  if (categorie) where.categorie = categorie;
+
+  const produits = (await prisma.produit.findMany({ where, include: produitInclude })).map(formatProduit);
+
+  const evites = new Set(profil.ingredientsEvites.map(ingredient => ingredient.id));
+  const allergies = parseListe(profil.allergies).map(normaliser).filter(Boolean);
+
+  return produits
+    .filter(produit => !produit.ingredients.some(ingredient => estExclu(ingredient, profil, evites, allergies)))
+    .filter(produit => !contientAllergeneExclu(produit, profil, allergies))
+    .map(produit => {
+      const correspondances = bienfaitsCorrespondants(profil, produit);
+      return { ...produit, pertinence: correspondances.length, bienfaitsCorrespondants: correspondances };
+    })
+    .sort((a, b) => b.pertinence - a.pertinence || (b.yukaScore ?? -1) - (a.yukaScore ?? -1))
+    .slice(0, limit);
+}
+
+module.exports = { recommanderProduits };
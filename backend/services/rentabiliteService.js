@@ -0,0 +1,135 @@
+const { PrismaClient } = require('@prisma/client');
+const { tauxTva } = require('../config/rentabilite');
+const { getLignes, analyserFormule, densiteFormule, versGrammes } = require('./formuleService');
+const { masseProduction } = require('./lotService');
+
+const prisma = new PrismaClient();
+
+const arrondir = (nombre, decimales = 2) => Math.round(nombre * 10 ** decimales) / 10 ** decimales;
+
+// Coût d'achat HT au gramme de chaque ingrédient : prix moyen pondéré par les quantités reçues
+// des lots dont le prix est connu ; absent de la Map si aucun lot n'a de prix
+async function coutsIngredients(ingredientIds) {
+  const lots = await prisma.lotIngredient.findMany({
+    where: { ingredientId: { in: ingredientIds }, coutUnitaire: { not: null }, unite: { not: null } },
+    include: { ingredient: { select: { densite: true } } }
+  });
+
+  const cumuls = new Map();
+  for (const lot of lots) {
+    const poids = lot.quantiteRecue || 1;
+    const coutAuGramme = lot.coutUnitaire / versGrammes(1, lot.unite, lot.ingredient.densite);
+    const cumul = cumuls.get(lot.ingredientId) ?? { total: 0, poids: 0 };
+    cumuls.set(lot.ingredientId, { total: cumul.total + coutAuGramme * poids, poids: cumul.poids + poids });
+  }
+
+  return new Map([...cumuls].map(([ingredientId, { total, poids }]) => [ingredientId, total / poids]));
+}
+
+// Coût de revient unitaire et marge de chaque référence vendue (le produit, ou chacune de ses variantes).
+// Les lignes sont au format de getLignes ; un coût incomplet est signalé par complet: false.
+function calculerRentabilite(produit, lignes, couts) {
+  const formule = analyserFormule(lignes);
+  const formuleUtilisable = lignes.length > 0 && formule.valide;
+  const sansPrix = formule.lignes
+    .filter(ligne => !couts.has(ligne.ingredient.id))
+    .map(ligne => ligne.ingredient.nom);
+
+  const references = produit.variantes && produit.variantes.length
+    ? produit.variantes.map(variante => ({ variante, prix: variante.prix, coutEmballage: variante.coutEmballage ?? produit.coutEmballage }))
+    : [{ variante: null, prix: produit.prix, coutEmballage: produit.coutEmballage }];
+
+  return references.map(({ variante, prix, coutEmballage }) => {
+    const avertissements = [];
+    const masse = masseProduction(produit, variante, 1, densiteFormule(formule));
+
+    let coutIngredients = null;
+    if (!formuleUtilisable) {
+      avertissements.push(lignes.length ? 'Formule incomplète' : 'Produit sans formule');
+    } else if (masse === null) {
+      avertissements.push('Contenance non renseignée, ou en ml sans densité connue pour la formule');
+    } else {
+      coutIngredients = formule.lignes.reduce(
+        (total, ligne) => total + ligne.pourcentage / 100 * masse * (couts.get(ligne.ingredient.id) ?? 0),
+        0
+      );
+      if (sansPrix.length) {
+        avertissements.push(`Coût d'achat inconnu pour ${sansPrix.join(', ')}`);
+      }
+    }
+    if (coutEmballage == null) {
+      avertissements.push('Coût d\'emballage non renseigné');
+    }
+
+    const prixHT = prix / (1 + tauxTva);
+    const coutRevient = coutIngredients === null ? null : coutIngredients + (coutEmballage ?? 0);
+    const marge = coutRevient === null ? null : prixHT - coutRevient;
+
+    return {
+      produitId: produit.id,
+      nom: produit.nom,
+      varianteId: variante ? variante.id : null,
+      variante: variante ? variante.nom : null,
+      prix,
+      prixHT: arrondir(prixHT),
+      cout: {
+        ingredients: coutIngredients === null ? null : arrondir(coutIngredients, 4),
+        emballage: coutEmballage ?? null
+      },
+      coutRevient: coutRevient === null ? null : arrondir(coutRevient),
+      marge: marge === null ? null : arrondir(marge),
+      // Taux de marge : marge / coût de revient ; taux de marque : marge / prix HT
+      tauxMarge: marge === null || coutRevient === 0 ? null : arrondir(marge / coutRevient * 100, 1),
+      tauxMarque: marge === null ? null : arrondir(marge / prixHT * 100, 1),
+      complet: avertissements.length === 0,
+      avertissements
+    };
+  });
+}
+
+// Rentabilité des références d'un produit ; null si le produit n'existe pas
+async function rentabiliteProduit(produitId) {
+  const produit = await prisma.produit.findUnique({
+    where: { id: produitId },
+    include: { variantes: { orderBy: { ordre: 'asc' } } }
+  });
+  if (!produit) return null;
+
+  const lignes = await getLignes(produitId);
+  const couts = await coutsIngredients(lignes.map(ligne => ligne.ingredientId));
+  return calculerRentabilite(produit, lignes, couts);
+}
+
+// Rapport de rentabilité de toutes les références actives, trié ; les marges inconnues en dernier
+async function rapportRentabilite({ tri = 'marge', ordre = 'desc' } = {}) {
+  const produits = await prisma.produit.findMany({
+    where: { actif: true },
+    include: { variantes: { where: { actif: true }, orderBy: { ordre: 'asc' } } }
+  });
+  const lignes = await prisma.quantite.findMany({
+    where: { produitId: { in: produits.map(produit => produit.id) } },
+    include: { ingredient: { include: { compositionAllergenes: { include: { allergene: true } } } } },
+    orderBy: { ordre: 'asc' }
+  });
+  const couts = await coutsIngredients([...new Set(lignes.map(ligne => ligne.ingredientId))]);
+
+  const references = produits.flatMap(produit => calculerRentabilite(
+    produit,
+    lignes.filter(ligne => ligne.produitId === produit.id),
+    couts
+  ));
+
+  const sens = ordre === 'asc' ? 1 : -1;
+  return references.sort((a, b) => {
+    if (a[tri] === null) return b[tri] === null ? 0 : 1;
+    if (b[tri] === null) return -1;
+    return sens * (a[tri] - b[tri]);
+  });
+}
+
+module.exports = {
+  coutsIngredients,
+  calculerRentabilite,
+  rentabiliteProduit,
+  rapportRentabilite
+};
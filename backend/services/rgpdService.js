@@ -0,0 +1,149 @@
+const { PrismaClient } = require('@prisma/client');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+const prisma = new PrismaClient();
+
+// Domaine réservé (RFC 2606) : une adresse anonymisée ne peut jamais recevoir d'email
+const ANONYME_DOMAINE = 'anonyme.invalid';
+
+// Rassemble toutes les données personnelles détenues sur un utilisateur.
+// Toute nouvelle table liée à une personne doit être ajoutée ici.
+async function collectPersonalData(utilisateurId) {
+  const utilisateur = await prisma.utilisateur.findUnique({
+    where: { id: utilisateurId },
+    include: {
+      adresses: { orderBy: { createdAt: 'asc' } },
+      profilBeaute: { include: { ingredientsEvites: true } },
+      connexions: { orderBy: { createdAt: 'desc' } },
+      sessions: { orderBy: { createdAt: 'desc' } },
+      achats: {
+        include: {
+          produit: { select: { nom: true } },
+          variante: { select: { nom: true } },
+          allocations: { include: { lot: { select: { numero: true } } } }
+        },
+        orderBy: { createdAt: 'desc' }
+      },
+      notifications: { orderBy: { createdAt: 'desc' } }
+    }
+  });
+
+  if (!utilisateur) {
+    return null;
+  }
+
+  const demandes = await prisma.demandeRgpd.findMany({
+    where: { utilisateurId },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  return {
+    exporteLe: new Date().toISOString(),
+    profil: {
+      id: utilisateur.id,
+      email: utilisateur.email,
+      nom: utilisateur.nom,
+      prenom: utilisateur.prenom,
+      telephone: utilisateur.telephone,
+      role: utilisateur.role,
+      doubleAuthentification: utilisateur.totpActif,
+      anonymiseLe: utilisateur.anonymiseLe,
+      createdAt: utilisateur.createdAt,
+      updatedAt: utilisateur.updatedAt
+    },
+    adresses: [
+      ...utilisateur.adresses.map(({ id, utilisateurId, ...adresse }) => adresse),
+      // Ancienne adresse en texte libre, non encore migrée
+      ...(utilisateur.adresse ? [{ adresse: utilisateur.adresse }] : [])
+    ],
+    profilBeaute: utilisateur.profilBeaute && {
+      typePeau: utilisateur.profilBeaute.typePeau,
+      typeCheveux: utilisateur.profilBeaute.typeCheveux,
+      sensibilites: JSON.parse(utilisateur.profilBeaute.sensibilites),
+      allergies: JSON.parse(utilisateur.profilBeaute.allergies),
+      eviterAllergenes: utilisateur.profilBeaute.eviterAllergenes,
+      ingredientsEvites: utilisateur.profilBeaute.ingredientsEvites.map(ingredient => ingredient.nom)
+    },
+    consentements: {
+      emailVerifie: utilisateur.emailVerifie,
+      emailVerifieLe: utilisateur.emailVerifieLe,
+      newsletter: utilisateur.newsletter,
+      newsletterConsentementLe: utilisateur.newsletterConsentementLe,
+      newsletterConsentementIp: utilisateur.newsletterConsentementIp,
+      newsletterDesinscritLe: utilisateur.newsletterDesinscritLe
+    },
+    connexions: utilisateur.connexions.map(({ succes, motif, ip, userAgent, createdAt }) => ({
+      succes, motif, ip, userAgent, createdAt
+    })),
+    sessions: utilisateur.sessions.map(({ ip, userAgent, createdAt, expireLe, revoqueLe }) => ({
+      ip, userAgent, createdAt, expireLe, revoqueLe
+    })),
+    // Ventes tracées jusqu'au lot (quantité sortie du stock, positive pour une vente)
+    achats: utilisateur.achats.map(({ produit, variante, type, quantite, allocations, createdAt }) => ({
+      produit: produit.nom,
+      variante: variante?.nom ?? null,
+      type,
+      quantite: -quantite,
+      lots: allocations.map(allocation => allocation.lot.numero),
+      createdAt
+    })),
+    notifications: utilisateur.notifications.map(({ type, titre, message, lueLe, createdAt }) => ({
+      type, titre, message, lueLe, createdAt
+    })),
+    demandesRgpd: demandes.map(({ type, format, createdAt }) => ({ type, format, createdAt }))
+  };
+}
+
+// Efface les données personnelles en conservant la ligne utilisateur,
+// à laquelle restent rattachés les enregistrements comptables
+async function anonymiseUtilisateur(utilisateurId) {
+  // Mot de passe aléatoire jamais communiqué : plus aucune connexion possible
+  const motDePasse = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  const resultats = await prisma.$transaction([
+    prisma.session.deleteMany({ where: { utilisateurId } }),
+    prisma.adresse.deleteMany({ where: { utilisateurId } }),
+    prisma.profilBeaute.deleteMany({ where: { utilisateurId } }),
+    prisma.jetonVerification.deleteMany({ where: { utilisateurId } }),
+    prisma.codeRecuperation.deleteMany({ where: { utilisateurId } }),
+    prisma.historiqueConnexion.deleteMany({ where: { utilisateurId } }),
+    prisma.notification.deleteMany({ where: { utilisateurId } }),
+    prisma.utilisateur.update({
+      where: { id: utilisateurId },
+      data: {
+        email: `anonyme-${utilisateurId}@${ANONYME_DOMAINE}`,
+        motDePasse,
+        nom: null,
+        prenom: null,
+        adresse: null,
+        telephone: null,
+        newsletter: false,
+        newsletterConsentementIp: null,
+        emailVerifie: false,
+        tentativesEchouees: 0,
+        prochaineTentativeLe: null,
+        verrouilleJusquA: null,
+        totpSecret: null,
+        totpActif: false,
+        totpDernierPas: null,
+        anonymiseLe: new Date()
+      }
+    })
+  ]);
+
+  return resultats[resultats.length - 1];
+}
+
+// Trace une demande d'accès, d'anonymisation ou de suppression
+async function recordRequest({ utilisateurId, type, demandeurId, format, ip }) {
+  return prisma.demandeRgpd.create({
+    data: { utilisateurId, type, demandeurId, format, ip }
+  });
+}
+
+module.exports = {
+  collectPersonalData,
+  anonymiseUtilisateur,
+  recordRequest
+};
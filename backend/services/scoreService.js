@@ -0,0 +1,160 @@
+const { PrismaClient } = require('@prisma/client');
+const { penalitesMaximales, penaliteParAllergene, penalitesParClasseRisque } = require('../config/score');
+const { getLignes, analyserFormule } = require('./formuleService');
+const { allergenesADeclarer } = require('./allergeneService');
+
+const prisma = new PrismaClient();
+
+const pourcent = (part) => Math.round(part * 100);
+
+const libellesRisque = { MODERE: 'modéré', ELEVE: 'élevé' };
+
+// Part de chaque ligne dans la formule : pourcentages de la formule si elle est complète,
+// parts égales sinon
+function partsFormule(lignes) {
+  const formule = analyserFormule(lignes);
+  if (formule.valide && formule.lignes.every(ligne => ligne.pourcentage !== null)) {
+    return { parts: formule.lignes.map(ligne => ligne.pourcentage / 100), ponderee: true };
+  }
+  return { parts: lignes.map(() => 1 / lignes.length), ponderee: false };
+}
+
+// Score d'un produit (0 à 100) et détail des pénalités ; null sans formule.
+// Les lignes sont au format de getLignes.
+function calculerScore(produit, lignes) {
+  if (!lignes.length) return null;
+
+  const { parts, ponderee } = partsFormule(lignes);
+  const ingredients = lignes.map(ligne => ligne.ingredient);
+  const detail = [];
+
+  // Naturalité : indice ISO 16128 pondéré par la part de chaque ingrédient (indice inconnu compté 0)
+  const naturalite = ingredients.reduce((total, ingredient, index) => total + parts[index] * (ingredient.indiceNaturalite ?? 0), 0);
+  const indicesInconnus = ingredients.filter(ingredient => ingredient.indiceNaturalite == null).map(ingredient => ingredient.nom);
+  detail.push({
+    critere: 'NATURALITE',
+    penalite: Math.round((1 - naturalite) * penalitesMaximales.NATURALITE),
+    explication: `Contenu d'origine naturelle (ISO 16128) : ${pourcent(naturalite)} %`
+      + (indicesInconnus.length ? ` (indice inconnu pour ${indicesInconnus.join(', ')})` : '')
+  });
+
+  const bio = ingredients.reduce((total, ingredient, index) => total + (ingredient.bio ? parts[index] : 0), 0);
+  detail.push({
+    critere: 'BIO',
+    penalite: Math.round((1 - bio) * penalitesMaximales.BIO),
+    explication: `Ingrédients bio : ${pourcent(bio)} %`
+  });
+
+  // Allergènes réglementés à déclarer, et ingrédients signalés allergènes
+  const allergenes = [
+    ...allergenesADeclarer(produit, lignes).map(allergene => allergene.nom),
+    ...ingredients.filter(ingredient => ingredient.allergene).map(ingredient => ingredient.nom)
+  ];
+  detail.push({
+    critere: 'ALLERGENES',
+    penalite: Math.min(allergenes.length * penaliteParAllergene, penalitesMaximales.ALLERGENES),
+    explication: allergenes.length ? `${allergenes.length} allergène(s) : ${allergenes.join(', ')}` : 'Aucun allergène'
+  });
+
+  const preoccupants = ingredients.filter(ingredient => penalitesParClasseRisque[ingredient.classeRisque] > 0);
+  detail.push({
+    critere: 'RISQUE',
+    penalite: Math.min(
+      preoccupants.reduce((total, ingredient) => total + penalitesParClasseRisque[ingredient.classeRisque], 0),
+      penalitesMaximales.RISQUE
+    ),
+    explication: preoccupants.length
+      ? `Ingrédients préoccupants : ${preoccupants.map(ingredient => `${ingredient.nom} (${libellesRisque[ingredient.classeRisque]})`).join(', ')}`
+      : 'Aucun ingrédient préoccupant'
+  });
+
+  if (!ponderee) {
+    detail.push({
+      critere: 'FORMULE',
+      penalite: 0,
+      explication: 'Formule sans quantités complètes : ingrédients pondérés à parts égales'
+    });
+  }
+
+  const score = Math.max(0, 100 - detail.reduce((total, ligne) => total + ligne.penalite, 0));
+  return { score, detail };
+}
+
+// Recalcule le score d'un produit d'après sa formule ; le score forcé reste prioritaire
+async function recalculerScore(produitId) {
+  const produit = await prisma.produit.findUnique({ where: { id: produitId } });
+  if (!produit) return null;
+
+  const resultat = calculerScore(produit, await getLignes(produitId));
+  const scoreCalcule = resultat ? resultat.score : null;
+
+  return prisma.produit.update({
+    where: { id: produitId },
+    data: {
+      scoreCalcule,
+      scoreDetail: resultat ? JSON.stringify(resultat.detail) : null,
+      yukaScore: produit.scoreManuel ?? scoreCalcule
+    }
+  });
+}
+
+// Recalcule le score des produits dont la formule contient l'ingrédient
+async function recalculerScoresIngredient(ingredientId) {
+  const quantites = await prisma.quantite.findMany({ where: { ingredientId }, select: { produitId: true } });
+  for (const { produitId } of quantites) {
+    await recalculerScore(produitId);
+  }
+}
+
+// Force le score d'un produit (ou revient au score calculé avec null) en gardant une trace
+async function forcerScore(produit, { score, motif, auteurId }) {
+  const [, produitMisAJour] = await prisma.$transaction([
+    prisma.forcageScore.create({
+      data: {
+        produitId: produit.id,
+        ancienScore: produit.scoreManuel,
+        nouveauScore: score,
+        motif,
+        auteurId
+      }
+    }),
+    prisma.produit.update({
+      where: { id: produit.id },
+      data: { scoreManuel: score, yukaScore: score ?? produit.scoreCalcule }
+    })
+  ]);
+  return produitMisAJour;
+}
+
+// Mise en place du calcul : recalcule tous les produits ; un score saisi à la main sur un produit
+// sans formule est conservé comme score forcé
+async function recalculerTousLesScores() {
+  const produits = await prisma.produit.findMany({
+    include: { _count: { select: { ingredients: true } } }
+  });
+  const rapport = { recalcules: 0, conserves: 0 };
+
+  for (const produit of produits) {
+    if (!produit._count.ingredients && produit.yukaScore !== null && produit.scoreManuel === null) {
+      await forcerScore(produit, {
+        score: produit.yukaScore,
+        motif: 'Score saisi avant la mise en place du calcul automatique',
+        auteurId: null
+      });
+      rapport.conserves += 1;
+    } else {
+      await recalculerScore(produit.id);
+      rapport.recalcules += 1;
+    }
+  }
+
+  return rapport;
+}
+
+module.exports = {
+  calculerScore,
+  recalculerScore,
+  recalculerScoresIngredient,
+  forcerScore,
+  recalculerTousLesScores
+};
@@ -0,0 +1,340 @@
+const { PrismaClient } = require('@prisma/client');
+const { notifierAdministrateurs } = require('./notificationService');
+
+const prisma = new PrismaClient();
+
+// Disponibilité d'un produit d'après son stock, ou le stock de ses variantes actives s'il en a
+function calculerDisponibilite(produit) {
+  const stock = produit.variantes.length
+    ? produit.variantes.filter(variante => variante.actif).reduce((total, variante) => total + variante.stock, 0)
+    : produit.stock;
+
+  if (stock > 0) return 'EN_STOCK';
+  return produit.siRupture === 'SUR_COMMANDE' ? 'SUR_COMMANDE' : 'EPUISE';
+}
+
+// Recalcule la disponibilité d'un produit ; un produit épuisé sort du catalogue
+async function mettreAJourDisponibilite(produitId) {
+  const produit = await prisma.produit.findUnique({
+    where: { id: produitId },
+    include: { variantes: { select: { stock: true, actif: true } } }
+  });
+
+  const disponibilite = calculerDisponibilite(produit);
+  if (disponibilite !== produit.disponibilite) {
+    await prisma.produit.update({ where: { id: produitId }, data: { disponibilite } });
+  }
+  return disponibilite;
+}
+
+// Seuil de réassort d'une référence : celui de la variante, à défaut celui du produit
+const seuilReference = (produit, variante) => variante?.seuilAlerte ?? produit.seuilAlerte;
+
+const nomReference = (produit, variante) => (variante ? `${produit.nom} (${variante.nom})` : produit.nom);
+
+const alerterStockBas = ({ produitId, reference, stock, seuil }) => notifierAdministrateurs({
+  type: 'STOCK_BAS',
+  titre: `Stock bas : ${reference}`,
+  message: `Il reste ${stock} unité(s) de ${reference} (seuil de réassort : ${seuil}).`,
+  produitId
+});
+
+// Prévient les gestionnaires quand un stock tombe à zéro ou franchit le seuil de réassort
+async function surveillerSeuil({ produitId, varianteId, stockAvant, stockApres }) {
+  const produit = await prisma.produit.findUnique({ where: { id: produitId }, select: { nom: true, seuilAlerte: true } });
+  const variante = varianteId && await prisma.variante.findUnique({
+    where: { id: varianteId },
+    select: { nom: true, seuilAlerte: true }
+  });
+  const reference = nomReference(produit, variante);
+  const seuil = seuilReference(produit, variante);
+
+  if (stockApres === 0 && stockAvant > 0) {
+    await notifierAdministrateurs({
+      type: 'RUPTURE',
+      titre: `Rupture de stock : ${reference}`,
+      message: `Le stock de ${reference} est épuisé.`,
+      produitId
+    });
+  } else if (seuil !== null && stockAvant > seuil && stockApres <= seuil) {
+    await alerterStockBas({ produitId, reference, stock: stockApres, seuil });
+  }
+}
+
+// Après un changement de seuil (du produit, ou de la variante varianteId), prévient pour les références
+// que le nouveau seuil place sous le niveau de réassort alors que l'ancien seuilAvant ne le faisait pas.
+// Un seuil de produit ne s'applique qu'à ses variantes sans seuil propre.
+async function surveillerChangementSeuil({ produitId, varianteId = null, seuilAvant }) {
+  const produit = await prisma.produit.findUnique({
+    where: { id: produitId },
+    include: { variantes: { where: { actif: true } } }
+  });
+
+  let variantes = [null];
+  if (varianteId) {
+    variantes = produit.variantes.filter(variante => variante.id === varianteId);
+  } else if (produit.variantes.length) {
+    variantes = produit.variantes.filter(variante => variante.seuilAlerte === null);
+  }
+
+  for (const variante of variantes) {
+    const stock = variante ? variante.stock : produit.stock;
+    const seuil = seuilReference(produit, variante);
+    if (stock > 0 && seuil !== null && stock <= seuil && (seuilAvant == null || stock > seuilAvant)) {
+      await alerterStockBas({ produitId, reference: nomReference(produit, variante), stock, seuil });
+    }
+  }
+}
+
+// Répartit une sortie entre les lots, premier périmé premier sorti (FEFO), ou sur le lot imposé.
+// Le reste est pris sur le stock antérieur au suivi par lot. Une vente n'entame pas un lot périmé.
+// Lu avec le client de la transaction du mouvement. Renvoie { allocations } (quantités positives) ou { erreur }.
+async function allouerLots(client, { produitId, varianteId, stock, quantite, lotId, vente }) {
+  const lots = await client.lotProduction.findMany({
+    where: { produitId, varianteId, stock: { gt: 0 } },
+    orderBy: [{ datePeremption: 'asc' }, { dateProduction: 'asc' }]
+  });
+
+  if (lotId) {
+    const lot = lots.find(candidat => candidat.id === lotId);
+    if (!lot || lot.stock < quantite) {
+      return { erreur: 'Stock du lot insuffisant' };
+    }
+    if (vente && lot.datePeremption < new Date()) {
+      return { erreur: 'Lot périmé' };
+    }
+    return { allocations: [{ lotId, quantite }] };
+  }
+
+  const maintenant = new Date();
+  const stockHorsLot = stock - lots.reduce((total, lot) => total + lot.stock, 0);
+  const allocations = [];
+  let reste = quantite;
+
+  for (const lot of lots.filter(candidat => !vente || candidat.datePeremption >= maintenant)) {
+    if (reste === 0) break;
+    const part = Math.min(lot.stock, reste);
+    allocations.push({ lotId: lot.id, quantite: part });
+    reste -= part;
+  }
+
+  if (reste > stockHorsLot) {
+    return { erreur: 'Stock non périmé insuffisant' };
+  }
+  return { allocations };
+}
+
+// Interrompt la transaction d'un mouvement refusé ; les écritures déjà faites sont annulées
+class MouvementRefuse extends Error {}
+
+// Applique un mouvement (quantité signée) dans la transaction tx : stock, lots et journal.
+// Une sortie est répartie entre les lots ; une entrée n'est imputée à un lot que si lotId est fourni.
+// Avec stockCible, la quantité est l'écart avec le stock lu dans la même transaction.
+// Lève MouvementRefuse si le stock deviendrait négatif.
+async function appliquerMouvement(tx, {
+  produitId,
+  varianteId = null,
+  type,
+  quantite,
+  stockCible,
+  lotId = null,
+  clientId = null,
+  motif = null,
+  utilisateurId = null
+}) {
+  const detenteur = varianteId ? tx.variante : tx.produit;
+  const id = varianteId ?? produitId;
+
+  // Écriture conditionnelle : deux mouvements simultanés ne peuvent ni survendre
+  // ni écraser le stock l'un de l'autre
+  let garde = {};
+  if (stockCible !== undefined) {
+    const { stock } = await detenteur.findUnique({ where: { id }, select: { stock: true } });
+    quantite = stockCible - stock;
+    if (quantite === 0 && type === 'AJUSTEMENT') {
+      return { mouvement: null };
+    }
+    garde = { stock };
+  } else if (quantite < 0) {
+    garde = { stock: { gte: -quantite } };
+  }
+
+  const { count } = await detenteur.updateMany({
+    where: { id, ...garde },
+    data: { stock: { increment: quantite } }
+  });
+  if (count === 0) {
+    throw new MouvementRefuse(stockCible !== undefined ? 'Stock modifié pendant l\'opération, réessayez' : 'Stock insuffisant');
+  }
+  const { stock: stockApres } = await detenteur.findUnique({ where: { id }, select: { stock: true } });
+  const stockAvant = stockApres - quantite;
+
+  let allocations = lotId ? [{ lotId, quantite }] : [];
+  if (quantite < 0) {
+    const repartition = await allouerLots(tx, {
+      produitId,
+      varianteId,
+      stock: stockAvant,
+      quantite: -quantite,
+      lotId,
+      vente: type === 'VENTE'
+    });
+    if (repartition.erreur) {
+      throw new MouvementRefuse(repartition.erreur);
+    }
+    allocations = repartition.allocations.map(allocation => ({ ...allocation, quantite: -allocation.quantite }));
+  }
+
+  for (const allocation of allocations) {
+    const { count: lotMisAJour } = await tx.lotProduction.updateMany({
+      where: { id: allocation.lotId, ...(allocation.quantite < 0 && { stock: { gte: -allocation.quantite } }) },
+      data: { stock: { increment: allocation.quantite } }
+    });
+    if (lotMisAJour === 0) {
+      throw new MouvementRefuse('Stock du lot insuffisant');
+    }
+  }
+
+  const mouvement = await tx.mouvementStock.create({
+    data: {
+      produitId,
+      varianteId,
+      type,
+      quantite,
+      stockApres,
+      clientId,
+      motif,
+      utilisateurId,
+      allocations: { create: allocations }
+    },
+    include: { allocations: { include: { lot: { select: { numero: true } } } } }
+  });
+  return { mouvement, stockAvant, stockApres };
+}
+
+// Suites d'un mouvement validé : alertes de seuil et disponibilité du produit
+async function suivreMouvement({ mouvement, stockAvant, stockApres }) {
+  if (!mouvement) return;
+  const { produitId, varianteId } = mouvement;
+  await surveillerSeuil({ produitId, varianteId, stockAvant, stockApres });
+  await mettreAJourDisponibilite(produitId);
+}
+
+// Enregistre un mouvement et met à jour le stock en conséquence (voir appliquerMouvement).
+// Renvoie { mouvement } ou { erreur } si le mouvement est refusé.
+async function enregistrerMouvement(donnees) {
+  let resultat;
+  try {
+    resultat = await prisma.$transaction(tx => appliquerMouvement(tx, donnees));
+  } catch (error) {
+    if (error instanceof MouvementRefuse) {
+      return { erreur: error.message };
+    }
+    throw error;
+  }
+
+  await suivreMouvement(resultat);
+  return { mouvement: resultat.mouvement };
+}
+
+// Porte le stock à une valeur donnée en enregistrant l'écart. Un inventaire est tracé même sans écart ;
+// un ajustement sans effet n'enregistre rien.
+function ajusterStock({ produitId, varianteId = null, stock, type = 'AJUSTEMENT', motif = null, utilisateurId = null }) {
+  return enregistrerMouvement({ produitId, varianteId, type, stockCible: stock, motif, utilisateurId });
+}
+
+// Compare le stock enregistré de chaque référence (produit et variantes) à la somme de ses mouvements
+async function reconcilierStock(produitId) {
+  const produit = await prisma.produit.findUnique({
+    where: { id: produitId },
+    include: { variantes: { select: { id: true, nom: true, stock: true }, orderBy: { ordre: 'asc' } } }
+  });
+  const sommes = await prisma.mouvementStock.groupBy({
+    by: ['varianteId'],
+    where: { produitId },
+    _sum: { quantite: true }
+  });
+  const sommeMouvements = (varianteId) => sommes.find(somme => somme.varianteId === varianteId)?._sum.quantite ?? 0;
+
+  const references = [
+    { varianteId: null, nom: produit.nom, stock: produit.stock },
+    ...produit.variantes.map(variante => ({ varianteId: variante.id, nom: variante.nom, stock: variante.stock }))
+  ].map(reference => {
+    const stockMouvements = sommeMouvements(reference.varianteId);
+    return { ...reference, stockMouvements, ecart: reference.stock - stockMouvements };
+  });
+
+  return { coherent: references.every(reference => reference.ecart === 0), references };
+}
+
+// Références (produits sans variante, variantes actives) des produits actifs dont le stock
+// est au seuil de réassort (propre à la variante le cas échéant) ou en dessous, ou épuisé
+async function alertesStock() {
+  const produits = await prisma.produit.findMany({
+    where: { actif: true },
+    include: { variantes: { where: { actif: true }, orderBy: { ordre: 'asc' } } }
+  });
+
+  const alertes = produits.flatMap(produit => {
+    const references = produit.variantes.length
+      ? produit.variantes.map(variante => ({
+        varianteId: variante.id,
+        variante: variante.nom,
+        stock: variante.stock,
+        seuilAlerte: seuilReference(produit, variante)
+      }))
+      : [{ varianteId: null, variante: null, stock: produit.stock, seuilAlerte: produit.seuilAlerte }];
+
+    return references
+      .filter(reference => reference.stock <= (reference.seuilAlerte ?? 0))
+      .map(reference => ({
+        produitId: produit.id,
+        nom: produit.nom,
+        ...reference,
+        niveau: reference.stock === 0 ? 'RUPTURE' : 'STOCK_BAS',
+        disponibilite: produit.disponibilite
+      }));
+  });
+
+  return alertes.sort((a, b) => a.stock - b.stock || a.nom.localeCompare(b.nom));
+}
+
+// Mise en place du journal : le stock existant non couvert par des mouvements est repris
+// par un mouvement d'inventaire, et la disponibilité de chaque produit est calculée
+async function reprendreStocksExistants() {
+  const produits = await prisma.produit.findMany({ select: { id: true } });
+  let reprises = 0;
+
+  for (const { id } of produits) {
+    const { references } = await reconcilierStock(id);
+    for (const reference of references.filter(ref => ref.ecart !== 0)) {
+      await prisma.mouvementStock.create({
+        data: {
+          produitId: id,
+          varianteId: reference.varianteId,
+          type: 'INVENTAIRE',
+          quantite: reference.ecart,
+          stockApres: reference.stock,
+          motif: 'Reprise du stock existant'
+        }
+      });
+      reprises += 1;
+    }
+    await mettreAJourDisponibilite(id);
+  }
+
+  return { reprises };
+}
+
+module.exports = {
+  MouvementRefuse,
+  mettreAJourDisponibilite,
+  appliquerMouvement,
+  suivreMouvement,
+  surveillerChangementSeuil,
+  enregistrerMouvement,
+  ajusterStock,
+  reconcilierStock,
+  alertesStock,
+  reprendreStocksExistants
+};
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stockage des fichiers téléversés. Un driver expose :
+// put(cle, contenu, typeMime), remove(cle), list() et url(cle) ;
+// les clés sont des chemins relatifs séparés par des « / » (produits/<id>/<fichier>).
+
+// Dossier et URL publique du driver local, servis par l'application (voir index.js)
+const DOSSIER_LOCAL = process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', 'uploads');
+const URL_LOCALE = process.env.STORAGE_PUBLIC_URL || '/uploads';
+
+// Driver par défaut : fichiers sur le disque local
+const createLocalDriver = (dir = DOSSIER_LOCAL, urlPublique = URL_LOCALE) => {
+  const chemin = (cle) => {
+    const fichier = path.resolve(dir, cle);
+    if (!fichier.startsWith(path.resolve(dir) + path.sep)) {
+      throw new Error(`Clé de stockage invalide : ${cle}`);
+    }
+    return fichier;
+  };
+
+  return {
+    async put(cle, contenu) {
+      const fichier = chemin(cle);
+      await fs.promises.mkdir(path.dirname(fichier), { recursive: true });
+      await fs.promises.writeFile(fichier, contenu);
+    },
+
+    // Supprime le fichier puis les dossiers devenus vides
+    async remove(cle) {
+      const fichier = chemin(cle);
+      await fs.promises.rm(fichier, { force: true });
+
+      let dossier = path.dirname(fichier);
+      while (dossier !== path.resolve(dir)) {
+        const restants = await fs.promises.readdir(dossier).catch(() => null);
+        if (!restants || restants.length) break;
+        await fs.promises.rmdir(dossier);
+        dossier = path.dirname(dossier);
+      }
+    },
+
+    async list() {
+      const entrees = await fs.promises.readdir(dir, { recursive: true, withFileTypes: true }).catch(() => []);
+      return entrees
+        .filter(entree => entree.isFile())
+        .map(entree => path.relative(dir, path.join(entree.parentPath, entree.name)).split(path.sep).join('/'));
+    },
+
+    url(cle) {
+      return `${urlPublique}/${cle}`;
+    }
+  };
+};
+
+let driver = createLocalDriver();
+
+// Permet de brancher un autre driver (stockage objet compatible S3, tests...)
+const setDriver = (nouveauDriver) => {
+  driver = nouveauDriver;
+};
+
+const enregistrerFichier = (cle, contenu, typeMime) => driver.put(cle, contenu, typeMime);
+
+// Suppression de plusieurs fichiers ; un fichier déjà absent n'est pas une erreur
+async function supprimerFichiers(cles) {
+  for (const cle of cles) {
+    await driver.remove(cle);
+  }
+}
+
+const listerFichiers = () => driver.list();
+
+const urlFichier = (cle) => driver.url(cle);
+
+module.exports = {
+  enregistrerFichier,
+  supprimerFichiers,
+  listerFichiers,
+  urlFichier,
+  setDriver,
+  createLocalDriver,
+  DOSSIER_LOCAL,
+  URL_LOCALE
+};
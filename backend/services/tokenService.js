@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const { UnauthorizedError } = require('../utils/errors');
+
+const prisma = new PrismaClient();
+
+// Configuration des jetons (surchargée par les variables d'environnement)
+const JWT_SECRET = process.env.JWT_SECRET || 'cynova-dev-secret';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const CHALLENGE_TOKEN_TTL = process.env.CHALLENGE_TOKEN_TTL || '5m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET doit être défini en production');
+}
+
+// Les refresh tokens ne sont jamais stockés en clair
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (utilisateur) => jwt.sign(
+  { email: utilisateur.email, role: utilisateur.role },
+  JWT_SECRET,
+  { subject: utilisateur.id, expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const verifyJwt = (token) => {
+  try {
+    return jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    throw new UnauthorizedError(error.name === 'TokenExpiredError' ? 'Token expiré' : 'Token invalide');
+  }
+};
+
+const verifyAccessToken = (token) => {
+  const payload = verifyJwt(token);
+  // Un jeton de challenge (2FA) ne donne pas accès à l'API
+  if (payload.purpose) {
+    throw new UnauthorizedError('Token invalide');
+  }
+  return payload;
+};
+
+// Jeton court délivré entre le mot de passe et la seconde étape (code 2FA ou enrôlement)
+const signChallengeToken = (utilisateur, purpose) => jwt.sign(
+  { email: utilisateur.email, role: utilisateur.role, purpose },
+  JWT_SECRET,
+  { subject: utilisateur.id, expiresIn: CHALLENGE_TOKEN_TTL }
+);
+
+const verifyChallengeToken = (token, purpose) => {
+  const payload = verifyJwt(token);
+  if (payload.purpose !== purpose) {
+    throw new UnauthorizedError('Token invalide');
+  }
+  return payload;
+};
+
+// Crée une session (refresh token opaque) et le jeton d'accès associé
+async function createSession(utilisateur, { ip, userAgent } = {}) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const session = await prisma.session.create({
+    data: {
+      tokenHash: hashToken(refreshToken),
+      utilisateurId: utilisateur.id,
+      expireLe: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+      ip,
+      userAgent
+    }
+  });
+
+  return {
+    session,
+    tokens: {
+      accessToken: signAccessToken(utilisateur),
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: ACCESS_TOKEN_TTL
+    }
+  };
+}
+
+// Échange un refresh token contre une nouvelle paire (rotation)
+async function rotateSession(refreshToken, meta = {}) {
+  const session = await prisma.session.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { utilisateur: true }
+  });
+
+  if (!session) {
+    throw new UnauthorizedError('Refresh token invalide');
+  }
+
+  // Un token déjà remplacé qui revient est le signe d'un vol : on coupe toutes les sessions
+  if (session.revoqueLe) {
+    if (session.remplaceParId) {
+      await revokeAllSessions(session.utilisateurId);
+    }
+    throw new UnauthorizedError('Refresh token révoqué');
+  }
+
+  if (session.expireLe < new Date()) {
+    throw new UnauthorizedError('Refresh token expiré');
+  }
+
+  // Un compte promu administrateur sans double authentification doit se reconnecter pour l'enrôler
+  if (session.utilisateur.role === 'ADMIN' && !session.utilisateur.totpActif) {
+    await revokeAllSessions(session.utilisateurId);
+    throw new UnauthorizedError('Double authentification requise');
+  }
+
+  // Révocation conditionnelle avant d'émettre la nouvelle paire : de deux échanges simultanés
+  // du même token, un seul l'emporte, l'autre est traité comme une réutilisation
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, revoqueLe: null },
+    data: { revoqueLe: new Date() }
+  });
+  if (count !== 1) {
+    await revokeAllSessions(session.utilisateurId);
+    throw new UnauthorizedError('Refresh token révoqué');
+  }
+
+  const { session: nouvelleSession, tokens } = await createSession(session.utilisateur, meta);
+
+  await prisma.session.update({
+    where: { id: session.id },
+    data: { remplaceParId: nouvelleSession.id }
+  });
+
+  return { utilisateur: session.utilisateur, tokens };
+}
+
+// Révoque une session ; renvoie false si le token est inconnu ou déjà révoqué
+async function revokeSession(refreshToken) {
+  const { count } = await prisma.session.updateMany({
+    where: { tokenHash: hashToken(refreshToken), revoqueLe: null },
+    data: { revoqueLe: new Date() }
+  });
+  return count > 0;
+}
+
+async function revokeAllSessions(utilisateurId) {
+  await prisma.session.updateMany({
+    where: { utilisateurId, revoqueLe: null },
+    data: { revoqueLe: new Date() }
+  });
+}
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  verifyAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+
+// Implémentation TOTP (RFC 6238) sur HOTP (RFC 4226), compatible avec les applications d'authentification
+const ISSUER = process.env.TOTP_ISSUER || 'Cynova';
+const PERIODE_SECONDES = 30;
+const CHIFFRES = 6;
+const FENETRE = 1; // Tolérance d'une période avant/après (décalage d'horloge)
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let valeur = 0;
+  let sortie = '';
+
+  for (const octet of buffer) {
+    valeur = (valeur << 8) | octet;
+    bits += 8;
+    while (bits >= 5) {
+      sortie += BASE32_ALPHABET[(valeur >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    sortie += BASE32_ALPHABET[(valeur << (5 - bits)) & 31];
+  }
+  return sortie;
+}
+
+function base32Decode(texte) {
+  const propre = texte.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let valeur = 0;
+  const octets = [];
+
+  for (const caractere of propre) {
+    const index = BASE32_ALPHABET.indexOf(caractere);
+    if (index === -1) {
+      throw new Error('Secret base32 invalide');
+    }
+    valeur = (valeur << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      octets.push((valeur >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(octets);
+}
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+function hotp(secret, compteur) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(compteur));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const decalage = hmac[hmac.length - 1] & 0xf;
+  const binaire = ((hmac[decalage] & 0x7f) << 24)
+    | (hmac[decalage + 1] << 16)
+    | (hmac[decalage + 2] << 8)
+    | hmac[decalage + 3];
+
+  return String(binaire % 10 ** CHIFFRES).padStart(CHIFFRES, '0');
+}
+
+const currentStep = (date = Date.now()) => Math.floor(date / 1000 / PERIODE_SECONDES);
+
+const generateCode = (secret, date = Date.now()) => hotp(secret, currentStep(date));
+
+// Renvoie le pas de temps correspondant au code, ou null. Le pas permet de refuser un code déjà utilisé.
+function verifyCode(secret, code, { date = Date.now(), dernierPas = null } = {}) {
+  if (!/^\d{6}$/.test(String(code || ''))) return null;
+
+  const pas = currentStep(date);
+  for (let ecart = -FENETRE; ecart <= FENETRE; ecart++) {
+    const candidat = pas + ecart;
+    if (dernierPas !== null && candidat <= dernierPas) continue;
+
+    const attendu = Buffer.from(hotp(secret, candidat));
+    if (crypto.timingSafeEqual(attendu, Buffer.from(String(code)))) {
+      return candidat;
+    }
+  }
+  return null;
+}
+
+const buildOtpauthUri = (secret, email) => {
+  const label = encodeURIComponent(`${ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(CHIFFRES),
+    period: String(PERIODE_SECONDES)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Le secret est chiffré au repos (AES-256-GCM)
+const cleChiffrement = () => crypto
+  .createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || 'cynova-dev-secret')
+  .digest();
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', cleChiffrement(), iv);
+  const chiffre = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), chiffre].map(b => b.toString('base64')).join('.');
+}
+
+function decryptSecret(valeur) {
+  const [iv, tag, chiffre] = valeur.split('.').map(b => Buffer.from(b, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', cleChiffrement(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(chiffre), decipher.final()]).toString('utf8');
+}
+
+// Codes de récupération à usage unique, affichés une seule fois
+const generateRecoveryCodes = (nombre = 10) => Array.from({ length: nombre }, () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes
+};
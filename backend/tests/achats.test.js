@@ -0,0 +1,235 @@
+import { describe, it, expect, beforeEach, afterAll } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+
+// Import des routes
+const produitRoutes = require('../routes/produitRoutes');
+const ingredientRoutes = require('../routes/ingredientRoutes');
+const fournisseurRoutes = require('../routes/fournisseurRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
+const { planifierProduction, lancerProduction } = require('../services/lotService');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/produits', produitRoutes);
+app.use('/api/ingredients', ingredientRoutes);
+app.use('/api/fournisseurs', fournisseurRoutes);
+app.use(errorHandler);
+
+const stockToken = signAccessToken({ id: 'stock-test', email: 'stock@cynova.fr', role: 'STOCK_MANAGER' });
+const editeurToken = signAccessToken({ id: 'editeur-test', email: 'redaction@cynova.fr', role: 'EDITOR' });
+
+const jours = (n) => new Date(Date.now() + n * 24 * 60 * 60 * 1000).toISOString();
+
+describe('Fournisseurs, commandes et stock d\'ingrédients', () => {
+  let fournisseur;
+  let karite;
+  let huile;
+
+  const post = (url, donnees, token = stockToken) => request(app)
+    .post(url)
+    .set('Authorization', `Bearer ${token}`)
+    .send(donnees);
+
+  const get = (url) => request(app)
+    .get(url)
+    .set('Authorization', `Bearer ${stockToken}`);
+
+  const commander = () => post('/api/fournisseurs/commandes', {
+    fournisseurId: fournisseur.id,
+    lignes: [
+      { ingredientId: karite.id, quantite: 5000, unite: 'g', prixUnitaire: 0.012 },
+      { ingredientId: huile.id, quantite: 1000, unite: 'ml', prixUnitaire: 0.03 }
+    ]
+  });
+
+  // Les lots d'ingrédients bloquent la suppression des ingrédients dans les autres fichiers
+  afterAll(async () => {
+    await prisma.produit.deleteMany();
+    await prisma.lotIngredient.deleteMany();
+  });
+
+  beforeEach(async () => {
+    await prisma.produit.deleteMany();
+    await prisma.commandeFournisseur.deleteMany();
+    await prisma.fournisseur.deleteMany();
+    await prisma.lotIngredient.deleteMany();
+    await prisma.ingredient.deleteMany();
+
+    karite = await prisma.ingredient.create({ data: { nom: 'Beurre de karité' } });
+    huile = await prisma.ingredient.create({ data: { nom: 'Huile d\'amande douce', densite: 0.9 } });
+
+    const res = await post('/api/fournisseurs', { nom: 'Aroma Provence', email: 'contact@aroma-provence.fr', siret: '12345678900012' });
+    fournisseur = res.body.fournisseur;
+  });
+
+  it('gère les fournisseurs et réserve les achats à l\'équipe stock', async () => {
+    expect(fournisseur.nom).toBe('Aroma Provence');
+    expect((await post('/api/fournisseurs', { nom: 'Aroma Provence' })).status).toBe(409);
+    expect((await post('/api/fournisseurs', { nom: 'Autre', siret: '123' })).status).toBe(400);
+    expect((await post('/api/fournisseurs', { nom: 'Autre' }, editeurToken)).status).toBe(403);
+
+    const liste = await get('/api/fournisseurs');
+    expect(liste.body.fournisseurs.map(f => f.nom)).toEqual(['Aroma Provence']);
+  });
+
+  it('passe une commande numérotée puis la réceptionne en plusieurs fois', async () => {
+    const commande = await commander();
+    expect(commande.status).toBe(201);
+    expect(commande.body.commande.numero).toMatch(/^CF-\d{4}-0001$/);
+    expect(commande.body.commande.statut).toBe('EN_COURS');
+    const [ligneKarite, ligneHuile] = commande.body.commande.lignes;
+    const url = `/api/fournisseurs/commandes/${commande.body.commande.id}/reception`;
+
+    const partielle = await post(url, {
+      lignes: [{ ligneId: ligneKarite.id, quantite: 3000, numeroLot: 'KAR-2401', datePeremption: jours(365), certificats: ['COA-KAR-2401'] }]
+    });
+    expect(partielle.status).toBe(200);
+    expect(partielle.body.commande.statut).toBe('PARTIELLE');
+    expect(partielle.body.commande.lignes[0]).toMatchObject({ quantiteRecue: 3000, resteALivrer: 2000 });
+
+    const tropRecu = await post(url, { lignes: [{ ligneId: ligneKarite.id, quantite: 2500, numeroLot: 'KAR-2402' }] });
+    expect(tropRecu.status).toBe(409);
+
+    const solde = await post(url, {
+      lignes: [
+        { ligneId: ligneKarite.id, quantite: 2000, numeroLot: 'KAR-2402', datePeremption: jours(500) },
+        { ligneId: ligneHuile.id, quantite: 1000, numeroLot: 'AMA-88' }
+      ]
+    });
+    expect(solde.body.commande.statut).toBe('RECUE');
+    expect((await post(url, { lignes: [{ ligneId: ligneHuile.id, quantite: 1, numeroLot: 'AMA-89' }] })).status).toBe(409);
+
+    const stock = await get(`/api/ingredients/${karite.id}/lots`);
+    expect(stock.body.lots.map(lot => [lot.numero, lot.quantite, lot.coutUnitaire])).toEqual([
+      ['KAR-2401', 3000, 0.012],
+      ['KAR-2402', 2000, 0.012]
+    ]);
+    expect(stock.body.lots[0]).toMatchObject({ unite: 'g', certificats: ['COA-KAR-2401'] });
+    expect(stock.body.lots[0].fournisseur.nom).toBe('Aroma Provence');
+    expect(stock.body.stock.masseDisponible).toBe(5000);
+
+    // Une huile suivie en ml est convertie en masse avec sa densité
+    const stockHuile = await get(`/api/ingredients/${huile.id}/lots`);
+    expect(stockHuile.body.stock.masseDisponible).toBe(900);
+  });
+
+  it('annule une commande sans retirer ce qui a déjà été reçu', async () => {
+    const { body } = await commander();
+    await post(`/api/fournisseurs/commandes/${body.commande.id}/reception`, {
+      lignes: [{ ligneId: body.commande.lignes[0].id, quantite: 1000, numeroLot: 'KAR-2401' }]
+    });
+
+    const annulation = await post(`/api/fournisseurs/commandes/${body.commande.id}/annulation`, {});
+    expect(annulation.body.commande.statut).toBe('ANNULEE');
+    expect((await get(`/api/ingredients/${karite.id}/lots`)).body.stock.masseDisponible).toBe(1000);
+
+    // Un fournisseur ayant des commandes ne peut plus être supprimé
+    const suppression = await request(app)
+      .delete(`/api/fournisseurs/${fournisseur.id}`)
+      .set('Authorization', `Bearer ${stockToken}`);
+    expect(suppression.status).toBe(409);
+  });
+
+  describe('Fabrication', () => {
+    let produit;
+
+    const produire = (donnees) => post(`/api/produits/${produit.id}/production`, {
+      datePeremption: jours(300),
+      ...donnees
+    });
+
+    beforeEach(async () => {
+      produit = await prisma.produit.create({
+        data: {
+          nom: 'Baume nourrissant',
+          description: 'Baume karité et amande',
+          prix: 14,
+          categorie: 'crème',
+          quantiteNette: 50,
+          uniteQuantiteNette: 'g',
+          ingredients: {
+            create: [
+              { ingredientId: karite.id, valeur: 80, unite: '%', ordre: 0 },
+              { ingredientId: huile.id, valeur: 20, unite: '%', ordre: 1 }
+            ]
+          }
+        }
+      });
+
+      await post(`/api/ingredients/${karite.id}/lots`, { numero: 'KAR-TARD', quantite: 3000, unite: 'g', datePeremption: jours(400) });
+      await post(`/api/ingredients/${karite.id}/lots`, { numero: 'KAR-TOT', quantite: 1000, unite: 'g', datePeremption: jours(60) });
+      await post(`/api/ingredients/${karite.id}/lots`, { numero: 'KAR-PERIME', quantite: 5000, unite: 'g', datePeremption: jours(-1) });
+      await post(`/api/ingredients/${huile.id}/lots`, { numero: 'AMA-01', quantite: 1000, unite: 'ml' });
+    });
+
+    it('déduit les ingrédients selon la formule, premier périmé premier utilisé', async () => {
+      // 40 pots de 50 g : 2 000 g, dont 1 600 g de karité et 400 g d'huile
+      const res = await produire({ numero: 'BN-001', quantite: 40 });
+
+      expect(res.status).toBe(201);
+      expect(res.body.masseLot).toBe(2000);
+      expect(res.body.lot.ingredients.map(i => [i.numeroLot, i.quantite, i.unite]).sort()).toEqual([
+        ['AMA-01', 444.444, 'ml'],
+        ['KAR-TARD', 600, 'g'],
+        ['KAR-TOT', 1000, 'g']
+      ]);
+
+      const karites = await get(`/api/ingredients/${karite.id}/lots`);
+      expect(karites.body.lots.map(lot => [lot.numero, lot.quantite])).toEqual([
+        ['KAR-PERIME', 5000],
+        ['KAR-TOT', 0],
+        ['KAR-TARD', 2400]
+      ]);
+
+      const stock = await prisma.produit.findUnique({ where: { id: produit.id } });
+      expect(stock.stock).toBe(40);
+    });
+
+    it('refuse une fabrication sans stock d\'ingrédients suffisant, sans rien déduire', async () => {
+      const res = await produire({ numero: 'BN-002', quantite: 40, masseLot: 6000 });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('Stock d\'ingrédients insuffisant');
+      expect(res.body.details).toEqual([
+        'Beurre de karité : 800 g manquants',
+        'Huile d\'amande douce : 300 g manquants'
+      ]);
+
+      const lots = await prisma.lotIngredient.findMany({ where: { numero: 'KAR-TOT' } });
+      expect(lots[0].quantite).toBe(1000);
+      expect(await prisma.lotProduction.count()).toBe(0);
+    });
+
+    it('annule une fabrication dont les lots d\'ingrédients ont été entamés depuis le calcul des prélèvements', async () => {
+      // Deux fabrications de 2 000 g calculées sur le même stock, qui ne couvre que la première
+      const [premier, second] = await Promise.all([planifierProduction(produit.id, 2000), planifierProduction(produit.id, 2000)]);
+      const donnees = (numero) => ({ numero, quantite: 40, dateProduction: new Date(), datePeremption: new Date(jours(300)) });
+
+      const productions = await Promise.all([
+        lancerProduction(produit, donnees('BN-010'), premier.prelevements, 'stock-test'),
+        lancerProduction(produit, donnees('BN-011'), second.prelevements, 'stock-test')
+      ]);
+
+      expect(productions[0].lot.numero).toBe('BN-010');
+      expect(productions[1].erreur).toMatch(/modifié pendant la production/);
+
+      const lots = await prisma.lotIngredient.findMany({ where: { numero: { in: ['KAR-TOT', 'KAR-TARD'] } }, orderBy: { numero: 'asc' } });
+      expect(lots.map(lot => [lot.numero, lot.quantite])).toEqual([['KAR-TARD', 2400], ['KAR-TOT', 0]]);
+      expect(await prisma.lotProduction.count()).toBe(1);
+      expect((await prisma.produit.findUnique({ where: { id: produit.id } })).stock).toBe(40);
+    });
+
+    it('exige une masse de lot quand la contenance n\'est pas connue', async () => {
+      await prisma.produit.update({ where: { id: produit.id }, data: { quantiteNette: null } });
+
+      const res = await produire({ numero: 'BN-003', quantite: 10 });
+      expect(res.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+
+// Import des routes et services
+const utilisateurRoutes = require('../routes/utilisateurRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
+const { parseAdresseLibre, migrateLegacyAdresses } = require('../services/adresseService');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/utilisateurs', utilisateurRoutes);
+app.use(errorHandler);
+
+const adresseValide = {
+  destinataire: 'Léa Martin',
+  ligne1: '12 rue des Lilas',
+  codePostal: '75011',
+  ville: 'Paris'
+};
+
+describe('API Utilisateurs - Carnet d\'adresses', () => {
+  let utilisateur;
+  let token;
+
+  const url = (suffixe = '') => `/api/utilisateurs/${utilisateur.id}/adresses${suffixe}`;
+
+  const ajouter = (donnees) => request(app)
+    .post(url())
+    .set('Authorization', `Bearer ${token}`)
+    .send({ ...adresseValide, ...donnees });
+
+  beforeEach(async () => {
+    await prisma.utilisateur.deleteMany();
+
+    utilisateur = await prisma.utilisateur.create({
+      data: { email: 'lea@example.com', motDePasse: 'hashedpassword', prenom: 'Léa', nom: 'Martin' }
+    });
+    token = signAccessToken(utilisateur);
+  });
+
+  describe('CRUD', () => {
+    it('ajoute une première adresse, par défaut pour la livraison et la facturation', async () => {
+      const res = await ajouter();
+
+      expect(res.status).toBe(201);
+      expect(res.body.adresse.pays).toBe('FR');
+      expect(res.body.adresse.livraisonParDefaut).toBe(true);
+      expect(res.body.adresse.facturationParDefaut).toBe(true);
+
+      const liste = await request(app)
+        .get(url())
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(liste.status).toBe(200);
+      expect(liste.body.adresses).toHaveLength(1);
+    });
+
+    it('ne garde qu\'une adresse de livraison par défaut', async () => {
+      const premiere = await ajouter();
+      const seconde = await ajouter({ ligne1: '3 place du Marché', livraisonParDefaut: true });
+
+      expect(seconde.body.adresse.livraisonParDefaut).toBe(true);
+
+      const ancienne = await prisma.adresse.findUnique({ where: { id: premiere.body.adresse.id } });
+      expect(ancienne.livraisonParDefaut).toBe(false);
+      expect(ancienne.facturationParDefaut).toBe(true);
+    });
+
+    it('modifie puis supprime une adresse en reportant le rôle par défaut', async () => {
+      const premiere = await ajouter();
+      const seconde = await ajouter({ ligne1: '3 place du Marché' });
+
+      const maj = await request(app)
+        .put(url(`/${seconde.body.adresse.id}`))
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ville: 'Lyon', codePostal: '69001' });
+
+      expect(maj.status).toBe(200);
+      expect(maj.body.adresse.ville).toBe('Lyon');
+
+      const suppression = await request(app)
+        .delete(url(`/${premiere.body.adresse.id}`))
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(suppression.status).toBe(200);
+
+      const restante = await prisma.adresse.findUnique({ where: { id: seconde.body.adresse.id } });
+      expect(restante.livraisonParDefaut).toBe(true);
+      expect(restante.facturationParDefaut).toBe(true);
+    });
+
+    it('refuse l\'accès au carnet d\'un autre utilisateur', async () => {
+      const autre = await prisma.utilisateur.create({
+        data: { email: 'autre@example.com', motDePasse: 'hashedpassword' }
+      });
+
+      const res = await request(app)
+        .get(url())
+        .set('Authorization', `Bearer ${signAccessToken(autre)}`);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('Validation des codes postaux', () => {
+    it('refuse un code postal français invalide', async () => {
+      const res = await ajouter({ codePostal: '7501' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Code postal invalide pour ce pays');
+    });
+
+    it('accepte la Corse, l\'outre-mer et les codes étrangers', async () => {
+      expect((await ajouter({ codePostal: '20000', ville: 'Ajaccio' })).status).toBe(201);
+      expect((await ajouter({ codePostal: '97400', ville: 'Saint-Denis', pays: 'RE' })).status).toBe(201);
+      expect((await ajouter({ codePostal: '1050', ville: 'Bruxelles', pays: 'be' })).status).toBe(201);
+    });
+
+    it('contrôle le code postal avec le pays existant lors d\'une modification', async () => {
+      const { body } = await ajouter();
+
+      const res = await request(app)
+        .put(url(`/${body.adresse.id}`))
+        .set('Authorization', `Bearer ${token}`)
+        .send({ codePostal: '00100' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('Migration des adresses texte', () => {
+    it('découpe une adresse française en texte libre', () => {
+      expect(parseAdresseLibre('12 rue des Lilas, Bât. B, 75011 Paris, France')).toEqual({
+        ligne1: '12 rue des Lilas',
+        ligne2: 'Bât. B',
+        codePostal: '75011',
+        ville: 'Paris',
+        pays: 'FR'
+      });
+      expect(parseAdresseLibre('123 Rue de la Paix, Paris')).toBeNull();
+    });
+
+    it('migre les adresses exploitables et signale les autres', async () => {
+      await prisma.utilisateur.update({
+        where: { id: utilisateur.id },
+        data: { adresse: '12 rue des Lilas\n75011 Paris' }
+      });
+      const incomplet = await prisma.utilisateur.create({
+        data: { email: 'incomplet@example.com', motDePasse: 'hashedpassword', adresse: 'Quelque part en Bretagne' }
+      });
+
+      const rapport = await migrateLegacyAdresses();
+
+      expect(rapport.migrees).toBe(1);
+      expect(rapport.ignorees).toEqual([{ utilisateurId: incomplet.id, adresse: 'Quelque part en Bretagne' }]);
+
+      const adresses = await prisma.adresse.findMany({ where: { utilisateurId: utilisateur.id } });
+      expect(adresses).toHaveLength(1);
+      expect(adresses[0].destinataire).toBe('Léa Martin');
+      expect(adresses[0].livraisonParDefaut).toBe(true);
+
+      const migre = await prisma.utilisateur.findUnique({ where: { id: utilisateur.id } });
+      expect(migre.adresse).toBeNull();
+    });
+  });
+});
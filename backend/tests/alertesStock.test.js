@@ -0,0 +1,219 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+
+// Import des routes et des services
+const produitRoutes = require('../routes/produitRoutes');
+const utilisateurRoutes = require('../routes/utilisateurRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { setTransport } = require('../services/mailer');
+const { signAccessToken } = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/produits', produitRoutes);
+app.use('/api/utilisateurs', utilisateurRoutes);
+app.use(errorHandler);
+
+const stockToken = signAccessToken({ id: 'stock-test', email: 'stock@cynova.fr', role: 'STOCK_MANAGER' });
+
+// Transport en mémoire pour inspecter les emails envoyés
+let emails;
+setTransport({ send: async (message) => { emails.push(message); return {}; } });
+
+describe('Seuils de réassort et alertes de stock', () => {
+  let admin;
+  let adminToken;
+  let produit;
+
+  const vendre = (quantite, varianteId) => request(app)
+    .post(`/api/produits/${produit.id}/mouvements`)
+    .set('Authorization', `Bearer ${stockToken}`)
+    .send({ type: 'VENTE', quantite, varianteId });
+
+  const notifications = (query = '') => request(app)
+    .get(`/api/utilisateurs/me/notifications${query}`)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  beforeEach(async () => {
+    await prisma.produit.deleteMany();
+    await prisma.utilisateur.deleteMany();
+    emails = [];
+
+    admin = await prisma.utilisateur.create({
+      data: { email: 'admin@cynova.fr', motDePasse: 'hash', role: 'ADMIN' }
+    });
+    await prisma.utilisateur.create({ data: { email: 'client@example.com', motDePasse: 'hash' } });
+    adminToken = signAccessToken({ id: admin.id, email: admin.email, role: 'ADMIN' });
+
+    const res = await request(app)
+      .post('/api/produits')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        nom: 'Shampoing solide',
+        description: 'Shampoing solide à l\'ortie',
+        prix: 12,
+        categorie: 'shampoing',
+        stock: 10,
+        seuilAlerte: 5,
+        actif: false
+      });
+    produit = res.body.produit;
+    // Activé hors API : la formule n'intéresse pas ces tests
+    await prisma.produit.update({ where: { id: produit.id }, data: { actif: true } });
+  });
+
+  it('prévient les administrateurs une seule fois au passage du seuil', async () => {
+    await vendre(4);
+    expect(emails).toHaveLength(0);
+
+    await vendre(1);
+    await vendre(1);
+
+    expect(emails).toHaveLength(1);
+    expect(emails[0]).toMatchObject({ to: 'admin@cynova.fr', subject: '[Cynova] Stock bas : Shampoing solide' });
+    expect(emails[0].text).toContain('Il reste 5 unité(s)');
+
+    const res = await notifications();
+    expect(res.body.nonLues).toBe(1);
+    expect(res.body.notifications[0]).toMatchObject({ type: 'STOCK_BAS', produitId: produit.id, lueLe: null });
+  });
+
+  it('prévient aussi les gestionnaires de stock quand un seuil relevé place le stock sous le niveau de réassort', async () => {
+    await prisma.utilisateur.create({ data: { email: 'stock@cynova.fr', motDePasse: 'hash', role: 'STOCK_MANAGER' } });
+
+    await request(app)
+      .put(`/api/produits/${produit.id}`)
+      .set('Authorization', `Bearer ${stockToken}`)
+      .send({ seuilAlerte: 12 });
+
+    expect(emails.map(email => email.to).sort()).toEqual(['admin@cynova.fr', 'stock@cynova.fr']);
+    expect(emails[0].text).toContain('Il reste 10 unité(s) de Shampoing solide (seuil de réassort : 12)');
+
+    // Un seuil abaissé ne relance pas d'alerte
+    await request(app)
+      .put(`/api/produits/${produit.id}`)
+      .set('Authorization', `Bearer ${stockToken}`)
+      .send({ seuilAlerte: 3 });
+    expect(emails).toHaveLength(2);
+  });
+
+  it('compare le stock d\'une variante à son propre seuil de réassort', async () => {
+    await vendre(10);
+    emails = [];
+    const { body } = await request(app)
+      .post(`/api/produits/${produit.id}/variantes`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ nom: 'Ortie', sku: 'SHA-ORT', prix: 12, stock: 6, seuilAlerte: 2 });
+    const varianteId = body.variante.id;
+
+    // Sous le seuil du produit (5) mais au-dessus de celui de la variante
+    await vendre(2, varianteId);
+    expect(emails).toHaveLength(0);
+
+    await vendre(2, varianteId);
+    expect(emails).toHaveLength(1);
+    expect(emails[0].subject).toBe('[Cynova] Stock bas : Shampoing solide (Ortie)');
+
+    const alertes = await request(app)
+      .get('/api/produits/alertes-stock')
+      .set('Authorization', `Bearer ${stockToken}`);
+    expect(alertes.body.alertes).toEqual([expect.objectContaining({ varianteId, stock: 2, seuilAlerte: 2, niveau: 'STOCK_BAS' })]);
+  });
+
+  it('liste les références au seuil ou en rupture', async () => {
+    const autre = await prisma.produit.create({
+      data: { nom: 'Baume à lèvres', description: 'Baume', prix: 5, categorie: 'huile', stock: 0 }
+    });
+    await prisma.produit.create({
+      data: { nom: 'Huile sèche', description: 'Huile', prix: 15, categorie: 'huile', stock: 30, seuilAlerte: 10 }
+    });
+    await vendre(7);
+
+    const res = await request(app)
+      .get('/api/produits/alertes-stock')
+      .set('Authorization', `Bearer ${stockToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.alertes.map(a => [a.produitId, a.stock, a.niveau])).toEqual([
+      [autre.id, 0, 'RUPTURE'],
+      [produit.id, 3, 'STOCK_BAS']
+    ]);
+    expect(res.body.alertes[1].seuilAlerte).toBe(5);
+  });
+
+  it('retire du catalogue un produit épuisé et le réaffiche au réassort', async () => {
+    await vendre(10);
+
+    const produitEpuise = await prisma.produit.findUnique({ where: { id: produit.id } });
+    expect(produitEpuise.disponibilite).toBe('EPUISE');
+    expect(produitEpuise.actif).toBe(true);
+    expect((await request(app).get('/api/produits')).body.produits).toHaveLength(0);
+
+    const alerte = await notifications();
+    expect(alerte.body.notifications[0].type).toBe('RUPTURE');
+
+    await request(app)
+      .post(`/api/produits/${produit.id}/mouvements`)
+      .set('Authorization', `Bearer ${stockToken}`)
+      .send({ type: 'REASSORT', quantite: 20 });
+
+    const catalogue = await request(app).get('/api/produits');
+    expect(catalogue.body.produits.map(p => [p.id, p.disponibilite])).toEqual([[produit.id, 'EN_STOCK']]);
+  });
+
+  it('garde visible un produit épuisé proposé sur commande', async () => {
+    await request(app)
+      .put(`/api/produits/${produit.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ siRupture: 'SUR_COMMANDE' });
+    await vendre(10);
+
+    const catalogue = await request(app).get('/api/produits');
+    expect(catalogue.body.produits.map(p => [p.id, p.disponibilite])).toEqual([[produit.id, 'SUR_COMMANDE']]);
+  });
+
+  it('calcule la disponibilité d\'un produit à variantes sur le stock de ses variantes', async () => {
+    // Stock propre du produit épuisé avant sa déclinaison en variantes
+    await vendre(10);
+
+    const { body } = await request(app)
+      .post(`/api/produits/${produit.id}/variantes`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ nom: 'Ortie', sku: 'SHA-ORT', prix: 12, stock: 2 });
+
+    expect((await prisma.produit.findUnique({ where: { id: produit.id } })).disponibilite).toBe('EN_STOCK');
+
+    await vendre(2, body.variante.id);
+    expect((await prisma.produit.findUnique({ where: { id: produit.id } })).disponibilite).toBe('EPUISE');
+
+    const alertes = await request(app)
+      .get('/api/produits/alertes-stock')
+      .set('Authorization', `Bearer ${stockToken}`);
+    expect(alertes.body.alertes).toEqual([expect.objectContaining({ varianteId: body.variante.id, variante: 'Ortie', niveau: 'RUPTURE' })]);
+  });
+
+  it('permet au gestionnaire de stock de régler le seuil de réassort et de marquer une notification lue', async () => {
+    const seuil = await request(app)
+      .put(`/api/produits/${produit.id}`)
+      .set('Authorization', `Bearer ${stockToken}`)
+      .send({ seuilAlerte: 8 });
+    expect(seuil.status).toBe(200);
+    expect(seuil.body.produit.seuilAlerte).toBe(8);
+
+    await vendre(2);
+    const { body } = await notifications();
+
+    const lue = await request(app)
+      .post(`/api/utilisateurs/me/notifications/${body.notifications[0].id}/lue`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(lue.status).toBe(200);
+    expect(lue.body.notification.lueLe).not.toBeNull();
+
+    expect((await notifications('?nonLues=true')).body.notifications).toHaveLength(0);
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+
+// Import des routes
+const produitRoutes = require('../routes/produitRoutes');
+const ingredientRoutes = require('../routes/ingredientRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
+const { chargerReferentiel } = require('../services/allergeneService');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/produits', produitRoutes);
+app.use('/api/ingredients', ingredientRoutes);
+app.use(errorHandler);
+
+const adminToken = signAccessToken({ id: 'admin-test', email: 'admin@cynova.fr', role: 'ADMIN' });
+
+describe('Allergènes réglementés', () => {
+  let lavande;
+  let amande;
+
+  // Produit contenant 0,5 % d'huile essentielle de lavande
+  const creerProduit = (categorie) => prisma.produit.create({
+    data: {
+      nom: `Produit ${categorie}`,
+      description: 'Produit parfumé à la lavande',
+      prix: 10,
+      categorie,
+      ingredients: {
+        create: [
+          { ingredientId: amande.id, valeur: 99.5, unite: '%', ordre: 0 },
+          { ingredientId: lavande.id, valeur: 0.5, unite: '%', ordre: 1 }
+        ]
+      }
+    }
+  });
+
+  beforeEach(async () => {
+    await prisma.produit.deleteMany();
+    await prisma.ingredient.deleteMany();
+    await prisma.allergene.deleteMany();
+
+    lavande = await prisma.ingredient.create({
+      data: { nom: 'Huile essentielle de lavande', nomInci: 'Lavandula Angustifolia Oil' }
+    });
+    amande = await prisma.ingredient.create({
+      data: { nom: 'Huile d\'amande douce', nomInci: 'Prunus Amygdalus Dulcis Oil' }
+    });
+    await chargerReferentiel();
+  });
+
+  describe('Référentiel et composition des ingrédients', () => {
+    it('charge les allergènes et la composition des huiles essentielles référencées', async () => {
+      const reference = await request(app).get('/api/ingredients/allergenes');
+      expect(reference.status).toBe(200);
+      expect(reference.body.allergenes.map(allergene => allergene.nom)).toContain('Linalool');
+
+      const res = await request(app).get(`/api/ingredients/${lavande.id}/allergenes`);
+      expect(res.status).toBe(200);
+      expect(res.body.composition[0]).toMatchObject({ nom: 'Linalool', teneur: 35 });
+
+      const sansComposition = await request(app).get(`/api/ingredients/${amande.id}/allergenes`);
+      expect(sansComposition.body.composition).toEqual([]);
+    });
+
+    it('renseigne la composition à la création d\'un ingrédient référencé', async () => {
+      const creation = await request(app)
+        .post('/api/ingredients')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ nom: 'Huile essentielle d\'orange douce', nomInci: 'Citrus Aurantium Dulcis Peel Oil' });
+
+      const res = await request(app).get(`/api/ingredients/${creation.body.ingredient.id}/allergenes`);
+      expect(res.body.composition.map(ligne => ligne.nom)).toEqual(['Limonene', 'Linalool', 'Citral']);
+    });
+
+    it('remplace la composition par celle du certificat fournisseur', async () => {
+      const linalool = await prisma.allergene.findUnique({ where: { nom: 'Linalool' } });
+
+      const res = await request(app)
+        .put(`/api/ingredients/${lavande.id}/allergenes`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ composition: [{ allergeneId: linalool.id, teneur: 28.4 }] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.composition).toEqual([{ allergeneId: linalool.id, nom: 'Linalool', teneur: 28.4 }]);
+
+      const inconnu = await request(app)
+        .put(`/api/ingredients/${lavande.id}/allergenes`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ composition: [{ allergeneId: 'inexistant', teneur: 1 }] });
+      expect(inconnu.status).toBe(400);
+      expect(inconnu.body.error).toBe('Allergène introuvable');
+    });
+  });
+
+  describe('Allergènes à déclarer dans les produits', () => {
+    it('applique le seuil de 0,001 % aux produits sans rinçage', async () => {
+      const produit = await creerProduit('crème');
+
+      const res = await request(app).get(`/api/produits/${produit.id}`);
+
+      // 0,5 % de lavande : linalool 0,175 %, limonène 0,005 %, géraniol 0,0025 %, coumarine 0,0005 %
+      expect(res.status).toBe(200);
+      expect(res.body.allergenes).toEqual([
+        { nom: 'Linalool', concentration: 0.175 },
+        { nom: 'Limonene', concentration: 0.005 },
+        { nom: 'Geraniol', concentration: 0.0025 }
+      ]);
+    });
+
+    it('applique le seuil de 0,01 % aux produits rincés', async () => {
+      const produit = await creerProduit('savon');
+
+      const res = await request(app).get(`/api/produits/${produit.id}`);
+
+      expect(res.body.allergenes).toEqual([{ nom: 'Linalool', concentration: 0.175 }]);
+    });
+
+    it('ajoute les allergènes déclarés à l\'étiquette', async () => {
+      const produit = await creerProduit('savon');
+
+      const res = await request(app)
+        .get(`/api/produits/${produit.id}/etiquette`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.etiquette.inci).toEqual([
+        'PRUNUS AMYGDALUS DULCIS OIL',
+        'LAVANDULA ANGUSTIFOLIA OIL',
+        'LINALOOL'
+      ]);
+      expect(res.body.etiquette.allergenes).toEqual(['LINALOOL']);
+    });
+  });
+});
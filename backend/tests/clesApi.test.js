@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+
+// Import des routes
+const cleApiRoutes = require('../routes/cleApiRoutes');
+const produitRoutes = require('../routes/produitRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/cles-api', cleApiRoutes);
+app.use('/api/produits', produitRoutes);
+app.use(errorHandler);
+
+const adminToken = signAccessToken({ id: 'admin-test', email: 'admin@cynova.fr', role: 'ADMIN' });
+const userToken = signAccessToken({ id: 'user-test', email: 'user@example.com', role: 'USER' });
+
+const creerCle = (donnees) => request(app)
+  .post('/api/cles-api')
+  .set('Authorization', `Bearer ${adminToken}`)
+  .send({ nom: 'Synchro stock', ...donnees });
+
+describe('API Clés API', () => {
+  let produit;
+
+  beforeEach(async () => {
+    await prisma.cleApi.deleteMany();
+    await prisma.produit.deleteMany();
+
+    produit = await prisma.produit.create({
+      data: {
+        nom: 'Savon Lavande',
+        description: 'Savon artisanal',
+        prix: 8.5,
+        categorie: 'savon',
+        stock: 10
+      }
+    });
+  });
+
+  describe('Gestion des clés', () => {
+    it('affiche la clé une seule fois et ne stocke que son hash', async () => {
+      const res = await creerCle({ scopes: ['produits:read'] });
+
+      expect(res.status).toBe(201);
+      expect(res.body.cle).toMatch(/^cyn_/);
+      expect(res.body.cleApi.scopes).toEqual(['produits:read']);
+      expect(res.body.cle.startsWith(res.body.cleApi.prefixe)).toBe(true);
+
+      const stockee = await prisma.cleApi.findUnique({ where: { id: res.body.cleApi.id } });
+      expect(stockee.cleHash).not.toBe(res.body.cle);
+
+      const liste = await request(app)
+        .get('/api/cles-api')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(liste.status).toBe(200);
+      expect(liste.body.cles).toHaveLength(1);
+      expect(liste.body.cles[0].cleHash).toBeUndefined();
+      expect(liste.body.cles[0].cle).toBeUndefined();
+    });
+
+    it('réserve la gestion des clés aux administrateurs', async () => {
+      const res = await request(app)
+        .post('/api/cles-api')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ nom: 'Ma clé', scopes: ['produits:read'] });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('refuse un scope inconnu', async () => {
+      const res = await creerCle({ scopes: ['utilisateurs:read'] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Données invalides');
+    });
+  });
+
+  describe('Utilisation des clés', () => {
+    it('exige le scope de lecture pour consulter le catalogue', async () => {
+      const sansLecture = await creerCle({ scopes: ['blogs:write'] });
+      const avecLecture = await creerCle({ scopes: ['produits:read'] });
+
+      const refus = await request(app)
+        .get('/api/produits')
+        .set('X-API-Key', sansLecture.body.cle);
+      expect(refus.status).toBe(403);
+
+      const res = await request(app)
+        .get('/api/produits')
+        .set('X-API-Key', avecLecture.body.cle);
+      expect(res.status).toBe(200);
+    });
+
+    it('limite une clé stock:write à la mise à jour du stock', async () => {
+      const { body } = await creerCle({ scopes: ['stock:write'] });
+
+      const stock = await request(app)
+        .put(`/api/produits/${produit.id}`)
+        .set('X-API-Key', body.cle)
+        .send({ stock: 42 });
+      expect(stock.status).toBe(200);
+      expect(stock.body.produit.stock).toBe(42);
+
+      const prix = await request(app)
+        .put(`/api/produits/${produit.id}`)
+        .set('X-API-Key', body.cle)
+        .send({ prix: 1 });
+      expect(prix.status).toBe(403);
+
+      const suppression = await request(app)
+        .delete(`/api/produits/${produit.id}`)
+        .set('X-API-Key', body.cle);
+      expect(suppression.status).toBe(403);
+    });
+
+    it('rejette une clé révoquée ou inconnue', async () => {
+      const { body } = await creerCle({ scopes: ['produits:read'] });
+
+      await request(app)
+        .delete(`/api/cles-api/${body.cleApi.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const revoquee = await request(app)
+        .get('/api/produits')
+        .set('X-API-Key', body.cle);
+      expect(revoquee.status).toBe(401);
+
+      const inconnue = await request(app)
+        .get('/api/produits')
+        .set('X-API-Key', 'cyn_inconnue');
+      expect(inconnue.status).toBe(401);
+    });
+
+    it('enregistre la dernière utilisation', async () => {
+      const { body } = await creerCle({ scopes: ['produits:read'] });
+
+      await request(app)
+        .get('/api/produits')
+        .set('X-API-Key', body.cle);
+
+      const cleApi = await prisma.cleApi.findUnique({ where: { id: body.cleApi.id } });
+      expect(cleApi.derniereUtilisationLe).toBeInstanceOf(Date);
+      expect(cleApi.derniereIp).toBeTruthy();
+    });
+
+    it('applique le quota propre à chaque clé', async () => {
+      const { body } = await creerCle({ scopes: ['produits:read'], limiteRequetes: 3 });
+
+      const statuts = [];
+      for (let i = 0; i < 4; i++) {
+        const res = await request(app)
+          .get('/api/produits')
+          .set('X-API-Key', body.cle);
+        statuts.push(res.status);
+      }
+
+      expect(statuts).toEqual([200, 200, 200, 429]);
+
+      // Le quota par IP des requêtes sans clé n'est pas affecté
+      const anonyme = await request(app).get('/api/produits');
+      expect(anonyme.status).toBe(200);
+    });
+  });
+});
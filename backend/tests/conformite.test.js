@@ -0,0 +1,205 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+
+// Import des routes
+const produitRoutes = require('../routes/produitRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/produits', produitRoutes);
+app.use(errorHandler);
+
+const adminToken = signAccessToken({ id: 'admin-test', email: 'admin@cynova.fr', role: 'ADMIN' });
+
+describe('Conformité réglementaire des formules', () => {
+  let eau;
+  let phenoxyethanol;
+  let menthe;
+
+  const creerProduit = (donnees = {}) => prisma.produit.create({
+    data: {
+      nom: 'Lotion tonique',
+      description: 'Lotion tonique rafraîchissante',
+      prix: 9,
+      categorie: 'crème',
+      actif: false,
+      ...donnees
+    }
+  });
+
+  const formule = (phenoxy) => [
+    { ingredientId: eau.id, valeur: 100 - phenoxy, unite: '%' },
+    { ingredientId: phenoxyethanol.id, valeur: phenoxy, unite: '%' }
+  ];
+
+  const conformite = (produit) => request(app)
+    .post(`/api/produits/${produit.id}/conformite`)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  const modifier = (produit, donnees) => request(app)
+    .put(`/api/produits/${produit.id}`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(donnees);
+
+  beforeEach(async () => {
+    await prisma.produit.deleteMany();
+    await prisma.ingredient.deleteMany();
+
+    eau = await prisma.ingredient.create({ data: { nom: 'Eau', nomInci: 'Aqua' } });
+    phenoxyethanol = await prisma.ingredient.create({
+      data: {
+        nom: 'Phénoxyéthanol',
+        nomInci: 'Phenoxyethanol',
+        numeroCas: '122-99-6',
+        numeroCe: '204-589-7',
+        concentrationMaxRince: 1,
+        concentrationMaxSansRincage: 1
+      }
+    });
+    menthe = await prisma.ingredient.create({
+      data: { nom: 'Huile essentielle de menthe poivrée', nomInci: 'Mentha Piperita Oil', interditEnfants: true }
+    });
+  });
+
+  describe('POST /api/produits/:id/conformite', () => {
+    it('signale une concentration supérieure au maximum autorisé', async () => {
+      const produit = await creerProduit({ ingredients: { create: formule(1.5) } });
+
+      const res = await conformite(produit);
+
+      expect(res.status).toBe(200);
+      expect(res.body.conformite).toEqual({
+        conforme: false,
+        typeApplication: 'SANS_RINCAGE',
+        erreurs: ['Phénoxyéthanol : 1.5 % pour un maximum de 1 % (produit sans rinçage)'],
+        avertissements: []
+      });
+    });
+
+    it('interdit un ingrédient réservé aux adultes dans un produit pour enfants', async () => {
+      const lignes = { create: [
+        { ingredientId: eau.id, valeur: 99, unite: '%' },
+        { ingredientId: menthe.id, valeur: 1, unite: '%' }
+      ] };
+      const adulte = await creerProduit({ nom: 'Baume adulte', ingredients: lignes });
+      const enfant = await creerProduit({ nom: 'Baume enfant', pourEnfants: true, ingredients: lignes });
+
+      const resAdulte = await conformite(adulte);
+      expect(resAdulte.body.conformite.conforme).toBe(true);
+      expect(resAdulte.body.conformite.avertissements).toEqual([
+        'Huile essentielle de menthe poivrée : mention « Ne pas utiliser chez les enfants de moins de 3 ans » à prévoir'
+      ]);
+
+      const resEnfant = await conformite(enfant);
+      expect(resEnfant.body.conformite.conforme).toBe(false);
+      expect(resEnfant.body.conformite.erreurs).toEqual([
+        'Huile essentielle de menthe poivrée est interdit dans les produits destinés aux enfants de moins de 3 ans'
+      ]);
+    });
+
+    it('applique le maximum propre à la catégorie du produit avant celui du type d\'application', async () => {
+      await prisma.limiteConcentration.create({
+        data: { ingredientId: phenoxyethanol.id, categorie: 'shampoing', maximum: 0.5 }
+      });
+      const shampoing = await creerProduit({ nom: 'Shampoing doux', categorie: 'shampoing', ingredients: { create: formule(0.8) } });
+      const savon = await creerProduit({ nom: 'Savon liquide', categorie: 'savon', ingredients: { create: formule(0.8) } });
+
+      const resShampoing = await conformite(shampoing);
+      expect(resShampoing.body.conformite.erreurs).toEqual(['Phénoxyéthanol : 0.8 % pour un maximum de 0.5 % (shampoing)']);
+
+      // Autre produit rincé, sans limite propre : maximum des produits rincés
+      expect((await conformite(savon)).body.conformite.conforme).toBe(true);
+    });
+
+    it('bloque une formule absente ou incomplète', async () => {
+      const sansFormule = await creerProduit();
+      const incomplete = await creerProduit({
+        nom: 'Lotion incomplète',
+        ingredients: { create: [{ ingredientId: eau.id, valeur: 100, unite: '%' }, { ingredientId: menthe.id }] }
+      });
+
+      const res = await conformite(sansFormule);
+      expect(res.body.conformite.conforme).toBe(false);
+      expect(res.body.conformite.erreurs).toEqual(['Formule non renseignée : concentrations non vérifiables']);
+
+      const activation = await modifier(incomplete, { actif: true });
+      expect(activation.status).toBe(409);
+      expect(activation.body.details).toContain('Formule incomplète (quantités manquantes) : concentrations non vérifiables');
+    });
+
+    it('retourne 404 pour un produit inconnu', async () => {
+      const res = await request(app)
+        .post('/api/produits/inexistant/conformite')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('Activation des produits', () => {
+    it('refuse d\'activer un produit non conforme, puis l\'accepte une fois la formule corrigée', async () => {
+      const produit = await creerProduit({ ingredients: { create: formule(1.5) } });
+
+      const refus = await modifier(produit, { actif: true });
+      expect(refus.status).toBe(409);
+      expect(refus.body.error).toBe('Produit non conforme, activation impossible');
+      expect((await prisma.produit.findUnique({ where: { id: produit.id } })).actif).toBe(false);
+
+      await request(app)
+        .put(`/api/produits/${produit.id}/formule`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ lignes: formule(0.8) });
+
+      const res = await modifier(produit, { actif: true });
+      expect(res.status).toBe(200);
+      expect(res.body.produit.actif).toBe(true);
+    });
+
+    it('refuse une formule non conforme pour un produit déjà actif', async () => {
+      const produit = await creerProduit({ actif: true, ingredients: { create: formule(0.8) } });
+
+      const res = await request(app)
+        .put(`/api/produits/${produit.id}/formule`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ lignes: formule(2) });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('Formule non conforme pour un produit actif');
+    });
+
+    it('refuse de passer un produit actif en gamme enfants s\'il contient un ingrédient interdit', async () => {
+      const produit = await creerProduit({
+        actif: true,
+        ingredients: { create: [{ ingredientId: menthe.id, valeur: 100, unite: '%' }] }
+      });
+
+      const res = await modifier(produit, { pourEnfants: true });
+
+      expect(res.status).toBe(409);
+    });
+
+    it('refuse la création d\'un produit actif non conforme', async () => {
+      const res = await request(app)
+        .post('/api/produits')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          nom: 'Lotion tonique',
+          description: 'Lotion tonique rafraîchissante',
+          prix: 9,
+          categorie: 'crème',
+          stock: 5,
+          ingredients: formule(3)
+        });
+
+      expect(res.status).toBe(409);
+      expect(res.body.details).toEqual(['Phénoxyéthanol : 3 % pour un maximum de 1 % (produit sans rinçage)']);
+    });
+  });
+});
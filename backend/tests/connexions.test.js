@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+import bcrypt from 'bcrypt';
+
+// Import des routes
+const utilisateurRoutes = require('../routes/utilisateurRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/utilisateurs', utilisateurRoutes);
+app.use(errorHandler);
+
+const adminToken = signAccessToken({ id: 'admin-test', email: 'admin@cynova.fr', role: 'ADMIN' });
+
+const identifiants = { email: 'cible@example.com', motDePasse: 'motdepasse123' };
+const mauvaisIdentifiants = { email: 'cible@example.com', motDePasse: 'mauvaismotdepasse' };
+
+describe('API Utilisateurs - Protection contre la force brute', () => {
+  let utilisateur;
+
+  beforeEach(async () => {
+    await prisma.utilisateur.deleteMany();
+
+    utilisateur = await prisma.utilisateur.create({
+      data: {
+        email: identifiants.email,
+        motDePasse: await bcrypt.hash(identifiants.motDePasse, 10),
+        emailVerifie: true
+      }
+    });
+  });
+
+  it('impose un délai progressif après plusieurs échecs', async () => {
+    for (let i = 0; i < 3; i++) {
+      const res = await request(app).post('/api/utilisateurs/login').send(mauvaisIdentifiants);
+      expect(res.status).toBe(401);
+    }
+
+    // Même avec le bon mot de passe, il faut attendre la fin du délai
+    const res = await request(app).post('/api/utilisateurs/login').send(identifiants);
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+    expect(res.body.retryAfter).toBeGreaterThan(0);
+  });
+
+  it('verrouille le compte après trop d\'échecs', async () => {
+    await prisma.utilisateur.update({
+      where: { id: utilisateur.id },
+      data: { tentativesEchouees: 9 }
+    });
+
+    await request(app).post('/api/utilisateurs/login').send(mauvaisIdentifiants);
+    const res = await request(app).post('/api/utilisateurs/login').send(identifiants);
+
+    expect(res.status).toBe(423);
+    expect(res.body.error).toBe('Compte temporairement verrouillé');
+  });
+
+  it('compte chacune des tentatives échouées envoyées simultanément', async () => {
+    const reponses = await Promise.all(
+      Array.from({ length: 5 }, () => request(app).post('/api/utilisateurs/login').send(mauvaisIdentifiants))
+    );
+    expect(reponses.every(res => res.status === 401)).toBe(true);
+
+    const apres = await prisma.utilisateur.findUnique({ where: { id: utilisateur.id } });
+    expect(apres.tentativesEchouees).toBe(5);
+  });
+
+  it('remet le compteur à zéro après une connexion réussie', async () => {
+    await request(app).post('/api/utilisateurs/login').send(mauvaisIdentifiants);
+    await request(app).post('/api/utilisateurs/login').send(mauvaisIdentifiants);
+
+    const res = await request(app).post('/api/utilisateurs/login').send(identifiants);
+    expect(res.status).toBe(200);
+
+    const apres = await prisma.utilisateur.findUnique({ where: { id: utilisateur.id } });
+    expect(apres.tentativesEchouees).toBe(0);
+  });
+
+  it('permet à un administrateur de déverrouiller un compte', async () => {
+    await prisma.utilisateur.update({
+      where: { id: utilisateur.id },
+      data: { verrouilleJusquA: new Date(Date.now() + 30 * 60 * 1000) }
+    });
+
+    const refus = await request(app)
+      .post(`/api/utilisateurs/${utilisateur.id}/deverrouiller`)
+      .set('Authorization', `Bearer ${signAccessToken(utilisateur)}`);
+    expect(refus.status).toBe(403);
+
+    const res = await request(app)
+      .post(`/api/utilisateurs/${utilisateur.id}/deverrouiller`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.status).toBe(200);
+
+    const login = await request(app).post('/api/utilisateurs/login').send(identifiants);
+    expect(login.status).toBe(200);
+  });
+
+  it('conserve l\'historique des connexions avec IP, user agent et résultat', async () => {
+    await request(app).post('/api/utilisateurs/login').send(mauvaisIdentifiants);
+    await request(app)
+      .post('/api/utilisateurs/login')
+      .set('User-Agent', 'Navigateur de test')
+      .send(identifiants);
+
+    const res = await request(app)
+      .get(`/api/utilisateurs/${utilisateur.id}/connexions`)
+      .set('Authorization', `Bearer ${signAccessToken(utilisateur)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.connexions).toHaveLength(2);
+    expect(res.body.connexions.map(c => c.succes).sort()).toEqual([false, true]);
+
+    const reussie = res.body.connexions.find(c => c.succes);
+    expect(reussie.userAgent).toBe('Navigateur de test');
+    expect(reussie.ip).toBeTruthy();
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+import bcrypt from 'bcrypt';
+
+// Import des routes et services
+const utilisateurRoutes = require('../routes/utilisateurRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
+const totp = require('../services/totp');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/utilisateurs', utilisateurRoutes);
+app.use(errorHandler);
+
+// Code de la période suivante : toujours accepté (fenêtre de tolérance) et jamais déjà utilisé
+const codeSuivant = (secret) => totp.generateCode(secret, Date.now() + 30 * 1000);
+
+const creerCompte = async (email, role = 'USER') => prisma.utilisateur.create({
+  data: {
+    email,
+    motDePasse: await bcrypt.hash('motdepasse123', 10),
+    role,
+    emailVerifie: true
+  }
+});
+
+// Enrôle un compte et renvoie le secret et les codes de récupération
+const enroler = async (token) => {
+  const setup = await request(app)
+    .post('/api/utilisateurs/2fa/configuration')
+    .set('Authorization', `Bearer ${token}`);
+
+  const activation = await request(app)
+    .post('/api/utilisateurs/2fa/activation')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ code: totp.generateCode(setup.body.secret) });
+
+  return { setup, activation, secret: setup.body.secret };
+};
+
+describe('API Utilisateurs - Double authentification (TOTP)', () => {
+  beforeEach(async () => {
+    await prisma.utilisateur.deleteMany();
+  });
+
+  describe('Enrôlement et connexion en deux étapes', () => {
+    let utilisateur;
+    let secret;
+    let codesRecuperation;
+    let otpauthUri;
+
+    beforeEach(async () => {
+      utilisateur = await creerCompte('deuxfacteurs@example.com');
+      const enrolement = await enroler(signAccessToken(utilisateur));
+      secret = enrolement.secret;
+      otpauthUri = enrolement.setup.body.otpauthUri;
+      codesRecuperation = enrolement.activation.body.codesRecuperation;
+    });
+
+    it('fournit une URI otpauth et des codes de récupération stockés hachés', async () => {
+      const setup = await request(app)
+        .post('/api/utilisateurs/2fa/configuration')
+        .set('Authorization', `Bearer ${signAccessToken(utilisateur)}`);
+      expect(setup.status).toBe(400);
+
+      expect(otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+      expect(otpauthUri).toContain(`secret=${secret}`);
+      expect(codesRecuperation).toHaveLength(10);
+
+      const stockes = await prisma.codeRecuperation.findMany({ where: { utilisateurId: utilisateur.id } });
+      expect(stockes).toHaveLength(10);
+      expect(stockes.map(c => c.codeHash)).not.toContain(codesRecuperation[0]);
+
+      const compte = await prisma.utilisateur.findUnique({ where: { id: utilisateur.id } });
+      expect(compte.totpActif).toBe(true);
+      expect(compte.totpSecret).not.toBe(secret);
+    });
+
+    it('demande un code après le mot de passe puis ouvre la session', async () => {
+      const login = await request(app)
+        .post('/api/utilisateurs/login')
+        .send({ email: 'deuxfacteurs@example.com', motDePasse: 'motdepasse123' });
+
+      expect(login.status).toBe(200);
+      expect(login.body.deuxFacteursRequis).toBe(true);
+      expect(login.body.accessToken).toBeUndefined();
+
+      const res = await request(app)
+        .post('/api/utilisateurs/login/2fa')
+        .send({ challengeToken: login.body.challengeToken, code: codeSuivant(secret) });
+
+      expect(res.status).toBe(200);
+      expect(res.body.accessToken).toBeDefined();
+      expect(res.body.utilisateur.totpSecret).toBeUndefined();
+    });
+
+    it('refuse un code incorrect et le jeton de challenge comme jeton d\'accès', async () => {
+      const login = await request(app)
+        .post('/api/utilisateurs/login')
+        .send({ email: 'deuxfacteurs@example.com', motDePasse: 'motdepasse123' });
+
+      const res = await request(app)
+        .post('/api/utilisateurs/login/2fa')
+        .send({ challengeToken: login.body.challengeToken, code: '000000' });
+      expect(res.status).toBe(401);
+
+      const me = await request(app)
+        .get('/api/utilisateurs/me')
+        .set('Authorization', `Bearer ${login.body.challengeToken}`);
+      expect(me.status).toBe(401);
+    });
+
+    it('accepte un code de récupération une seule fois', async () => {
+      const seConnecter = async () => {
+        const login = await request(app)
+          .post('/api/utilisateurs/login')
+          .send({ email: 'deuxfacteurs@example.com', motDePasse: 'motdepasse123' });
+        return request(app)
+          .post('/api/utilisateurs/login/2fa')
+          .send({ challengeToken: login.body.challengeToken, codeRecuperation: codesRecuperation[0] });
+      };
+
+      expect((await seConnecter()).status).toBe(200);
+      expect((await seConnecter()).status).toBe(401);
+    });
+  });
+
+  describe('Administrateurs', () => {
+    it('impose l\'enrôlement avant d\'ouvrir une session', async () => {
+      await creerCompte('admin@cynova.fr', 'ADMIN');
+
+      const login = await request(app)
+        .post('/api/utilisateurs/login')
+        .send({ email: 'admin@cynova.fr', motDePasse: 'motdepasse123' });
+
+      expect(login.status).toBe(200);
+      expect(login.body.enrolement2faRequis).toBe(true);
+      expect(login.body.accessToken).toBeUndefined();
+
+      const { activation } = await enroler(login.body.challengeToken);
+
+      expect(activation.status).toBe(200);
+      expect(activation.body.codesRecuperation).toHaveLength(10);
+      expect(activation.body.accessToken).toBeDefined();
+    });
+
+    it('ne renouvelle pas la session d\'un compte promu administrateur sans double authentification', async () => {
+      const utilisateur = await creerCompte('promu@cynova.fr');
+      const login = await request(app)
+        .post('/api/utilisateurs/login')
+        .send({ email: 'promu@cynova.fr', motDePasse: 'motdepasse123' });
+      expect(login.body.refreshToken).toBeDefined();
+
+      await prisma.utilisateur.update({ where: { id: utilisateur.id }, data: { role: 'ADMIN' } });
+
+      const res = await request(app)
+        .post('/api/utilisateurs/refresh')
+        .send({ refreshToken: login.body.refreshToken });
+
+      expect(res.status).toBe(401);
+      expect(await prisma.session.count({ where: { utilisateurId: utilisateur.id, revoqueLe: null } })).toBe(0);
+    });
+
+    it('interdit à un administrateur de désactiver la double authentification', async () => {
+      const admin = await creerCompte('admin@cynova.fr', 'ADMIN');
+      const token = signAccessToken(admin);
+      const { secret } = await enroler(token);
+
+      const res = await request(app)
+        .post('/api/utilisateurs/2fa/desactivation')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: codeSuivant(secret) });
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
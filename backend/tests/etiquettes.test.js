@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+
+// Import des routes
+const produitRoutes = require('../routes/produitRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/produits', produitRoutes);
+app.use(errorHandler);
+
+const adminToken = signAccessToken({ id: 'admin-test', email: 'admin@cynova.fr', role: 'ADMIN' });
+
+describe('Étiquette des produits', () => {
+  let produit;
+
+  const etiquette = (query = '') => request(app)
+    .get(`/api/produits/${produit.id}/etiquette${query}`)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  // Crée les ingrédients puis la formule du produit, lignes dans l'ordre donné
+  const creerFormule = async (lignes) => {
+    for (const [ordre, { valeur, unite = '%', ...ingredient }] of lignes.entries()) {
+      const cree = await prisma.ingredient.create({ data: ingredient });
+      await prisma.quantite.create({
+        data: { produitId: produit.id, ingredientId: cree.id, valeur, unite, ordre }
+      });
+    }
+  };
+
+  beforeEach(async () => {
+    await prisma.produit.deleteMany();
+    await prisma.ingredient.deleteMany();
+
+    produit = await prisma.produit.create({
+      data: {
+        nom: 'Baume Lavande',
+        description: 'Baume apaisant à la lavande',
+        prix: 12,
+        categorie: 'crème',
+        quantiteNette: 50,
+        uniteQuantiteNette: 'ml',
+        pao: 12
+      }
+    });
+  });
+
+  it('liste les ingrédients INCI par concentration décroissante, ceux sous 1 % en fin de liste', async () => {
+    await creerFormule([
+      { nom: 'Huile essentielle de lavande', nomInci: 'Lavandula Angustifolia Oil', allergene: true, valeur: 0.8 },
+      { nom: 'Vitamine E', nomInci: 'Tocopherol', valeur: 0.2 },
+      { nom: 'Beurre de karité', nomInci: 'Butyrospermum Parkii Butter', valeur: 30 },
+      { nom: 'Huile d\'amande douce', nomInci: 'Prunus Amygdalus Dulcis Oil', valeur: 69 }
+    ]);
+
+    const res = await etiquette('?lot=L2410-03');
+
+    expect(res.status).toBe(200);
+    expect(res.body.etiquette.inci).toEqual([
+      'PRUNUS AMYGDALUS DULCIS OIL',
+      'BUTYROSPERMUM PARKII BUTTER',
+      'LAVANDULA ANGUSTIFOLIA OIL',
+      'TOCOPHEROL'
+    ]);
+    expect(res.body.etiquette.listeIngredients).toBe(
+      'Ingredients: PRUNUS AMYGDALUS DULCIS OIL, BUTYROSPERMUM PARKII BUTTER, LAVANDULA ANGUSTIFOLIA OIL, TOCOPHEROL.'
+    );
+    expect(res.body.etiquette.allergenes).toEqual(['LAVANDULA ANGUSTIFOLIA OIL']);
+    expect(res.body.etiquette.quantiteNette.texte).toBe('50 ml');
+    expect(res.body.etiquette.lot).toBe('L2410-03');
+    expect(res.body.etiquette.pao).toEqual({ mois: 12, symbole: '12M' });
+    expect(res.body.etiquette.avertissements).toEqual([]);
+  });
+
+  it('regroupe les ingrédients de même nom INCI et signale les noms INCI manquants', async () => {
+    await creerFormule([
+      { nom: 'Hydrolat de rose', nomInci: 'Aqua', valeur: 30 },
+      { nom: 'Glycérine végétale', valeur: 40 },
+      { nom: 'Eau déminéralisée', nomInci: 'Aqua', valeur: 30 }
+    ]);
+
+    const res = await etiquette();
+
+    expect(res.body.etiquette.inci).toEqual(['AQUA', 'GLYCÉRINE VÉGÉTALE']);
+    expect(res.body.etiquette.avertissements).toEqual(['Nom INCI manquant pour Glycérine végétale : nom usuel utilisé']);
+  });
+
+  it('génère une étiquette imprimable en HTML et en SVG', async () => {
+    await creerFormule([{ nom: 'Beurre de karité', nomInci: 'Butyrospermum Parkii Butter', valeur: 100 }]);
+
+    const html = await etiquette('?format=html&lot=<L1>');
+    expect(html.status).toBe(200);
+    expect(html.headers['content-type']).toMatch(/text\/html/);
+    expect(html.text).toContain('Ingredients: BUTYROSPERMUM PARKII BUTTER.');
+    expect(html.text).toContain('Lot : &lt;L1&gt;');
+
+    const svg = await etiquette('?format=svg').buffer(true).parse((res, callback) => {
+      let texte = '';
+      res.on('data', morceau => { texte += morceau; });
+      res.on('end', () => callback(null, texte));
+    });
+    expect(svg.status).toBe(200);
+    expect(svg.headers['content-type']).toMatch(/image\/svg\+xml/);
+    expect(svg.body).toMatch(/^<svg /);
+    expect(svg.body).toContain('12M');
+  });
+
+  it('refuse une étiquette sans formule valide', async () => {
+    expect((await etiquette()).status).toBe(409);
+
+    await creerFormule([{ nom: 'Beurre de karité', valeur: 60 }]);
+    const res = await etiquette();
+
+    expect(res.status).toBe(409);
+    expect(res.body.details).toEqual(['Les pourcentages totalisent 60 % au lieu de 100 %']);
+  });
+
+  it('retourne 404 pour un produit inconnu et 401 sans authentification', async () => {
+    const inconnu = await request(app)
+      .get('/api/produits/inexistant/etiquette')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(inconnu.status).toBe(404);
+
+    expect((await request(app).get(`/api/produits/${produit.id}/etiquette`)).status).toBe(401);
+  });
+});
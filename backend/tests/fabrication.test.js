@@ -0,0 +1,221 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+
+// Import des routes
+const produitRoutes = require('../routes/produitRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/produits', produitRoutes);
+app.use(errorHandler);
+
+const adminToken = signAccessToken({ id: 'admin-test', email: 'admin@cynova.fr', role: 'ADMIN' });
+const stockToken = signAccessToken({ id: 'stock-test', email: 'stock@cynova.fr', role: 'STOCK_MANAGER' });
+const userToken = signAccessToken({ id: 'user-test', email: 'user@cynova.fr', role: 'USER' });
+
+describe('Mise à l\'échelle et fiche de fabrication', () => {
+  let produit;
+
+  const echelle = (donnees, { query = '', token = adminToken } = {}) => request(app)
+    .post(`/api/produits/${produit.id}/formule/echelle${query}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(donnees);
+
+  // Crée les ingrédients puis la formule du produit, lignes dans l'ordre donné
+  const creerFormule = async (lignes) => {
+    for (const [ordre, { valeur, phase, unite = '%', ...ingredient }] of lignes.entries()) {
+      const cree = await prisma.ingredient.create({ data: ingredient });
+      await prisma.quantite.create({
+        data: { produitId: produit.id, ingredientId: cree.id, valeur, unite, phase, ordre }
+      });
+    }
+  };
+
+  const formuleCreme = () => creerFormule([
+    { nom: 'Hydrolat de rose', valeur: 69.7, phase: 'AQUEUSE' },
+    { nom: 'Glycérine', valeur: 4, phase: 'AQUEUSE' },
+    { nom: 'Huile de jojoba', valeur: 20, phase: 'HUILEUSE' },
+    { nom: 'Cire émulsifiante', valeur: 6, phase: 'HUILEUSE' },
+    { nom: 'Conservateur', valeur: 0.3, phase: 'REFROIDISSEMENT' }
+  ]);
+
+  beforeEach(async () => {
+    await prisma.produit.deleteMany();
+    await prisma.ingredient.deleteMany();
+
+    produit = await prisma.produit.create({
+      data: {
+        nom: 'Crème <Rose>',
+        description: 'Crème hydratante à la rose',
+        prix: 18,
+        categorie: 'crème',
+        quantiteNette: 50,
+        uniteQuantiteNette: 'g'
+      }
+    });
+  });
+
+  it('calcule les pesées par phase à la résolution de la balance adaptée au lot', async () => {
+    await formuleCreme();
+
+    const res = await echelle({ quantite: 3 }, { token: stockToken });
+
+    // 3 pots de 50 g : lot de 150 g pesé au dixième de gramme
+    expect(res.status).toBe(200);
+    const { fiche } = res.body;
+    expect(fiche.masseLot).toBe(150);
+    expect(fiche.precision).toBe(0.1);
+    expect(fiche.phases.map(groupe => [groupe.phase, groupe.total])).toEqual([
+      ['AQUEUSE', 110.6],
+      ['HUILEUSE', 39],
+      ['REFROIDISSEMENT', 0.5]
+    ]);
+    expect(fiche.phases[0].lignes[0]).toEqual({
+      ingredient: { id: expect.any(String), nom: 'Hydrolat de rose' },
+      pourcentage: 69.7,
+      masse: 104.55,
+      pesee: 104.6
+    });
+    expect(fiche.totalPese).toBe(150.1);
+    expect(fiche.ecartArrondi).toBe(0.1);
+
+    // Le conservateur (0,45 g) est sous dix graduations de la balance
+    expect(fiche.avertissements).toEqual([
+      'Pesée de Conservateur (0,45 g) trop faible pour une balance au 0,1 g : utiliser une balance plus précise ou une prédilution'
+    ]);
+
+    expect(fiche.etapes.map(etape => etape.titre)).toHaveLength(7);
+    expect(fiche.etapes[2]).toEqual({
+      numero: 3,
+      titre: 'Verser la phase huileuse dans la phase aqueuse et émulsionner',
+      temperature: { min: 70, max: 75, texte: '70 à 75 °C' }
+    });
+    expect(fiche.controles).toContain('Libération du lot');
+  });
+
+  it('respecte la résolution de balance demandée', async () => {
+    await formuleCreme();
+
+    const res = await echelle({ masseLot: 150, precision: 0.01, lot: 'L2026-042' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.fiche.lot).toBe('L2026-042');
+    expect(res.body.fiche.phases[2].lignes[0].pesee).toBe(0.45);
+    expect(res.body.fiche.totalPese).toBe(150);
+    expect(res.body.fiche.avertissements).toEqual([]);
+  });
+
+  it('ne retient que les étapes des phases présentes dans la formule', async () => {
+    await creerFormule([
+      { nom: 'Beurre de karité', valeur: 60, phase: 'HUILEUSE' },
+      { nom: 'Huile d\'amande douce', valeur: 40, phase: 'HUILEUSE' }
+    ]);
+
+    const res = await echelle({ masseLot: 2500 });
+
+    expect(res.body.fiche.precision).toBe(1);
+    expect(res.body.fiche.etapes.map(etape => etape.titre)).toEqual([
+      'Chauffer la phase huileuse au bain-marie',
+      'Laisser refroidir sous agitation douce',
+      'Contrôler le pH, l\'aspect et l\'odeur',
+      'Conditionner et étiqueter le lot'
+    ]);
+  });
+
+  it('produit une fiche imprimable en HTML et en PDF', async () => {
+    await formuleCreme();
+
+    const html = await echelle({ quantite: 3 }, { query: '?format=html' });
+    expect(html.status).toBe(200);
+    expect(html.headers['content-type']).toContain('text/html');
+    expect(html.text).toContain('<h1>Fiche de fabrication – Crème &lt;Rose&gt;</h1>');
+    expect(html.text).toContain('<h2>Phase de refroidissement</h2>');
+    expect(html.text).toContain('104,6 g');
+    expect(html.text).toContain('<th>Signature</th>');
+
+    const pdf = await echelle({ quantite: 3 }, { query: '?format=pdf' })
+      .buffer(true)
+      .parse((res, callback) => {
+        const morceaux = [];
+        res.on('data', morceau => morceaux.push(morceau));
+        res.on('end', () => callback(null, Buffer.concat(morceaux)));
+      });
+    expect(pdf.status).toBe(200);
+    expect(pdf.headers['content-type']).toBe('application/pdf');
+    const contenu = pdf.body.toString('latin1');
+    expect(contenu.startsWith('%PDF-1.4')).toBe(true);
+    expect(contenu).toContain('(Hydrolat de rose)');
+    expect(contenu).toContain('(Lib\xe9ration du lot)');
+    expect(contenu.trimEnd().endsWith('%%EOF')).toBe(true);
+  });
+
+  it('renvoie à la ligne le titre et les avertissements trop longs pour la page PDF', async () => {
+    await prisma.produit.update({
+      where: { id: produit.id },
+      data: { nom: 'Crème de jour hydratante à la rose de Damas et à l\'huile de jojoba bio, peaux sensibles' }
+    });
+    await formuleCreme();
+
+    const pdf = await echelle({ quantite: 3 }, { query: '?format=pdf' })
+      .buffer(true)
+      .parse((res, callback) => {
+        const morceaux = [];
+        res.on('data', morceau => morceaux.push(morceau));
+        res.on('end', () => callback(null, Buffer.concat(morceaux)));
+      });
+
+    // Textes du flux de page : [taille de police, chaîne]
+    const textes = [...pdf.body.toString('latin1').matchAll(/\/F\d (\d+) Tf [\d.]+ [\d.]+ Td \((.*?)\) Tj/g)]
+      .map(([, taille, texte]) => [Number(taille), texte]);
+
+    const titre = textes.filter(([taille]) => taille === 16).map(([, texte]) => texte);
+    expect(titre.length).toBeGreaterThan(1);
+    expect(titre.every(texte => texte.length <= 55)).toBe(true);
+    expect(titre.join(' ')).toBe('Fiche de fabrication \x96 Crème de jour hydratante à la rose de Damas et à l\'huile de jojoba bio, peaux sensibles');
+
+    const avertissements = textes.filter(([taille]) => taille === 8).map(([, texte]) => texte);
+    expect(avertissements.length).toBeGreaterThan(1);
+    expect(avertissements[0]).toMatch(/^! Pesée de Conservateur/);
+    expect(avertissements.every(texte => texte.length <= 112)).toBe(true);
+  });
+
+  it('convertit une contenance en ml avec la densité de la formule', async () => {
+    await prisma.produit.update({ where: { id: produit.id }, data: { uniteQuantiteNette: 'ml' } });
+    await creerFormule([
+      { nom: 'Huile de jojoba', valeur: 80, phase: 'HUILEUSE', densite: 0.86 },
+      { nom: 'Beurre de karité', valeur: 20, phase: 'HUILEUSE' }
+    ]);
+
+    const sansDensite = await echelle({ quantite: 2 });
+    expect(sansDensite.status).toBe(400);
+
+    await prisma.ingredient.updateMany({ where: { nom: 'Beurre de karité' }, data: { densite: 0.86 } });
+    const res = await echelle({ quantite: 2 });
+
+    // 2 flacons de 50 ml à 0,86 g/ml
+    expect(res.status).toBe(200);
+    expect(res.body.fiche.masseLot).toBeCloseTo(86, 6);
+  });
+
+  it('refuse une formule incomplète ou une demande invalide', async () => {
+    expect((await echelle({ masseLot: 100 })).status).toBe(409);
+
+    await creerFormule([{ nom: 'Huile de jojoba', valeur: 90, phase: 'HUILEUSE' }]);
+    const incomplete = await echelle({ masseLot: 100 });
+    expect(incomplete.status).toBe(409);
+    expect(incomplete.body.details).toEqual(['Les pourcentages totalisent 90 % au lieu de 100 %']);
+
+    expect((await echelle({ masseLot: 100, quantite: 2 })).status).toBe(400);
+    expect((await echelle({ masseLot: 100, precision: 0.05 })).status).toBe(400);
+    expect((await echelle({ masseLot: 100 }, { query: '?format=docx' })).status).toBe(400);
+    expect((await echelle({ quantite: 2, varianteId: 'inconnue' })).status).toBe(404);
+    expect((await echelle({ masseLot: 100 }, { token: userToken })).status).toBe(403);
+  });
+});
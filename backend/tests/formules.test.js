@@ -0,0 +1,202 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+
+// Import des routes
+const produitRoutes = require('../routes/produitRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/produits', produitRoutes);
+app.use(errorHandler);
+
+const adminToken = signAccessToken({ id: 'admin-test', email: 'admin@cynova.fr', role: 'ADMIN' });
+const stockToken = signAccessToken({ id: 'stock-test', email: 'stock@cynova.fr', role: 'STOCK_MANAGER' });
+
+describe('Formule des produits', () => {
+  let produit;
+  let eau;
+  let huile;
+  let lavande;
+
+  const enregistrerFormule = (lignes, token = adminToken) => request(app)
+    .put(`/api/produits/${produit.id}/formule`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ lignes });
+
+  const lireFormule = (query = '') => request(app)
+    .get(`/api/produits/${produit.id}/formule${query}`)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  beforeEach(async () => {
+    await prisma.produit.deleteMany();
+    await prisma.ingredient.deleteMany();
+
+    eau = await prisma.ingredient.create({ data: { nom: 'Eau de fleur d\'oranger', densite: 1 } });
+    huile = await prisma.ingredient.create({ data: { nom: 'Huile d\'amande douce', densite: 0.92 } });
+    lavande = await prisma.ingredient.create({ data: { nom: 'Huile essentielle de lavande' } });
+
+    produit = await prisma.produit.create({
+      data: { nom: 'Lait corporel', description: 'Émulsion légère', prix: 14, categorie: 'crème', stock: 10 }
+    });
+  });
+
+  describe('PUT /api/produits/:id/formule', () => {
+    it('enregistre une formule en pourcentages, dans l\'ordre et par phase', async () => {
+      const res = await enregistrerFormule([
+        { ingredientId: eau.id, valeur: 69.5, unite: '%', phase: 'AQUEUSE' },
+        { ingredientId: huile.id, valeur: 30, unite: '%', phase: 'HUILEUSE' },
+        { ingredientId: lavande.id, valeur: 0.5, unite: '%', phase: 'REFROIDISSEMENT' }
+      ]);
+
+      expect(res.status).toBe(200);
+      expect(res.body.formule.valide).toBe(true);
+      expect(res.body.formule.lignes.map(ligne => ligne.ingredient.nom)).toEqual([
+        'Eau de fleur d\'oranger',
+        'Huile d\'amande douce',
+        'Huile essentielle de lavande'
+      ]);
+      expect(res.body.formule.totaux.pourcentage).toBe(100);
+      expect(res.body.formule.totaux.parPhase).toEqual({ AQUEUSE: 69.5, HUILEUSE: 30, REFROIDISSEMENT: 0.5 });
+    });
+
+    it('remplace la formule existante', async () => {
+      await enregistrerFormule([{ ingredientId: eau.id, valeur: 100, unite: '%' }]);
+
+      const res = await enregistrerFormule([{ ingredientId: huile.id, valeur: 100, unite: '%' }]);
+
+      expect(res.status).toBe(200);
+      expect(res.body.formule.lignes).toHaveLength(1);
+      expect(await prisma.quantite.count({ where: { produitId: produit.id } })).toBe(1);
+    });
+
+    it('vérifie et enregistre une formule transmise par la modification générale du produit', async () => {
+      await enregistrerFormule([{ ingredientId: eau.id, valeur: 100, unite: '%', phase: 'AQUEUSE' }]);
+      const modifier = (ingredients) => request(app)
+        .put(`/api/produits/${produit.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ingredients });
+
+      const invalide = await modifier([{ ingredientId: huile.id, valeur: 40, unite: '%' }]);
+      expect(invalide.status).toBe(400);
+      expect(invalide.body.error).toBe('Formule invalide');
+      expect(invalide.body.details).toEqual(['Les pourcentages totalisent 40 % au lieu de 100 %']);
+      let lignes = await prisma.quantite.findMany({ where: { produitId: produit.id } });
+      expect(lignes.map(ligne => [ligne.ingredientId, ligne.phase])).toEqual([[eau.id, 'AQUEUSE']]);
+
+      const res = await modifier([
+        { ingredientId: eau.id, valeur: 60, unite: '%', phase: 'AQUEUSE' },
+        { ingredientId: huile.id, valeur: 40, unite: '%', phase: 'HUILEUSE' }
+      ]);
+      expect(res.status).toBe(200);
+      lignes = await prisma.quantite.findMany({ where: { produitId: produit.id }, orderBy: { ordre: 'asc' } });
+      expect(lignes.map(ligne => [ligne.ingredientId, ligne.phase])).toEqual([[eau.id, 'AQUEUSE'], [huile.id, 'HUILEUSE']]);
+    });
+
+    it('refuse des pourcentages dont le total n\'est pas 100 %', async () => {
+      const res = await enregistrerFormule([
+        { ingredientId: eau.id, valeur: 70, unite: '%' },
+        { ingredientId: huile.id, valeur: 25, unite: '%' }
+      ]);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Formule invalide');
+      expect(res.body.details).toEqual(['Les pourcentages totalisent 95 % au lieu de 100 %']);
+      expect(await prisma.quantite.count()).toBe(0);
+    });
+
+    it('refuse de mélanger pourcentages et quantités', async () => {
+      const res = await enregistrerFormule([
+        { ingredientId: eau.id, valeur: 99, unite: '%' },
+        { ingredientId: lavande.id, valeur: 10, unite: 'gouttes' }
+      ]);
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toContain('Une formule ne peut pas mélanger pourcentages et quantités');
+    });
+
+    it('rejette une unité, une phase ou un ingrédient inconnus', async () => {
+      expect((await enregistrerFormule([{ ingredientId: eau.id, valeur: 100, unite: 'kg' }])).status).toBe(400);
+      expect((await enregistrerFormule([{ ingredientId: eau.id, valeur: 100, unite: '%', phase: 'GAZEUSE' }])).status).toBe(400);
+
+      const res = await enregistrerFormule([{ ingredientId: 'inexistant', valeur: 100, unite: '%' }]);
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Ingrédient introuvable');
+    });
+
+    it('réserve la modification aux administrateurs', async () => {
+      const res = await enregistrerFormule([{ ingredientId: eau.id, valeur: 100, unite: '%' }], stockToken);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/produits/:id/formule', () => {
+    it('calcule les pourcentages d\'une formule saisie en quantités', async () => {
+      await enregistrerFormule([
+        { ingredientId: eau.id, valeur: 70, unite: 'g', phase: 'AQUEUSE' },
+        { ingredientId: huile.id, valeur: 25, unite: 'ml', phase: 'HUILEUSE' },
+        { ingredientId: lavande.id, valeur: 40, unite: 'gouttes', phase: 'REFROIDISSEMENT' }
+      ]);
+
+      const res = await request(app)
+        .get(`/api/produits/${produit.id}/formule`)
+        .set('Authorization', `Bearer ${stockToken}`);
+
+      expect(res.status).toBe(200);
+      // 70 g + 25 ml × 0,92 + 40 gouttes × 0,05 ml × 1 (densité par défaut) = 95 g
+      expect(res.body.formule.totaux.masse).toBe(95);
+      expect(res.body.formule.lignes.map(ligne => ligne.masse)).toEqual([70, 23, 2]);
+      expect(res.body.formule.lignes[1].pourcentage).toBeCloseTo(24.211, 3);
+      expect(res.body.formule.avertissements).toEqual([
+        'Densité inconnue pour Huile essentielle de lavande : 1 g/ml retenu'
+      ]);
+    });
+
+    it('convertit une formule en pourcentages pour une masse de lot donnée', async () => {
+      await enregistrerFormule([
+        { ingredientId: eau.id, valeur: 69.5, unite: '%' },
+        { ingredientId: huile.id, valeur: 30, unite: '%' },
+        { ingredientId: lavande.id, valeur: 0.5, unite: '%' }
+      ]);
+
+      const res = await lireFormule('?unite=gouttes&masse=200');
+
+      expect(res.status).toBe(200);
+      expect(res.body.formule.totaux.masse).toBe(200);
+      // 0,5 % de 200 g = 1 g, soit 20 gouttes à 1 g/ml
+      expect(res.body.formule.lignes[2].converti).toEqual({ valeur: 20, unite: 'gouttes' });
+      expect(res.body.formule.lignes[1].converti.valeur).toBeCloseTo(1304.348, 3);
+    });
+
+    it('exige la masse du lot pour convertir des pourcentages en quantités', async () => {
+      await enregistrerFormule([{ ingredientId: eau.id, valeur: 100, unite: '%' }]);
+
+      const res = await lireFormule('?unite=ml');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Masse du lot requise pour convertir une formule en pourcentages');
+    });
+
+    it('renvoie une formule vide ou 404 pour un produit inconnu', async () => {
+      const vide = await lireFormule();
+      expect(vide.status).toBe(200);
+      expect(vide.body.formule.lignes).toEqual([]);
+
+      const res = await request(app)
+        .get('/api/produits/inexistant/formule')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(res.status).toBe(404);
+    });
+
+    it('refuse l\'accès sans authentification', async () => {
+      expect((await request(app).get(`/api/produits/${produit.id}/formule`)).status).toBe(401);
+    });
+  });
+});
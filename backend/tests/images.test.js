@@ -0,0 +1,233 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+
+// Import des routes
+const produitRoutes = require('../routes/produitRoutes');
+const blogRoutes = require('../routes/blogRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
+const { setDriver, createLocalDriver } = require('../services/stockage');
+const { nettoyerFichiersOrphelins } = require('../services/imageService');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/produits', produitRoutes);
+app.use('/api/blogs', blogRoutes);
+app.use(errorHandler);
+
+const adminToken = signAccessToken({ id: 'admin-test', email: 'admin@cynova.fr', role: 'ADMIN' });
+const editorToken = signAccessToken({ id: 'editor-test', email: 'editor@cynova.fr', role: 'EDITOR' });
+const userToken = signAccessToken({ id: 'user-test', email: 'user@cynova.fr', role: 'USER' });
+
+describe('Images téléversées des produits et articles', () => {
+  let dossier;
+  let produit;
+  let photo;
+  let vignette;
+
+  // Fichiers présents dans le stockage de test
+  const fichiersStockes = () => fs.readdirSync(dossier, { recursive: true })
+    .filter(fichier => fs.statSync(path.join(dossier, fichier)).isFile())
+    .map(fichier => fichier.split(path.sep).join('/'))
+    .sort();
+
+  const cleDepuisUrl = (url) => url.replace('/uploads/', '');
+
+  const televerser = (contenu, { champs = {}, nom = 'photo.png', type = 'image/png', token = adminToken } = {}) => {
+    const requete = request(app)
+      .post(`/api/produits/${produit.id}/images`)
+      .set('Authorization', `Bearer ${token}`);
+    Object.entries(champs).forEach(([champ, valeur]) => requete.field(champ, valeur));
+    return contenu ? requete.attach('image', contenu, { filename: nom, contentType: type }) : requete;
+  };
+
+  beforeAll(async () => {
+    dossier = fs.mkdtempSync(path.join(os.tmpdir(), 'cynova-images-'));
+    setDriver(createLocalDriver(dossier, '/uploads'));
+
+    photo = await sharp({ create: { width: 1600, height: 900, channels: 3, background: '#c8a2c8' } }).png().toBuffer();
+    vignette = await sharp({ create: { width: 200, height: 100, channels: 3, background: '#ffffff' } }).jpeg().toBuffer();
+  });
+
+  afterAll(() => {
+    setDriver(createLocalDriver());
+    fs.rmSync(dossier, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await prisma.image.deleteMany();
+    await prisma.produit.deleteMany();
+    await prisma.blog.deleteMany();
+    fs.rmSync(dossier, { recursive: true, force: true });
+    fs.mkdirSync(dossier);
+
+    produit = await prisma.produit.create({
+      data: { nom: 'Savon lavande', description: 'Savon saponifié à froid', prix: 7, categorie: 'savon' }
+    });
+  });
+
+  it('stocke l\'original et ses miniatures WebP, et en fait l\'image principale du produit', async () => {
+    const res = await televerser(photo, { champs: { texteAlternatif: 'Savon lavande sur ardoise' } });
+
+    expect(res.status).toBe(201);
+    const { image } = res.body;
+    expect(image).toMatchObject({ texteAlternatif: 'Savon lavande sur ardoise', ordre: 0, largeur: 1600, hauteur: 900, typeMime: 'image/png' });
+    expect(image.url).toMatch(new RegExp(`^/uploads/produits/${produit.id}/[0-9a-f-]+/original\\.png$`));
+    expect(image.miniatures.map(miniature => miniature.largeur)).toEqual([320, 640, 1280]);
+    expect(image.srcset).toBe(image.miniatures.map(miniature => `${miniature.url} ${miniature.largeur}w`).join(', '));
+
+    expect(fichiersStockes()).toEqual([image.url, ...image.miniatures.map(miniature => miniature.url)].map(cleDepuisUrl).sort());
+    const miniature = await sharp(path.join(dossier, cleDepuisUrl(image.miniatures[1].url))).metadata();
+    expect(miniature).toMatchObject({ format: 'webp', width: 640, height: 360 });
+
+    const fiche = await request(app).get(`/api/produits/${produit.id}`);
+    expect(fiche.body.imageUrl).toBe(image.url);
+    expect(fiche.body.images).toHaveLength(1);
+  });
+
+  it('n\'agrandit pas une image plus étroite que les miniatures', async () => {
+    const res = await televerser(vignette, { nom: 'vignette.jpg', type: 'image/jpeg' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.image.typeMime).toBe('image/jpeg');
+    expect(res.body.image.miniatures.map(miniature => miniature.largeur)).toEqual([200]);
+  });
+
+  it('ordonne les images et garde la première comme image principale', async () => {
+    const premiere = (await televerser(photo)).body.image;
+    const seconde = (await televerser(vignette, { type: 'image/jpeg', champs: { ordre: '0' } })).body.image;
+
+    expect(seconde.ordre).toBe(0);
+    let fiche = await request(app).get(`/api/produits/${produit.id}`);
+    expect(fiche.body.images.map(image => image.id)).toEqual([seconde.id, premiere.id]);
+    expect(fiche.body.imageUrl).toBe(seconde.url);
+
+    const ordre = await request(app)
+      .put(`/api/produits/${produit.id}/images/ordre`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ images: [premiere.id, seconde.id] });
+    expect(ordre.status).toBe(200);
+    expect(ordre.body.images.map(image => [image.id, image.ordre])).toEqual([[premiere.id, 0], [seconde.id, 1]]);
+
+    const incomplet = await request(app)
+      .put(`/api/produits/${produit.id}/images/ordre`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ images: [premiere.id] });
+    expect(incomplet.status).toBe(400);
+
+    const modification = await request(app)
+      .put(`/api/produits/${produit.id}/images/${seconde.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ texteAlternatif: 'Savon coupé', ordre: 0 });
+    expect(modification.status).toBe(200);
+    expect(modification.body.image).toMatchObject({ texteAlternatif: 'Savon coupé', ordre: 0 });
+
+    fiche = await request(app).get(`/api/produits/${produit.id}`);
+    expect(fiche.body.imageUrl).toBe(seconde.url);
+  });
+
+  it('accepte l\'AVIF mais pas le HEIC, que sharp décrit comme le même format', async () => {
+    const avif = await sharp(photo).avif().toBuffer();
+    const res = await televerser(avif, { nom: 'photo.avif', type: 'image/avif' });
+    expect(res.status).toBe(201);
+    expect(res.body.image.typeMime).toBe('image/avif');
+    expect(res.body.image.url).toMatch(/original\.avif$/);
+
+    // Même conteneur avec la marque HEIC : compression HEVC
+    const heic = Buffer.from(avif);
+    heic.write('heic', 8, 'latin1');
+    const refus = await televerser(heic, { nom: 'photo.avif', type: 'image/avif' });
+    expect(refus.status).toBe(400);
+    expect(refus.body.error).toBe('Format d\'image non pris en charge');
+  });
+
+  it('refuse les fichiers absents, illisibles ou d\'un type non pris en charge', async () => {
+    expect((await televerser(null)).status).toBe(400);
+
+    const illisible = await televerser(Buffer.from('pas une image'));
+    expect(illisible.status).toBe(400);
+    expect(illisible.body.error).toBe('Fichier image illisible');
+
+    expect((await televerser(Buffer.from('texte'), { nom: 'notes.txt', type: 'text/plain' })).status).toBe(415);
+    expect((await televerser(photo, { token: userToken })).status).toBe(403);
+    expect(fichiersStockes()).toEqual([]);
+  });
+
+  it('limite le nombre d\'images par produit', async () => {
+    await prisma.image.createMany({
+      data: Array.from({ length: 10 }, (_, ordre) => ({
+        produitId: produit.id,
+        cle: `produits/${produit.id}/existante-${ordre}/original.png`,
+        miniatures: '[]',
+        typeMime: 'image/png',
+        taille: 1,
+        largeur: 1,
+        hauteur: 1,
+        ordre
+      }))
+    });
+
+    const res = await televerser(photo);
+    expect(res.status).toBe(409);
+  });
+
+  it('supprime les fichiers avec l\'image ou le produit, et nettoie les fichiers orphelins', async () => {
+    const image = (await televerser(photo)).body.image;
+    const autre = (await televerser(vignette, { type: 'image/jpeg' })).body.image;
+
+    const suppression = await request(app)
+      .delete(`/api/produits/${produit.id}/images/${image.id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(suppression.status).toBe(200);
+    expect(fichiersStockes().some(fichier => fichier.startsWith(cleDepuisUrl(path.dirname(image.url))))).toBe(false);
+    expect((await request(app).get(`/api/produits/${produit.id}`)).body.imageUrl).toBe(autre.url);
+
+    await request(app)
+      .delete(`/api/produits/${produit.id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(fichiersStockes()).toEqual([]);
+
+    fs.mkdirSync(path.join(dossier, 'produits', 'abandonne'), { recursive: true });
+    fs.writeFileSync(path.join(dossier, 'produits', 'abandonne', 'original.png'), photo);
+    expect(await nettoyerFichiersOrphelins()).toEqual({ supprimes: 1 });
+    expect(fichiersStockes()).toEqual([]);
+  });
+
+  it('remplace l\'image d\'un article et supprime l\'ancienne', async () => {
+    const blog = await prisma.blog.create({
+      data: { titre: 'Bien choisir son savon', contenu: 'Un savon saponifié à froid conserve sa glycérine naturelle.', categorie: 'conseils' }
+    });
+
+    const envoyer = (contenu, type) => request(app)
+      .put(`/api/blogs/${blog.id}/image`)
+      .set('Authorization', `Bearer ${editorToken}`)
+      .field('texteAlternatif', 'Savons sur un plateau')
+      .attach('image', contenu, { filename: 'image', contentType: type });
+
+    const premiere = await envoyer(photo, 'image/png');
+    expect(premiere.status).toBe(200);
+    const seconde = await envoyer(vignette, 'image/jpeg');
+
+    const article = await request(app).get(`/api/blogs/${blog.id}`);
+    const { image, imageUrl } = article.body;
+    expect(imageUrl).toBe(seconde.body.image.url);
+    expect(image).toMatchObject({ id: seconde.body.image.id, texteAlternatif: 'Savons sur un plateau' });
+    expect(fichiersStockes().every(fichier => fichier.startsWith(cleDepuisUrl(path.dirname(seconde.body.image.url))))).toBe(true);
+
+    const retrait = await request(app)
+      .delete(`/api/blogs/${blog.id}/image`)
+      .set('Authorization', `Bearer ${editorToken}`);
+    expect(retrait.status).toBe(200);
+    expect(fichiersStockes()).toEqual([]);
+    expect((await prisma.blog.findUnique({ where: { id: blog.id } })).imageUrl).toBeNull();
+  });
+});
@@ -11,10 +11,14 @@ import morgan from 'morgan';
 const ingredientController = require('../controllers/ingredientController');
 const ingredientRoutes = require('../routes/ingredientRoutes');
 const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
 
 const prisma = new PrismaClient();
 const app = express();
 
+// Jeton d'un administrateur pour les routes protégées
+const adminToken = signAccessToken({ id: 'admin-test', email: 'admin@cynova.fr', role: 'ADMIN' });
+
 // Configuration du serveur de test
 app.use(helmet());
 app.use(compression());
@@ -32,6 +36,8 @@ let ingredientCree;
 describe('API Ingrédients - Tests Complets', () => {
   beforeEach(async () => {
     // Nettoyer la base de données avant chaque test
+    // Les lignes de formule empêchent la suppression des ingrédients
+    await prisma.quantite.deleteMany();
     await prisma.ingredient.deleteMany();
   });
 
@@ -39,6 +45,7 @@ describe('API Ingrédients - Tests Complets', () => {
     it('crée un ingrédient bio avec données valides', async () => {
       const res = await request(app)
         .post('/api/ingredients')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           nom: 'Aloé Vera Bio',
           origine: 'Mexique',
@@ -60,6 +67,7 @@ describe('API Ingrédients - Tests Complets', () => {
     it('rejette un ingrédient avec nom manquant', async () => {
       const res = await request(app)
         .post('/api/ingredients')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           origine: 'France',
           description: 'Description test'
@@ -74,6 +82,7 @@ describe('API Ingrédients - Tests Complets', () => {
     it('rejette un ingrédient avec nom trop court', async () => {
       const res = await request(app)
         .post('/api/ingredients')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           nom: 'A',
           origine: 'France'
@@ -87,6 +96,7 @@ describe('API Ingrédients - Tests Complets', () => {
     it('rejette un ingrédient avec nom trop long', async () => {
       const res = await request(app)
         .post('/api/ingredients')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           nom: 'A'.repeat(101), // 101 caractères
           origine: 'France'
@@ -100,6 +110,7 @@ describe('API Ingrédients - Tests Complets', () => {
     it('crée un ingrédient avec valeurs par défaut', async () => {
       const res = await request(app)
         .post('/api/ingredients')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           nom: 'Huile de Coco',
           origine: 'Sri Lanka'
@@ -115,6 +126,7 @@ describe('API Ingrédients - Tests Complets', () => {
       // Créer un premier ingrédient
       await request(app)
         .post('/api/ingredients')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           nom: 'Huile d\'Argan',
           origine: 'Maroc'
@@ -123,6 +135,7 @@ describe('API Ingrédients - Tests Complets', () => {
       // Essayer de créer un deuxième avec le même nom
       const res = await request(app)
         .post('/api/ingredients')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           nom: 'Huile d\'Argan',
           origine: 'Algérie'
@@ -133,6 +146,27 @@ describe('API Ingrédients - Tests Complets', () => {
     });
   });
 
+  describe('Contrôle d\'accès', () => {
+    it('autorise un gestionnaire de stock à créer un ingrédient', async () => {
+      const stockToken = signAccessToken({ id: 'stock-test', email: 'stock@cynova.fr', role: 'STOCK_MANAGER' });
+
+      const res = await request(app)
+        .post('/api/ingredients')
+        .set('Authorization', `Bearer ${stockToken}`)
+        .send({ nom: 'Beurre de Karité' });
+
+      expect(res.status).toBe(201);
+    });
+
+    it('refuse la création sans jeton', async () => {
+      const res = await request(app)
+        .post('/api/ingredients')
+        .send({ nom: 'Beurre de Karité' });
+
+      expect(res.status).toBe(401);
+    });
+  });
+
   describe('GET /api/ingredients - Lecture', () => {
     beforeEach(async () => {
       // Créer des ingrédients de test
@@ -237,6 +271,7 @@ describe('API Ingrédients - Tests Complets', () => {
     it('met à jour un ingrédient avec données valides', async () => {
       const res = await request(app)
         .put(`/api/ingredients/${ingredientCree.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           nom: 'Ingrédient Mis à Jour',
           bio: true,
@@ -250,9 +285,24 @@ describe('API Ingrédients - Tests Complets', () => {
       expect(res.body.ingredient.allergene).toBe(true);
     });
 
+    it('remplace les concentrations maximales par catégorie de produit', async () => {
+      const modifier = (limitesConcentration) => request(app)
+        .put(`/api/ingredients/${ingredientCree.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ limitesConcentration });
+
+      await modifier([{ categorie: 'shampoing', maximum: 0.5 }, { categorie: 'crème', maximum: 0.2 }]);
+      const res = await modifier([{ categorie: 'masque', maximum: 1 }]);
+
+      expect(res.status).toBe(200);
+      expect(res.body.ingredient.limitesConcentration.map(({ categorie, maximum }) => [categorie, maximum])).toEqual([['masque', 1]]);
+      expect((await modifier([{ categorie: 'parfum', maximum: 1 }])).status).toBe(400);
+    });
+
     it('rejette une mise à jour avec nom trop court', async () => {
       const res = await request(app)
         .put(`/api/ingredients/${ingredientCree.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           nom: 'A'
         });
@@ -264,6 +314,7 @@ describe('API Ingrédients - Tests Complets', () => {
     it('retourne 404 pour un ID inexistant', async () => {
       const res = await request(app)
         .put('/api/ingredients/inexistant-id')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({ nom: 'Nouveau nom' });
 
       expect(res.status).toBe(404);
@@ -284,7 +335,8 @@ describe('API Ingrédients - Tests Complets', () => {
 
     it('supprime un ingrédient existant', async () => {
       const res = await request(app)
-        .delete(`/api/ingredients/${ingredientCree.id}`);
+        .delete(`/api/ingredients/${ingredientCree.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.status).toBe(200);
       expect(res.body.message).toBe('Ingrédient supprimé avec succès');
@@ -298,11 +350,33 @@ describe('API Ingrédients - Tests Complets', () => {
 
     it('retourne 404 pour un ID inexistant', async () => {
       const res = await request(app)
-        .delete('/api/ingredients/inexistant-id');
+        .delete('/api/ingredients/inexistant-id')
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.status).toBe(404);
       expect(res.body.error).toBe('Ingrédient non trouvé');
     });
+
+    it('refuse de supprimer un ingrédient utilisé dans une formule', async () => {
+      const produit = await prisma.produit.create({
+        data: {
+          nom: 'Savon test',
+          description: 'Produit utilisant l\'ingrédient',
+          prix: 5,
+          categorie: 'savon',
+          ingredients: { create: [{ ingredientId: ingredientCree.id }] }
+        }
+      });
+
+      const res = await request(app)
+        .delete(`/api/ingredients/${ingredientCree.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('Ingrédient utilisé dans la formule de produits');
+
+      await prisma.produit.delete({ where: { id: produit.id } });
+    });
   });
 
   describe('GET /api/ingredients/search - Recherche', () => {
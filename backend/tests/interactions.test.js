@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+
+// Import des routes
+const ingredientRoutes = require('../routes/ingredientRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/ingredients', ingredientRoutes);
+app.use(errorHandler);
+
+const adminToken = signAccessToken({ id: 'admin-test', email: 'admin@cynova.fr', role: 'ADMIN' });
+
+describe('Incompatibilités et règles de pH', () => {
+  let vitamineC;
+  let niacinamide;
+  let benzoate;
+  let eau;
+  let huile;
+  let emulsifiant;
+
+  const declarer = (donnees) => request(app)
+    .post('/api/ingredients/incompatibilites')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(donnees);
+
+  const evaluer = (donnees) => request(app)
+    .post('/api/ingredients/compatibilite')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(donnees);
+
+  beforeEach(async () => {
+    await prisma.produit.deleteMany();
+    await prisma.ingredient.deleteMany();
+
+    vitamineC = await prisma.ingredient.create({ data: { nom: 'Vitamine C', phMax: 3.5 } });
+    niacinamide = await prisma.ingredient.create({ data: { nom: 'Niacinamide', phMin: 5, phMax: 7 } });
+    benzoate = await prisma.ingredient.create({ data: { nom: 'Benzoate de sodium', phMax: 5.5 } });
+    eau = await prisma.ingredient.create({ data: { nom: 'Eau' } });
+    huile = await prisma.ingredient.create({ data: { nom: 'Huile de jojoba' } });
+    emulsifiant = await prisma.ingredient.create({ data: { nom: 'Olivem 1000', emulsifiant: true } });
+  });
+
+  describe('Registre des incompatibilités', () => {
+    it('enregistre une paire une seule fois, quel que soit l\'ordre', async () => {
+      const res = await declarer({
+        ingredientAId: vitamineC.id,
+        ingredientBId: niacinamide.id,
+        motif: 'Formation de niacine à pH acide'
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body.incompatibilite.gravite).toBe('BLOQUANTE');
+
+      const doublon = await declarer({
+        ingredientAId: niacinamide.id,
+        ingredientBId: vitamineC.id,
+        motif: 'Même paire dans l\'autre sens'
+      });
+      expect(doublon.status).toBe(409);
+
+      const liste = await request(app).get('/api/ingredients/incompatibilites');
+      expect(liste.body.incompatibilites).toHaveLength(1);
+    });
+
+    it('rejette une paire invalide', async () => {
+      const memeIngredient = await declarer({ ingredientAId: eau.id, ingredientBId: eau.id, motif: 'Aucun sens' });
+      expect(memeIngredient.status).toBe(400);
+
+      const inconnu = await declarer({ ingredientAId: eau.id, ingredientBId: 'inexistant', motif: 'Ingrédient absent' });
+      expect(inconnu.status).toBe(400);
+      expect(inconnu.body.error).toBe('Ingrédient introuvable');
+    });
+
+    it('supprime une incompatibilité', async () => {
+      const { body } = await declarer({ ingredientAId: eau.id, ingredientBId: huile.id, motif: 'Test de suppression' });
+
+      const res = await request(app)
+        .delete(`/api/ingredients/incompatibilites/${body.incompatibilite.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(await prisma.incompatibilite.count()).toBe(0);
+    });
+  });
+
+  describe('POST /api/ingredients/compatibilite', () => {
+    it('liste les incompatibilités et l\'absence de pH commun d\'une formule brouillon', async () => {
+      await declarer({ ingredientAId: vitamineC.id, ingredientBId: niacinamide.id, motif: 'formation de niacine' });
+
+      const res = await evaluer({ lignes: [{ ingredientId: vitamineC.id }, { ingredientId: niacinamide.id }] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.evaluation.compatible).toBe(false);
+      expect(res.body.evaluation.phRecommande).toBeNull();
+      expect(res.body.evaluation.conflits.map(conflit => conflit.type)).toEqual(['INCOMPATIBILITE', 'PH']);
+      expect(res.body.evaluation.conflits[0].message).toContain('formation de niacine');
+    });
+
+    it('signale un pH visé hors de la plage d\'efficacité d\'un conservateur', async () => {
+      const res = await evaluer({
+        lignes: [{ ingredientId: eau.id }, { ingredientId: benzoate.id }],
+        ph: 6
+      });
+
+      expect(res.body.evaluation.compatible).toBe(false);
+      expect(res.body.evaluation.conflits).toEqual([{
+        type: 'PH',
+        gravite: 'BLOQUANTE',
+        ingredients: [benzoate.id],
+        message: 'pH 6 hors de la plage de Benzoate de sodium (0 à 5.5)'
+      }]);
+    });
+
+    it('exige un émulsifiant pour lier phases aqueuse et huileuse', async () => {
+      const lignes = [
+        { ingredientId: eau.id, phase: 'AQUEUSE' },
+        { ingredientId: huile.id, phase: 'HUILEUSE' },
+        { ingredientId: niacinamide.id, phase: 'REFROIDISSEMENT' }
+      ];
+
+      const sansEmulsifiant = await evaluer({ lignes });
+      expect(sansEmulsifiant.body.evaluation.conflits.map(conflit => conflit.type)).toEqual(['EMULSIFIANT']);
+
+      const res = await evaluer({ lignes: [...lignes, { ingredientId: emulsifiant.id, phase: 'HUILEUSE' }] });
+      expect(res.body.evaluation.compatible).toBe(true);
+      expect(res.body.evaluation.phRecommande).toEqual({ min: 5, max: 7 });
+    });
+
+    it('garde compatible une formule qui n\'a que des avertissements', async () => {
+      await declarer({ ingredientAId: eau.id, ingredientBId: huile.id, motif: 'séparation possible', gravite: 'AVERTISSEMENT' });
+
+      const res = await evaluer({ lignes: [{ ingredientId: eau.id }, { ingredientId: huile.id }] });
+
+      expect(res.body.evaluation.compatible).toBe(true);
+      expect(res.body.evaluation.conflits).toHaveLength(1);
+    });
+
+    it('évalue la formule d\'un produit existant avec son pH', async () => {
+      const produit = await prisma.produit.create({
+        data: {
+          nom: 'Tonique',
+          description: 'Tonique conservé au benzoate',
+          prix: 8,
+          categorie: 'crème',
+          ph: 6.5,
+          ingredients: { create: [{ ingredientId: eau.id }, { ingredientId: benzoate.id }] }
+        }
+      });
+
+      const res = await evaluer({ produitId: produit.id });
+
+      expect(res.status).toBe(200);
+      expect(res.body.evaluation.ph).toBe(6.5);
+      expect(res.body.evaluation.compatible).toBe(false);
+
+      expect((await evaluer({ produitId: 'inexistant' })).status).toBe(404);
+      expect((await evaluer({ produitId: produit.id, lignes: [{ ingredientId: eau.id }] })).status).toBe(400);
+    });
+  });
+});
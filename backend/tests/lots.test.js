@@ -0,0 +1,230 @@
+import { describe, it, expect, beforeEach, afterAll } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+
+// Import des routes
+const produitRoutes = require('../routes/produitRoutes');
+const ingredientRoutes = require('../routes/ingredientRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/produits', produitRoutes);
+app.use('/api/ingredients', ingredientRoutes);
+app.use(errorHandler);
+
+const adminToken = signAccessToken({ id: 'admin-test', email: 'admin@cynova.fr', role: 'ADMIN' });
+const stockToken = signAccessToken({ id: 'stock-test', email: 'stock@cynova.fr', role: 'STOCK_MANAGER' });
+
+const jours = (n) => new Date(Date.now() + n * 24 * 60 * 60 * 1000).toISOString();
+
+describe('Lots de fabrication et traçabilité', () => {
+  let produit;
+  let karite;
+  let lavande;
+  let client;
+
+  const creerLot = (donnees) => request(app)
+    .post(`/api/produits/${produit.id}/lots`)
+    .set('Authorization', `Bearer ${stockToken}`)
+    .send({
+      dateProduction: jours(-30),
+      ingredients: [
+        { ingredientId: karite.id, numeroLot: 'KAR-2401', quantite: 950, unite: 'g' },
+        { ingredientId: lavande.id, numeroLot: 'LAV-77', quantite: 50, unite: 'g' }
+      ],
+      ...donnees
+    });
+
+  const vendre = (quantite, donnees = {}) => request(app)
+    .post(`/api/produits/${produit.id}/mouvements`)
+    .set('Authorization', `Bearer ${stockToken}`)
+    .send({ type: 'VENTE', quantite, ...donnees });
+
+  const stockLots = async () => {
+    const res = await request(app)
+      .get(`/api/produits/${produit.id}/lots`)
+      .set('Authorization', `Bearer ${stockToken}`);
+    return res.body.lots.map(lot => [lot.numero, lot.stock]);
+  };
+
+  // Les lots d'ingrédients bloquent la suppression des ingrédients dans les autres fichiers
+  afterAll(async () => {
+    await prisma.produit.deleteMany();
+    await prisma.lotIngredient.deleteMany();
+  });
+
+  beforeEach(async () => {
+    await prisma.produit.deleteMany();
+    await prisma.lotIngredient.deleteMany();
+    await prisma.ingredient.deleteMany();
+    await prisma.utilisateur.deleteMany();
+
+    karite = await prisma.ingredient.create({ data: { nom: 'Beurre de karité' } });
+    lavande = await prisma.ingredient.create({ data: { nom: 'Huile essentielle de lavande' } });
+    client = await prisma.utilisateur.create({ data: { email: 'cliente@example.com', motDePasse: 'hash', prenom: 'Léa' } });
+
+    produit = await prisma.produit.create({
+      data: {
+        nom: 'Baume corps',
+        description: 'Baume nourrissant',
+        prix: 18,
+        categorie: 'crème',
+        pao: 12,
+        ingredients: {
+          create: [
+            { ingredientId: karite.id, valeur: 95, unite: '%', ordre: 0 },
+            { ingredientId: lavande.id, valeur: 5, unite: '%', ordre: 1 }
+          ]
+        }
+      }
+    });
+  });
+
+  it('enregistre un lot, ses lots d\'ingrédients et son entrée en stock', async () => {
+    const res = await creerLot({ numero: 'BC-001', quantite: 40, datePeremption: jours(300) });
+
+    expect(res.status).toBe(201);
+    expect(res.body.lot).toMatchObject({ numero: 'BC-001', quantiteProduite: 40, stock: 40, pao: 12, perime: false });
+    expect(res.body.lot.ingredients.map(i => [i.nom, i.numeroLot])).toEqual([
+      ['Beurre de karité', 'KAR-2401'],
+      ['Huile essentielle de lavande', 'LAV-77']
+    ]);
+
+    const stock = await prisma.produit.findUnique({ where: { id: produit.id } });
+    expect(stock.stock).toBe(40);
+
+    const mouvements = await request(app)
+      .get(`/api/produits/${produit.id}/mouvements`)
+      .set('Authorization', `Bearer ${stockToken}`);
+    expect(mouvements.body.mouvements[0]).toMatchObject({ type: 'PRODUCTION', quantite: 40, motif: 'Lot BC-001' });
+  });
+
+  it('complète à sa réception un lot d\'ingrédient cité dans un lot de fabrication', async () => {
+    await creerLot({ numero: 'BC-001', quantite: 40, datePeremption: jours(300) });
+
+    const reception = () => request(app)
+      .post(`/api/ingredients/${karite.id}/lots`)
+      .set('Authorization', `Bearer ${stockToken}`)
+      .send({ numero: 'KAR-2401', quantite: 5000, unite: 'g', datePeremption: jours(400) });
+
+    const res = await reception();
+    expect(res.status).toBe(201);
+    expect(res.body.lot).toMatchObject({ numero: 'KAR-2401', quantite: 5000, quantiteRecue: 5000, unite: 'g' });
+    expect(await prisma.lotIngredient.count({ where: { ingredientId: karite.id } })).toBe(1);
+
+    expect((await reception()).status).toBe(409);
+  });
+
+  it('refuse de supprimer un ingrédient dont des lots ont été consommés', async () => {
+    await creerLot({ numero: 'BC-001', quantite: 40, datePeremption: jours(300) });
+    await prisma.quantite.deleteMany({ where: { ingredientId: lavande.id } });
+
+    const res = await request(app)
+      .delete(`/api/ingredients/${lavande.id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.status).toBe(409);
+    expect(await prisma.consommationLot.count({ where: { lotIngredient: { ingredientId: lavande.id } } })).toBe(1);
+  });
+
+  it('exige un lot pour chaque ingrédient de la formule et un numéro de lot unique', async () => {
+    const incomplet = await creerLot({
+      numero: 'BC-002',
+      quantite: 10,
+      datePeremption: jours(300),
+      ingredients: [{ ingredientId: karite.id, numeroLot: 'KAR-2401' }]
+    });
+    expect(incomplet.status).toBe(400);
+    expect(incomplet.body.error).toBe('Lot d\'ingrédient manquant : Huile essentielle de lavande');
+
+    const perimeAvantFabrication = await creerLot({ numero: 'BC-002', quantite: 10, datePeremption: jours(-60) });
+    expect(perimeAvantFabrication.status).toBe(400);
+
+    await creerLot({ numero: 'BC-002', quantite: 10, datePeremption: jours(300) });
+    expect((await creerLot({ numero: 'BC-002', quantite: 10, datePeremption: jours(300) })).status).toBe(409);
+  });
+
+  it('sort le stock des lots premier périmé premier sorti, sans vendre de lot périmé', async () => {
+    await creerLot({ numero: 'BC-TARD', quantite: 10, datePeremption: jours(400) });
+    await creerLot({ numero: 'BC-TOT', quantite: 5, datePeremption: jours(100) });
+    await creerLot({ numero: 'BC-PERIME', quantite: 3, dateProduction: jours(-400), datePeremption: jours(-5) });
+
+    const vente = await vendre(7);
+    expect(vente.status).toBe(201);
+    expect(vente.body.mouvement.allocations.map(a => [a.lot.numero, a.quantite])).toEqual([['BC-TOT', -5], ['BC-TARD', -2]]);
+    expect(await stockLots()).toEqual([['BC-PERIME', 3], ['BC-TOT', 0], ['BC-TARD', 8]]);
+
+    // 11 unités en stock, dont 3 périmées
+    const tropGrande = await vendre(9);
+    expect(tropGrande.status).toBe(409);
+    expect(tropGrande.body.error).toBe('Stock non périmé insuffisant');
+
+    const perte = await request(app)
+      .post(`/api/produits/${produit.id}/mouvements`)
+      .set('Authorization', `Bearer ${stockToken}`)
+      .send({ type: 'PERTE', quantite: 3, motif: 'Lot périmé détruit' });
+    expect(perte.body.mouvement.allocations.map(a => a.lot.numero)).toEqual(['BC-PERIME']);
+  });
+
+  it('retrouve les lots et les clients concernés par un lot d\'ingrédient', async () => {
+    await creerLot({ numero: 'BC-010', quantite: 10, datePeremption: jours(200) });
+    await creerLot({
+      numero: 'BC-011',
+      quantite: 10,
+      datePeremption: jours(250),
+      ingredients: [
+        { ingredientId: karite.id, numeroLot: 'KAR-2402' },
+        { ingredientId: lavande.id, numeroLot: 'LAV-77' }
+      ]
+    });
+
+    await vendre(12, { clientId: client.id });
+    await vendre(2);
+
+    const res = await request(app)
+      .get(`/api/ingredients/${karite.id}/lots/KAR-2401/rappel`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.rappel.lots.map(lot => lot.numero)).toEqual(['BC-010']);
+    expect(res.body.rappel.clients).toEqual([
+      expect.objectContaining({ email: 'cliente@example.com', unites: 10, lots: ['BC-010'] })
+    ]);
+
+    const lavandeRappel = await request(app)
+      .get(`/api/ingredients/${lavande.id}/lots/LAV-77/rappel`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(lavandeRappel.body.rappel.lots.map(lot => lot.numero)).toEqual(['BC-010', 'BC-011']);
+    expect(lavandeRappel.body.rappel.clients[0]).toMatchObject({ unites: 12, lots: ['BC-010', 'BC-011'] });
+    expect(lavandeRappel.body.rappel.unitesSansClient).toBe(2);
+  });
+
+  it('réserve le rappel, qui expose des données clients, aux administrateurs', async () => {
+    await creerLot({ numero: 'BC-020', quantite: 1, datePeremption: jours(200) });
+
+    const res = await request(app)
+      .get(`/api/ingredients/${karite.id}/lots/KAR-2401/rappel`)
+      .set('Authorization', `Bearer ${stockToken}`);
+    expect(res.status).toBe(403);
+
+    const inconnu = await request(app)
+      .get(`/api/ingredients/${karite.id}/lots/INCONNU/rappel`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(inconnu.status).toBe(404);
+  });
+
+  it('impute une sortie au lot demandé', async () => {
+    const { body } = await creerLot({ numero: 'BC-030', quantite: 4, datePeremption: jours(400) });
+    await creerLot({ numero: 'BC-031', quantite: 4, datePeremption: jours(100) });
+
+    const res = await vendre(2, { lotId: body.lot.id });
+    expect(res.body.mouvement.allocations.map(a => a.lot.numero)).toEqual(['BC-030']);
+
+    expect((await vendre(3, { lotId: body.lot.id })).status).toBe(409);
+  });
+});
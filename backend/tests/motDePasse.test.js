@@ -0,0 +1,202 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Import des routes et du mailer
+const utilisateurRoutes = require('../routes/utilisateurRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { setTransport, createFileTransport } = require('../services/mailer');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/utilisateurs', utilisateurRoutes);
+app.use(errorHandler);
+
+// Les emails sont écrits dans un dossier temporaire propre à chaque test
+let outbox;
+
+// Seuls les emails de réinitialisation nous intéressent (l'inscription envoie aussi une vérification)
+const lireEmails = () => fs.readdirSync(outbox)
+  .sort()
+  .map(fichier => JSON.parse(fs.readFileSync(path.join(outbox, fichier), 'utf8')))
+  .filter(email => email.subject.includes('Réinitialisation'));
+
+const extraireToken = (email) => email.text.match(/token=([a-f0-9]+)/)[1];
+
+describe('API Utilisateurs - Réinitialisation du mot de passe', () => {
+  beforeEach(async () => {
+    await prisma.utilisateur.deleteMany();
+
+    outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'cynova-outbox-'));
+    setTransport(createFileTransport(outbox));
+
+    await request(app)
+      .post('/api/utilisateurs')
+      .send({
+        email: 'oubli@example.com',
+        motDePasse: 'ancienmotdepasse',
+        prenom: 'Claire'
+      });
+    await prisma.utilisateur.update({
+      where: { email: 'oubli@example.com' },
+      data: { emailVerifie: true }
+    });
+  });
+
+  it('envoie un lien de réinitialisation dans l\'outbox', async () => {
+    const res = await request(app)
+      .post('/api/utilisateurs/password/forgot')
+      .send({ email: 'oubli@example.com' });
+
+    expect(res.status).toBe(200);
+
+    const emails = lireEmails();
+    expect(emails).toHaveLength(1);
+    expect(emails[0].to).toBe('oubli@example.com');
+    expect(emails[0].text).toContain('reinitialisation-mot-de-passe?token=');
+  });
+
+  it('répond de la même façon pour un email inconnu sans envoyer de message', async () => {
+    const connu = await request(app)
+      .post('/api/utilisateurs/password/forgot')
+      .send({ email: 'oubli@example.com' });
+    const inconnu = await request(app)
+      .post('/api/utilisateurs/password/forgot')
+      .send({ email: 'inconnu@example.com' });
+
+    expect(inconnu.status).toBe(200);
+    expect(inconnu.body.message).toBe(connu.body.message);
+    expect(lireEmails()).toHaveLength(1);
+  });
+
+  it('réinitialise le mot de passe et révoque les sessions existantes', async () => {
+    const connexion = await request(app)
+      .post('/api/utilisateurs/login')
+      .send({ email: 'oubli@example.com', motDePasse: 'ancienmotdepasse' });
+
+    await request(app)
+      .post('/api/utilisateurs/password/forgot')
+      .send({ email: 'oubli@example.com' });
+    const token = extraireToken(lireEmails()[0]);
+
+    const res = await request(app)
+      .post('/api/utilisateurs/password/reset')
+      .send({ token, motDePasse: 'nouveaumotdepasse' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Mot de passe réinitialisé avec succès');
+
+    const ancien = await request(app)
+      .post('/api/utilisateurs/login')
+      .send({ email: 'oubli@example.com', motDePasse: 'ancienmotdepasse' });
+    expect(ancien.status).toBe(401);
+
+    const nouveau = await request(app)
+      .post('/api/utilisateurs/login')
+      .send({ email: 'oubli@example.com', motDePasse: 'nouveaumotdepasse' });
+    expect(nouveau.status).toBe(200);
+
+    const refresh = await request(app)
+      .post('/api/utilisateurs/refresh')
+      .send({ refreshToken: connexion.body.refreshToken });
+    expect(refresh.status).toBe(401);
+  });
+
+  it('lève le verrouillage du compte après réinitialisation', async () => {
+    await prisma.utilisateur.update({
+      where: { email: 'oubli@example.com' },
+      data: { tentativesEchouees: 3, prochaineTentativeLe: new Date(Date.now() + 60000), verrouilleJusquA: new Date(Date.now() + 60000) }
+    });
+
+    await request(app)
+      .post('/api/utilisateurs/password/forgot')
+      .send({ email: 'oubli@example.com' });
+    await request(app)
+      .post('/api/utilisateurs/password/reset')
+      .send({ token: extraireToken(lireEmails()[0]), motDePasse: 'nouveaumotdepasse' });
+
+    const res = await request(app)
+      .post('/api/utilisateurs/login')
+      .send({ email: 'oubli@example.com', motDePasse: 'nouveaumotdepasse' });
+    expect(res.status).toBe(200);
+  });
+
+  it('révoque les sessions existantes quand le mot de passe est modifié depuis le profil', async () => {
+    const connexion = await request(app)
+      .post('/api/utilisateurs/login')
+      .send({ email: 'oubli@example.com', motDePasse: 'ancienmotdepasse' });
+
+    const res = await request(app)
+      .put(`/api/utilisateurs/${connexion.body.utilisateur.id}`)
+      .set('Authorization', `Bearer ${connexion.body.accessToken}`)
+      .send({ motDePasse: 'nouveaumotdepasse' });
+    expect(res.status).toBe(200);
+
+    const refresh = await request(app)
+      .post('/api/utilisateurs/refresh')
+      .send({ refreshToken: connexion.body.refreshToken });
+    expect(refresh.status).toBe(401);
+  });
+
+  it('refuse de réutiliser un lien déjà consommé', async () => {
+    await request(app)
+      .post('/api/utilisateurs/password/forgot')
+      .send({ email: 'oubli@example.com' });
+    const token = extraireToken(lireEmails()[0]);
+
+    await request(app)
+      .post('/api/utilisateurs/password/reset')
+      .send({ token, motDePasse: 'nouveaumotdepasse' });
+
+    const res = await request(app)
+      .post('/api/utilisateurs/password/reset')
+      .send({ token, motDePasse: 'encoreunautre' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Lien de réinitialisation invalide ou expiré');
+  });
+
+  it('refuse un lien expiré', async () => {
+    await request(app)
+      .post('/api/utilisateurs/password/forgot')
+      .send({ email: 'oubli@example.com' });
+    const token = extraireToken(lireEmails()[0]);
+
+    await prisma.jetonVerification.updateMany({
+      data: { expireLe: new Date(Date.now() - 1000) }
+    });
+
+    const res = await request(app)
+      .post('/api/utilisateurs/password/reset')
+      .send({ token, motDePasse: 'nouveaumotdepasse' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('invalide le lien précédent lorsqu\'un nouveau est demandé', async () => {
+    await request(app)
+      .post('/api/utilisateurs/password/forgot')
+      .send({ email: 'oubli@example.com' });
+    await request(app)
+      .post('/api/utilisateurs/password/forgot')
+      .send({ email: 'oubli@example.com' });
+    const [premier, second] = lireEmails().map(extraireToken);
+
+    const ancien = await request(app)
+      .post('/api/utilisateurs/password/reset')
+      .send({ token: premier, motDePasse: 'nouveaumotdepasse' });
+    expect(ancien.status).toBe(400);
+
+    const recent = await request(app)
+      .post('/api/utilisateurs/password/reset')
+      .send({ token: second, motDePasse: 'nouveaumotdepasse' });
+    expect(recent.status).toBe(200);
+  });
+});
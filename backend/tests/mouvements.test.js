@@ -0,0 +1,201 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+
+// Import des routes
+const produitRoutes = require('../routes/produitRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
+const { enregistrerMouvement, reprendreStocksExistants } = require('../services/stockService');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/produits', produitRoutes);
+app.use(errorHandler);
+
+const adminToken = signAccessToken({ id: 'admin-test', email: 'admin@cynova.fr', role: 'ADMIN' });
+const stockToken = signAccessToken({ id: 'stock-test', email: 'stock@cynova.fr', role: 'STOCK_MANAGER' });
+
+describe('Journal des mouvements de stock', () => {
+  let produit;
+
+  const mouvement = (donnees, token = stockToken) => request(app)
+    .post(`/api/produits/${produit.id}/mouvements`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(donnees);
+
+  const historique = (query = '') => request(app)
+    .get(`/api/produits/${produit.id}/mouvements${query}`)
+    .set('Authorization', `Bearer ${stockToken}`);
+
+  beforeEach(async () => {
+    await prisma.produit.deleteMany();
+
+    const res = await request(app)
+      .post('/api/produits')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        nom: 'Savon au lait de chèvre',
+        description: 'Savon doux saponifié à froid',
+        prix: 7,
+        categorie: 'savon',
+        stock: 20,
+        actif: false
+      });
+    produit = res.body.produit;
+  });
+
+  it('trace le stock initial et les mouvements saisis, avec utilisateur et stock résultant', async () => {
+    const vente = await mouvement({ type: 'VENTE', quantite: 3 });
+    expect(vente.status).toBe(201);
+    expect(vente.body.mouvement).toMatchObject({ type: 'VENTE', quantite: -3, stockApres: 17, utilisateurId: 'stock-test' });
+
+    await mouvement({ type: 'PERTE', quantite: 1, motif: 'Savon cassé' });
+    await mouvement({ type: 'RETOUR', quantite: 2 });
+    await mouvement({ type: 'AJUSTEMENT', quantite: -4 });
+
+    const res = await historique();
+    expect(res.status).toBe(200);
+    expect(res.body.mouvements.map(m => [m.type, m.quantite])).toEqual([
+      ['AJUSTEMENT', -4],
+      ['RETOUR', 2],
+      ['PERTE', -1],
+      ['VENTE', -3],
+      ['AJUSTEMENT', 20]
+    ]);
+    expect(res.body.mouvements[4]).toMatchObject({ motif: 'Stock initial', utilisateurId: 'admin-test' });
+    expect(res.body.reconciliation).toEqual({
+      coherent: true,
+      references: [{ varianteId: null, nom: 'Savon au lait de chèvre', stock: 14, stockMouvements: 14, ecart: 0 }]
+    });
+
+    const ventes = await historique('?type=VENTE');
+    expect(ventes.body.pagination.total).toBe(1);
+
+    const typeInconnu = await historique('?type=DON');
+    expect(typeInconnu.status).toBe(400);
+    expect(typeInconnu.body.error).toBe('Données invalides');
+  });
+
+  it('trace une modification du stock via la mise à jour du produit comme un ajustement', async () => {
+    await request(app)
+      .put(`/api/produits/${produit.id}`)
+      .set('Authorization', `Bearer ${stockToken}`)
+      .send({ stock: 25 });
+
+    const res = await historique();
+    expect(res.body.mouvements[0]).toMatchObject({ type: 'AJUSTEMENT', quantite: 5, stockApres: 25, utilisateurId: 'stock-test' });
+
+    // Une mise à jour sans changement de stock n'ajoute pas de mouvement
+    await request(app)
+      .put(`/api/produits/${produit.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ stock: 25, prix: 7.5 });
+    expect((await historique()).body.pagination.total).toBe(2);
+  });
+
+  it('refuse une sortie supérieure au stock et un mouvement invalide', async () => {
+    const res = await mouvement({ type: 'VENTE', quantite: 21 });
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Stock insuffisant');
+
+    expect((await mouvement({ type: 'VENTE', quantite: -2 })).status).toBe(400);
+    expect((await mouvement({ type: 'INVENTAIRE', quantite: 2 })).status).toBe(400);
+    expect((await mouvement({ type: 'REASSORT', quantite: 2, varianteId: 'inconnue' })).status).toBe(404);
+
+    const stock = await prisma.produit.findUnique({ where: { id: produit.id } });
+    expect(stock.stock).toBe(20);
+  });
+
+  it('ne survend pas quand des ventes arrivent simultanément', async () => {
+    const ventes = await Promise.all(Array.from({ length: 4 }, () => enregistrerMouvement({
+      produitId: produit.id,
+      type: 'VENTE',
+      quantite: -6
+    })));
+
+    expect(ventes.map(vente => vente.mouvement?.stockApres ?? vente.erreur)).toEqual([14, 8, 2, 'Stock insuffisant']);
+
+    const res = await historique();
+    expect(res.body.reconciliation.references[0]).toMatchObject({ stock: 2, stockMouvements: 2, ecart: 0 });
+  });
+
+  it('enregistre un inventaire et l\'écart avec le stock théorique', async () => {
+    const ecart = await request(app)
+      .post(`/api/produits/${produit.id}/inventaire`)
+      .set('Authorization', `Bearer ${stockToken}`)
+      .send({ stockCompte: 18, motif: 'Inventaire annuel' });
+
+    expect(ecart.status).toBe(201);
+    expect(ecart.body.ecart).toBe(-2);
+    expect(ecart.body.mouvement).toMatchObject({ type: 'INVENTAIRE', stockApres: 18 });
+
+    const conforme = await request(app)
+      .post(`/api/produits/${produit.id}/inventaire`)
+      .set('Authorization', `Bearer ${stockToken}`)
+      .send({ stockCompte: 18 });
+    expect(conforme.body.ecart).toBe(0);
+
+    expect((await historique('?type=INVENTAIRE')).body.pagination.total).toBe(2);
+  });
+
+  it('suit séparément le stock des variantes', async () => {
+    const { body } = await request(app)
+      .post(`/api/produits/${produit.id}/variantes`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ nom: 'Lavande', sku: 'SAV-LAV', prix: 7, stock: 6 });
+    const varianteId = body.variante.id;
+
+    await mouvement({ type: 'VENTE', quantite: 2, varianteId });
+
+    const variante = await prisma.variante.findUnique({ where: { id: varianteId } });
+    expect(variante.stock).toBe(4);
+
+    const res = await historique(`?varianteId=${varianteId}`);
+    expect(res.body.mouvements.map(m => m.quantite)).toEqual([-2, 6]);
+    expect(res.body.reconciliation.references[1]).toMatchObject({ nom: 'Lavande', stock: 4, ecart: 0 });
+
+    // Le stock propre d'un produit décliné n'est plus mouvementé
+    const sansVariante = await mouvement({ type: 'VENTE', quantite: 1 });
+    expect(sansVariante.status).toBe(400);
+    expect(sansVariante.body.error).toBe('Variante requise pour un produit décliné en variantes');
+    const inventaire = await request(app)
+      .post(`/api/produits/${produit.id}/inventaire`)
+      .set('Authorization', `Bearer ${stockToken}`)
+      .send({ stockCompte: 3 });
+    expect(inventaire.status).toBe(400);
+    const miseAJour = await request(app)
+      .put(`/api/produits/${produit.id}`)
+      .set('Authorization', `Bearer ${stockToken}`)
+      .send({ stock: 3 });
+    expect(miseAJour.status).toBe(400);
+    expect((await prisma.produit.findUnique({ where: { id: produit.id } })).stock).toBe(20);
+  });
+
+  it('détecte un stock modifié hors journal et le reprend par un inventaire', async () => {
+    await prisma.produit.update({ where: { id: produit.id }, data: { stock: 30 } });
+
+    const avant = await historique();
+    expect(avant.body.reconciliation.coherent).toBe(false);
+    expect(avant.body.reconciliation.references[0].ecart).toBe(10);
+
+    expect(await reprendreStocksExistants()).toEqual({ reprises: 1 });
+
+    const apres = await historique();
+    expect(apres.body.reconciliation.coherent).toBe(true);
+    expect(apres.body.mouvements[0]).toMatchObject({ type: 'INVENTAIRE', quantite: 10, motif: 'Reprise du stock existant' });
+  });
+
+  it('réserve le journal aux gestionnaires du stock', async () => {
+    const clientToken = signAccessToken({ id: 'client-test', email: 'client@cynova.fr', role: 'USER' });
+
+    const res = await request(app)
+      .get(`/api/produits/${produit.id}/mouvements`)
+      .set('Authorization', `Bearer ${clientToken}`);
+    expect(res.status).toBe(403);
+  });
+});
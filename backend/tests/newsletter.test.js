@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+
+// Import des routes et des services
+const utilisateurRoutes = require('../routes/utilisateurRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { setTransport } = require('../services/mailer');
+const { signAccessToken } = require('../services/tokenService');
+const { buildUnsubscribeUrl } = require('../services/newsletterService');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/utilisateurs', utilisateurRoutes);
+app.use(errorHandler);
+
+const adminToken = signAccessToken({ id: 'admin-test', email: 'admin@cynova.fr', role: 'ADMIN' });
+
+// Transport en mémoire pour inspecter les emails envoyés
+let emails;
+setTransport({ send: async (message) => { emails.push(message); return {}; } });
+
+const extraireToken = (sujet) => {
+  const email = emails.find(e => e.subject.includes(sujet));
+  return email.text.match(/token=([a-f0-9]+)/)[1];
+};
+
+describe('API Utilisateurs - Vérification email et newsletter', () => {
+  let utilisateur;
+
+  beforeEach(async () => {
+    await prisma.utilisateur.deleteMany();
+    emails = [];
+
+    const res = await request(app)
+      .post('/api/utilisateurs')
+      .send({
+        email: 'abonne@example.com',
+        motDePasse: 'motdepasse123',
+        newsletter: true
+      });
+    utilisateur = res.body.utilisateur;
+  });
+
+  it('envoie un email de vérification et une demande de confirmation newsletter', async () => {
+    expect(utilisateur.emailVerifie).toBe(false);
+    expect(utilisateur.newsletter).toBe(false);
+    expect(emails.map(e => e.subject)).toEqual([
+      'Vérifiez votre adresse email Cynova',
+      'Confirmez votre inscription à la newsletter Cynova'
+    ]);
+  });
+
+  it('vérifie l\'adresse email avec le lien reçu', async () => {
+    const token = extraireToken('Vérifiez');
+
+    const res = await request(app)
+      .post('/api/utilisateurs/email/verification')
+      .send({ token });
+
+    expect(res.status).toBe(200);
+
+    const login = await request(app)
+      .post('/api/utilisateurs/login')
+      .send({ email: 'abonne@example.com', motDePasse: 'motdepasse123' });
+    expect(login.status).toBe(200);
+  });
+
+  it('enregistre la date et l\'IP du consentement à la confirmation', async () => {
+    const token = extraireToken('newsletter');
+
+    const res = await request(app)
+      .post('/api/utilisateurs/newsletter/confirmation')
+      .send({ token });
+
+    expect(res.status).toBe(200);
+
+    const abonne = await prisma.utilisateur.findUnique({ where: { id: utilisateur.id } });
+    expect(abonne.newsletter).toBe(true);
+    expect(abonne.newsletterConsentementLe).toBeInstanceOf(Date);
+    expect(abonne.newsletterConsentementIp).toBeTruthy();
+  });
+
+  it('ne liste que les abonnés confirmés', async () => {
+    // Ancien compte marqué abonné sans consentement enregistré
+    await prisma.utilisateur.create({
+      data: { email: 'ancien@example.com', motDePasse: 'hashedpassword', newsletter: true }
+    });
+
+    await request(app)
+      .post('/api/utilisateurs/newsletter/confirmation')
+      .send({ token: extraireToken('newsletter') });
+
+    const res = await request(app)
+      .get('/api/utilisateurs?newsletter=true')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.utilisateurs).toHaveLength(1);
+    expect(res.body.utilisateurs[0].email).toBe('abonne@example.com');
+  });
+
+  it('désinscrit en un clic avec un lien signé', async () => {
+    await request(app)
+      .post('/api/utilisateurs/newsletter/confirmation')
+      .send({ token: extraireToken('newsletter') });
+
+    const confirmation = emails.find(e => e.subject.includes('newsletter'));
+    expect(confirmation.headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+
+    const url = new URL(buildUnsubscribeUrl(utilisateur.id));
+
+    // Ouvrir le lien affiche la confirmation sans désinscrire
+    const page = await request(app).get(`${url.pathname}${url.search}`);
+    expect(page.status).toBe(200);
+    expect(page.headers['content-type']).toContain('text/html');
+    expect(page.text).toContain('<form method="post"');
+    expect((await prisma.utilisateur.findUnique({ where: { id: utilisateur.id } })).newsletter).toBe(true);
+
+    const res = await request(app).post(`${url.pathname}${url.search}`);
+
+    expect(res.status).toBe(200);
+
+    const desinscrit = await prisma.utilisateur.findUnique({ where: { id: utilisateur.id } });
+    expect(desinscrit.newsletter).toBe(false);
+    expect(desinscrit.newsletterDesinscritLe).toBeInstanceOf(Date);
+  });
+
+  it('refuse un lien de désinscription mal signé', async () => {
+    const res = await request(app)
+      .get(`/api/utilisateurs/newsletter/desinscription?uid=${utilisateur.id}&sig=${'0'.repeat(64)}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Lien de désinscription invalide');
+  });
+});
@@ -11,10 +11,14 @@ import morgan from 'morgan';
 const produitController = require('../controllers/produitController');
 const produitRoutes = require('../routes/produitRoutes');
 const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
 
 const prisma = new PrismaClient();
 const app = express();
 
+// Jeton d'un administrateur pour les routes protégées
+const adminToken = signAccessToken({ id: 'admin-test', email: 'admin@cynova.fr', role: 'ADMIN' });
+
 // Configuration du serveur de test
 app.use(helmet());
 app.use(compression());
@@ -37,17 +41,20 @@ describe('API Produits - Tests Complets', () => {
 
   describe('POST /api/produits - Création', () => {
     it('crée un shampoing avec données valides', async () => {
+      const base = await prisma.ingredient.create({ data: { nom: 'Base lavante' } });
+
       const res = await request(app)
         .post('/api/produits')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           nom: 'Shampoing Hydratant Aloé Vera',
           description: 'Shampoing naturel hydratant pour cheveux secs et abîmés',
           prix: 18.50,
           categorie: 'shampoing',
           stock: 25,
-          yukaScore: 95,
           provenance: 'Maroc',
-          imageUrl: 'https://example.com/aloevera-shampoo.jpg'
+          imageUrl: 'https://example.com/aloevera-shampoo.jpg',
+          ingredients: [{ ingredientId: base.id, valeur: 100, unite: '%' }]
         });
 
       expect(res.status).toBe(201);
@@ -62,6 +69,7 @@ describe('API Produits - Tests Complets', () => {
     it('rejette un produit avec nom manquant', async () => {
       const res = await request(app)
         .post('/api/produits')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           description: 'Description test',
           prix: 10.00,
@@ -77,6 +85,7 @@ describe('API Produits - Tests Complets', () => {
     it('rejette un produit avec prix négatif', async () => {
       const res = await request(app)
         .post('/api/produits')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           nom: 'Produit Test',
           description: 'Description test',
@@ -93,6 +102,7 @@ describe('API Produits - Tests Complets', () => {
     it('rejette un produit avec catégorie invalide', async () => {
       const res = await request(app)
         .post('/api/produits')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           nom: 'Produit Test',
           description: 'Description test',
@@ -108,20 +118,27 @@ describe('API Produits - Tests Complets', () => {
     });
 
     it('crée un produit avec valeurs par défaut', async () => {
-      const res = await request(app)
+      const creer = (donnees = {}) => request(app)
         .post('/api/produits')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           nom: 'Savon au Miel',
           description: 'Savon artisanal au miel bio',
           prix: 8.90,
           categorie: 'savon',
-          stock: 15
+          stock: 15,
+          ...donnees
         });
 
+      // Actif par défaut : sans formule, la mise en vente est refusée
+      const refus = await creer();
+      expect(refus.status).toBe(409);
+
+      const res = await creer({ actif: false });
       expect(res.status).toBe(201);
-      expect(res.body.produit.ingredientIds).toBe('[]');
-      expect(res.body.produit.bienfaits).toBe('[]');
-      expect(res.body.produit.actif).toBe(true);
+      expect(res.body.produit.ingredients).toEqual([]);
+      expect(res.body.produit.bienfaits).toEqual([]);
+      expect(res.body.produit.actif).toBe(false);
     });
   });
 
@@ -223,6 +240,7 @@ describe('API Produits - Tests Complets', () => {
     it('met à jour un produit avec données valides', async () => {
       const res = await request(app)
         .put(`/api/produits/${produitCree.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           prix: 15.90,
           stock: 20,
@@ -239,6 +257,7 @@ describe('API Produits - Tests Complets', () => {
     it('rejette une mise à jour avec données invalides', async () => {
       const res = await request(app)
         .put(`/api/produits/${produitCree.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           prix: -5.00,
           categorie: 'categorie_invalide'
@@ -251,6 +270,7 @@ describe('API Produits - Tests Complets', () => {
     it('retourne 404 pour un ID inexistant', async () => {
       const res = await request(app)
         .put('/api/produits/inexistant-id')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({ prix: 15.90 });
 
       expect(res.status).toBe(404);
@@ -273,7 +293,8 @@ describe('API Produits - Tests Complets', () => {
 
     it('supprime un produit existant', async () => {
       const res = await request(app)
-        .delete(`/api/produits/${produitCree.id}`);
+        .delete(`/api/produits/${produitCree.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.status).toBe(200);
       expect(res.body.message).toBe('Produit supprimé avec succès');
@@ -287,7 +308,8 @@ describe('API Produits - Tests Complets', () => {
 
     it('retourne 404 pour un ID inexistant', async () => {
       const res = await request(app)
-        .delete('/api/produits/inexistant-id');
+        .delete('/api/produits/inexistant-id')
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.status).toBe(404);
       expect(res.body.error).toBe('Produit non trouvé');
@@ -338,6 +360,148 @@ describe('API Produits - Tests Complets', () => {
     });
   });
 
+  describe('Contrôle d\'accès', () => {
+    beforeEach(async () => {
+      produitCree = await prisma.produit.create({
+        data: {
+          nom: 'Produit Protégé',
+          description: 'Description test',
+          prix: 10.00,
+          categorie: 'savon',
+          stock: 10
+        }
+      });
+    });
+
+    it('refuse la création sans jeton', async () => {
+      const res = await request(app)
+        .post('/api/produits')
+        .send({
+          nom: 'Savon Anonyme',
+          description: 'Savon créé sans authentification',
+          prix: 5.00,
+          categorie: 'savon',
+          stock: 5
+        });
+
+      expect(res.status).toBe(401);
+    });
+
+    it('refuse la suppression à un client', async () => {
+      const userToken = signAccessToken({ id: 'user-test', email: 'client@example.com', role: 'USER' });
+
+      const res = await request(app)
+        .delete(`/api/produits/${produitCree.id}`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe('Accès refusé');
+    });
+
+    it('autorise un gestionnaire de stock à modifier uniquement le stock', async () => {
+      const stockToken = signAccessToken({ id: 'stock-test', email: 'stock@cynova.fr', role: 'STOCK_MANAGER' });
+
+      const stock = await request(app)
+        .put(`/api/produits/${produitCree.id}`)
+        .set('Authorization', `Bearer ${stockToken}`)
+        .send({ stock: 42 });
+
+      expect(stock.status).toBe(200);
+      expect(stock.body.produit.stock).toBe(42);
+
+      const prix = await request(app)
+        .put(`/api/produits/${produitCree.id}`)
+        .set('Authorization', `Bearer ${stockToken}`)
+        .send({ prix: 1.00 });
+
+      expect(prix.status).toBe(403);
+    });
+  });
+
+  describe('Relations ingrédients, bienfaits et blogs', () => {
+    let karite;
+    let blog;
+
+    beforeEach(async () => {
+      await prisma.blog.deleteMany();
+      await prisma.ingredient.deleteMany();
+
+      karite = await prisma.ingredient.create({ data: { nom: 'Beurre de karité', bio: true } });
+      blog = await prisma.blog.create({
+        data: {
+          titre: 'Bien choisir son savon',
+          contenu: 'Conseils pour choisir un savon adapté à sa peau.',
+          categorie: 'conseils'
+        }
+      });
+    });
+
+    const creerSavon = (donnees) => request(app)
+      .post('/api/produits')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        nom: 'Savon Karité',
+        description: 'Savon surgras au beurre de karité',
+        prix: 9.5,
+        categorie: 'savon',
+        stock: 10,
+        // Sans formule complète, le produit ne peut pas être mis en vente
+        actif: false,
+        ...donnees
+      });
+
+    it('crée un produit avec ses ingrédients, bienfaits et blogs sous forme de tableaux', async () => {
+      const res = await creerSavon({
+        ingredients: [{ ingredientId: karite.id, valeur: 30, unite: '%' }],
+        bienfaits: ['Nourrissant', 'Doux'],
+        blogIds: [blog.id]
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body.produit.ingredients).toEqual([
+        { id: karite.id, nom: 'Beurre de karité', bio: true, allergene: false, valeur: 30, unite: '%' }
+      ]);
+      expect(res.body.produit.bienfaits.sort()).toEqual(['Doux', 'Nourrissant']);
+      expect(res.body.produit.blogs).toEqual([{ id: blog.id, titre: 'Bien choisir son savon' }]);
+
+      const detail = await request(app).get(`/api/produits/${res.body.produit.id}`);
+      expect(detail.body.ingredients).toHaveLength(1);
+    });
+
+    it('remplace les relations lors d\'une mise à jour', async () => {
+      const { body } = await creerSavon({ bienfaits: ['Nourrissant'], blogIds: [blog.id] });
+
+      const res = await request(app)
+        .put(`/api/produits/${body.produit.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ bienfaits: ['Apaisant'], blogIds: [] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.produit.bienfaits).toEqual(['Apaisant']);
+      expect(res.body.produit.blogs).toEqual([]);
+    });
+
+    it('rejette un ingrédient ou un blog inexistant', async () => {
+      const ingredient = await creerSavon({ ingredients: [{ ingredientId: 'inexistant' }] });
+      expect(ingredient.status).toBe(400);
+      expect(ingredient.body.error).toBe('Ingrédient introuvable');
+
+      const blogInconnu = await creerSavon({ blogIds: ['inexistant'] });
+      expect(blogInconnu.status).toBe(400);
+      expect(blogInconnu.body.error).toBe('Blog introuvable');
+    });
+
+    it('supprime les lignes de formule avec le produit', async () => {
+      const { body } = await creerSavon({ ingredients: [{ ingredientId: karite.id }] });
+
+      await request(app)
+        .delete(`/api/produits/${body.produit.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(await prisma.quantite.count({ where: { ingredientId: karite.id } })).toBe(0);
+    });
+  });
+
   describe('Rate Limiting', () => {
     it('applique le rate limiting après trop de requêtes', async () => {
       // Faire plusieurs requêtes rapides
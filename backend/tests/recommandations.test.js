@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+
+// Import des routes
+const utilisateurRoutes = require('../routes/utilisateurRoutes');
+const produitRoutes = require('../routes/produitRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/utilisateurs', utilisateurRoutes);
+app.use('/api/produits', produitRoutes);
+app.use(errorHandler);
+
+describe('Profil beauté et recommandations', () => {
+  let utilisateur;
+  let token;
+  let lavande;
+  let karite;
+  let noisette;
+
+  const creerProduit = ({ bienfaits, ingredients = [], ...donnees }) => prisma.produit.create({
+    data: {
+      description: 'Produit artisanal',
+      prix: 10,
+      stock: 5,
+      ...donnees,
+      bienfaits: { connectOrCreate: bienfaits.map(nom => ({ where: { nom }, create: { nom } })) },
+      ingredients: { create: ingredients.map(ingredient => ({ ingredientId: ingredient.id })) }
+    }
+  });
+
+  const enregistrerProfil = (profil) => request(app)
+    .put(`/api/utilisateurs/${utilisateur.id}/profil-beaute`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(profil);
+
+  const recommandations = (query = '') => request(app)
+    .get(`/api/produits/recommandations${query}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    await prisma.utilisateur.deleteMany();
+    await prisma.produit.deleteMany();
+    await prisma.ingredient.deleteMany();
+    await prisma.bienfait.deleteMany();
+
+    utilisateur = await prisma.utilisateur.create({
+      data: { email: 'peau.seche@example.com', motDePasse: 'hashedpassword' }
+    });
+    token = signAccessToken(utilisateur);
+
+    lavande = await prisma.ingredient.create({ data: { nom: 'Huile essentielle de lavande', allergene: true } });
+    karite = await prisma.ingredient.create({ data: { nom: 'Beurre de karité' } });
+    noisette = await prisma.ingredient.create({ data: { nom: 'Huile de noisette' } });
+
+    await creerProduit({
+      nom: 'Crème Karité',
+      categorie: 'crème',
+      bienfaits: ['Hydratant', 'Nourrissant', 'Réparateur'],
+      ingredients: [karite],
+      yukaScore: 80
+    });
+    await creerProduit({
+      nom: 'Savon Lavande',
+      categorie: 'savon',
+      bienfaits: ['Apaisant', 'Purifiant'],
+      ingredients: [lavande]
+    });
+    await creerProduit({
+      nom: 'Huile Noisette',
+      categorie: 'huile',
+      bienfaits: ['Hydratant'],
+      ingredients: [noisette]
+    });
+    await creerProduit({
+      nom: 'Crème inactive',
+      categorie: 'crème',
+      bienfaits: ['Hydratant', 'Nourrissant', 'Réparateur', 'Apaisant'],
+      actif: false
+    });
+  });
+
+  describe('Profil beauté', () => {
+    it('renvoie un profil vide tant qu\'il n\'est pas renseigné', async () => {
+      const res = await request(app)
+        .get(`/api/utilisateurs/${utilisateur.id}/profil-beaute`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.profilBeaute.typePeau).toBeNull();
+      expect(res.body.profilBeaute.allergies).toEqual([]);
+    });
+
+    it('enregistre le profil avec ses listes et ingrédients évités', async () => {
+      const res = await enregistrerProfil({
+        typePeau: 'SECHE',
+        typeCheveux: 'BOUCLES',
+        sensibilites: ['parfum'],
+        allergies: ['noisette'],
+        ingredientsEvitesIds: [lavande.id]
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.profilBeaute.typePeau).toBe('SECHE');
+      expect(res.body.profilBeaute.sensibilites).toEqual(['parfum']);
+      expect(res.body.profilBeaute.ingredientsEvites).toEqual([{ id: lavande.id, nom: lavande.nom }]);
+
+      const maj = await enregistrerProfil({ ingredientsEvitesIds: [] });
+      expect(maj.body.profilBeaute.ingredientsEvites).toEqual([]);
+      expect(maj.body.profilBeaute.allergies).toEqual(['noisette']);
+    });
+
+    it('refuse un type de peau ou un ingrédient inconnu', async () => {
+      expect((await enregistrerProfil({ typePeau: 'VERTE' })).status).toBe(400);
+      expect((await enregistrerProfil({ ingredientsEvitesIds: ['inexistant'] })).status).toBe(400);
+    });
+  });
+
+  describe('GET /api/produits/recommandations', () => {
+    it('classe les produits actifs selon les bienfaits recherchés', async () => {
+      await enregistrerProfil({ typePeau: 'SECHE' });
+
+      const res = await recommandations();
+
+      expect(res.status).toBe(200);
+      const noms = res.body.produits.map(p => p.nom);
+      expect(noms[0]).toBe('Crème Karité');
+      expect(noms.slice(1).sort()).toEqual(['Huile Noisette', 'Savon Lavande']);
+      expect(res.body.produits[0].pertinence).toBe(3);
+      expect(res.body.produits[0].bienfaitsCorrespondants).toEqual(['Hydratant', 'Nourrissant', 'Réparateur']);
+    });
+
+    it('exclut les ingrédients évités et les allergies déclarées', async () => {
+      await enregistrerProfil({
+        typePeau: 'SECHE',
+        allergies: ['Noisette'],
+        ingredientsEvitesIds: [karite.id]
+      });
+
+      const res = await recommandations();
+
+      expect(res.body.produits.map(p => p.nom)).toEqual(['Savon Lavande']);
+    });
+
+    it('exclut tous les allergènes connus sur demande', async () => {
+      await enregistrerProfil({ typePeau: 'SENSIBLE', eviterAllergenes: true });
+
+      const res = await recommandations();
+
+      expect(res.body.produits.map(p => p.nom)).not.toContain('Savon Lavande');
+    });
+
+    it('exige un profil renseigné et une connexion', async () => {
+      expect((await recommandations()).status).toBe(404);
+      expect((await request(app).get('/api/produits/recommandations')).status).toBe(401);
+    });
+  });
+});
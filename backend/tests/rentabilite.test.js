@@ -0,0 +1,175 @@
+import { describe, it, expect, beforeEach, afterAll } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+
+// Import des routes
+const produitRoutes = require('../routes/produitRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/produits', produitRoutes);
+app.use(errorHandler);
+
+const adminToken = signAccessToken({ id: 'admin-test', email: 'admin@cynova.fr', role: 'ADMIN' });
+const stockToken = signAccessToken({ id: 'stock-test', email: 'stock@cynova.fr', role: 'STOCK_MANAGER' });
+
+describe('Coût de revient et marge', () => {
+  let creme;
+  let savon;
+  let karite;
+  let huile;
+
+  const rapport = (query = '') => request(app)
+    .get(`/api/produits/rentabilite${query}`)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  // Les lots d'ingrédients bloquent la suppression des ingrédients dans les autres fichiers
+  afterAll(async () => {
+    await prisma.produit.deleteMany();
+    await prisma.lotIngredient.deleteMany();
+  });
+
+  beforeEach(async () => {
+    await prisma.produit.deleteMany();
+    await prisma.lotIngredient.deleteMany();
+    await prisma.ingredient.deleteMany();
+
+    karite = await prisma.ingredient.create({ data: { nom: 'Beurre de karité' } });
+    huile = await prisma.ingredient.create({ data: { nom: 'Huile d\'amande douce', densite: 0.9 } });
+
+    // Karité : 2 kg à 0,010 €/g et 1 kg à 0,016 €/g, soit 0,012 €/g en moyenne pondérée
+    await prisma.lotIngredient.createMany({
+      data: [
+        { ingredientId: karite.id, numero: 'K1', quantiteRecue: 2000, quantite: 2000, unite: 'g', coutUnitaire: 0.01 },
+        { ingredientId: karite.id, numero: 'K2', quantiteRecue: 1000, quantite: 1000, unite: 'g', coutUnitaire: 0.016 },
+        // Huile : 0,027 €/ml, soit 0,03 €/g
+        { ingredientId: huile.id, numero: 'A1', quantiteRecue: 1000, quantite: 1000, unite: 'ml', coutUnitaire: 0.027 }
+      ]
+    });
+
+    creme = await prisma.produit.create({
+      data: {
+        nom: 'Crème karité',
+        description: 'Crème riche',
+        prix: 24,
+        coutEmballage: 1.5,
+        categorie: 'crème',
+        quantiteNette: 100,
+        uniteQuantiteNette: 'g',
+        ingredients: {
+          create: [
+            { ingredientId: karite.id, valeur: 50, unite: '%', ordre: 0 },
+            { ingredientId: huile.id, valeur: 50, unite: '%', ordre: 1 }
+          ]
+        }
+      }
+    });
+    savon = await prisma.produit.create({
+      data: { nom: 'Savon nature', description: 'Savon sans formule', prix: 6, categorie: 'savon' }
+    });
+  });
+
+  it('calcule le coût de revient unitaire, la marge et les taux d\'un produit', async () => {
+    const res = await request(app)
+      .get(`/api/produits/${creme.id}/rentabilite`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    // 50 g de karité (0,60 €) + 50 g d'huile (1,50 €) + 1,50 € d'emballage ; prix HT 20 €
+    expect(res.status).toBe(200);
+    expect(res.body.references).toEqual([{
+      produitId: creme.id,
+      nom: 'Crème karité',
+      varianteId: null,
+      variante: null,
+      prix: 24,
+      prixHT: 20,
+      cout: { ingredients: 2.1, emballage: 1.5 },
+      coutRevient: 3.6,
+      marge: 16.4,
+      tauxMarge: 455.6,
+      tauxMarque: 82,
+      complet: true,
+      avertissements: []
+    }]);
+  });
+
+  it('calcule chaque variante avec sa contenance, son prix et son emballage', async () => {
+    await prisma.variante.createMany({
+      data: [
+        { produitId: creme.id, nom: '50 g', sku: 'CRE-50', prix: 14.4, contenance: 50, uniteContenance: 'g', coutEmballage: 1 },
+        { produitId: creme.id, nom: '200 g', sku: 'CRE-200', prix: 36, contenance: 200, uniteContenance: 'g', ordre: 1 }
+      ]
+    });
+
+    const res = await request(app)
+      .get(`/api/produits/${creme.id}/rentabilite`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.body.references.map(r => [r.variante, r.coutRevient, r.marge])).toEqual([
+      ['50 g', 2.05, 9.95],
+      ['200 g', 5.7, 24.3]
+    ]);
+  });
+
+  it('trie le rapport par marge et signale les coûts incomplets', async () => {
+    const bonMarche = await prisma.produit.create({
+      data: {
+        nom: 'Baume karité',
+        description: 'Baume pur karité',
+        prix: 9.6,
+        coutEmballage: 0.5,
+        categorie: 'crème',
+        quantiteNette: 50,
+        uniteQuantiteNette: 'g',
+        ingredients: { create: [{ ingredientId: karite.id, valeur: 100, unite: '%', ordre: 0 }] }
+      }
+    });
+
+    const res = await rapport();
+    expect(res.status).toBe(200);
+    expect(res.body.references.map(r => [r.produitId, r.marge])).toEqual([
+      [creme.id, 16.4],
+      [bonMarche.id, 6.9],
+      [savon.id, null]
+    ]);
+    expect(res.body.incompletes).toBe(1);
+    expect(res.body.references[2].avertissements).toEqual(['Produit sans formule', 'Coût d\'emballage non renseigné']);
+
+    const croissant = await rapport('?tri=tauxMarque&ordre=asc');
+    expect(croissant.body.references.map(r => [r.produitId, r.tauxMarque])).toEqual([
+      [creme.id, 82],
+      [bonMarche.id, 86.3],
+      [savon.id, null]
+    ]);
+
+    expect((await rapport('?tri=nom')).status).toBe(400);
+  });
+
+  it('signale un ingrédient sans prix d\'achat connu', async () => {
+    const eau = await prisma.ingredient.create({ data: { nom: 'Hydrolat de rose' } });
+    await prisma.quantite.updateMany({ where: { produitId: creme.id, ingredientId: huile.id }, data: { valeur: 40 } });
+    await prisma.quantite.create({ data: { produitId: creme.id, ingredientId: eau.id, valeur: 10, unite: '%', ordre: 2 } });
+
+    const res = await request(app)
+      .get(`/api/produits/${creme.id}/rentabilite`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.body.references[0].complet).toBe(false);
+    expect(res.body.references[0].avertissements).toEqual(['Coût d\'achat inconnu pour Hydrolat de rose']);
+  });
+
+  it('réserve les coûts aux administrateurs et les retire des vues publiques', async () => {
+    expect((await request(app)
+      .get('/api/produits/rentabilite')
+      .set('Authorization', `Bearer ${stockToken}`)).status).toBe(403);
+
+    const publique = await request(app).get(`/api/produits/${creme.id}`);
+    expect(publique.body).not.toHaveProperty('coutEmballage');
+  });
+});
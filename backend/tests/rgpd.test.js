@@ -0,0 +1,211 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+import bcrypt from 'bcrypt';
+
+// Import des routes
+const utilisateurRoutes = require('../routes/utilisateurRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/utilisateurs', utilisateurRoutes);
+app.use(errorHandler);
+
+const adminToken = signAccessToken({ id: 'admin-test', email: 'admin@cynova.fr', role: 'ADMIN' });
+
+// Récupère la réponse brute (archive ZIP)
+const binaire = (res, callback) => {
+  const morceaux = [];
+  res.on('data', morceau => morceaux.push(morceau));
+  res.on('end', () => callback(null, Buffer.concat(morceaux)));
+};
+
+describe('API Utilisateurs - Données personnelles (RGPD)', () => {
+  let utilisateur;
+  let token;
+
+  beforeEach(async () => {
+    await prisma.utilisateur.deleteMany();
+    await prisma.demandeRgpd.deleteMany();
+    await prisma.produit.deleteMany();
+
+    utilisateur = await prisma.utilisateur.create({
+      data: {
+        email: 'client@example.com',
+        motDePasse: await bcrypt.hash('motdepasse123', 10),
+        nom: 'Martin',
+        prenom: 'Léa',
+        adresse: '12 rue des Lilas, 75011 Paris',
+        telephone: '0601020304',
+        emailVerifie: true,
+        newsletter: true,
+        newsletterConsentementLe: new Date(),
+        newsletterConsentementIp: '203.0.113.7'
+      }
+    });
+    token = signAccessToken(utilisateur);
+
+    const produit = await prisma.produit.create({
+      data: { nom: 'Savon lavande', description: 'Savon saponifié à froid', prix: 7, categorie: 'savon' }
+    });
+    const lot = await prisma.lotProduction.create({
+      data: { numero: 'SL-001', produitId: produit.id, dateProduction: new Date(), quantiteProduite: 10, stock: 8, datePeremption: new Date('2030-01-01') }
+    });
+    await prisma.mouvementStock.create({
+      data: {
+        produitId: produit.id,
+        type: 'VENTE',
+        quantite: -2,
+        stockApres: 8,
+        clientId: utilisateur.id,
+        allocations: { create: [{ lotId: lot.id, quantite: -2 }] }
+      }
+    });
+    await prisma.notification.create({
+      data: { utilisateurId: utilisateur.id, type: 'RUPTURE', titre: 'Rupture de stock : Savon lavande', message: 'Le stock est épuisé.' }
+    });
+
+    await request(app)
+      .post('/api/utilisateurs/login')
+      .set('User-Agent', 'Navigateur de test')
+      .send({ email: 'client@example.com', motDePasse: 'motdepasse123' });
+  });
+
+  describe('GET /api/utilisateurs/:id/export', () => {
+    it('exporte le profil, les consentements et l\'historique en JSON', async () => {
+      const res = await request(app)
+        .get(`/api/utilisateurs/${utilisateur.id}/export`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-disposition']).toContain('attachment');
+      expect(res.body.profil.email).toBe('client@example.com');
+      expect(res.body.profil.motDePasse).toBeUndefined();
+      expect(res.body.adresses).toEqual([{ adresse: '12 rue des Lilas, 75011 Paris' }]);
+      expect(res.body.consentements.newsletterConsentementIp).toBe('203.0.113.7');
+      expect(res.body.connexions).toHaveLength(1);
+      expect(res.body.connexions[0].userAgent).toBe('Navigateur de test');
+      expect(res.body.sessions).toHaveLength(1);
+      expect(res.body.demandesRgpd).toHaveLength(1);
+      expect(res.body.achats).toEqual([
+        expect.objectContaining({ produit: 'Savon lavande', variante: null, type: 'VENTE', quantite: 2, lots: ['SL-001'] })
+      ]);
+      expect(res.body.notifications).toEqual([
+        expect.objectContaining({ type: 'RUPTURE', titre: 'Rupture de stock : Savon lavande', lueLe: null })
+      ]);
+    });
+
+    it('produit une archive ZIP avec un fichier par catégorie', async () => {
+      const res = await request(app)
+        .get(`/api/utilisateurs/${utilisateur.id}/export?format=zip`)
+        .set('Authorization', `Bearer ${token}`)
+        .buffer(true)
+        .parse(binaire);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('application/zip');
+      expect(res.body.readUInt32LE(0)).toBe(0x04034b50);
+
+      const contenu = res.body.toString('latin1');
+      expect(contenu).toContain('profil.json');
+      expect(contenu).toContain('connexions.json');
+      expect(contenu).toContain('achats.json');
+      expect(contenu).toContain('LISEZMOI.txt');
+    });
+
+    it('refuse l\'export des données d\'un autre utilisateur', async () => {
+      const autre = await prisma.utilisateur.create({
+        data: { email: 'autre@example.com', motDePasse: 'hashedpassword' }
+      });
+
+      const res = await request(app)
+        .get(`/api/utilisateurs/${autre.id}/export`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('trace chaque demande d\'export', async () => {
+      await request(app)
+        .get(`/api/utilisateurs/${utilisateur.id}/export?format=zip`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const demandes = await prisma.demandeRgpd.findMany({ where: { utilisateurId: utilisateur.id } });
+      expect(demandes).toHaveLength(1);
+      expect(demandes[0].type).toBe('EXPORT');
+      expect(demandes[0].format).toBe('zip');
+      expect(demandes[0].demandeurId).toBe('admin-test');
+    });
+  });
+
+  describe('POST /api/utilisateurs/:id/anonymiser', () => {
+    it('efface les données personnelles en conservant le compte', async () => {
+      const res = await request(app)
+        .post(`/api/utilisateurs/${utilisateur.id}/anonymiser`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+
+      const anonyme = await prisma.utilisateur.findUnique({ where: { id: utilisateur.id } });
+      expect(anonyme).not.toBeNull();
+      expect(anonyme.email).not.toContain('client@example.com');
+      expect(anonyme.nom).toBeNull();
+      expect(anonyme.prenom).toBeNull();
+      expect(anonyme.adresse).toBeNull();
+      expect(anonyme.telephone).toBeNull();
+      expect(anonyme.newsletter).toBe(false);
+      expect(anonyme.newsletterConsentementIp).toBeNull();
+      expect(anonyme.anonymiseLe).toBeInstanceOf(Date);
+
+      expect(await prisma.session.count({ where: { utilisateurId: utilisateur.id } })).toBe(0);
+      expect(await prisma.historiqueConnexion.count({ where: { utilisateurId: utilisateur.id } })).toBe(0);
+      expect(await prisma.notification.count({ where: { utilisateurId: utilisateur.id } })).toBe(0);
+
+      // La vente reste rattachée au compte anonymisé (rappels, commandes)
+      const ventes = await prisma.mouvementStock.findMany({ where: { type: 'VENTE' } });
+      expect(ventes.map(vente => [vente.quantite, vente.clientId])).toEqual([[-2, utilisateur.id]]);
+    });
+
+    it('empêche toute connexion après anonymisation', async () => {
+      await request(app)
+        .post(`/api/utilisateurs/${utilisateur.id}/anonymiser`)
+        .set('Authorization', `Bearer ${token}`);
+
+      const login = await request(app)
+        .post('/api/utilisateurs/login')
+        .send({ email: 'client@example.com', motDePasse: 'motdepasse123' });
+
+      expect(login.status).toBe(401);
+    });
+
+    it('refuse une seconde anonymisation', async () => {
+      await request(app)
+        .post(`/api/utilisateurs/${utilisateur.id}/anonymiser`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const res = await request(app)
+        .post(`/api/utilisateurs/${utilisateur.id}/anonymiser`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(409);
+    });
+  });
+
+  it('garde une trace de la suppression d\'un compte', async () => {
+    const res = await request(app)
+      .delete(`/api/utilisateurs/${utilisateur.id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+
+    const demandes = await prisma.demandeRgpd.findMany({ where: { utilisateurId: utilisateur.id } });
+    expect(demandes).toHaveLength(1);
+    expect(demandes[0].type).toBe('SUPPRESSION');
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+
+// Import des routes
+const produitRoutes = require('../routes/produitRoutes');
+const ingredientRoutes = require('../routes/ingredientRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
+const { recalculerTousLesScores } = require('../services/scoreService');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/produits', produitRoutes);
+app.use('/api/ingredients', ingredientRoutes);
+app.use(errorHandler);
+
+const adminToken = signAccessToken({ id: 'admin-test', email: 'admin@cynova.fr', role: 'ADMIN' });
+const stockToken = signAccessToken({ id: 'stock-test', email: 'stock@cynova.fr', role: 'STOCK_MANAGER' });
+
+describe('Score calculé des produits', () => {
+  let produit;
+  let eau;
+  let huile;
+  let phenoxyethanol;
+
+  const enregistrerFormule = (lignes) => request(app)
+    .put(`/api/produits/${produit.id}/formule`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ lignes });
+
+  const forcer = (donnees, token = adminToken) => request(app)
+    .put(`/api/produits/${produit.id}/score`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(donnees);
+
+  const formuleStandard = () => [
+    { ingredientId: eau.id, valeur: 70, unite: '%' },
+    { ingredientId: huile.id, valeur: 29, unite: '%' },
+    { ingredientId: phenoxyethanol.id, valeur: 1, unite: '%' }
+  ];
+
+  beforeEach(async () => {
+    await prisma.produit.deleteMany();
+    await prisma.ingredient.deleteMany();
+
+    eau = await prisma.ingredient.create({ data: { nom: 'Eau florale', indiceNaturalite: 1 } });
+    huile = await prisma.ingredient.create({ data: { nom: 'Huile de jojoba', indiceNaturalite: 1, bio: true } });
+    phenoxyethanol = await prisma.ingredient.create({
+      data: { nom: 'Phénoxyéthanol', indiceNaturalite: 0, classeRisque: 'MODERE' }
+    });
+
+    produit = await prisma.produit.create({
+      data: { nom: 'Lait démaquillant', description: 'Lait doux', prix: 11, categorie: 'crème', stock: 5 }
+    });
+  });
+
+  it('calcule le score et son détail à l\'enregistrement de la formule', async () => {
+    await enregistrerFormule(formuleStandard());
+
+    const res = await request(app).get(`/api/produits/${produit.id}/score`);
+
+    // Naturalité 99 % (0 point), bio 29 % (14 points), un ingrédient à risque modéré (5 points)
+    expect(res.status).toBe(200);
+    expect(res.body.score.effectif).toBe(81);
+    expect(res.body.score.calcule).toBe(81);
+    expect(res.body.score.manuel).toBeNull();
+    expect(res.body.score.detail).toEqual([
+      { critere: 'NATURALITE', penalite: 0, explication: 'Contenu d\'origine naturelle (ISO 16128) : 99 %' },
+      { critere: 'BIO', penalite: 14, explication: 'Ingrédients bio : 29 %' },
+      { critere: 'ALLERGENES', penalite: 0, explication: 'Aucun allergène' },
+      { critere: 'RISQUE', penalite: 5, explication: 'Ingrédients préoccupants : Phénoxyéthanol (modéré)' }
+    ]);
+
+    const liste = await request(app).get('/api/produits?yukaMin=80');
+    expect(liste.body.produits.map(p => p.id)).toEqual([produit.id]);
+    expect(liste.body.produits[0].scoreDetail).toHaveLength(4);
+  });
+
+  it('recalcule le score quand un ingrédient de la formule change', async () => {
+    await enregistrerFormule(formuleStandard());
+
+    await request(app)
+      .put(`/api/ingredients/${eau.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ bio: true });
+
+    const res = await request(app).get(`/api/produits/${produit.id}/score`);
+    // Bio 99 % : la pénalité bio tombe à 0
+    expect(res.body.score.effectif).toBe(95);
+  });
+
+  it('n\'accepte plus de score saisi à la création d\'un produit', async () => {
+    const res = await request(app)
+      .post('/api/produits')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        nom: 'Savon noté à la main',
+        description: 'Tentative de saisie manuelle du score',
+        prix: 6,
+        categorie: 'savon',
+        stock: 3,
+        yukaScore: 99
+      });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('force le score avec un motif tracé, puis rétablit le score calculé', async () => {
+    await enregistrerFormule(formuleStandard());
+
+    const forcage = await forcer({ score: 90, motif: 'Conservateur certifié Ecocert' });
+    expect(forcage.status).toBe(200);
+    expect(forcage.body.score.effectif).toBe(90);
+    expect(forcage.body.score.forcages[0]).toMatchObject({
+      ancienScore: null,
+      nouveauScore: 90,
+      motif: 'Conservateur certifié Ecocert',
+      auteurId: 'admin-test'
+    });
+
+    // Le calcul continue en arrière-plan sans écraser le score forcé
+    await enregistrerFormule([{ ingredientId: huile.id, valeur: 100, unite: '%' }]);
+    const apresFormule = await request(app).get(`/api/produits/${produit.id}/score`);
+    expect(apresFormule.body.score.calcule).toBe(100);
+    expect(apresFormule.body.score.effectif).toBe(90);
+
+    const retour = await forcer({ score: null, motif: 'Fin de la dérogation' });
+    expect(retour.body.score.effectif).toBe(100);
+    expect(retour.body.score.forcages).toHaveLength(2);
+  });
+
+  it('exige un motif et les droits d\'administration pour forcer le score', async () => {
+    expect((await forcer({ score: 50 })).status).toBe(400);
+    expect((await forcer({ score: 50, motif: 'Sans autorisation' }, stockToken)).status).toBe(403);
+  });
+
+  it('conserve comme forçage le score manuel d\'un produit sans formule lors de la mise en place', async () => {
+    await prisma.produit.update({ where: { id: produit.id }, data: { yukaScore: 72 } });
+
+    const rapport = await recalculerTousLesScores();
+
+    expect(rapport).toEqual({ recalcules: 0, conserves: 1 });
+    const res = await request(app).get(`/api/produits/${produit.id}/score`);
+    expect(res.body.score.manuel).toBe(72);
+    expect(res.body.score.forcages).toHaveLength(1);
+  });
+});
@@ -11,10 +11,19 @@ import morgan from 'morgan';
 const utilisateurController = require('../controllers/utilisateurController');
 const utilisateurRoutes = require('../routes/utilisateurRoutes');
 const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken, rotateSession } = require('../services/tokenService');
+const { setTransport } = require('../services/mailer');
+const { verifierComptesExistants } = require('../services/oneTimeTokenService');
 
 const prisma = new PrismaClient();
 const app = express();
 
+// Jeton d'un administrateur pour les routes protégées
+const adminToken = signAccessToken({ id: 'admin-test', email: 'admin@cynova.fr', role: 'ADMIN' });
+
+// Les emails de vérification sont ignorés dans ces tests
+setTransport({ send: async () => ({}) });
+
 // Configuration du serveur de test
 app.use(helmet());
 app.use(compression());
@@ -28,6 +37,7 @@ app.use('/api/utilisateurs', utilisateurRoutes);
 app.use(errorHandler);
 
 let utilisateurCree;
+let ownerToken;
 
 describe('API Utilisateurs - Tests Complets', () => {
   beforeEach(async () => {
@@ -54,7 +64,10 @@ describe('API Utilisateurs - Tests Complets', () => {
       expect(res.body.utilisateur.email).toBe('marie.dubois@example.com');
       expect(res.body.utilisateur.nom).toBe('Dubois');
       expect(res.body.utilisateur.role).toBe('USER');
-      expect(res.body.utilisateur.newsletter).toBe(true);
+      // La newsletter attend la confirmation du double opt-in
+      expect(res.body.utilisateur.newsletter).toBe(false);
+      expect(res.body.confirmationNewsletterEnvoyee).toBe(true);
+      expect(res.body.utilisateur.emailVerifie).toBe(false);
       // Vérifier que le mot de passe n'est pas retourné
       expect(res.body.utilisateur.motDePasse).toBeUndefined();
       
@@ -140,6 +153,23 @@ describe('API Utilisateurs - Tests Complets', () => {
       expect(res.body.utilisateur.nom).toBeNull();
       expect(res.body.utilisateur.prenom).toBeNull();
     });
+
+    it('crée le compte même si l\'email de vérification ne part pas', async () => {
+      setTransport({ send: async () => { throw new Error('SMTP indisponible'); } });
+
+      try {
+        const res = await request(app)
+          .post('/api/utilisateurs')
+          .send({ email: 'horsligne@example.com', motDePasse: 'motdepasse123', newsletter: true });
+
+        expect(res.status).toBe(201);
+        expect(res.body.emailVerificationEnvoye).toBe(false);
+        expect(res.body.confirmationNewsletterEnvoyee).toBe(false);
+        expect(await prisma.utilisateur.count({ where: { email: 'horsligne@example.com' } })).toBe(1);
+      } finally {
+        setTransport({ send: async () => ({}) });
+      }
+    });
   });
 
   describe('POST /api/utilisateurs/login - Connexion', () => {
@@ -153,6 +183,10 @@ describe('API Utilisateurs - Tests Complets', () => {
           nom: 'Login',
           prenom: 'Test'
         });
+      await prisma.utilisateur.update({
+        where: { email: 'login@example.com' },
+        data: { emailVerifie: true }
+      });
     });
 
     it('connecte un utilisateur avec des identifiants valides', async () => {
@@ -168,6 +202,46 @@ describe('API Utilisateurs - Tests Complets', () => {
       expect(res.body.utilisateur.email).toBe('login@example.com');
       expect(res.body.utilisateur.nom).toBe('Login');
       expect(res.body.utilisateur.motDePasse).toBeUndefined();
+      expect(res.body.accessToken).toBeDefined();
+      expect(res.body.refreshToken).toBeDefined();
+      expect(res.body.tokenType).toBe('Bearer');
+    });
+
+    it('refuse la connexion tant que l\'email n\'est pas vérifié', async () => {
+      await prisma.utilisateur.update({
+        where: { email: 'login@example.com' },
+        data: { emailVerifie: false }
+      });
+
+      const res = await request(app)
+        .post('/api/utilisateurs/login')
+        .send({
+          email: 'login@example.com',
+          motDePasse: 'motdepasse123'
+        });
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe('Adresse email non vérifiée');
+    });
+
+    it('considère comme vérifiés les comptes créés avant la vérification d\'email', async () => {
+      // Compte existant avant la fonctionnalité : aucun lien de vérification envoyé
+      await prisma.utilisateur.create({
+        data: { email: 'ancien@example.com', motDePasse: 'hash', emailVerifie: false }
+      });
+
+      expect(await verifierComptesExistants()).toEqual({ verifies: 1 });
+
+      const ancien = await prisma.utilisateur.findUnique({ where: { email: 'ancien@example.com' } });
+      expect(ancien.emailVerifie).toBe(true);
+
+      // Un compte inscrit depuis, en attente de vérification, n'est pas concerné
+      await request(app)
+        .post('/api/utilisateurs')
+        .send({ email: 'nouveau@example.com', motDePasse: 'motdepasse123', nom: 'Nouveau', prenom: 'Test' });
+      await verifierComptesExistants();
+      const nouveau = await prisma.utilisateur.findUnique({ where: { email: 'nouveau@example.com' } });
+      expect(nouveau.emailVerifie).toBe(false);
     });
 
     it('rejette la connexion avec email incorrect', async () => {
@@ -206,6 +280,108 @@ describe('API Utilisateurs - Tests Complets', () => {
     });
   });
 
+  describe('Sessions - refresh, logout et /me', () => {
+    let session;
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/utilisateurs')
+        .send({
+          email: 'session@example.com',
+          motDePasse: 'motdepasse123',
+          nom: 'Session'
+        });
+      await prisma.utilisateur.update({
+        where: { email: 'session@example.com' },
+        data: { emailVerifie: true }
+      });
+
+      const res = await request(app)
+        .post('/api/utilisateurs/login')
+        .send({
+          email: 'session@example.com',
+          motDePasse: 'motdepasse123'
+        });
+      session = res.body;
+    });
+
+    it('retourne l\'utilisateur authentifié avec un jeton valide', async () => {
+      const res = await request(app)
+        .get('/api/utilisateurs/me')
+        .set('Authorization', `Bearer ${session.accessToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.email).toBe('session@example.com');
+      expect(res.body.motDePasse).toBeUndefined();
+    });
+
+    it('rejette /me sans jeton ou avec un jeton invalide', async () => {
+      const sansJeton = await request(app).get('/api/utilisateurs/me');
+      expect(sansJeton.status).toBe(401);
+      expect(sansJeton.body.error).toBe('Non autorisé');
+
+      const jetonInvalide = await request(app)
+        .get('/api/utilisateurs/me')
+        .set('Authorization', 'Bearer jeton-invalide');
+      expect(jetonInvalide.status).toBe(401);
+    });
+
+    it('renouvelle les jetons et invalide l\'ancien refresh token', async () => {
+      const res = await request(app)
+        .post('/api/utilisateurs/refresh')
+        .send({ refreshToken: session.refreshToken });
+
+      expect(res.status).toBe(200);
+      expect(res.body.accessToken).toBeDefined();
+      expect(res.body.refreshToken).not.toBe(session.refreshToken);
+
+      const reutilisation = await request(app)
+        .post('/api/utilisateurs/refresh')
+        .send({ refreshToken: session.refreshToken });
+      expect(reutilisation.status).toBe(401);
+
+      // La réutilisation d'un token révoqué coupe toute la chaîne de sessions
+      const suivant = await request(app)
+        .post('/api/utilisateurs/refresh')
+        .send({ refreshToken: res.body.refreshToken });
+      expect(suivant.status).toBe(401);
+    });
+
+    it('n\'échange qu\'une fois un refresh token présenté simultanément', async () => {
+      const echanges = await Promise.allSettled([
+        rotateSession(session.refreshToken),
+        rotateSession(session.refreshToken)
+      ]);
+
+      expect(echanges.map(echange => echange.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(echanges.find(echange => echange.status === 'rejected').reason.message).toBe('Refresh token révoqué');
+    });
+
+    it('révoque le refresh token à la déconnexion', async () => {
+      const res = await request(app)
+        .post('/api/utilisateurs/logout')
+        .send({ refreshToken: session.refreshToken });
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('Déconnexion réussie');
+
+      const refresh = await request(app)
+        .post('/api/utilisateurs/refresh')
+        .send({ refreshToken: session.refreshToken });
+      expect(refresh.status).toBe(401);
+      expect(refresh.body.error).toBe('Refresh token invalide ou expiré');
+    });
+
+    it('exige un refresh token', async () => {
+      const res = await request(app)
+        .post('/api/utilisateurs/refresh')
+        .send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Refresh token requis');
+    });
+  });
+
   describe('GET /api/utilisateurs - Lecture', () => {
     beforeEach(async () => {
       // Créer des utilisateurs de test
@@ -217,7 +393,8 @@ describe('API Utilisateurs - Tests Complets', () => {
             nom: 'User1',
             prenom: 'Test',
             role: 'USER',
-            newsletter: true
+            newsletter: true,
+            newsletterConsentementLe: new Date()
           },
           {
             email: 'admin@example.com',
@@ -233,7 +410,8 @@ describe('API Utilisateurs - Tests Complets', () => {
             nom: 'User2',
             prenom: 'Test',
             role: 'USER',
-            newsletter: true
+            newsletter: true,
+            newsletterConsentementLe: new Date()
           }
         ]
       });
@@ -241,7 +419,8 @@ describe('API Utilisateurs - Tests Complets', () => {
 
     it('récupère tous les utilisateurs avec pagination', async () => {
       const res = await request(app)
-        .get('/api/utilisateurs?page=1&limit=2');
+        .get('/api/utilisateurs?page=1&limit=2')
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.status).toBe(200);
       expect(res.body.utilisateurs).toHaveLength(2);
@@ -252,7 +431,8 @@ describe('API Utilisateurs - Tests Complets', () => {
 
     it('filtre les utilisateurs par role', async () => {
       const res = await request(app)
-        .get('/api/utilisateurs?role=ADMIN');
+        .get('/api/utilisateurs?role=ADMIN')
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.status).toBe(200);
       expect(res.body.utilisateurs).toHaveLength(1);
@@ -261,7 +441,8 @@ describe('API Utilisateurs - Tests Complets', () => {
 
     it('filtre les utilisateurs par newsletter', async () => {
       const res = await request(app)
-        .get('/api/utilisateurs?newsletter=true');
+        .get('/api/utilisateurs?newsletter=true')
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.status).toBe(200);
       expect(res.body.utilisateurs).toHaveLength(2);
@@ -272,7 +453,8 @@ describe('API Utilisateurs - Tests Complets', () => {
       const utilisateur = await prisma.utilisateur.findFirst();
       
       const res = await request(app)
-        .get(`/api/utilisateurs/${utilisateur.id}`);
+        .get(`/api/utilisateurs/${utilisateur.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.status).toBe(200);
       expect(res.body.id).toBe(utilisateur.id);
@@ -282,7 +464,8 @@ describe('API Utilisateurs - Tests Complets', () => {
 
     it('retourne 404 pour un ID inexistant', async () => {
       const res = await request(app)
-        .get('/api/utilisateurs/inexistant-id');
+        .get('/api/utilisateurs/inexistant-id')
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.status).toBe(404);
       expect(res.body.error).toBe('Utilisateur non trouvé');
@@ -300,11 +483,13 @@ describe('API Utilisateurs - Tests Complets', () => {
           role: 'USER'
         }
       });
+      ownerToken = signAccessToken(utilisateurCree);
     });
 
     it('met à jour un utilisateur avec données valides', async () => {
       const res = await request(app)
         .put(`/api/utilisateurs/${utilisateurCree.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
         .send({
           nom: 'Updated',
           prenom: 'Name',
@@ -315,12 +500,15 @@ describe('API Utilisateurs - Tests Complets', () => {
       expect(res.body.message).toBe('Utilisateur mis à jour avec succès');
       expect(res.body.utilisateur.nom).toBe('Updated');
       expect(res.body.utilisateur.prenom).toBe('Name');
-      expect(res.body.utilisateur.newsletter).toBe(true);
+      // L'inscription à la newsletter attend la confirmation
+      expect(res.body.utilisateur.newsletter).toBe(false);
+      expect(res.body.confirmationNewsletterEnvoyee).toBe(true);
     });
 
     it('met à jour le mot de passe', async () => {
       const res = await request(app)
         .put(`/api/utilisateurs/${utilisateurCree.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
         .send({
           motDePasse: 'nouveaumotdepasse123'
         });
@@ -332,6 +520,7 @@ describe('API Utilisateurs - Tests Complets', () => {
     it('rejette une mise à jour avec email invalide', async () => {
       const res = await request(app)
         .put(`/api/utilisateurs/${utilisateurCree.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
         .send({
           email: 'email-invalide'
         });
@@ -343,6 +532,7 @@ describe('API Utilisateurs - Tests Complets', () => {
     it('retourne 404 pour un ID inexistant', async () => {
       const res = await request(app)
         .put('/api/utilisateurs/inexistant-id')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({ nom: 'Nouveau nom' });
 
       expect(res.status).toBe(404);
@@ -361,11 +551,13 @@ describe('API Utilisateurs - Tests Complets', () => {
           role: 'USER'
         }
       });
+      ownerToken = signAccessToken(utilisateurCree);
     });
 
     it('supprime un utilisateur existant', async () => {
       const res = await request(app)
-        .delete(`/api/utilisateurs/${utilisateurCree.id}`);
+        .delete(`/api/utilisateurs/${utilisateurCree.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
 
       expect(res.status).toBe(200);
       expect(res.body.message).toBe('Utilisateur supprimé avec succès');
@@ -379,13 +571,78 @@ describe('API Utilisateurs - Tests Complets', () => {
 
     it('retourne 404 pour un ID inexistant', async () => {
       const res = await request(app)
-        .delete('/api/utilisateurs/inexistant-id');
+        .delete('/api/utilisateurs/inexistant-id')
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.status).toBe(404);
       expect(res.body.error).toBe('Utilisateur non trouvé');
     });
   });
 
+  describe('Contrôle d\'accès', () => {
+    let autreUtilisateur;
+
+    beforeEach(async () => {
+      [utilisateurCree, autreUtilisateur] = await Promise.all([
+        prisma.utilisateur.create({
+          data: { email: 'client@example.com', motDePasse: 'hashedpassword', role: 'USER' }
+        }),
+        prisma.utilisateur.create({
+          data: { email: 'autre@example.com', motDePasse: 'hashedpassword', role: 'USER' }
+        })
+      ]);
+      ownerToken = signAccessToken(utilisateurCree);
+    });
+
+    it('réserve la liste des utilisateurs aux administrateurs', async () => {
+      const res = await request(app)
+        .get('/api/utilisateurs')
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('refuse la lecture du compte d\'un autre utilisateur', async () => {
+      const res = await request(app)
+        .get(`/api/utilisateurs/${autreUtilisateur.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('empêche un utilisateur de se promouvoir administrateur', async () => {
+      const res = await request(app)
+        .put(`/api/utilisateurs/${utilisateurCree.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ role: 'ADMIN' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe('Seul un administrateur peut modifier le rôle');
+    });
+
+    it('refuse une inscription publique avec un rôle élevé', async () => {
+      const res = await request(app)
+        .post('/api/utilisateurs')
+        .send({
+          email: 'pirate@example.com',
+          motDePasse: 'motdepasse123',
+          role: 'ADMIN'
+        });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('permet à un administrateur d\'attribuer le rôle rédacteur', async () => {
+      const res = await request(app)
+        .put(`/api/utilisateurs/${utilisateurCree.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'EDITOR' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.utilisateur.role).toBe('EDITOR');
+    });
+  });
+
   describe('GET /api/utilisateurs/search - Recherche', () => {
     beforeEach(async () => {
       await prisma.utilisateur.createMany({
@@ -410,7 +667,8 @@ describe('API Utilisateurs - Tests Complets', () => {
 
     it('recherche par terme dans email, nom et prénom', async () => {
       const res = await request(app)
-        .get('/api/utilisateurs/search?q=marie');
+        .get('/api/utilisateurs/search?q=marie')
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.status).toBe(200);
       expect(res.body.utilisateurs).toHaveLength(1);
@@ -419,7 +677,8 @@ describe('API Utilisateurs - Tests Complets', () => {
 
     it('filtre par role et newsletter', async () => {
       const res = await request(app)
-        .get('/api/utilisateurs/search?role=ADMIN');
+        .get('/api/utilisateurs/search?role=ADMIN')
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.status).toBe(200);
       expect(res.body.utilisateurs).toHaveLength(1);
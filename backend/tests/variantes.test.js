@@ -0,0 +1,142 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import express from 'express';
+
+// Import des routes
+const produitRoutes = require('../routes/produitRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { signAccessToken } = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+const app = express();
+
+// Configuration du serveur de test
+app.use(express.json());
+app.use('/api/produits', produitRoutes);
+app.use(errorHandler);
+
+const adminToken = signAccessToken({ id: 'admin-test', email: 'admin@cynova.fr', role: 'ADMIN' });
+const stockToken = signAccessToken({ id: 'stock-test', email: 'stock@cynova.fr', role: 'STOCK_MANAGER' });
+
+describe('Variantes de produits', () => {
+  let creme;
+  let savon;
+
+  const ajouterVariante = (produitId, donnees) => request(app)
+    .post(`/api/produits/${produitId}/variantes`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(donnees);
+
+  beforeEach(async () => {
+    await prisma.produit.deleteMany();
+
+    creme = await prisma.produit.create({
+      data: { nom: 'Crème hydratante', description: 'Crème visage', prix: 20, categorie: 'crème', stock: 0 }
+    });
+    savon = await prisma.produit.create({
+      data: { nom: 'Savon surgras', description: 'Savon sans variante', prix: 8, categorie: 'savon', stock: 12 }
+    });
+  });
+
+  it('ajoute des variantes et les renvoie dans le détail du produit', async () => {
+    const grande = await ajouterVariante(creme.id, {
+      nom: '100 ml', sku: 'cre-hyd-100', contenance: 100, uniteContenance: 'ml', prix: 32, stock: 4, ordre: 1
+    });
+    const petite = await ajouterVariante(creme.id, {
+      nom: '50 ml', sku: 'CRE-HYD-50', ean: '3017620422003', contenance: 50, uniteContenance: 'ml', prix: 18.5, stock: 10
+    });
+
+    expect(grande.status).toBe(201);
+    expect(grande.body.variante.sku).toBe('CRE-HYD-100');
+    expect(petite.status).toBe(201);
+
+    const res = await request(app).get(`/api/produits/${creme.id}`);
+    expect(res.body.variantes.map(v => v.nom)).toEqual(['50 ml', '100 ml']);
+    expect(res.body.variantes[0]).toMatchObject({ ean: '3017620422003', prix: 18.5, stock: 10 });
+
+    const sansVariante = await request(app).get(`/api/produits/${savon.id}`);
+    expect(sansVariante.body.variantes).toEqual([]);
+    expect(sansVariante.body.prix).toBe(8);
+  });
+
+  it('refuse un code EAN invalide et un SKU ou un EAN déjà attribué', async () => {
+    expect((await ajouterVariante(creme.id, { nom: '50 ml', sku: 'CRE-50', ean: '3017620422004', prix: 18 })).status).toBe(400);
+
+    await ajouterVariante(creme.id, { nom: '50 ml', sku: 'CRE-50', ean: '96385074', prix: 18 });
+
+    const skuPris = await ajouterVariante(savon.id, { nom: 'Lavande', sku: 'cre-50', prix: 8 });
+    expect(skuPris.status).toBe(409);
+    const eanPris = await ajouterVariante(savon.id, { nom: 'Lavande', sku: 'SAV-LAV', ean: '96385074', prix: 8 });
+    expect(eanPris.status).toBe(409);
+  });
+
+  it('filtre par prix sur les variantes actives, et sur le prix des produits sans variante', async () => {
+    await ajouterVariante(creme.id, { nom: '50 ml', sku: 'CRE-50', prix: 18, stock: 5 });
+    await ajouterVariante(creme.id, { nom: '100 ml', sku: 'CRE-100', prix: 32, stock: 5 });
+
+    const sous10 = await request(app).get('/api/produits?prixMax=10');
+    expect(sous10.body.produits.map(p => p.id)).toEqual([savon.id]);
+
+    // Le prix du produit (20) est ignoré au profit de celui de ses variantes
+    const sous19 = await request(app).get('/api/produits?prixMax=19');
+    expect(sous19.body.produits.map(p => p.id).sort()).toEqual([creme.id, savon.id].sort());
+
+    const recherche = await request(app).get('/api/produits/search?prixMin=25&prixMax=40');
+    expect(recherche.body.produits.map(p => p.id)).toEqual([creme.id]);
+
+    const variante50 = await prisma.variante.findUnique({ where: { sku: 'CRE-50' } });
+    await prisma.variante.update({ where: { id: variante50.id }, data: { actif: false } });
+    const apresDesactivation = await request(app).get('/api/produits?prixMax=19');
+    expect(apresDesactivation.body.produits.map(p => p.id)).toEqual([savon.id]);
+  });
+
+  it('limite le gestionnaire de stock au stock des variantes', async () => {
+    const { body } = await ajouterVariante(creme.id, { nom: '50 ml', sku: 'CRE-50', prix: 18, stock: 2, coutEmballage: 0.8 });
+    const url = `/api/produits/${creme.id}/variantes/${body.variante.id}`;
+    expect(body.variante).not.toHaveProperty('coutEmballage');
+
+    const stock = await request(app).put(url).set('Authorization', `Bearer ${stockToken}`).send({ stock: 9 });
+    expect(stock.status).toBe(200);
+    expect(stock.body.variante.stock).toBe(9);
+    // Le coût d'emballage reste réservé aux vues de rentabilité
+    expect(stock.body.variante).not.toHaveProperty('coutEmballage');
+    expect((await prisma.variante.findUnique({ where: { id: body.variante.id } })).coutEmballage).toBe(0.8);
+
+    const prix = await request(app).put(url).set('Authorization', `Bearer ${stockToken}`).send({ prix: 1 });
+    expect(prix.status).toBe(403);
+
+    const suppression = await request(app).delete(url).set('Authorization', `Bearer ${stockToken}`);
+    expect(suppression.status).toBe(403);
+  });
+
+  it('ne modifie ni ne supprime une variante via un autre produit', async () => {
+    const { body } = await ajouterVariante(creme.id, { nom: '50 ml', sku: 'CRE-50', prix: 18 });
+
+    const res = await request(app)
+      .delete(`/api/produits/${savon.id}/variantes/${body.variante.id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.status).toBe(404);
+
+    const ok = await request(app)
+      .delete(`/api/produits/${creme.id}/variantes/${body.variante.id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(ok.status).toBe(200);
+    expect(await prisma.variante.count()).toBe(0);
+  });
+
+  it('désactive au lieu de supprimer une variante qui a un historique de stock', async () => {
+    const { body } = await ajouterVariante(creme.id, { nom: '50 ml', sku: 'CRE-50', prix: 18, stock: 5 });
+
+    const res = await request(app)
+      .delete(`/api/produits/${creme.id}/variantes/${body.variante.id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.status).toBe(200);
+    expect(res.body.desactivee).toBe(true);
+
+    const variante = await prisma.variante.findUnique({ where: { id: body.variante.id } });
+    expect(variante.actif).toBe(false);
+    expect(await prisma.mouvementStock.count({ where: { varianteId: variante.id } })).toBe(1);
+    await expect(prisma.variante.delete({ where: { id: variante.id } })).rejects.toThrow();
+  });
+});
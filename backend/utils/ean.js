@@ -0,0 +1,15 @@
+// Contrôle d'un code-barres EAN-13 ou EAN-8 (longueur et clé de contrôle)
+function isEanValide(code) {
+  if (!/^(\d{8}|\d{13})$/.test(code)) return false;
+
+  const chiffres = code.split('').map(Number);
+  const cle = chiffres.pop();
+  // Pondération 3 puis 1 en partant du chiffre le plus proche de la clé
+  const somme = chiffres
+    .reverse()
+    .reduce((total, chiffre, index) => total + chiffre * (index % 2 === 0 ? 3 : 1), 0);
+
+  return (10 - (somme % 10)) % 10 === cle;
+}
+
+module.exports = { isEanValide };
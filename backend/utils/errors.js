@@ -0,0 +1,19 @@
+// Erreurs applicatives interprétées par middleware/errorHandler.js
+
+class UnauthorizedError extends Error {
+  constructor(message = 'Token d\'authentification invalide ou manquant') {
+    super(message);
+    this.name = 'UnauthorizedError';
+    this.statusCode = 401;
+  }
+}
+
+class ForbiddenError extends Error {
+  constructor(message = 'Vous n\'avez pas les droits nécessaires pour cette action') {
+    super(message);
+    this.name = 'ForbiddenError';
+    this.statusCode = 403;
+  }
+}
+
+module.exports = { UnauthorizedError, ForbiddenError };
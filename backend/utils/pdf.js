@@ -0,0 +1,72 @@
+// Document PDF minimal (texte en Helvetica, traits et cadres, format A4) pour les fiches imprimables
+
+const largeurA4 = 595;
+const hauteurA4 = 842;
+
+// Caractères hors Latin-1 ayant une place dans l'encodage WinAnsi des polices standard
+const winAnsi = { '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '–': 0x96, '—': 0x97, 'Œ': 0x8c, 'œ': 0x9c };
+
+// Chaîne littérale PDF encodée en WinAnsi, chaque octet porté par un caractère Latin-1
+function chainePdf(texte) {
+  const octets = [...String(texte)].map(caractere => {
+    const code = caractere.charCodeAt(0);
+    if (winAnsi[caractere]) return String.fromCharCode(winAnsi[caractere]);
+    return code < 256 ? caractere : '?';
+  }).join('');
+  return `(${octets.replace(/[\\()]/g, '\\$&').replace(/[\r\n]/g, ' ')})`;
+}
+
+const nombre = (valeur) => Number(valeur.toFixed(2));
+
+// Flux de contenu d'une page : { textes: [{ x, y, texte, taille, gras }], traits: [{ x1, y1, x2, y2 }],
+// cadres: [{ x, y, largeur, hauteur }] } ; coordonnées en points depuis le coin bas gauche
+function contenuPage({ textes = [], traits = [], cadres = [] }) {
+  const instructions = ['0.5 w'];
+  traits.forEach(({ x1, y1, x2, y2 }) => instructions.push(`${nombre(x1)} ${nombre(y1)} m ${nombre(x2)} ${nombre(y2)} l S`));
+  cadres.forEach(({ x, y, largeur, hauteur }) => instructions.push(`${nombre(x)} ${nombre(y)} ${nombre(largeur)} ${nombre(hauteur)} re S`));
+  textes.forEach(({ x, y, texte, taille = 10, gras = false }) => {
+    instructions.push(`BT /${gras ? 'F2' : 'F1'} ${taille} Tf ${nombre(x)} ${nombre(y)} Td ${chainePdf(texte)} Tj ET`);
+  });
+  return instructions.join('\n');
+}
+
+// pages : contenus décrits pour contenuPage ; renvoie le document sous forme de Buffer
+function createPdf(pages, { titre } = {}) {
+  const objets = [];
+  // Numéro de l'objet ajouté (les objets sont numérotés à partir de 1)
+  const ajouter = (corps) => objets.push(corps);
+
+  const catalogue = ajouter(null);
+  const arbre = ajouter(null);
+  const police = ajouter('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const policeGrasse = ajouter('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const informations = ajouter(`<< /Producer (Cynova)${titre ? ` /Title ${chainePdf(titre)}` : ''} >>`);
+
+  const feuilles = pages.map(page => {
+    const contenu = contenuPage(page);
+    const flux = ajouter(`<< /Length ${contenu.length} >>\nstream\n${contenu}\nendstream`);
+    return ajouter(`<< /Type /Page /Parent ${arbre} 0 R /MediaBox [0 0 ${largeurA4} ${hauteurA4}] `
+      + `/Resources << /Font << /F1 ${police} 0 R /F2 ${policeGrasse} 0 R >> >> /Contents ${flux} 0 R >>`);
+  });
+
+  objets[catalogue - 1] = `<< /Type /Catalog /Pages ${arbre} 0 R >>`;
+  objets[arbre - 1] = `<< /Type /Pages /Kids [${feuilles.map(feuille => `${feuille} 0 R`).join(' ')}] /Count ${feuilles.length} >>`;
+
+  let document = '%PDF-1.4\n';
+  const positions = objets.map((corps, index) => {
+    const position = document.length;
+    document += `${index + 1} 0 obj\n${corps}\nendobj\n`;
+    return position;
+  });
+
+  const xref = document.length;
+  document += `xref\n0 ${objets.length + 1}\n0000000000 65535 f \n`
+    + positions.map(position => `${String(position).padStart(10, '0')} 00000 n \n`).join('')
+    + `trailer\n<< /Size ${objets.length + 1} /Root ${catalogue} 0 R /Info ${informations} 0 R >>\n`
+    + `startxref\n${xref}\n%%EOF\n`;
+
+  // Chaque caractère du document représente un octet
+  return Buffer.from(document, 'latin1');
+}
+
+module.exports = { createPdf, largeurA4, hauteurA4 };
@@ -0,0 +1,19 @@
+// Mise en forme de texte pour les documents imprimables (étiquettes, fiches)
+
+// Découpe un texte en lignes d'au plus `largeur` caractères, sans couper les mots
+function decouperTexte(texte, largeur) {
+  const lignes = [];
+  let courante = '';
+  texte.split(' ').forEach(mot => {
+    if (courante && (courante + ' ' + mot).length > largeur) {
+      lignes.push(courante);
+      courante = mot;
+    } else {
+      courante = courante ? `${courante} ${mot}` : mot;
+    }
+  });
+  if (courante) lignes.push(courante);
+  return lignes;
+}
+
+module.exports = { decouperTexte };
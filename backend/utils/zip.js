@@ -0,0 +1,68 @@
+const zlib = require('zlib');
+
+// Archive ZIP minimale (deflate, sans chiffrement ni ZIP64) pour les exports de fichiers texte
+
+// Date et heure au format MS-DOS attendu par les en-têtes ZIP
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// fichiers : [{ name, content }] où content est une chaîne ou un Buffer
+function createZip(fichiers, date = new Date()) {
+  const { time, day } = dosDateTime(date);
+  const locaux = [];
+  const central = [];
+  let offset = 0;
+
+  for (const { name, content } of fichiers) {
+    const nom = Buffer.from(name, 'utf8');
+    const donnees = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const compresse = zlib.deflateRawSync(donnees);
+    const crc = zlib.crc32(donnees);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version requise
+    local.writeUInt16LE(0x0800, 6); // noms en UTF-8
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compresse.length, 18);
+    local.writeUInt32LE(donnees.length, 22);
+    local.writeUInt16LE(nom.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const entree = Buffer.alloc(46);
+    entree.writeUInt32LE(0x02014b50, 0);
+    entree.writeUInt16LE(20, 4); // version créatrice
+    entree.writeUInt16LE(20, 6);
+    entree.writeUInt16LE(0x0800, 8);
+    entree.writeUInt16LE(8, 10);
+    entree.writeUInt16LE(time, 12);
+    entree.writeUInt16LE(day, 14);
+    entree.writeUInt32LE(crc, 16);
+    entree.writeUInt32LE(compresse.length, 20);
+    entree.writeUInt32LE(donnees.length, 24);
+    entree.writeUInt16LE(nom.length, 28);
+    entree.writeUInt32LE(offset, 42);
+
+    locaux.push(local, nom, compresse);
+    central.push(entree, nom);
+    offset += local.length + nom.length + compresse.length;
+  }
+
+  const repertoire = Buffer.concat(central);
+  const fin = Buffer.alloc(22);
+  fin.writeUInt32LE(0x06054b50, 0);
+  fin.writeUInt16LE(fichiers.length, 8);
+  fin.writeUInt16LE(fichiers.length, 10);
+  fin.writeUInt32LE(repertoire.length, 12);
+  fin.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locaux, repertoire, fin]);
+}
+
+module.exports = { createZip };